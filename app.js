@@ -9,10 +9,12 @@ const moment = require('moment');
 const multer = require('multer');
 const mongoose = require('mongoose');
 const util = require('util');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 
 // Import database models
 const { Report, UserRestriction, PostModeration } = require('./moderation-schemas');
-const { User, Post, ActivityLog } = require('./database');
+const { User, Post, ActivityLog, Session, PasswordResetToken, RoleGrant, InviteCode, ApiToken } = require('./database');
 
 // Helper function for logging
 async function logModerationAction(userId, action, details) {
@@ -36,12 +38,15 @@ const {
     isAuthenticated, 
     isAdministrator, 
     isManager,
-    canModeratePost,
-    canModerateTag,
-    canEditOrDelete,
+    requireAccess,
+    STEP_UP_PATH,
+    STEP_UP_WINDOW_MINUTES,
+    hasRecentStepUp,
+    requireStepUp,
     logActivity,
     attachUserInfo,
     getClientIp,
+    hashToken,
     // Authentication
     validatePassword,
     isAccountLocked,
@@ -50,7 +55,24 @@ const {
     isPasswordReused,
     updatePasswordHistory,
     canChangePassword,
+    getPasswordChangeRequirement,
+    requirePasswordRotation,
     validateSecurityQuestion,
+    SECURITY_QUESTION_POOL,
+    SECURITY_QUESTIONS_MIN,
+    SECURITY_QUESTIONS_MAX,
+    getSecurityQuestions,
+    pickSecurityChallenge,
+    verifySecurityAnswers,
+    hashSecurityAnswer,
+    requireSecurityQuestionUpdate,
+    // Two-factor authentication
+    generateTwoFactorSecret,
+    buildOtpAuthUri,
+    verifyTotpToken,
+    generateBackupCodes,
+    verifyTwoFactorCode,
+    isTwoFactorRequired,
     // Authorization
     checkAccess,
     isAuthenticatedEnhanced,
@@ -59,31 +81,214 @@ const {
     requirePermission,
     // User Restrictions
     checkUserRestriction,
-    requireNotRestricted
+    requireNotRestricted,
+    // Admin impersonation
+    logImpersonatedRequest,
+    blockWhileImpersonating
 } = require('./middleware/auth');
 
 const { 
     validateRequest,
     validateQuery,
     validateParams,
+    validateUpload,
     validateText,
     validateNumeric,
     validateFile,
-    validateObjectId
+    validateObjectId,
+    logValidationFailure,
+    VALIDATION_RULES
 } = require('./middleware/validation');
 
-const ALLOWED_TAGS = [
-    'Food',
-    'Coffee', 
-    'Baking',
-    'Travel',
-    'Gaming',
-    'Technology',
-    'Sports',
-    'Music',
-    'Art',
-    'General'
-];
+const {
+    MongooseSessionStore,
+    trackSessionMetadata,
+    listUserSessions,
+    revokeUserSessions,
+    revokeSession
+} = require('./middleware/session-store');
+
+const { csrfProtection, rotateCsrfToken } = require('./middleware/csrf');
+
+const { can, authorize, getModerationFilter } = require('./middleware/policy');
+
+const {
+    PERMISSION_GROUPS,
+    listRoles,
+    getRole,
+    isKnownRole,
+    getRolePermissions,
+    hasPermission,
+    isPrivilegedRole,
+    parsePermissions,
+    createRole,
+    updateRole,
+    deleteRole,
+    refreshRoles
+} = require('./middleware/roles');
+
+const {
+    ROLE_GRANT_MAX_DAYS,
+    describeGrant,
+    validateRoleGrant,
+    createRoleGrant,
+    endRoleGrant,
+    supersedeRoleGrants,
+    getActiveRoleGrants,
+    startRoleGrantExpiryJob
+} = require('./middleware/role-grants');
+
+const {
+    isApprovalRequired,
+    isAdministratorRole,
+    isPromotionToAdministrator,
+    requestApproval,
+    findPendingApproval,
+    sendPendingApproval,
+    listPendingApprovals,
+    decideApproval,
+    cancelApproval
+} = require('./middleware/approvals');
+
+const {
+    DELETION_MODES,
+    ACCOUNT_DELETION_GRACE_DAYS,
+    getLegalHoldCount,
+    describeLegalHold,
+    deleteAccount,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    findUserByDeletionToken,
+    startAccountDeletionJob
+} = require('./middleware/account-lifecycle');
+
+const {
+    DATA_EXPORT_TTL_DAYS,
+    getDataExportPath,
+    requestDataExport,
+    startDataExportJob,
+    listDataExports,
+    findDownloadableExport,
+    dismissDataExportNotice,
+    exposeDataExportNotice
+} = require('./middleware/data-export');
+
+const {
+    INVITE_EXPIRY_DAYS,
+    INVITE_MAX_USES,
+    REGISTRATION_MODE_LABELS,
+    getRegistrationMode,
+    validateInviteRequest,
+    createInviteCode,
+    listInviteCodes,
+    revokeInviteCode,
+    redeemInviteCode,
+    releaseInviteCode,
+    getRegistrationBlock,
+    listPendingRegistrations,
+    decideRegistration
+} = require('./middleware/registration');
+
+const {
+    MAX_USERNAME_CHANGES,
+    USERNAME_CHANGE_WINDOW_DAYS,
+    escapeRegex,
+    checkUsernamePolicy,
+    checkUsernameChangeAllowed,
+    recordUsernameChange,
+    resolveUsername
+} = require('./middleware/username-policy');
+
+const { rateLimit } = require('./middleware/rate-limit');
+
+const { estimatePasswordStrength } = require('./middleware/password-blocklist');
+
+const {
+    recordLoginAttempt,
+    getPendingLoginAlert,
+    resolveLoginAlert,
+    getLoginHistory,
+    exposeLoginAlert
+} = require('./middleware/login-history');
+
+const {
+    SESSION_STATUS_PATH,
+    SESSION_KEEP_ALIVE_PATH,
+    getSessionExpiredMessage,
+    enforceSessionTimeouts,
+    sessionStatus,
+    keepSessionAlive
+} = require('./middleware/session-timeout');
+
+const {
+    API_TOKEN_SCOPES,
+    API_TOKEN_EXPIRY_DAYS,
+    MAX_ACTIVE_API_TOKENS,
+    getAllowedApiScopes,
+    validateApiTokenRequest,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    revokeUserApiTokens,
+    authenticateApiToken
+} = require('./middleware/api-tokens');
+
+const {
+    PASSWORD_MAX_LENGTH,
+    SECURITY_POLICY_LIMITS,
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    isLocalLoginDisabledForRole,
+    refreshSecurityPolicy
+} = require('./middleware/security-policy');
+
+const {
+    OIDC_CONFIG,
+    isOidcEnabled,
+    buildAuthorizationUrl,
+    takePendingOidcFlow,
+    completeAuthorization,
+    findUserBySubject,
+    provisionSsoUser,
+    linkSsoIdentity,
+    syncSsoUser,
+    isSsoOnlyAccount
+} = require('./middleware/oidc');
+
+const {
+    CSP_REPORT_PATH,
+    SESSION_COOKIE_OPTIONS,
+    securityHeaders,
+    cspReportHandler
+} = require('./middleware/security-headers');
+
+const ALLOWED_TAGS = VALIDATION_RULES.postTag.allowedValues;
+
+// Page routes without a form of their own answer a rejected request with the error page
+function renderValidationErrorPage(req, res, errors) {
+    res.render('error', { message: 'Invalid request', detail: errors.join('. ') });
+}
+
+/**
+ * Validation response that re-renders a signed-in page through its render helper
+ * @param {Function} renderPage - (res, user, extras) helper such as renderSettings
+ * @param {string} errorKey - Local the page shows its error under ('errors' takes the list)
+ */
+function rerenderUserPage(renderPage, errorKey = 'error') {
+    return async (req, res, errors) => {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        return renderPage(res, user, { [errorKey]: errorKey === 'errors' ? errors : errors.join('. ') });
+    };
+}
+
+// URL parameters shared by many routes (2.3.1 - malformed ids are rejected before any query)
+const validatePostId = validateParams({ postId: 'objectId' });
+const validateCommentIds = validateParams({ postId: 'objectId', commentId: 'objectId' });
+const validateReplyIds = validateParams({ postId: 'objectId', commentId: 'objectId', replyId: 'objectId' });
+const validateUserId = validateParams({ userId: 'objectId' });
 const server = express();
 
 // Multer configuration for file uploads
@@ -96,20 +301,66 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 // Middleware
+server.disable('x-powered-by');
+
+// Deployed behind a TLS-terminating proxy - lets req.secure drive HSTS and secure cookies.
+// TRUST_PROXY is the number of proxy hops in front of the app (default 1 in production);
+// req.ip only reads X-Forwarded-For from those hops, so clients can't pick their own IP
+const trustedProxyHops = process.env.TRUST_PROXY !== undefined
+    ? parseInt(process.env.TRUST_PROXY, 10) || 0
+    : (process.env.NODE_ENV === 'production' ? 1 : 0);
+server.set('trust proxy', trustedProxyHops || false);
+
+// Security headers: CSP (per-request nonce), X-Frame-Options, Referrer-Policy, HSTS, ...
+server.use(securityHeaders);
+
 server.use(express.json());
 server.use(express.urlencoded({ extended: true }));
+
+// Personal API tokens ("Authorization: Bearer ...") - must come before the session middleware
+server.use(authenticateApiToken);
+
 server.use(session({
     secret: process.env.SESSION_SECRET || 'your-secret-key',
+    store: new MongooseSessionStore(), // Persist sessions in MongoDB (survive restarts, revocable)
     resave: false,
     saveUninitialized: false,
-    cookie: {
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
+    cookie: SESSION_COOKIE_OPTIONS // httpOnly, sameSite, secure over HTTPS
 }));
 
+// Idle / absolute session timeouts from the security policy (checked before this request counts as activity)
+server.use(enforceSessionTimeouts);
+
+// Expiry times for the timeout warning - registered before trackSessionMetadata so polling doesn't keep the session alive
+server.get(SESSION_STATUS_PATH, sessionStatus);
+
+// Record device/IP/user-agent on logged-in sessions for the "active sessions" page
+server.use(trackSessionMetadata);
+
+// Keep the cached roles and their permissions fresh (attachUserInfo describes the current role from them)
+server.use(refreshRoles);
+
 // Attach user info to all requests (must be after session middleware)
 server.use(attachUserInfo);
 
+// Keep the cached password/lockout policy fresh and expose its password rules to the views
+server.use(refreshSecurityPolicy);
+
+// "New sign-in - was this you?" banner after a login from a new device
+server.use(exposeLoginAlert);
+
+// "Your data export is ready" banner
+server.use(exposeDataExportNotice);
+
+// CSP violation reports - browsers send these without a CSRF token, so this is registered first
+server.post(CSP_REPORT_PATH, 
+    express.json({ type: ['application/csp-report', 'application/reports+json'] }), 
+    rateLimit('cspReport'), 
+    cspReportHandler);
+
+// CSRF token check on every POST/PUT/PATCH/DELETE (must be after session & body parsers)
+server.use(csrfProtection);
+
 // View Engine with Handlebars helpers
 server.engine('hbs', engine({
     extname: '.hbs',
@@ -216,6 +467,17 @@ server.engine('hbs', engine({
 
         json: function (context) {
             return JSON.stringify(context, null, 2);
+        },
+
+        // Arguments for a data-on-* handler (public/js/actions.js): {{jsonArgs _id username}}
+        jsonArgs: function () {
+            return JSON.stringify(Array.prototype.slice.call(arguments, 0, -1));
+        },
+
+        // Hidden CSRF input for forms - use with triple braces: {{{csrfField}}}
+        csrfField: function (options) {
+            const token = options.data.root.csrfToken || '';
+            return `<input type="hidden" name="_csrf" value="${token}">`;
         }
     },    
     
@@ -262,6 +524,16 @@ server.get('/admin-users.css', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin-users.css'));
 });
 
+// Audit every request made while an administrator is viewing as a user
+// (registered after static files so only real page/API requests are logged)
+server.use(logImpersonatedRequest);
+
+// Accounts on a seeded/default security answer must replace it before anything else
+server.use(requireSecurityQuestionUpdate);
+
+// Expired or admin-flagged passwords must be changed before reaching any other route
+server.use(requirePasswordRotation);
+
 // ============================================
 // PUBLIC ROUTES
 // ============================================
@@ -284,7 +556,9 @@ server.get('/login', (req, res) => {
         return res.redirect('/home');
     }
     res.render('login', { 
-        hideHeader: true 
+        hideHeader: true,
+        sso: getSsoLoginOption(),
+        error: getSessionExpiredMessage(req.query.expired)
     });
 });
 // Login routes
@@ -299,13 +573,73 @@ server.get('/login', (req, res) => {
 // UPDATED LOGIN ROUTE
 // ============================================
 
-server.post('/login', async (req, res) => {
+const TWO_FACTOR_LOGIN_WINDOW = 5 * 60 * 1000; // 5 minutes to enter the code
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// "Sign in with ..." button on the login page, when single sign-on is configured
+function getSsoLoginOption() {
+    return isOidcEnabled() ? { providerName: OIDC_CONFIG.providerName } : null;
+}
+
+// Establish the session once every required factor has been verified
+// (authMethod 'sso' when the identity provider did the verifying)
+async function completeLogin(req, user, authMethod = 'password') {
+    // 2.1.7 & 2.1.11 - Successful login
+    await handleSuccessfulLogin(user);
+    
+    req.session.userId = user._id;
+    req.session.authenticatedAt = Date.now(); // Start of the absolute session lifetime
+    req.session.authMethod = authMethod;
+    
+    // New CSRF token for the authenticated session
+    rotateCsrfToken(req);
+    
+    // Store previous login time to show user
+    req.session.previousLogin = user.previousLogin;
+    req.session.showLoginMessage = true;
+    
+    // 2.1.5 - Log successful login
+    await logActivity(user._id, 'LOGIN_SUCCESS', 'USER', user._id.toString(), 
+                     authMethod === 'sso' ? `User logged in successfully with ${OIDC_CONFIG.providerName}` : `User logged in successfully`, 
+                     getClientIp(req));
+    
+    // 2.1.11 - Login history; a never-seen IP or browser raises a "was this you?" alert
+    const loginEvent = await recordLoginAttempt(req, user, true);
+    if (loginEvent && loginEvent.alertStatus === 'pending') {
+        const changes = [loginEvent.newIpAddress && 'IP address', loginEvent.newUserAgent && 'browser/device'].filter(Boolean);
+        await logActivity(user._id, 'NEW_DEVICE_LOGIN', 'USER', user._id.toString(), 
+                         `Login from a new ${changes.join(' and ')}: ${loginEvent.device} (${loginEvent.ipAddress})`, 
+                         getClientIp(req));
+    }
+    // Also surfaces unanswered alerts from earlier logins (e.g. someone else's)
+    req.session.loginAlert = await getPendingLoginAlert(user._id, loginEvent ? loginEvent._id : null);
+    
+    if (user.securityQuestionsAreDefault) {
+        await logActivity(user._id, 'SECURITY_QUESTIONS_UPDATE_REQUIRED', 'USER', user._id.toString(), 
+                         `Login with default security answer - update required`, getClientIp(req));
+    }
+    
+    // 2.1.10 - Expired or admin-flagged password, user is sent to /change-password
+    const passwordChange = getPasswordChangeRequirement(user);
+    if (passwordChange) {
+        await logActivity(user._id, 'PASSWORD_CHANGE_REQUIRED', 'USER', user._id.toString(), 
+                         passwordChange.reason === 'expired' 
+                            ? `Login with expired password - change required` 
+                            : `Login with flagged password - change required`, 
+                         getClientIp(req));
+    }
+}
+
+server.post('/login', rateLimit('login'), validateRequest({
+    username: { type: 'text', rule: 'accountName', required: true },
+    password: { type: 'text', rule: 'currentPassword', required: true }
+}, { response: 'text' }), async (req, res) => {
     const { username, password } = req.body;
 
     try {
         // Case-insensitive username search
         const user = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
         });
 
         // 2.1.3 - Generic error message (don't reveal if username exists)
@@ -323,6 +657,7 @@ server.post('/login', async (req, res) => {
         if (lockStatus.locked) {
             await logActivity(user._id, 'LOCKED_LOGIN_ATTEMPT', 'USER', user._id.toString(), 
                             `Login attempt on locked account`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Account locked');
             return res.status(403).send(lockStatus.message);
         }
 
@@ -331,6 +666,7 @@ server.post('/login', async (req, res) => {
         if (restrictionStatus.restricted) {
             await logActivity(user._id, 'RESTRICTED_LOGIN_ATTEMPT', 'USER', user._id.toString(),
                             `Login attempt by restricted user`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Account restricted');
             return res.status(403).send(restrictionStatus.message);
         }
 
@@ -340,10 +676,11 @@ server.post('/login', async (req, res) => {
         if (!passwordMatch) {
             // 2.1.7 - Handle failed login
             const lockResult = await handleFailedLogin(user);
+            await recordLoginAttempt(req, user, false, 'Invalid password');
             
             // 2.1.5 - Log failed attempt
             await logActivity(user._id, 'FAILED_LOGIN', 'USER', user._id.toString(), 
-                            `Failed login attempt (${user.failedLoginAttempts}/5)`, 
+                            `Failed login attempt (${user.failedLoginAttempts}/${getSecurityPolicy().lockoutThreshold})`, 
                             getClientIp(req));
             
             if (lockResult.locked) {
@@ -354,18 +691,47 @@ server.post('/login', async (req, res) => {
             return res.status(400).send("Invalid username and/or password");
         }
 
-        // 2.1.7 & 2.1.11 - Successful login
-        await handleSuccessfulLogin(user);
-        
-        req.session.userId = user._id;
-        
-        // Store previous login time to show user
-        req.session.previousLogin = user.previousLogin;
-        req.session.showLoginMessage = true;
-        
-        // 2.1.5 - Log successful login
-        await logActivity(user._id, 'LOGIN_SUCCESS', 'USER', user._id.toString(), 
-                         `User logged in successfully`, getClientIp(req));
+        // Registrations waiting for (or refused) administrator approval
+        const registrationBlock = getRegistrationBlock(user);
+        if (registrationBlock) {
+            await logActivity(user._id, 'UNAPPROVED_LOGIN_ATTEMPT', 'USER', user._id.toString(), 
+                            `Login attempt on ${user.registration.status} registration`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Registration not approved');
+            return res.status(403).send(registrationBlock);
+        }
+
+        // The owner reported a sign-in as not theirs - the old password is no longer trusted
+        if (user.passwordLoginLocked) {
+            await logActivity(user._id, 'LOCKED_LOGIN_ATTEMPT', 'USER', user._id.toString(), 
+                            `Password login refused: locked after a "this wasn't me" report`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Password login locked after report');
+            return res.status(403).send('Password login is locked for this account. Reset your password with your security questions or a reset link from an administrator.');
+        }
+
+        // Roles the security policy sends through single sign-on
+        if (isOidcEnabled() && isLocalLoginDisabledForRole(user.role)) {
+            await logActivity(user._id, 'LOCAL_LOGIN_BLOCKED', 'USER', user._id.toString(), 
+                            `Password login refused: ${user.role} accounts must use ${OIDC_CONFIG.providerName}`, 
+                            getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Password login disabled for role');
+            return res.status(403).send(`Password login is disabled for your account. Please sign in with ${OIDC_CONFIG.providerName}.`);
+        }
+
+        // 2FA - Password is correct, but enrolled users still owe a second factor
+        if (user.twoFactorEnabled) {
+            req.session.pendingTwoFactor = {
+                userId: user._id.toString(),
+                expires: Date.now() + TWO_FACTOR_LOGIN_WINDOW,
+                attempts: 0
+            };
+            
+            await logActivity(user._id, 'TWO_FACTOR_CHALLENGE', 'USER', user._id.toString(), 
+                             `Password verified, awaiting two-factor code`, getClientIp(req));
+            
+            return res.redirect('/login/two-factor');
+        }
+
+        await completeLogin(req, user);
         
         res.redirect('/home');
     } catch (err) {
@@ -376,23 +742,166 @@ server.post('/login', async (req, res) => {
     }
 });
 
+// ============================================
+// TWO-FACTOR LOGIN STEP
+// ============================================
+
+function getPendingTwoFactor(req) {
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || Date.now() > pending.expires) {
+        delete req.session.pendingTwoFactor;
+        return null;
+    }
+    return pending;
+}
+
+server.get('/login/two-factor', (req, res) => {
+    if (req.session.userId) {
+        return res.redirect('/home');
+    }
+    if (!getPendingTwoFactor(req)) {
+        return res.redirect('/login');
+    }
+    res.render('two-factor-verify', {
+        hideHeader: true
+    });
+});
+
+server.post('/login/two-factor', validateRequest({
+    code: { type: 'text', rule: 'twoFactorCode', required: true }
+}, { response: { view: 'two-factor-verify', locals: { hideHeader: true } } }), async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        const pending = getPendingTwoFactor(req);
+        if (!pending) {
+            return res.render('login', {
+                hideHeader: true,
+                error: 'Your login session expired. Please log in again.'
+            });
+        }
+
+        const user = await User.findById(pending.userId);
+        if (!user || !user.twoFactorEnabled) {
+            delete req.session.pendingTwoFactor;
+            return res.redirect('/login');
+        }
+
+        const result = await verifyTwoFactorCode(user, code);
+
+        if (!result.valid) {
+            pending.attempts += 1;
+
+            await logActivity(user._id, 'TWO_FACTOR_FAILED', 'USER', user._id.toString(),
+                            `Invalid two-factor code (${pending.attempts}/${TWO_FACTOR_MAX_ATTEMPTS})`,
+                            getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Invalid two-factor code');
+
+            // Too many wrong codes counts as a failed login and restarts the flow
+            if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                delete req.session.pendingTwoFactor;
+                const lockResult = await handleFailedLogin(user);
+                return res.render('login', {
+                    hideHeader: true,
+                    error: lockResult.locked ? lockResult.message : 'Too many invalid codes. Please log in again.'
+                });
+            }
+
+            return res.render('two-factor-verify', {
+                hideHeader: true,
+                error: 'Invalid authentication code. Please try again.'
+            });
+        }
+
+        delete req.session.pendingTwoFactor;
+
+        if (result.method === 'backup') {
+            await logActivity(user._id, 'TWO_FACTOR_BACKUP_CODE_USED', 'USER', user._id.toString(),
+                             `Logged in with a backup code (${result.remainingBackupCodes} remaining)`,
+                             getClientIp(req));
+        }
+
+        await completeLogin(req, user);
+
+        res.redirect('/home');
+    } catch (err) {
+        // console.error('[INTERNAL] Two-factor login error:', err.message);
+        res.status(500).render('two-factor-verify', {
+            hideHeader: true,
+            error: 'An error occurred. Please try again later.'
+        });
+    }
+});
+
 // ============================================
 // UPDATED REGISTRATION ROUTE
 // ============================================
 
-server.get('/register', (req, res) => {
+server.get('/register', validateQuery({
+    invite: { type: 'text', rule: 'inviteCode' }
+}, {
+    response: { view: 'register', locals: req => ({ hideHeader: true, registrationMode: getRegistrationMode(), inviteCode: '' }) }
+}), (req, res) => {
     if (req.session.userId) {
         return res.redirect('/home');
     }
     res.render('register', { 
-        hideHeader: true 
+        hideHeader: true,
+        registrationMode: getRegistrationMode(),
+        inviteCode: typeof req.query.invite === 'string' ? req.query.invite : ''
     });
 });
 
-server.post('/register', async (req, res) => {
-    const { username, password, confirmPassword, securityAnswer, securityQuestion } = req.body;
+// Strength meter for the register page and admin create-user form.
+// POST so the password never lands in a URL or access log.
+server.post('/password-strength', rateLimit('passwordStrength'), validateRequest({
+    password: { type: 'text', rule: 'currentPassword' },
+    username: { type: 'text', rule: 'accountName' }
+}), (req, res) => {
+    const password = req.body.password || '';
+    const username = req.body.username || (req.user ? req.user.username : '');
+
+    const strength = estimatePasswordStrength(password, username);
+    const validation = validatePassword(password, username);
+
+    res.json({
+        success: true,
+        score: strength.score,
+        label: strength.label,
+        feedback: strength.feedback,
+        isValid: validation.isValid,
+        errors: validation.errors
+    });
+});
+
+server.post('/register', rateLimit('register'), validateRequest({
+    username: { type: 'text', required: true },
+    password: { type: 'text', required: true },
+    confirmPassword: { type: 'text', rule: 'password', required: true },
+    securityQuestion: { type: 'text', required: true },
+    securityAnswer: { type: 'text', required: true },
+    inviteCode: 'text'
+}, {
+    response: {
+        view: 'register',
+        locals: req => ({
+            hideHeader: true,
+            registrationMode: getRegistrationMode(),
+            inviteCode: typeof req.body.inviteCode === 'string' ? req.body.inviteCode : ''
+        })
+    }
+}), async (req, res) => {
+    const { username, password, confirmPassword, securityAnswer, securityQuestion, inviteCode } = req.body;
+    const registrationMode = getRegistrationMode();
+    let invite = null;
 
     try {
+        if (registrationMode === 'closed') {
+            await logActivity(null, 'REGISTRATION_BLOCKED', 'REGISTER', username || 'unknown', 
+                            'Registration refused: registration is closed', getClientIp(req));
+            return res.status(403).send("Registration is currently closed");
+        }
+
         // Basic validation
         if (!username || !password || !confirmPassword || !securityQuestion || !securityAnswer) {
             // 2.4.4 - Log input validation failure
@@ -409,7 +918,7 @@ server.post('/register', async (req, res) => {
         }
         
         // 2.1.4 & 2.1.5 - Validate password complexity and length
-        const passwordValidation = validatePassword(password);
+        const passwordValidation = validatePassword(password, username);
         if (!passwordValidation.isValid) {
             // 2.4.4 - Log input validation failure
             await logActivity(null, 'VALIDATION_FAILED', 'REGISTER', username, 
@@ -419,7 +928,7 @@ server.post('/register', async (req, res) => {
         
         // Check if username already exists (case-insensitive)
         const existingUser = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
         });
         if (existingUser) {
             // 2.4.4 - Log input validation failure
@@ -427,6 +936,15 @@ server.post('/register', async (req, res) => {
                             'Registration failed: Username already exists', getClientIp(req));
             return res.status(400).send("Username already exists");
         }
+
+        // Reserved names, lookalikes of existing accounts and recently released names
+        const usernamePolicyError = await checkUsernamePolicy(username);
+        if (usernamePolicyError) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(null, 'VALIDATION_FAILED', 'REGISTER', username, 
+                            `Registration failed: ${usernamePolicyError}`, getClientIp(req));
+            return res.status(400).send(usernamePolicyError);
+        }
         
         // 2.1.8 - Validate security question (now required)
         const sqValidation = validateSecurityQuestion(securityQuestion, securityAnswer);
@@ -437,6 +955,17 @@ server.post('/register', async (req, res) => {
             return res.status(400).send(sqValidation.message);
         }
 
+        // Invite mode - the code is used up only once everything else checks out
+        if (registrationMode === 'invite') {
+            invite = await redeemInviteCode(inviteCode);
+            if (!invite) {
+                // 2.4.4 - Log input validation failure
+                await logActivity(null, 'VALIDATION_FAILED', 'REGISTER', username, 
+                                'Registration failed: Invalid, expired or used-up invite code', getClientIp(req));
+                return res.status(400).send("This invite code is invalid, has expired or has already been used");
+            }
+        }
+
         // 2.1.2 - Hash password with bcrypt (10 salt rounds)
         const hashedPassword = await bcrypt.hash(password, 10);
         
@@ -459,19 +988,40 @@ server.post('/register', async (req, res) => {
             lastLogin: new Date(),
             previousLogin: null,
             securityQuestion: securityQuestion,
-            securityAnswer: hashedSecurityAnswer
+            securityAnswer: hashedSecurityAnswer,
+            securityQuestionsAreDefault: false,
+
+            registration: {
+                mode: registrationMode,
+                inviteCode: invite ? invite._id : null,
+                status: registrationMode === 'approval' ? 'pending' : 'approved'
+            }
         });
 
         await newUser.save();
         // console.log('New user registered:', newUser.username);
         
-        req.session.userId = newUser._id;
-        
         await logActivity(newUser._id, 'REGISTER', 'USER', newUser._id.toString(), 
-                         `New user registered`, getClientIp(req));
+                         invite ? `New user registered with invite code ${invite.prefix}...` 
+                            : registrationMode === 'approval' ? `New user registered, waiting for approval` : `New user registered`, 
+                         getClientIp(req));
+
+        // Approval mode - no session until an administrator approves the account
+        if (registrationMode === 'approval') {
+            return res.render('login', {
+                hideHeader: true,
+                sso: getSsoLoginOption(),
+                success: 'Your account has been created and is waiting for an administrator to approve it. You can log in once it is approved.'
+            });
+        }
+
+        req.session.userId = newUser._id;
 
         res.redirect('/home');
     } catch (err) {
+        if (invite) {
+            await releaseInviteCode(invite._id).catch(() => {});
+        }
         // console.error('Registration error:', err);
         res.status(500).send("An error occurred during registration. Please try again.");
     }
@@ -481,24 +1031,45 @@ server.post('/register', async (req, res) => {
 // FORGOT PASSWORD ROUTES
 // ============================================
 
+/**
+ * Seeded default answers were chosen by the administrator who created the
+ * account, so they can't prove who is resetting it - these accounts are
+ * only recovered with an administrator-issued reset link
+ */
+async function refuseDefaultQuestionReset(req, res, user, username) {
+    await logActivity(user._id, 'FAILED_PASSWORD_RESET', 'USER', user._id.toString(), 
+                    `Password reset refused: security questions are still the administrator-set defaults`, 
+                    getClientIp(req));
+    
+    return res.render('forgot-password', {
+        hideHeader: true,
+        error: 'This account\'s security questions have not been set up yet. Please contact an administrator for a password reset link.',
+        username: username
+    });
+}
+
 // Step 1: Show forgot password form
 server.get('/forgot-password', (req, res) => {
     if (req.session.userId) {
         return res.redirect('/home');
     }
     res.render('forgot-password', {
-        hideHeader: true
+        hideHeader: true,
+        // Arrived here from "this wasn't me" on a new sign-in alert
+        info: req.query.reported ? 'You have been signed out everywhere and password login is locked until you reset your password - with your security questions below, or a reset link from an administrator.' : undefined
     });
 });
 
 // Step 2: Verify username and show security question
-server.post('/forgot-password/verify-username', async (req, res) => {
+server.post('/forgot-password/verify-username', rateLimit('forgotPasswordUsername'), validateRequest({
+    username: { type: 'text', rule: 'accountName', required: true }
+}, { response: { view: 'forgot-password', locals: { hideHeader: true } } }), async (req, res) => {
     const { username } = req.body;
     
     try {
         // Case-insensitive username search
         const user = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
         });
         
         // Don't reveal if user exists for security, but log the attempt
@@ -516,27 +1087,41 @@ server.post('/forgot-password/verify-username', async (req, res) => {
         }
         
         // Check if user has security question set up
-        if (!user.securityQuestion || !user.securityAnswer) {
+        const questions = getSecurityQuestions(user);
+        if (questions.length === 0) {
             await logActivity(user._id, 'FAILED_PASSWORD_RESET', 'USER', user._id.toString(), 
                             `Password reset failed: No security question set up`, 
                             getClientIp(req));
             
             return res.render('forgot-password', {
                 hideHeader: true,
-                error: 'This account does not have a security question set up. Please contact an administrator.',
+                error: 'This account does not have a security question set up. Please contact an administrator for a password reset link.',
                 username: username
             });
         }
         
+        if (user.securityQuestionsAreDefault) {
+            return refuseDefaultQuestionReset(req, res, user, username);
+        }
+        
+        // Ask a random subset of the user's questions; the choice is kept
+        // server-side so it can't be swapped for an easier question
+        const indexes = pickSecurityChallenge(user);
+        req.session.passwordResetChallenge = {
+            userId: user._id.toString(),
+            indexes,
+            expires: Date.now() + 15 * 60 * 1000 // 15 minutes
+        };
+        
         // Log the password reset attempt
         await logActivity(user._id, 'PASSWORD_RESET_INITIATED', 'USER', user._id.toString(), 
-                         `Password reset initiated`, getClientIp(req));
+                         `Password reset initiated (${indexes.length} of ${questions.length} security questions asked)`, getClientIp(req));
         
-        // Show security question
+        // Show security questions
         res.render('forgot-password', {
             hideHeader: true,
             username: username,
-            securityQuestion: user.securityQuestion
+            securityQuestions: indexes.map(i => questions[i].question)
         });
         
     } catch (err) {
@@ -549,16 +1134,21 @@ server.post('/forgot-password/verify-username', async (req, res) => {
 });
 
 // Step 3: Verify security answer
-server.post('/forgot-password/verify-answer', async (req, res) => {
-    const { username, securityAnswer } = req.body;
+server.post('/forgot-password/verify-answer', rateLimit('forgotPasswordAnswer'), validateRequest({
+    username: { type: 'text', rule: 'accountName', required: true },
+    securityAnswers: { type: 'textList', rule: 'securityAnswerAttempt', required: true }
+}, { response: { view: 'forgot-password', locals: { hideHeader: true } } }), async (req, res) => {
+    const { username, securityAnswers } = req.body;
+    const challenge = req.session.passwordResetChallenge;
     
     try {
         // Case-insensitive username search
         const user = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
         });
         
-        if (!user || !user.securityQuestion || !user.securityAnswer) {
+        if (!user || getSecurityQuestions(user).length === 0 ||
+            !challenge || challenge.userId !== user._id.toString() || Date.now() > challenge.expires) {
             await logActivity(null, 'FAILED_PASSWORD_RESET', 'USER', username, 
                             `Invalid password reset attempt`, getClientIp(req));
             
@@ -569,24 +1159,30 @@ server.post('/forgot-password/verify-answer', async (req, res) => {
             });
         }
         
-        // Verify security answer (case-insensitive, trimmed)
-        const answerMatch = await bcrypt.compare(
-            securityAnswer.toLowerCase().trim(), 
-            user.securityAnswer
-        );
+        if (user.securityQuestionsAreDefault) {
+            delete req.session.passwordResetChallenge;
+            return refuseDefaultQuestionReset(req, res, user, username);
+        }
+        
+        // Verify every asked question (case-insensitive, trimmed)
+        const answers = Array.isArray(securityAnswers) ? securityAnswers : [securityAnswers];
+        const answerMatch = await verifySecurityAnswers(user, challenge.indexes, answers);
         
         if (!answerMatch) {
             await logActivity(user._id, 'FAILED_PASSWORD_RESET', 'USER', user._id.toString(), 
-                            `Incorrect security answer provided`, getClientIp(req));
+                            `Incorrect security answer(s) provided`, getClientIp(req));
             
+            const questions = getSecurityQuestions(user);
             return res.render('forgot-password', {
                 hideHeader: true,
-                error: 'Incorrect answer to security question. Please try again.',
+                error: 'One or more answers are incorrect. Please try again.',
                 username: username,
-                securityQuestion: user.securityQuestion
+                securityQuestions: challenge.indexes.map(i => questions[i].question)
             });
         }
         
+        delete req.session.passwordResetChallenge;
+        
         // Generate a temporary reset token and store in session
         const crypto = require('crypto');
         const resetToken = crypto.randomBytes(32).toString('hex');
@@ -618,7 +1214,17 @@ server.post('/forgot-password/verify-answer', async (req, res) => {
 });
 
 // Step 4: Reset password
-server.post('/forgot-password/reset-password', async (req, res) => {
+server.post('/forgot-password/reset-password', rateLimit('forgotPasswordReset'), validateRequest({
+    username: { type: 'text', rule: 'accountName', required: true },
+    resetToken: { type: 'text', rule: 'token', required: true },
+    newPassword: { type: 'text', rule: 'password', required: true },
+    confirmPassword: { type: 'text', rule: 'password', required: true }
+}, {
+    response: {
+        view: 'forgot-password',
+        locals: req => ({ hideHeader: true, verified: true, username: req.body.username, resetToken: req.body.resetToken })
+    }
+}), async (req, res) => {
     const { username, resetToken, newPassword, confirmPassword } = req.body;
     
     try {
@@ -650,7 +1256,7 @@ server.post('/forgot-password/reset-password', async (req, res) => {
         }
         
         // Validate password complexity
-        const passwordValidation = validatePassword(newPassword);
+        const passwordValidation = validatePassword(newPassword, username);
         if (!passwordValidation.isValid) {
             return res.render('forgot-password', {
                 hideHeader: true,
@@ -663,7 +1269,7 @@ server.post('/forgot-password/reset-password', async (req, res) => {
         
         // Case-insensitive username search
         const user = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
         });
         if (!user) {
             return res.render('forgot-password', {
@@ -672,6 +1278,13 @@ server.post('/forgot-password/reset-password', async (req, res) => {
             });
         }
         
+        if (user.securityQuestionsAreDefault) {
+            delete req.session.passwordResetToken;
+            delete req.session.passwordResetUsername;
+            delete req.session.passwordResetExpires;
+            return refuseDefaultQuestionReset(req, res, user, username);
+        }
+        
         // Check if password is being reused
         const isReused = await isPasswordReused(user, newPassword);
         if (isReused) {
@@ -683,12 +1296,13 @@ server.post('/forgot-password/reset-password', async (req, res) => {
                 verified: true,
                 username: username,
                 resetToken: resetToken,
-                error: 'Cannot reuse any of your last 5 passwords. Please choose a different password.'
+                error: 'Cannot reuse a recent password. Please choose a different password.'
             });
         }
         
-        // Update password with history
+        // Update password with history; proving the answers also unlocks password login
         const hashedPassword = await bcrypt.hash(newPassword, 10);
+        user.passwordLoginLocked = false;
         await updatePasswordHistory(user, hashedPassword);
         
         // Clear reset token from session
@@ -696,8 +1310,11 @@ server.post('/forgot-password/reset-password', async (req, res) => {
         delete req.session.passwordResetUsername;
         delete req.session.passwordResetExpires;
         
+        // Anyone still signed in with the old password is logged out
+        const revokedCount = await revokeUserSessions(user._id, req.sessionID);
+        
         await logActivity(user._id, 'PASSWORD_RESET_SUCCESS', 'USER', user._id.toString(), 
-                         `Password successfully reset via forgot password`, getClientIp(req));
+                         `Password successfully reset via forgot password (${revokedCount} session(s) revoked)`, getClientIp(req));
         
         // Redirect to login with success message
         res.render('login', {
@@ -714,9 +1331,171 @@ server.post('/forgot-password/reset-password', async (req, res) => {
     }
 });
 
+// ============================================
+// ADMIN-ISSUED PASSWORD RESET LINKS
+// ============================================
+
+const RESET_LINK_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Look up an unused, unrevoked, unexpired reset token (raw token from the URL)
+async function findValidResetToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+    return PasswordResetToken.findOne({
+        tokenHash: hashToken(token),
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).populate('user');
+}
+
+// Re-render the reset-link form after a rejected submission
+async function renderResetLinkForm(req, res, errors) {
+    const resetToken = await findValidResetToken(req.params.token);
+    if (!resetToken || !resetToken.user) {
+        return res.render('reset-password', {
+            hideHeader: true,
+            error: 'This reset link is invalid, has already been used, or has expired. Please contact an administrator for a new one.'
+        });
+    }
+    res.render('reset-password', {
+        hideHeader: true,
+        valid: true,
+        token: req.params.token,
+        username: resetToken.user.username,
+        expiresAt: resetToken.expiresAt,
+        error: errors.join('. ')
+    });
+}
+
+// A malformed link gets the same answer as an expired one
+const validateResetLinkToken = validateParams({ token: { type: 'text', rule: 'token' } }, {
+    response: {
+        view: 'reset-password',
+        locals: { hideHeader: true }
+    }
+});
+
+server.get('/reset-password/:token', validateResetLinkToken, async (req, res) => {
+    try {
+        const resetToken = await findValidResetToken(req.params.token);
+
+        if (!resetToken || !resetToken.user) {
+            await logActivity(null, 'FAILED_PASSWORD_RESET', 'PASSWORD_RESET_LINK', 'unknown', 
+                             'Invalid, used, revoked or expired reset link opened', getClientIp(req));
+            return res.status(400).render('reset-password', {
+                hideHeader: true,
+                error: 'This reset link is invalid, has already been used, or has expired. Please contact an administrator for a new one.'
+            });
+        }
+
+        res.render('reset-password', {
+            hideHeader: true,
+            valid: true,
+            token: req.params.token,
+            username: resetToken.user.username,
+            expiresAt: resetToken.expiresAt
+        });
+    } catch (err) {
+        // console.error('Reset link error:', err);
+        res.status(500).render('reset-password', {
+            hideHeader: true,
+            error: 'An error occurred. Please try again later.'
+        });
+    }
+});
+
+server.post('/reset-password/:token', rateLimit('resetLink'), validateResetLinkToken, validateRequest({
+    newPassword: { type: 'text', rule: 'password', required: true },
+    confirmPassword: { type: 'text', rule: 'password', required: true }
+}, { response: renderResetLinkForm }), async (req, res) => {
+    const { token } = req.params;
+    const { newPassword, confirmPassword } = req.body;
+
+    try {
+        const resetToken = await findValidResetToken(token);
+
+        if (!resetToken || !resetToken.user) {
+            await logActivity(null, 'FAILED_PASSWORD_RESET', 'PASSWORD_RESET_LINK', 'unknown', 
+                             'Password reset attempted with an invalid, used, revoked or expired link', getClientIp(req));
+            return res.status(400).render('reset-password', {
+                hideHeader: true,
+                error: 'This reset link is invalid, has already been used, or has expired. Please contact an administrator for a new one.'
+            });
+        }
+
+        const user = resetToken.user;
+        const formState = {
+            hideHeader: true,
+            valid: true,
+            token,
+            username: user.username,
+            expiresAt: resetToken.expiresAt
+        };
+
+        if (!newPassword || newPassword !== confirmPassword) {
+            return res.render('reset-password', { ...formState, error: 'Passwords do not match.' });
+        }
+
+        // Validate password complexity
+        const passwordValidation = validatePassword(newPassword, user.username);
+        if (!passwordValidation.isValid) {
+            return res.render('reset-password', { ...formState, error: passwordValidation.errors.join(' ') });
+        }
+
+        // Check if password is being reused
+        const isReused = await isPasswordReused(user, newPassword);
+        if (isReused) {
+            await logActivity(user._id, 'FAILED_PASSWORD_RESET', 'USER', user._id.toString(), 
+                            `Reset link password rejected: Password reuse detected`, getClientIp(req));
+            return res.render('reset-password', {
+                ...formState,
+                error: 'Cannot reuse a recent password. Please choose a different password.'
+            });
+        }
+
+        // Consume the token atomically so a link can never be used twice
+        const consumed = await PasswordResetToken.findOneAndUpdate(
+            { _id: resetToken._id, usedAt: null, revokedAt: null },
+            { usedAt: new Date() }
+        );
+        if (!consumed) {
+            return res.status(400).render('reset-password', {
+                hideHeader: true,
+                error: 'This reset link has already been used. Please contact an administrator for a new one.'
+            });
+        }
+
+        // Update password with history; an admin-approved reset also lifts any lockout
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        user.failedLoginAttempts = 0;
+        user.accountLockedUntil = null;
+        user.passwordLoginLocked = false;
+        await updatePasswordHistory(user, hashedPassword);
+
+        const revokedCount = await revokeUserSessions(user._id, req.sessionID);
+
+        await logActivity(user._id, 'PASSWORD_RESET_LINK_USED', 'USER', user._id.toString(), 
+                         `Password reset via admin-issued link (${revokedCount} session(s) revoked)`, getClientIp(req));
+
+        res.render('login', {
+            hideHeader: true,
+            success: 'Password successfully reset! Please log in with your new password.'
+        });
+    } catch (err) {
+        // console.error('Reset link error:', err);
+        res.status(500).render('reset-password', {
+            hideHeader: true,
+            error: 'An error occurred. Please try again later.'
+        });
+    }
+});
+
 // Logout
 server.get('/logout', (req, res) => {
-    const userId = req.session.userId;
+    // While impersonating, the person logging out is the administrator
+    const userId = req.session.isSwitched ? req.session.originalAdminId : req.session.userId;
     
     if (userId) {
         logActivity(userId, 'LOGOUT', 'USER', userId, 'User logged out', getClientIp(req));
@@ -731,6 +1510,9 @@ server.get('/logout', (req, res) => {
     });
 });
 
+// "Stay signed in" on the session timeout warning (public/js/session-timeout.js)
+server.post(SESSION_KEEP_ALIVE_PATH, isAuthenticated, keepSessionAlive);
+
 // ============================================
 // AUTHENTICATED USER ROUTES
 // ============================================
@@ -741,13 +1523,13 @@ server.get('/home', isAuthenticated, async (req, res) => {
         const userId = req.session.userId;
         const user = await User.findById(userId);
 
-        // If user is administrator, redirect to admin dashboard
-        if (user.role === 'administrator') {
+        // Roles with the admin pages go to the admin dashboard
+        if (hasPermission(user, 'admin.access')) {
             return res.redirect('/admin');
         }
         
-        // If user is manager, redirect to manager dashboard
-        if (user.role === 'manager') {
+        // Roles with the manager pages go to the manager dashboard
+        if (hasPermission(user, 'manager.access')) {
             return res.redirect('/manager');
         }
 
@@ -766,15 +1548,13 @@ server.get('/home', isAuthenticated, async (req, res) => {
             const updatedComments = postObj.comments.map(comment => ({
                 ...comment,
                 isOwner: userId && comment.user && comment.user._id.toString() === userId,
-                canModerate: user.role === 'administrator' || 
-                            (user.role === 'manager' && user.managedTags.includes(postObj.postTag))
+                canModerate: can(user, 'moderate', 'comment', comment, { post: postObj })
             }));
 
             return {
                 ...postObj,
                 isOwner: userId && post.user && post.user._id.toString() === userId,
-                canModerate: user.role === 'administrator' || 
-                            (user.role === 'manager' && user.managedTags.includes(postObj.postTag)),
+                canModerate: can(user, 'moderate', 'post', postObj),
                 comments: updatedComments,
                 commentsCount: post.comments ? post.comments.length : 0
             };
@@ -819,10 +1599,19 @@ server.get('/admin/view-feed', isAdministrator, async (req, res) => {
 });
 
 // Search posts
-server.get('/search', isAuthenticated, async (req, res) => {
+server.get('/search', isAuthenticated, validateQuery({
+    q: { type: 'text', rule: 'searchQuery', required: true }
+}, {
+    response: {
+        view: 'search-results',
+        locals: req => ({ query: typeof req.query.q === 'string' ? req.query.q : '', posts: [] })
+    }
+}), async (req, res) => {
     const query = req.query.q;
     try {
-        const posts = await Post.find({ caption: { $regex: query, $options: 'i' }, isDeleted: { $ne: true }, isHidden: { $ne: true } })
+        // Searched as literal text, not as a pattern
+        const pattern = escapeRegex(query);
+        const posts = await Post.find({ caption: { $regex: pattern, $options: 'i' }, isDeleted: { $ne: true }, isHidden: { $ne: true } })
             .populate('user')
             .populate('comments.user', 'username profilePic');
         
@@ -832,8 +1621,7 @@ server.get('/search', isAuthenticated, async (req, res) => {
         const postsWithOwnership = posts.map(post => ({
             ...post.toObject(),
             isOwner: userId && post.user._id.toString() === userId,
-            canModerate: user.role === 'administrator' || 
-                        (user.role === 'manager' && user.managedTags.includes(post.postTag))
+            canModerate: can(user, 'moderate', 'post', post)
         }));
 
         res.render('search-results', { query, posts: postsWithOwnership, userProfile: user });
@@ -844,7 +1632,9 @@ server.get('/search', isAuthenticated, async (req, res) => {
 });
 
 // Filter by tags
-server.get('/posts/:tag', isAuthenticated, async (req, res) => {
+server.get('/posts/:tag', isAuthenticated, validateParams({
+    tag: { type: 'text', rule: 'postTag' }
+}, { response: renderValidationErrorPage }), async (req, res) => {
     try {
         const tag = req.params.tag;
         if (!tag) return res.status(400).json({ message: "Tag is required" });
@@ -860,8 +1650,7 @@ server.get('/posts/:tag', isAuthenticated, async (req, res) => {
         const formattedPosts = posts.map(post => ({
             ...post.toObject(),
             isOwner: userId && post.user._id.toString() === userId,
-            canModerate: user.role === 'administrator' || 
-                        (user.role === 'manager' && user.managedTags.includes(post.postTag))
+            canModerate: can(user, 'moderate', 'post', post)
         }));
         
         res.render('taggedPosts', { tag, posts: formattedPosts, userProfile: user });  
@@ -875,6 +1664,44 @@ server.get('/posts/:tag', isAuthenticated, async (req, res) => {
 // PROFILE ROUTES
 // ============================================
 
+// A user's posts by name; old names redirect to the current one
+server.get('/u/:username', isAuthenticated, validateParams({
+    username: { type: 'text', rule: 'accountName' }
+}, { response: renderValidationErrorPage }), async (req, res) => {
+    try {
+        const { user: owner, currentUsername } = await resolveUsername(req.params.username);
+        if (!owner) {
+            return res.status(404).render('error', { message: 'User not found', detail: `There is no account named u/${req.params.username}.` });
+        }
+        if (currentUsername) {
+            return res.redirect(`/u/${encodeURIComponent(currentUsername)}`);
+        }
+
+        const userId = req.session.userId;
+        if (owner._id.toString() === userId) {
+            return res.redirect('/profile');
+        }
+
+        const posts = await Post.find({ user: owner._id, isDeleted: { $ne: true }, isHidden: { $ne: true } })
+            .populate('user', 'username profilePic')
+            .populate('comments.user', 'username profilePic')
+            .sort({ createdAt: -1 });
+
+        const user = await User.findById(userId);
+
+        const formattedPosts = posts.map(post => ({
+            ...post.toObject(),
+            isOwner: false,
+            canModerate: can(user, 'moderate', 'post', post)
+        }));
+
+        res.render('search-results', { heading: `Posts by u/${owner.username}`, posts: formattedPosts, userProfile: user });
+    } catch (err) {
+        // console.error("Error loading user page:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
 server.get('/profile', isAuthenticated, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId)
@@ -891,13 +1718,13 @@ server.get('/profile', isAuthenticated, async (req, res) => {
             return res.redirect('/login');
         }
 
-        // If admin, redirect to admin dashboard
-        if (user.role === 'administrator') {
+        // Roles with the admin pages go to the admin dashboard
+        if (hasPermission(user, 'admin.access')) {
             return res.redirect('/admin');
         }
 
-        //  If manager, redirect to manager dashboard
-        if (user.role === 'manager') {
+        // Roles with the manager pages go to the manager dashboard
+        if (hasPermission(user, 'manager.access')) {
             return res.redirect('/manager');
         }
 
@@ -986,7 +1813,7 @@ server.get('/profile/dislikes', isAuthenticated, async (req, res) => {
     }
 });
 
-server.post('/update-profile-pic', isAuthenticated, upload.single('profilePic'), async (req, res) => {
+server.post('/update-profile-pic', isAuthenticated, upload.single('profilePic'), validateUpload('profilePic', { required: true }), async (req, res) => {
     try {
         let user = await User.findById(req.session.userId);
         if (!user) return res.status(404).json({ success: false, message: "User not found" });
@@ -1005,6 +1832,35 @@ server.post('/update-profile-pic', isAuthenticated, upload.single('profilePic'),
 // SETTINGS ROUTES
 // ============================================
 
+// Render the settings page with every section's state
+function renderSettings(res, user, extras = {}) {
+    const backupCodesRemaining = (user.twoFactorBackupCodes || []).filter(c => !c.usedAt).length;
+
+    return res.render('settings', {
+        currentUsername: user.username,
+        userProfile: user,
+        twoFactor: {
+            enabled: user.twoFactorEnabled,
+            required: isTwoFactorRequired(user),
+            enabledAt: user.twoFactorEnabledAt,
+            backupCodesRemaining
+        },
+        securityQuestions: getSecurityQuestions(user).map(q => q.question),
+        deletionScheduledFor: user.deletion ? user.deletion.scheduledFor : null,
+        usernameChanges: { max: MAX_USERNAME_CHANGES, windowDays: USERNAME_CHANGE_WINDOW_DAYS },
+        sso: isOidcEnabled() ? {
+            providerName: OIDC_CONFIG.providerName,
+            linked: !!(user.sso && user.sso.subject),
+            email: user.sso ? user.sso.email : '',
+            linkedAt: user.sso ? user.sso.linkedAt : null,
+            lastLoginAt: user.sso ? user.sso.lastLoginAt : null,
+            // Unlinking would leave no way to sign in
+            canUnlink: !isSsoOnlyAccount(user) && !isLocalLoginDisabledForRole(user.role)
+        } : null,
+        ...extras
+    });
+}
+
 server.get('/settings', isAuthenticated, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
@@ -1012,17 +1868,16 @@ server.get('/settings', isAuthenticated, async (req, res) => {
             return res.redirect('/login');
         }
 
-        res.render('settings', { 
-            currentUsername: user.username,
-            userProfile: user 
-        });
+        renderSettings(res, user);
     } catch (err) {
         // console.error(err);
         res.status(500).send("Internal Server Error");
     }
 });
 
-server.post('/settings', isAuthenticated, async (req, res) => {
+server.post('/settings', isAuthenticated, blockWhileImpersonating, rateLimit('usernameChange'), validateRequest({
+    newUsername: { type: 'text', rule: 'username', required: true }
+}, { response: 'text' }), async (req, res) => {
     const { newUsername } = req.body;
 
     try {
@@ -1035,7 +1890,7 @@ server.post('/settings', isAuthenticated, async (req, res) => {
 
         // Case-insensitive check for existing username
         const existingUser = await User.findOne({ 
-            username: { $regex: new RegExp(`^${newUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+            username: { $regex: new RegExp(`^${escapeRegex(newUsername)}$`, 'i') }
         });
         if (existingUser && existingUser._id.toString() !== req.session.userId) {
             // 2.4.4 - Log input validation failure
@@ -1049,11 +1904,29 @@ server.post('/settings', isAuthenticated, async (req, res) => {
             return res.status(400).send("User not found!");
         }
 
+        // Fixing the capitalisation of your own name is not a new name
+        const caseOnly = newUsername.toLowerCase() === user.username.toLowerCase();
+        if (!caseOnly) {
+            const usernamePolicyError = await checkUsernameChangeAllowed(user._id) ||
+                                        await checkUsernamePolicy(newUsername, { userId: user._id });
+            if (usernamePolicyError) {
+                // 2.4.4 - Log input validation failure
+                await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USERNAME_CHANGE', 
+                                req.session.userId, `Username change failed: ${usernamePolicyError}`, getClientIp(req));
+                return res.status(400).send(usernamePolicyError);
+            }
+        }
+
         const oldUsername = user.username;
         user.username = newUsername;
         user.userTag = `u/${newUsername}`;
         await user.save();
 
+        // Keeps u/old_name links working and the old name out of reach for a while
+        if (!caseOnly) {
+            await recordUsernameChange(user._id, oldUsername);
+        }
+
         await logActivity(user._id, 'CHANGE_USERNAME', 'USER', user._id.toString(), 
                          `Changed username from ${oldUsername} to ${newUsername}`, getClientIp(req));
 
@@ -1065,972 +1938,3058 @@ server.post('/settings', isAuthenticated, async (req, res) => {
 });
 
 // ============================================
-// CHANGE PASSWORD ROUTE (with re-authentication)
+// TWO-FACTOR AUTHENTICATION SETTINGS
 // ============================================
 
-// GET change password page
-server.get('/change-password', isAuthenticated, async (req, res) => {
+// Render the enrollment page for a pending secret
+async function renderTwoFactorSetup(res, user, secret, extras = {}) {
+    const otpauthUri = buildOtpAuthUri(user.username, secret);
+    res.render('two-factor-setup', {
+        userProfile: user,
+        required: isTwoFactorRequired(user),
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri),
+        ...extras
+    });
+}
+
+// Enrollment page - shows the QR code / otpauth URI for a pending secret
+server.get('/settings/two-factor', isAuthenticated, blockWhileImpersonating, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        res.render('changepassword', { 
-            userProfile: user,
-            previousLogin: req.session.previousLogin 
-        });
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (user.twoFactorEnabled) {
+            return res.redirect('/settings');
+        }
+
+        // Keep the same secret across reloads until enrollment is confirmed
+        if (!req.session.pendingTwoFactorSecret) {
+            req.session.pendingTwoFactorSecret = generateTwoFactorSecret();
+        }
+
+        await renderTwoFactorSetup(res, user, req.session.pendingTwoFactorSecret);
     } catch (err) {
-        // console.error('Error loading change password page:', err);
-        res.status(500).send('Internal Server Error');
+        // console.error('Error loading 2FA setup:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-// POST change password
-server.post('/change-password', isAuthenticated, async (req, res) => {
-    const { currentPassword, newPassword, confirmPassword } = req.body;
-
-    try {
+// Confirm enrollment with a code from the authenticator app
+server.post('/settings/two-factor/enable', isAuthenticated, blockWhileImpersonating, validateRequest({
+    code: { type: 'text', rule: 'twoFactorCode', required: true }
+}, {
+    response: async (req, res, errors) => {
         const user = await User.findById(req.session.userId);
-        
-        if (!user) {
-            return res.status(404).json({ success: false, error: "User not found" });
+        const secret = req.session.pendingTwoFactorSecret;
+        if (!user || user.twoFactorEnabled || !secret) {
+            return res.redirect('/settings');
         }
+        await renderTwoFactorSetup(res, user, secret, { error: errors.join('. ') });
+    }
+}), async (req, res) => {
+    const { code } = req.body;
 
-        // 2.1.12 - Re-authenticate user with current password
-        const passwordMatch = await bcrypt.compare(currentPassword, user.password);
-        if (!passwordMatch) {
-            await logActivity(user._id, 'FAILED_PASSWORD_CHANGE', 'USER', user._id.toString(), 
-                            `Failed password change attempt - incorrect current password`, 
-                            getClientIp(req));
-            return res.status(400).json({ success: false, error: "Current password is incorrect" });
-        }
+    try {
+        const user = await User.findById(req.session.userId);
+        const secret = req.session.pendingTwoFactorSecret;
 
-        // Validate new passwords match
-        if (newPassword !== confirmPassword) {
-            return res.status(400).json({ success: false, error: "New passwords do not match" });
+        if (!user || user.twoFactorEnabled || !secret) {
+            return res.redirect('/settings');
         }
 
-        // 2.1.4 & 2.1.5 - Validate new password
-        const passwordValidation = validatePassword(newPassword);
-        if (!passwordValidation.isValid) {
-            return res.status(400).json({ success: false, error: passwordValidation.errors.join('. ') });
-        }
+        const step = verifyTotpToken(secret, (code || '').trim());
+        if (step === null) {
+            await logActivity(user._id, 'TWO_FACTOR_FAILED', 'USER', user._id.toString(),
+                            '2FA enrollment failed: invalid confirmation code', getClientIp(req));
 
-        // 2.1.10 - Check if password is old enough to change
-        const ageCheck = canChangePassword(user);
-        if (!ageCheck.allowed) {
-            return res.status(400).json({ success: false, error: ageCheck.message });
+            return await renderTwoFactorSetup(res.status(400), user, secret, {
+                error: 'That code did not match. Check your device clock and try again.'
+            });
         }
 
-        // 2.1.9 - Check if password was used before
-        const isReused = await isPasswordReused(user, newPassword);
-        if (isReused) {
-            return res.status(400).json({ success: false, error: "Password has been used previously. Please choose a different password." });
-        }
+        const { codes, hashed } = await generateBackupCodes();
 
-        // Hash new password
-        const newHashedPassword = await bcrypt.hash(newPassword, 10);
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = secret;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorEnabledAt = new Date();
+        user.twoFactorBackupCodes = hashed;
+        await user.save();
 
-        // 2.1.9 - Update password history and change password
-        await updatePasswordHistory(user, newHashedPassword);
+        delete req.session.pendingTwoFactorSecret;
 
-        await logActivity(user._id, 'PASSWORD_CHANGE', 'USER', user._id.toString(), 
-                         `Password changed successfully`, getClientIp(req));
+        await logActivity(user._id, 'TWO_FACTOR_ENABLED', 'USER', user._id.toString(),
+                         'Two-factor authentication enabled', getClientIp(req));
 
-        res.json({ success: true, message: "Password changed successfully!" });
+        // Backup codes are only ever shown once, right here
+        res.render('two-factor-setup', {
+            userProfile: user,
+            backupCodes: codes
+        });
     } catch (err) {
-        // console.error('Password change error:', err);
-        res.status(500).json({ success: false, error: "An error occurred while changing password" });
+        // console.error('Error enabling 2FA:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-// ============================================
-// POST MANAGEMENT ROUTES
-// ============================================
-
-server.post('/create-post', isAuthenticated, requireNotRestricted, upload.single("image"), async (req, res) => {
-    const caption = req.body.caption?.trim() || "";
-    const postTag = req.body.postTag?.trim() || ""; 
-    const imageUrl = req.file ? `/uploads/${req.file.filename}` : "";
-
-    // Validate tag
-    if (!postTag) {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
-                        req.session.userId, 'Post creation failed: No category selected', getClientIp(req));
-        return res.status(400).json({ error: "Please select a category" });
-    }
-    
-    if (!ALLOWED_TAGS.includes(postTag)) {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
-                        req.session.userId, `Post creation failed: Invalid category ${postTag}`, getClientIp(req));
-        return res.status(400).json({ error: "Invalid category selected" });
-    }
-
-    if (!caption && !req.file) {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
-                        req.session.userId, 'Post creation failed: No caption or image', getClientIp(req));
-        return res.status(400).json({ error: "Post must contain either a caption or an image." });
-    }
+// Replace all backup codes (requires password + current code)
+server.post('/settings/two-factor/backup-codes', isAuthenticated, blockWhileImpersonating, validateRequest({
+    currentPassword: { type: 'text', required: true },
+    code: { type: 'text', rule: 'twoFactorCode', required: true }
+}, { response: rerenderUserPage(renderSettings, 'twoFactorError') }), async (req, res) => {
+    const { currentPassword, code } = req.body;
 
     try {
         const user = await User.findById(req.session.userId);
-        if (!user) {
-            return res.status(404).json({ error: "User not found." });
+        if (!user || !user.twoFactorEnabled) {
+            return res.redirect('/settings');
         }
 
-        const newPost = new Post({
-            user: user._id,
-            caption,
-            postTag,
-            imageUrl: imageUrl || null
-        });
+        const passwordMatch = await bcrypt.compare(currentPassword || '', user.password);
+        const codeResult = passwordMatch ? await verifyTwoFactorCode(user, code) : { valid: false };
 
-        await newPost.save();
-        user.posts.push(newPost._id);
+        if (!passwordMatch || !codeResult.valid) {
+            await logActivity(user._id, 'TWO_FACTOR_FAILED', 'USER', user._id.toString(),
+                            'Backup code regeneration failed: re-authentication failed', getClientIp(req));
+            return renderSettings(res.status(400), user, {
+                twoFactorError: 'Password or authentication code is incorrect.'
+            });
+        }
+
+        const { codes, hashed } = await generateBackupCodes();
+        user.twoFactorBackupCodes = hashed;
         await user.save();
 
-        await logActivity(user._id, 'CREATE_POST', 'POST', newPost._id.toString(), 
-                         `Created post: ${caption.substring(0, 50)}`, getClientIp(req));
+        await logActivity(user._id, 'TWO_FACTOR_BACKUP_CODES_REGENERATED', 'USER', user._id.toString(),
+                         'Two-factor backup codes regenerated', getClientIp(req));
 
-        res.json({ success: true, message: "Post created successfully!" });
+        res.render('two-factor-setup', {
+            userProfile: user,
+            backupCodes: codes
+        });
     } catch (err) {
-        // console.error("Error creating post:", err);
-        res.status(500).json({ error: "Internal Server Error" });
+        // console.error('Error regenerating backup codes:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.patch('/edit-post/:postId', isAuthenticated, async (req, res) => {
-    const { postId } = req.params;
-    const { caption } = req.body;
-
-    if (!caption) {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_EDIT', postId, 
-                        'Post edit failed: Empty caption', getClientIp(req));
-        return res.status(400).json({ error: "Caption cannot be empty!" });
-    }
+// Turn 2FA off (requires password + current code, not allowed for privileged roles)
+server.post('/settings/two-factor/disable', isAuthenticated, blockWhileImpersonating, validateRequest({
+    currentPassword: { type: 'text', required: true },
+    code: { type: 'text', rule: 'twoFactorCode', required: true }
+}, { response: rerenderUserPage(renderSettings, 'twoFactorError') }), async (req, res) => {
+    const { currentPassword, code } = req.body;
 
     try {
-        const post = await Post.findById(postId);
-        if (!post) {
-            return res.status(404).json({ error: "Post not found" });
+        const user = await User.findById(req.session.userId);
+        if (!user || !user.twoFactorEnabled) {
+            return res.redirect('/settings');
         }
 
-        const canEdit = await canEditOrDelete(req.session.userId, post.user, postId);
-        
-        if (!canEdit) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'POST_EDIT', postId, 
-                            'Unauthorized attempt to edit post', getClientIp(req));
-            return res.status(403).json({ error: "You don't have permission to edit this post" });
+        if (isTwoFactorRequired(user)) {
+            await logActivity(user._id, 'AUTHORIZATION_FAILED', 'USER', user._id.toString(),
+                            `Attempt to disable mandatory 2FA for ${user.role}`, getClientIp(req));
+            return renderSettings(res.status(403), user, {
+                twoFactorError: 'Two-factor authentication is mandatory for your role.'
+            });
         }
 
-        post.caption = caption;
-        post.edited = true;
-        await post.save();
+        const passwordMatch = await bcrypt.compare(currentPassword || '', user.password);
+        const codeResult = passwordMatch ? await verifyTwoFactorCode(user, code) : { valid: false };
 
-        await logActivity(req.session.userId, 'EDIT_POST', 'POST', postId, 
-                         `Edited post caption`, getClientIp(req));
+        if (!passwordMatch || !codeResult.valid) {
+            await logActivity(user._id, 'TWO_FACTOR_FAILED', 'USER', user._id.toString(),
+                            'Disable 2FA failed: re-authentication failed', getClientIp(req));
+            return renderSettings(res.status(400), user, {
+                twoFactorError: 'Password or authentication code is incorrect.'
+            });
+        }
 
-        res.status(200).json({ success: true, message: "Post updated successfully", post });
-    } catch (error) {
-        // console.error("Error updating post:", error);
-        res.status(500).json({ error: "Internal Server Error" });
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorLastUsedStep = 0;
+        user.twoFactorEnabledAt = null;
+        user.twoFactorBackupCodes = [];
+        await user.save();
+
+        await logActivity(user._id, 'TWO_FACTOR_DISABLED', 'USER', user._id.toString(),
+                         'Two-factor authentication disabled', getClientIp(req));
+
+        res.redirect('/settings');
+    } catch (err) {
+        // console.error('Error disabling 2FA:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.delete('/delete-post/:postId', isAuthenticated, async (req, res) => {
-    const { postId } = req.params;
+// ============================================
+// SECURITY QUESTIONS
+// ============================================
+
+function renderSecurityQuestions(res, user, extras = {}) {
+    const current = getSecurityQuestions(user).map(q => q.question);
+    // Always show MAX rows; unused rows are optional
+    const rows = [];
+    for (let i = 0; i < SECURITY_QUESTIONS_MAX; i++) {
+        rows.push({ index: i, selected: current[i] || '', required: i < SECURITY_QUESTIONS_MIN });
+    }
 
+    res.render('security-questions', {
+        userProfile: user,
+        currentQuestions: current,
+        questionPool: SECURITY_QUESTION_POOL,
+        rows,
+        minQuestions: SECURITY_QUESTIONS_MIN,
+        maxQuestions: SECURITY_QUESTIONS_MAX,
+        mustUpdate: !!user.securityQuestionsAreDefault,
+        ...extras
+    });
+}
+
+server.get('/settings/security-questions', isAuthenticated, blockWhileImpersonating, async (req, res) => {
     try {
-        const post = await Post.findById(postId);
-        if (!post) {
-            // console.log('[DELETE] Post not found:', postId);
-            return res.status(404).json({ success: false, error: "Post not found" });
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
         }
+        renderSecurityQuestions(res, user);
+    } catch (err) {
+        // console.error('Error loading security questions:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
 
-        // console.log('[DELETE] Post found:', {
-        //     postId,
-        //     postTag: post.postTag,
-        //     postOwner: post.user,
-        //     requestingUser: req.session.userId
-        // });
+server.post('/settings/security-questions', isAuthenticated, blockWhileImpersonating, validateRequest({
+    currentPassword: { type: 'text', required: true },
+    questions: { type: 'textList', rule: 'securityQuestion', required: true },
+    answers: { type: 'textList', rule: 'securityAnswer', required: true }
+}, { response: rerenderUserPage(renderSecurityQuestions) }), async (req, res) => {
+    const { currentPassword } = req.body;
+    const questions = [].concat(req.body.questions || []);
+    const answers = [].concat(req.body.answers || []);
 
+    try {
         const user = await User.findById(req.session.userId);
-        // console.log('[DELETE] User info:', {
-        //     userId: user._id,
-        //     role: user.role,
-        //     managedTags: user.managedTags
-        // });
+        if (!user) {
+            return res.redirect('/login');
+        }
 
-        const canDelete = await canEditOrDelete(req.session.userId, post.user, postId);
-        
-        // console.log('[DELETE] Can delete?', canDelete);
-        
-        if (!canDelete) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'POST_DELETE', postId, 
-                            `Unauthorized attempt to delete post. User role: ${user.role}, Post tag: ${post.postTag}`, getClientIp(req));
-            return res.status(403).json({ success: false, error: "You don't have permission to delete this post" });
+        // Re-authenticate before changing a recovery factor
+        if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+            await logActivity(user._id, 'SECURITY_QUESTIONS_UPDATE_FAILED', 'USER', user._id.toString(), 
+                             'Security question update failed: Incorrect current password', getClientIp(req));
+            return renderSecurityQuestions(res.status(400), user, { error: 'Current password is incorrect.' });
         }
 
-        // Check if there are pending reports for this post
-        const { Report } = require('./moderation-schemas');
-        const pendingReports = await Report.find({ 
-            post: postId, 
-            status: { $in: ['pending', 'reviewed'] } 
-        });
+        // Keep only rows where a question was chosen
+        const entries = [];
+        for (let i = 0; i < Math.min(questions.length, SECURITY_QUESTIONS_MAX); i++) {
+            const question = typeof questions[i] === 'string' ? questions[i] : '';
+            const answer = typeof answers[i] === 'string' ? answers[i] : '';
+            if (!question) continue;
 
-        if (pendingReports.length > 0) {
-            // Soft delete if there are pending reports (legal hold)
-            await Post.findByIdAndUpdate(postId, {
-                isDeleted: true,
-                deletedBy: req.session.userId,
-                deletedAt: new Date(),
-                deletionReason: 'Deleted by user (pending reports)'
+            if (!SECURITY_QUESTION_POOL.includes(question)) {
+                return renderSecurityQuestions(res.status(400), user, { error: 'Please choose questions from the list.' });
+            }
+            if (entries.some(e => e.question === question)) {
+                return renderSecurityQuestions(res.status(400), user, { error: 'Each security question can only be used once.' });
+            }
+
+            // 2.1.8 - Reject weak/common answers
+            const sqValidation = validateSecurityQuestion(question, answer);
+            if (!sqValidation.valid) {
+                await logActivity(user._id, 'VALIDATION_FAILED', 'SECURITY_QUESTIONS', user._id.toString(), 
+                                 `Security question update failed: ${sqValidation.message}`, getClientIp(req));
+                return renderSecurityQuestions(res.status(400), user, { error: `"${question}": ${sqValidation.message}` });
+            }
+
+            entries.push({ question, answer });
+        }
+
+        if (entries.length < SECURITY_QUESTIONS_MIN) {
+            return renderSecurityQuestions(res.status(400), user, { 
+                error: `Please answer at least ${SECURITY_QUESTIONS_MIN} security questions.` 
             });
-            await logActivity(req.session.userId, 'SOFT_DELETE_POST', 'POST', postId, 
-                             `Soft deleted post (pending reports): ${post.caption.substring(0, 50)}`, getClientIp(req));
-        } else {
-            // Hard delete if no pending reports (respects privacy)
-            await Post.findByIdAndDelete(postId);
-            await logActivity(req.session.userId, 'DELETE_POST', 'POST', postId, 
-                             `Deleted post: ${post.caption.substring(0, 50)}`, getClientIp(req));
         }
 
-        res.json({ success: true, message: "Post deleted successfully" });
+        user.securityQuestions = [];
+        for (const entry of entries) {
+            user.securityQuestions.push({ question: entry.question, answerHash: await hashSecurityAnswer(entry.answer) });
+        }
+        // Keep the single-question fields in sync with the first entry
+        user.securityQuestion = user.securityQuestions[0].question;
+        user.securityAnswer = user.securityQuestions[0].answerHash;
+        user.securityQuestionsAreDefault = false;
+        user.securityQuestionsUpdatedAt = new Date();
+        await user.save();
+
+        await logActivity(user._id, 'SECURITY_QUESTIONS_UPDATED', 'USER', user._id.toString(), 
+                         `Security questions updated (${entries.length} question(s))`, getClientIp(req));
+
+        renderSecurityQuestions(res, user, { success: 'Security questions updated.' });
     } catch (err) {
-        // console.error("Error deleting post:", err);
-        res.status(500).json({ success: false, error: "Internal Server Error" });
+        // console.error('Error updating security questions:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
 // ============================================
-// LIKE/DISLIKE ROUTES
+// ACTIVE SESSIONS
 // ============================================
 
-server.post('/like/:postId', isAuthenticated, requireNotRestricted, async (req, res) => {
+server.get('/settings/sessions', isAuthenticated, async (req, res) => {
     try {
         const user = await User.findById(req.session.userId);
-        const post = await Post.findById(req.params.postId);
-        if (!user || !post) return res.status(404).json({ success: false });
+        if (!user) {
+            return res.redirect('/login');
+        }
 
-        let liked = false;
-        let wasDisliked = false;
+        const sessions = (await listUserSessions(user._id)).map(s => ({
+            ...s,
+            isCurrent: s._id === req.sessionID
+        }));
 
-        if (!user.likes.includes(post._id)) {
-            user.likes.push(post._id);
-            if (user.dislikes.includes(post._id)) {
-                wasDisliked = true;
-                user.dislikes = user.dislikes.filter(p => p.toString() !== post._id.toString());
-            }
-            liked = true;
-        } else {
-            user.likes = user.likes.filter(p => p.toString() !== post._id.toString());
-            liked = false;
+        res.render('sessions', {
+            userProfile: user,
+            sessions
+        });
+    } catch (err) {
+        // console.error('Error loading sessions:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Revoke a single session (any of the user's own sessions)
+server.post('/settings/sessions/:sessionId/revoke', isAuthenticated, blockWhileImpersonating, validateParams({
+    sessionId: 'text'
+}, { response: renderValidationErrorPage }), async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const revoked = await revokeSession(req.session.userId, sessionId);
+        if (revoked) {
+            await logActivity(req.session.userId, 'SESSION_REVOKED', 'SESSION', req.session.userId, 
+                             sessionId === req.sessionID ? 'Revoked current session' : 'Revoked another session', 
+                             getClientIp(req));
         }
-        await user.save();
 
-        if (liked) {
-            await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: 1 } });
-            if (wasDisliked) {
-                await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: -1 } });
-            }
-        } else {
-            await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: -1 } });
+        if (sessionId === req.sessionID) {
+            return res.redirect('/login');
         }
-        
-        const updatedPost = await Post.findById(post._id);
-        res.json({ success: true, liked, likesCount: updatedPost.likesCount, dislikesCount: updatedPost.dislikesCount });
+        res.redirect('/settings/sessions');
     } catch (err) {
-        // console.error("Like error:", err);
-        res.status(500).json({ success: false });
+        // console.error('Error revoking session:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.post('/dislike/:postId', isAuthenticated, requireNotRestricted, async (req, res) => {
-    try {
-        const user = await User.findById(req.session.userId);
-        const post = await Post.findById(req.params.postId);
-        if (!user || !post) return res.status(404).json({ success: false });
+// "Log out everywhere" - revokes every session including this one
+server.post('/settings/sessions/revoke-all', isAuthenticated, blockWhileImpersonating, async (req, res) => {
+    const userId = req.session.userId;
 
-        let disliked = false;
-        let wasLiked = false;
+    try {
+        const count = await revokeUserSessions(userId);
 
-        if (!user.dislikes.includes(post._id)) {
-            user.dislikes.push(post._id);
-            if (user.likes.includes(post._id)) {
-                wasLiked = true;
-                user.likes = user.likes.filter(p => p.toString() !== post._id.toString());
-            }
-            disliked = true;
-        } else {
-            user.dislikes = user.dislikes.filter(p => p.toString() !== post._id.toString());
-            disliked = false;
-        }
-        await user.save();
+        await logActivity(userId, 'SESSIONS_REVOKED_ALL', 'SESSION', userId, 
+                         `Logged out everywhere (${count} session(s) revoked)`, getClientIp(req));
 
-        if (disliked) {
-            await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: 1 } });
-            if (wasLiked) {
-                await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: -1 } });
-            }
-        } else {
-            await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: -1 } });
-        }
-        
-        const updatedPost = await Post.findById(post._id);
-        res.json({ success: true, disliked, likesCount: updatedPost.likesCount, dislikesCount: updatedPost.dislikesCount });
+        req.session.destroy(() => {
+            res.redirect('/login');
+        });
     } catch (err) {
-        // console.error("Dislike error:", err);
-        res.status(500).json({ success: false });
+        // console.error('Error revoking sessions:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
 // ============================================
-// COMMENT ROUTES
+// LOGIN HISTORY & NEW-DEVICE ALERTS
 // ============================================
 
-server.post('/add-comment/:postId', isAuthenticated, requireNotRestricted, async (req, res) => {
+server.get('/settings/login-history', isAuthenticated, async (req, res) => {
     try {
-        const postId = req.params.postId;
-        const { commentText } = req.body;
-
-        if (!postId || !commentText) {
-            // 2.4.4 - Log input validation failure
-            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_CREATE', postId, 
-                            'Comment creation failed: Missing content', getClientIp(req));
-            return res.status(400).json({ error: "Missing postId or commentText." });
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
         }
 
-        // Additional validation for comment length
-        if (commentText.trim().length === 0) {
-            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_CREATE', postId, 
-                            'Comment creation failed: Empty comment', getClientIp(req));
-            return res.status(400).json({ error: "Comment cannot be empty." });
+        res.render('login-history', {
+            userProfile: user,
+            events: await getLoginHistory(user._id)
+        });
+    } catch (err) {
+        // console.error('Error loading login history:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// "Yes, it was me" on the new sign-in banner
+// The banner posts the event it was shown for; a stale banner (another tab) resolves nothing
+const validateLoginAlertEvent = validateRequest({
+    eventId: { type: 'objectId', required: true }
+}, { response: 'text' });
+
+function getShownLoginAlert(req) {
+    const alert = req.session.loginAlert;
+    return alert && alert.eventId === req.body.eventId ? alert : null;
+}
+
+server.post('/settings/login-alert/confirm', isAuthenticated, blockWhileImpersonating, validateLoginAlertEvent, async (req, res) => {
+    const alert = getShownLoginAlert(req);
+
+    try {
+        if (alert) {
+            await resolveLoginAlert(req.session.userId, alert.eventId, 'confirmed');
+            await logActivity(req.session.userId, 'LOGIN_ALERT_CONFIRMED', 'USER', req.session.userId.toString(), 
+                             `Confirmed sign-in from ${alert.device} (${alert.ipAddress})`, getClientIp(req));
         }
+        delete req.session.loginAlert;
+        res.redirect('/home');
+    } catch (err) {
+        // console.error('Error confirming login alert:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
 
-        const user = await User.findById(req.session.userId);
+// "This wasn't me": sign out everywhere and lock password login until the owner resets it
+server.post('/settings/login-alert/report', isAuthenticated, blockWhileImpersonating, validateLoginAlertEvent, async (req, res) => {
+    const alert = getShownLoginAlert(req);
+    const userId = req.session.userId;
+
+    try {
+        const user = await User.findById(userId);
         if (!user) {
-            return res.status(400).json({ error: "User not found." });
+            return res.redirect('/login');
         }
 
-        const newComment = {
-            _id: new mongoose.Types.ObjectId(),
-            user: user._id,
-            profilePic: user.profilePic,
-            content: commentText
-        };
+        if (alert) {
+            await resolveLoginAlert(user._id, alert.eventId, 'reported');
+        }
+        user.passwordLoginLocked = true;
+        await user.save();
 
-        await Post.updateOne(
-            { _id: postId },
-            { $push: { comments: newComment } },
-            { runValidators: false }
-        );
+        const count = await revokeUserSessions(user._id);
+        // Whoever signed in may have created tokens of their own
+        const tokenCount = await revokeUserApiTokens(user._id, user._id);
 
-        await logActivity(user._id, 'CREATE_COMMENT', 'COMMENT', newComment._id.toString(), 
-                         `Commented on post ${postId}`, getClientIp(req));
+        await logActivity(user._id, 'SUSPICIOUS_LOGIN_REPORTED', 'USER', user._id.toString(), 
+                         alert 
+                            ? `Reported sign-in from ${alert.device} (${alert.ipAddress}) as not theirs - ${count} session(s) and ${tokenCount} API token(s) revoked, password login locked until reset` 
+                            : `Reported a sign-in as not theirs - ${count} session(s) and ${tokenCount} API token(s) revoked, password login locked until reset`, 
+                         getClientIp(req));
 
-        const renderedComment = await server.render('partials/comment', {
-            layout: false,
-            _id: newComment._id.toString(),
-            postId: postId,
-            user: {
-                username: user.username,
-                profilePic: user.profilePic
-            },
-            content: commentText,
-            likes: [],
-            dislikes: [],
-            isOwner: true,
-            canModerate: false
-        });
-        
-        res.status(200).json({
-            success: true,
-            html: renderedComment
+        req.session.destroy(() => {
+            res.redirect('/forgot-password?reported=1');
         });
-
-    } catch (error) {
-        // console.error("Critical Error in /add-comment route:", error);
-        res.status(500).json({ error: "Internal server error." });
+    } catch (err) {
+        // console.error('Error reporting login alert:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.put('/edit-comment/:postId/:commentId', isAuthenticated, async (req, res) => {
-    const { postId, commentId } = req.params;
-    const { updatedContent } = req.body;
+// ============================================
+// PERSONAL API TOKENS
+// ============================================
 
-    if (!updatedContent.trim()) {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_EDIT', commentId, 
-                        'Comment edit failed: Empty content', getClientIp(req));
-        return res.status(400).json({ error: "Comment content cannot be empty." });
-    }
+async function renderApiTokens(res, user, extras = {}) {
+    const allowedScopes = getAllowedApiScopes(user);
+    res.render('api-tokens', {
+        userProfile: user,
+        tokens: await listApiTokens(user._id),
+        scopes: API_TOKEN_SCOPES.filter(scope => allowedScopes.includes(scope)),
+        expiryOptions: API_TOKEN_EXPIRY_DAYS,
+        maxTokens: MAX_ACTIVE_API_TOKENS,
+        ...extras
+    });
+}
 
+server.get('/settings/api-tokens', isAuthenticated, async (req, res) => {
     try {
-        const post = await Post.findOne({ _id: postId, "comments._id": commentId });
-        if (!post) {
-            return res.status(404).json({ error: "Post or Comment not found." });
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
         }
 
-        const comment = post.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({ error: "Comment not found." });
+        await renderApiTokens(res, user);
+    } catch (err) {
+        // console.error('Error loading API tokens:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Create a token - the raw value is shown on this response only
+server.post('/settings/api-tokens', isAuthenticated, blockWhileImpersonating, validateRequest({
+    name: { type: 'text', rule: 'tokenName', required: true },
+    expiresInDays: { type: 'numeric', required: true }
+}, { response: rerenderUserPage(renderApiTokens, 'errors') }), async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name : '';
+    // A single checked box arrives as a string
+    const scopes = [].concat(req.body.scopes || []).filter(scope => typeof scope === 'string');
+    const expiresInDays = Number(req.body.expiresInDays);
+
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
         }
 
-        const canEdit = await canEditOrDelete(req.session.userId, comment.user, postId);
-        
-        if (!canEdit) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'COMMENT_EDIT', commentId, 
-                            'Unauthorized attempt to edit comment', getClientIp(req));
-            return res.status(403).json({ error: "You don't have permission to edit this comment" });
+        const errors = await validateApiTokenRequest(user, { name, scopes, expiresInDays });
+        if (errors.length > 0) {
+            return await renderApiTokens(res, user, { errors });
         }
 
-        await Post.updateOne(
-            { _id: postId, "comments._id": commentId },
-            { $set: { "comments.$.content": updatedContent } }
-        );
+        const { token, apiToken } = await createApiToken(user, { name, scopes, expiresInDays });
 
-        await logActivity(req.session.userId, 'EDIT_COMMENT', 'COMMENT', commentId, 
-                         `Edited comment on post ${postId}`, getClientIp(req));
+        await logActivity(user._id, 'API_TOKEN_CREATED', 'API_TOKEN', apiToken._id.toString(), 
+                         `Created API token "${apiToken.name}" (${apiToken.scopes.join(', ')}) expiring in ${expiresInDays} days`, 
+                         getClientIp(req));
 
-        res.json({ success: true, message: "Comment updated successfully.", updatedComment: updatedContent });
-    } catch (error) {
-        // console.error("Error editing comment:", error);
-        res.status(500).json({ error: "Internal Server Error." });
+        await renderApiTokens(res, user, { newToken: { name: apiToken.name, value: token } });
+    } catch (err) {
+        // console.error('Error creating API token:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.delete('/delete-comment/:postId/:commentId', isAuthenticated, async (req, res) => {
-    const { postId, commentId } = req.params;
+server.post('/settings/api-tokens/:tokenId/revoke', isAuthenticated, blockWhileImpersonating, validateParams({
+    tokenId: 'objectId'
+}, { response: renderValidationErrorPage }), async (req, res) => {
+    const { tokenId } = req.params;
 
     try {
-        const post = await Post.findById(postId);
-        if (!post) {
-            return res.status(404).json({ success: false, error: "Post not found" });
+        const token = await revokeApiToken(tokenId, req.session.userId, req.session.userId);
+        if (token) {
+            await logActivity(req.session.userId, 'API_TOKEN_REVOKED', 'API_TOKEN', tokenId, 
+                             `Revoked API token "${token.name}"`, getClientIp(req));
         }
 
-        const comment = post.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({ success: false, error: "Comment not found" });
-        }
+        res.redirect('/settings/api-tokens');
+    } catch (err) {
+        // console.error('Error revoking API token:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
 
-        const canDelete = await canEditOrDelete(req.session.userId, comment.user, postId);
-        
-        if (!canDelete) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'COMMENT_DELETE', commentId, 
-                            'Unauthorized attempt to delete comment', getClientIp(req));
-            return res.status(403).json({ success: false, error: "You don't have permission to delete this comment" });
-        }
+// ============================================
+// PERSONAL DATA EXPORT ("download my data")
+// Built by the background job in middleware/data-export.js
+// ============================================
 
-        comment.deleteOne();
-        await post.save();
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} bytes`;
+}
 
-        await logActivity(req.session.userId, 'DELETE_COMMENT', 'COMMENT', commentId, 
-                         `Deleted comment from post ${postId}`, getClientIp(req));
+async function renderDataExport(res, userId, extras = {}) {
+    const exports = (await listDataExports(userId)).map(dataExport => ({
+        ...dataExport,
+        sizeLabel: formatFileSize(dataExport.fileSize || 0)
+    }));
+
+    res.render('data-export', {
+        exports,
+        inProgress: exports.some(dataExport => ['pending', 'processing'].includes(dataExport.status)),
+        ttlDays: DATA_EXPORT_TTL_DAYS,
+        ...extras
+    });
+}
 
-        return res.json({ success: true, message: "Comment deleted successfully" });
+server.get('/settings/export', isAuthenticated, blockWhileImpersonating, requireStepUp, async (req, res) => {
+    try {
+        await renderDataExport(res, req.session.userId);
     } catch (err) {
-        // console.error("Error deleting comment:", err);
-        return res.status(500).json({ success: false, error: "Internal Server Error" });
+        // console.error('Error loading data export page:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.post('/like-comment/:postId/:commentId', isAuthenticated, async (req, res) => {
+server.post('/settings/export', isAuthenticated, blockWhileImpersonating, rateLimit('dataExport'), async (req, res) => {
+    const userId = req.session.userId;
+
     try {
-        const { postId, commentId } = req.params;
-        const post = await Post.findById(postId);
-        if (!post) {
-            return res.status(404).json({ success: false, message: "Post not found" });
-        }
-        const comment = post.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({ success: false, message: "Comment not found" });
+        // The confirmation may have lapsed while the page was open
+        if (!hasRecentStepUp(req)) {
+            return res.redirect('/settings/export');
         }
-        
-        if (!comment.likes) comment.likes = [];
-        if (!comment.dislikes) comment.dislikes = [];
-        
-        let liked = false;
-        const userId = req.session.userId.toString();
-        
-        if (!comment.likes.includes(userId)) {
-            comment.likes.push(userId);
-            comment.dislikes = comment.dislikes.filter(uid => uid.toString() !== userId);
-            liked = true;
-        } else {
-            comment.likes = comment.likes.filter(uid => uid.toString() !== userId);
-            liked = false;
+
+        const { dataExport, error } = await requestDataExport(userId);
+        if (error) {
+            return renderDataExport(res.status(409), userId, { error });
         }
-        post.markModified('comments');
 
-        await post.save();
-        return res.json({
-            success: true,
-            liked,
-            likesCount: comment.likes.length,
-            dislikesCount: comment.dislikes.length
+        await logActivity(userId, 'DATA_EXPORT_REQUESTED', 'DATA_EXPORT', dataExport._id.toString(),
+                         'Requested a personal data export', getClientIp(req));
+
+        await renderDataExport(res, userId, {
+            success: 'Your export is being prepared. You will see a notice when it is ready to download.'
         });
     } catch (err) {
-        // console.error("Error in like-comment endpoint:", err);
-        res.status(500).json({ success: false, message: "Server error" });
+        // console.error('Error requesting data export:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.post('/dislike-comment/:postId/:commentId', isAuthenticated, async (req, res) => {
+// The archive holds everything about the account, so it needs the same fresh confirmation as the page
+server.get('/settings/export/:exportId/download', isAuthenticated, blockWhileImpersonating, validateParams({
+    exportId: 'objectId'
+}, { response: renderValidationErrorPage }), requireStepUp, async (req, res) => {
+    const userId = req.session.userId;
+
     try {
-        const { postId, commentId } = req.params;
-        const post = await Post.findById(postId);
-        if (!post) {
-            return res.status(404).json({ success: false, message: "Post not found" });
-        }
-        const comment = post.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({ success: false, message: "Comment not found" });
+        const dataExport = await findDownloadableExport(userId, req.params.exportId);
+        if (!dataExport) {
+            return res.status(404).render('error', { message: 'Export not found', detail: 'This export does not exist or has expired.' });
         }
-        
-        if (!comment.likes) comment.likes = [];
-        if (!comment.dislikes) comment.dislikes = [];
-        
-        let disliked = false;
-        const userId = req.session.userId.toString();
-        
-        if (!comment.dislikes.includes(userId)) {
-            comment.dislikes.push(userId);
-            comment.likes = comment.likes.filter(uid => uid.toString() !== userId);
-            disliked = true;
-        } else {
-            comment.dislikes = comment.dislikes.filter(uid => uid.toString() !== userId);
-            disliked = false;
-        }
-        
-        post.markModified('comments');
 
-        await post.save();
-        return res.json({
-            success: true,
-            disliked,
-            likesCount: comment.likes.length,
-            dislikesCount: comment.dislikes.length
+        dataExport.downloadedAt = new Date();
+        await dataExport.save();
+        await User.updateOne({ _id: userId, dataExportNotice: dataExport._id }, { $set: { dataExportNotice: null } });
+
+        await logActivity(userId, 'DATA_EXPORT_DOWNLOADED', 'DATA_EXPORT', dataExport._id.toString(),
+                         'Downloaded a personal data export', getClientIp(req));
+
+        const fileName = `tiktalk-data-${moment(dataExport.completedAt).format('YYYY-MM-DD')}.zip`;
+        res.download(getDataExportPath(dataExport._id), fileName, (err) => {
+            if (err && !res.headersSent) {
+                // console.error('Error sending data export:', err);
+                res.status(404).render('error', { message: 'Export not found', detail: 'This export does not exist or has expired.' });
+            }
         });
     } catch (err) {
-        // console.error("Error in dislike-comment endpoint:", err);
-        res.status(500).json({ success: false, message: "Server error" });
+        // console.error('Error downloading data export:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// "Dismiss" on the ready banner
+server.post('/settings/export/:exportId/dismiss', isAuthenticated, blockWhileImpersonating, validateParams({
+    exportId: 'objectId'
+}, { response: renderValidationErrorPage }), async (req, res) => {
+    try {
+        await dismissDataExportNotice(req.session.userId);
+        res.redirect('/home');
+    } catch (err) {
+        // console.error('Error dismissing data export notice:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
 // ============================================
-// REPLY ROUTES
+// ACCOUNT DELETION (self-service, with a grace period)
+// The scheduled job in middleware/account-lifecycle.js carries it out
 // ============================================
 
-server.post('/reply-comment/:postId/:commentId', isAuthenticated, async (req, res) => {
-    const { postId, commentId } = req.params;
-    const { replyText } = req.body;
+async function renderDeleteAccount(res, user, extras = {}) {
+    const scheduled = user.deletion && user.deletion.scheduledFor ? {
+        scheduledFor: user.deletion.scheduledFor,
+        mode: user.deletion.mode,
+        held: !!user.deletion.heldSince
+    } : null;
+
+    res.render('delete-account', {
+        userProfile: user,
+        graceDays: ACCOUNT_DELETION_GRACE_DAYS,
+        scheduled,
+        pendingApproval: scheduled ? null : await findPendingApproval('delete_user', user._id),
+        legalHold: scheduled ? 0 : await getLegalHoldCount(user._id),
+        ...extras
+    });
+}
 
-    if (!replyText || !replyText.trim()) {
-            // 2.4.4 - Log input validation failure
-            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'REPLY_CREATE', commentId, 
-                            'Reply creation failed: Empty content', getClientIp(req));
-            return res.status(400).json({ error: "Reply content is required." });
+// Opening the page needs a fresh password (or 2FA / SSO) confirmation
+server.get('/settings/delete-account', isAuthenticated, blockWhileImpersonating, requireStepUp, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
         }
 
+        await renderDeleteAccount(res, user);
+    } catch (err) {
+        // console.error('Error loading account deletion page:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.post('/settings/delete-account', isAuthenticated, blockWhileImpersonating, validateRequest({
+    mode: { type: 'text', rule: 'deletionMode', required: true },
+    confirmUsername: { type: 'text', rule: 'accountName', required: true }
+}, { response: rerenderUserPage(renderDeleteAccount) }), async (req, res) => {
+    const { mode, confirmUsername } = req.body;
+
     try {
-        const post = await Post.findById(postId);
+        // The confirmation may have lapsed while the page was open
+        if (!hasRecentStepUp(req)) {
+            return res.redirect('/settings/delete-account');
+        }
+
         const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (user.deletion && user.deletion.scheduledFor) {
+            return res.redirect('/settings/delete-account');
+        }
 
-        if (!post || !user) return res.status(404).json({ success: false });
+        let error = null;
+        if (!DELETION_MODES.includes(mode)) {
+            error = 'Choose whether to anonymize or erase your content.';
+        } else if (confirmUsername !== user.username) {
+            error = 'The username you typed does not match your account.';
+        } else if (getRolePermissions(user.role).includes('admin.access')) {
+            // The site must keep at least one administrator
+            const adminRoles = listRoles().filter(role => role.permissions.includes('admin.access')).map(role => role.name);
+            if (await User.countDocuments({ role: { $in: adminRoles } }) <= 1) {
+                error = 'You are the only administrator. Give another account administrator access first.';
+            }
+        }
 
-        const newReply = {
-            _id: new mongoose.Types.ObjectId(),
-            user: user._id,
-            content: replyText,
-            createdAt: new Date(),
-            likes: [],
-            dislikes: []
-        };
+        if (error) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(user._id, 'VALIDATION_FAILED', 'USER', user._id.toString(),
+                             `Account deletion request rejected: ${error}`, getClientIp(req));
+            return renderDeleteAccount(res.status(400), user, { error, mode });
+        }
 
-        const comment = post.comments.id(commentId);
-        if (!comment) return res.status(404).json({ success: false });
+        // Staff accounts get the same two-person approval as an administrator deleting them
+        if (isPrivilegedRole(user.role) && isApprovalRequired('delete_user')) {
+            const approval = await requestApproval(req, 'delete_user', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { mode },
+                summary: `delete ${user.username}'s own account (${mode})`
+            });
+            if (approval.error) {
+                return renderDeleteAccount(res.status(409), user, { error: approval.error, mode });
+            }
+            return renderDeleteAccount(res.status(202), user);
+        }
 
-        comment.replies.push(newReply);
-        post.markModified('comments');
-        await post.save();
+        const token = await scheduleAccountDeletion(user, mode);
 
-        const renderedReply = await server.render('partials/reply', {
-            layout: false,
-            _id: newReply._id.toString(),
-            postId: postId,
-            commentId: commentId,
-            user: {
-                username: user.username,
-                profilePic: user.profilePic
-            },
-            content: replyText,
-            likes: [],
-            dislikes: [],
-            isOwner: true,
-            isReply: true
-        });        
+        await logActivity(user._id, 'ACCOUNT_DELETION_REQUESTED', 'USER', user._id.toString(),
+                         `Requested deletion of ${user.username} (${mode}), scheduled for ${user.deletion.scheduledFor.toISOString()}`,
+                         getClientIp(req));
 
-        res.status(200).json({ success: true, html: renderedReply });
+        await renderDeleteAccount(res, user, {
+            cancelLink: `${req.protocol}://${req.get('host')}/account-deletion/cancel/${token}`
+        });
     } catch (err) {
-        // console.error("Reply Error:", err);
-        res.status(500).json({ success: false });
+        // console.error('Error scheduling account deletion:', err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-server.delete('/delete-reply/:postId/:commentId/:replyId', isAuthenticated, async (req, res) => {
-    const { postId, commentId, replyId } = req.params;
-
+server.post('/settings/delete-account/cancel', isAuthenticated, blockWhileImpersonating, async (req, res) => {
     try {
-        const post = await Post.findById(postId);
-        if (!post) {
-            return res.status(404).json({ success: false, error: "Post not found" });
+        const user = await User.findById(req.session.userId);
+        if (user && user.deletion && user.deletion.scheduledFor) {
+            await cancelAccountDeletion(user);
+            await logActivity(user._id, 'ACCOUNT_DELETION_CANCELLED', 'USER', user._id.toString(),
+                             `Cancelled the scheduled deletion of ${user.username}`, getClientIp(req));
         }
 
-        const comment = post.comments.id(commentId);
-        if (!comment) {
-            return res.status(404).json({ success: false, error: "Comment not found" });
+        // A staff account withdraws its request while it waits for approval
+        const pending = user ? await findPendingApproval('delete_user', user._id) : null;
+        if (pending && pending.requestedBy.toString() === user._id.toString()) {
+            await cancelApproval(req, pending._id);
         }
 
-        const reply = comment.replies.id(replyId);
-        if (!reply) {
-            return res.status(404).json({ success: false, error: "Reply not found" });
+        res.redirect('/settings');
+    } catch (err) {
+        // console.error('Error cancelling account deletion:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Cancel link handed out when the deletion was scheduled - works without signing in
+// A malformed link gets the same page as an unknown one
+const validateDeletionCancelToken = validateParams({ token: { type: 'text', rule: 'token' } }, {
+    response: { view: 'cancel-deletion', locals: { hideHeader: true } }
+});
+
+server.get('/account-deletion/cancel/:token', validateDeletionCancelToken, async (req, res) => {
+    try {
+        const user = await findUserByDeletionToken(req.params.token);
+        if (!user) {
+            return res.status(400).render('cancel-deletion', {
+                hideHeader: true,
+                error: 'This link is invalid or the deletion has already been cancelled.'
+            });
         }
 
-        if (reply.user.toString() !== req.session.userId) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'REPLY_DELETE', replyId, 
-                            'Unauthorized attempt to delete reply', getClientIp(req));
-            return res.status(403).json({ success: false, error: "You can only delete your own replies" });
+        res.render('cancel-deletion', {
+            hideHeader: true,
+            valid: true,
+            token: req.params.token,
+            username: user.username,
+            scheduledFor: user.deletion.scheduledFor
+        });
+    } catch (err) {
+        // console.error('Deletion cancel link error:', err);
+        res.status(500).render('cancel-deletion', {
+            hideHeader: true,
+            error: 'An error occurred. Please try again later.'
+        });
+    }
+});
+
+server.post('/account-deletion/cancel/:token', rateLimit('deletionCancelLink'), validateDeletionCancelToken, async (req, res) => {
+    try {
+        const user = await findUserByDeletionToken(req.params.token);
+        if (!user) {
+            await logActivity(null, 'VALIDATION_FAILED', 'ACCOUNT_DELETION', 'unknown',
+                             'Account deletion cancel attempted with an invalid or used link', getClientIp(req));
+            return res.status(400).render('cancel-deletion', {
+                hideHeader: true,
+                error: 'This link is invalid or the deletion has already been cancelled.'
+            });
         }
 
-        reply.deleteOne();
-        post.markModified('comments');
-        await post.save();
+        await cancelAccountDeletion(user);
+        await logActivity(user._id, 'ACCOUNT_DELETION_CANCELLED', 'USER', user._id.toString(),
+                         `Cancelled the scheduled deletion of ${user.username} through the cancel link`, getClientIp(req));
 
-        res.json({ success: true, message: "Reply deleted successfully" });
+        res.render('cancel-deletion', { hideHeader: true, cancelled: true, username: user.username });
     } catch (err) {
-        // console.error("Error deleting reply:", err);
-        res.status(500).json({ success: false, error: "Internal Server Error" });
+        // console.error('Deletion cancel error:', err);
+        res.status(500).render('cancel-deletion', {
+            hideHeader: true,
+            error: 'An error occurred. Please try again later.'
+        });
     }
 });
 
-server.put('/edit-reply/:postId/:commentId/:replyId', isAuthenticated, async (req, res) => {
-    const { postId, commentId, replyId } = req.params;
-    const { updatedContent } = req.body;
+// ============================================
+// CHANGE PASSWORD ROUTE (with re-authentication)
+// ============================================
 
-    if (!updatedContent || updatedContent.trim() === "") {
-        // 2.4.4 - Log input validation failure
-        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'REPLY_EDIT', replyId, 
-                        'Reply edit failed: Empty content', getClientIp(req));
-        return res.status(400).json({ success: false, error: "Reply content cannot be empty" });
+// GET change password page
+server.get('/change-password', isAuthenticated, blockWhileImpersonating, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        res.render('changepassword', { 
+            userProfile: user,
+            previousLogin: req.session.previousLogin,
+            passwordChangeRequirement: getPasswordChangeRequirement(user)
+        });
+    } catch (err) {
+        // console.error('Error loading change password page:', err);
+        res.status(500).send('Internal Server Error');
     }
+});
+
+// POST change password
+server.post('/change-password', isAuthenticated, blockWhileImpersonating, validateRequest({
+    currentPassword: { type: 'text', required: true },
+    newPassword: { type: 'text', rule: 'password', required: true },
+    confirmPassword: { type: 'text', rule: 'password', required: true },
+    twoFactorCode: 'text'
+}), async (req, res) => {
+    const { currentPassword, newPassword, confirmPassword, twoFactorCode } = req.body;
 
     try {
-        const post = await Post.findById(postId);
-        const comment = post.comments.id(commentId);
-        const reply = comment.replies.id(replyId);
+        const user = await User.findById(req.session.userId);
+        
+        if (!user) {
+            return res.status(404).json({ success: false, error: "User not found" });
+        }
+
+        // 2.1.12 - Re-authenticate user with current password
+        const passwordMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!passwordMatch) {
+            await logActivity(user._id, 'FAILED_PASSWORD_CHANGE', 'USER', user._id.toString(), 
+                            `Failed password change attempt - incorrect current password`, 
+                            getClientIp(req));
+            return res.status(400).json({ success: false, error: "Current password is incorrect" });
+        }
 
-        if (!post || !comment || !reply) return res.status(404).json({ success: false });
+        // Enrolled users must also confirm the change with their second factor
+        if (user.twoFactorEnabled) {
+            const codeResult = await verifyTwoFactorCode(user, twoFactorCode);
+            if (!codeResult.valid) {
+                await logActivity(user._id, 'FAILED_PASSWORD_CHANGE', 'USER', user._id.toString(), 
+                                `Failed password change attempt - invalid two-factor code`, 
+                                getClientIp(req));
+                return res.status(400).json({ success: false, error: "Authentication code is incorrect" });
+            }
+        }
 
-        if (reply.user.toString() !== req.session.userId.toString()) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'REPLY_EDIT', replyId, 
-                            'Unauthorized attempt to edit reply', getClientIp(req));
-            return res.status(403).json({ success: false, error: "Unauthorized to edit this reply" });
+        // Validate new passwords match
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({ success: false, error: "New passwords do not match" });
         }
 
-        reply.content = updatedContent;
-        post.markModified('comments');
-        await post.save();
+        // 2.1.4 & 2.1.5 - Validate new password
+        const passwordValidation = validatePassword(newPassword, user.username);
+        if (!passwordValidation.isValid) {
+            return res.status(400).json({ success: false, error: passwordValidation.errors.join('. ') });
+        }
 
-        res.json({ success: true, updatedReply: updatedContent });
+        // 2.1.10 - Check if password is old enough to change
+        const ageCheck = canChangePassword(user);
+        if (!ageCheck.allowed) {
+            return res.status(400).json({ success: false, error: ageCheck.message });
+        }
+
+        // 2.1.9 - Check if password was used before
+        const isReused = await isPasswordReused(user, newPassword);
+        if (isReused) {
+            return res.status(400).json({ success: false, error: "Password has been used previously. Please choose a different password." });
+        }
+
+        // Hash new password
+        const newHashedPassword = await bcrypt.hash(newPassword, 10);
+
+        // 2.1.9 - Update password history and change password
+        await updatePasswordHistory(user, newHashedPassword);
+
+        // Sign out every other device that may have been using the old password
+        const revokedCount = await revokeUserSessions(user._id, req.sessionID);
+
+        await logActivity(user._id, 'PASSWORD_CHANGE', 'USER', user._id.toString(), 
+                         `Password changed successfully (${revokedCount} other session(s) revoked)`, getClientIp(req));
+
+        res.json({ success: true, message: "Password changed successfully!" });
     } catch (err) {
-        // console.error("Error editing reply:", err);
-        res.status(500).json({ success: false });
+        // console.error('Password change error:', err);
+        res.status(500).json({ success: false, error: "An error occurred while changing password" });
     }
 });
 
-server.post('/reply-like/:postId/:commentId/:replyId', isAuthenticated, async (req, res) => {
-    try {
-        const { postId, commentId, replyId } = req.params;
-        const userId = req.session.userId.toString();
-        const post = await Post.findById(postId);
-        if (!post) return res.status(404).json({ success: false, message: "Post not found" });
+// ============================================
+// POST MANAGEMENT ROUTES
+// ============================================
 
-        const comment = post.comments.id(commentId);
-        if (!comment) return res.status(404).json({ success: false, message: "Comment not found" });
+server.post('/create-post', isAuthenticated, requireNotRestricted, rateLimit('createPost'), upload.single("image"), validateUpload('postImage'), validateRequest({
+    caption: 'text',
+    postTag: { type: 'text', required: true }
+}), async (req, res) => {
+    const caption = req.body.caption?.trim() || "";
+    const postTag = req.body.postTag?.trim() || ""; 
+    const imageUrl = req.file ? `/uploads/${req.file.filename}` : "";
 
-        const reply = comment.replies.id(replyId);
-        if (!reply) return res.status(404).json({ success: false, message: "Reply not found" });
+    // Validate tag
+    if (!postTag) {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
+                        req.session.userId, 'Post creation failed: No category selected', getClientIp(req));
+        return res.status(400).json({ error: "Please select a category" });
+    }
+    
+    if (!ALLOWED_TAGS.includes(postTag)) {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
+                        req.session.userId, `Post creation failed: Invalid category ${postTag}`, getClientIp(req));
+        return res.status(400).json({ error: "Invalid category selected" });
+    }
 
-        reply.likes = reply.likes || [];
-        reply.dislikes = reply.dislikes || [];
+    if (!caption && !req.file) {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_CREATE', 
+                        req.session.userId, 'Post creation failed: No caption or image', getClientIp(req));
+        return res.status(400).json({ error: "Post must contain either a caption or an image." });
+    }
 
-        let liked = false;
-        if (!reply.likes.includes(userId)) {
-            reply.likes.push(userId);
-            reply.dislikes = reply.dislikes.filter(id => id.toString() !== userId);
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found." });
+        }
+
+        const newPost = new Post({
+            user: user._id,
+            caption,
+            postTag,
+            imageUrl: imageUrl || null
+        });
+
+        await newPost.save();
+        user.posts.push(newPost._id);
+        await user.save();
+
+        await logActivity(user._id, 'CREATE_POST', 'POST', newPost._id.toString(), 
+                         `Created post: ${caption.substring(0, 50)}`, getClientIp(req));
+
+        res.json({ success: true, message: "Post created successfully!" });
+    } catch (err) {
+        // console.error("Error creating post:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+server.patch('/edit-post/:postId', isAuthenticated, validatePostId, validateRequest({
+    caption: { type: 'text', required: true }
+}), async (req, res) => {
+    const { postId } = req.params;
+    const { caption } = req.body;
+
+    if (!caption) {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'POST_EDIT', postId, 
+                        'Post edit failed: Empty caption', getClientIp(req));
+        return res.status(400).json({ error: "Caption cannot be empty!" });
+    }
+
+    try {
+        const post = await Post.findById(postId);
+        if (!post) {
+            return res.status(404).json({ error: "Post not found" });
+        }
+
+        // 2.4.6 - Denials are logged by the policy
+        const user = await User.findById(req.session.userId);
+        const decision = await authorize(req, user, 'edit', 'post', post);
+        
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You don't have permission to edit this post" });
+        }
+
+        post.caption = caption;
+        post.edited = true;
+        await post.save();
+
+        await logActivity(req.session.userId, 'EDIT_POST', 'POST', postId, 
+                         `Edited post caption`, getClientIp(req));
+
+        res.status(200).json({ success: true, message: "Post updated successfully", post });
+    } catch (error) {
+        // console.error("Error updating post:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+server.delete('/delete-post/:postId', isAuthenticated, blockWhileImpersonating, validatePostId, async (req, res) => {
+    const { postId } = req.params;
+
+    try {
+        const post = await Post.findById(postId);
+        if (!post) {
+            // console.log('[DELETE] Post not found:', postId);
+            return res.status(404).json({ success: false, error: "Post not found" });
+        }
+
+        // console.log('[DELETE] Post found:', {
+        //     postId,
+        //     postTag: post.postTag,
+        //     postOwner: post.user,
+        //     requestingUser: req.session.userId
+        // });
+
+        const user = await User.findById(req.session.userId);
+        // console.log('[DELETE] User info:', {
+        //     userId: user._id,
+        //     role: user.role,
+        //     managedTags: user.managedTags
+        // });
+
+        // 2.4.6 - Denials are logged by the policy
+        const decision = await authorize(req, user, 'delete', 'post', post);
+        
+        // console.log('[DELETE] Can delete?', decision.allowed);
+        
+        if (!decision.allowed) {
+            return res.status(403).json({ success: false, error: "You don't have permission to delete this post" });
+        }
+
+        // Check if there are pending reports for this post
+        const { Report } = require('./moderation-schemas');
+        const pendingReports = await Report.find({ 
+            post: postId, 
+            status: { $in: ['pending', 'reviewed'] } 
+        });
+
+        if (pendingReports.length > 0) {
+            // Soft delete if there are pending reports (legal hold)
+            await Post.findByIdAndUpdate(postId, {
+                isDeleted: true,
+                deletedBy: req.session.userId,
+                deletedAt: new Date(),
+                deletionReason: 'Deleted by user (pending reports)'
+            });
+            await logActivity(req.session.userId, 'SOFT_DELETE_POST', 'POST', postId, 
+                             `Soft deleted post (pending reports): ${post.caption.substring(0, 50)}`, getClientIp(req));
+        } else {
+            // Hard delete if no pending reports (respects privacy)
+            await Post.findByIdAndDelete(postId);
+            await logActivity(req.session.userId, 'DELETE_POST', 'POST', postId, 
+                             `Deleted post: ${post.caption.substring(0, 50)}`, getClientIp(req));
+        }
+
+        res.json({ success: true, message: "Post deleted successfully" });
+    } catch (err) {
+        // console.error("Error deleting post:", err);
+        res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+});
+
+// ============================================
+// LIKE/DISLIKE ROUTES
+// ============================================
+
+server.post('/like/:postId', isAuthenticated, requireNotRestricted, validatePostId, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const post = await Post.findById(req.params.postId);
+        if (!user || !post) return res.status(404).json({ success: false });
+
+        let liked = false;
+        let wasDisliked = false;
+
+        if (!user.likes.includes(post._id)) {
+            user.likes.push(post._id);
+            if (user.dislikes.includes(post._id)) {
+                wasDisliked = true;
+                user.dislikes = user.dislikes.filter(p => p.toString() !== post._id.toString());
+            }
             liked = true;
         } else {
-            reply.likes = reply.likes.filter(id => id.toString() !== userId);
+            user.likes = user.likes.filter(p => p.toString() !== post._id.toString());
+            liked = false;
+        }
+        await user.save();
+
+        if (liked) {
+            await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: 1 } });
+            if (wasDisliked) {
+                await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: -1 } });
+            }
+        } else {
+            await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: -1 } });
+        }
+        
+        const updatedPost = await Post.findById(post._id);
+        res.json({ success: true, liked, likesCount: updatedPost.likesCount, dislikesCount: updatedPost.dislikesCount });
+    } catch (err) {
+        // console.error("Like error:", err);
+        res.status(500).json({ success: false });
+    }
+});
+
+server.post('/dislike/:postId', isAuthenticated, requireNotRestricted, validatePostId, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        const post = await Post.findById(req.params.postId);
+        if (!user || !post) return res.status(404).json({ success: false });
+
+        let disliked = false;
+        let wasLiked = false;
+
+        if (!user.dislikes.includes(post._id)) {
+            user.dislikes.push(post._id);
+            if (user.likes.includes(post._id)) {
+                wasLiked = true;
+                user.likes = user.likes.filter(p => p.toString() !== post._id.toString());
+            }
+            disliked = true;
+        } else {
+            user.dislikes = user.dislikes.filter(p => p.toString() !== post._id.toString());
+            disliked = false;
+        }
+        await user.save();
+
+        if (disliked) {
+            await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: 1 } });
+            if (wasLiked) {
+                await Post.findByIdAndUpdate(post._id, { $inc: { likesCount: -1 } });
+            }
+        } else {
+            await Post.findByIdAndUpdate(post._id, { $inc: { dislikesCount: -1 } });
+        }
+        
+        const updatedPost = await Post.findById(post._id);
+        res.json({ success: true, disliked, likesCount: updatedPost.likesCount, dislikesCount: updatedPost.dislikesCount });
+    } catch (err) {
+        // console.error("Dislike error:", err);
+        res.status(500).json({ success: false });
+    }
+});
+
+// ============================================
+// COMMENT ROUTES
+// ============================================
+
+server.post('/add-comment/:postId', isAuthenticated, requireNotRestricted, rateLimit('addComment'), validatePostId, validateRequest({
+    commentText: { type: 'text', rule: 'comment', required: true }
+}), async (req, res) => {
+    try {
+        const postId = req.params.postId;
+        const { commentText } = req.body;
+
+        if (!postId || !commentText) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_CREATE', postId, 
+                            'Comment creation failed: Missing content', getClientIp(req));
+            return res.status(400).json({ error: "Missing postId or commentText." });
+        }
+
+        // Additional validation for comment length
+        if (commentText.trim().length === 0) {
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_CREATE', postId, 
+                            'Comment creation failed: Empty comment', getClientIp(req));
+            return res.status(400).json({ error: "Comment cannot be empty." });
+        }
+
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.status(400).json({ error: "User not found." });
+        }
+
+        const newComment = {
+            _id: new mongoose.Types.ObjectId(),
+            user: user._id,
+            profilePic: user.profilePic,
+            content: commentText
+        };
+
+        await Post.updateOne(
+            { _id: postId },
+            { $push: { comments: newComment } },
+            { runValidators: false }
+        );
+
+        await logActivity(user._id, 'CREATE_COMMENT', 'COMMENT', newComment._id.toString(), 
+                         `Commented on post ${postId}`, getClientIp(req));
+
+        const renderedComment = await server.render('partials/comment', {
+            layout: false,
+            _id: newComment._id.toString(),
+            postId: postId,
+            user: {
+                username: user.username,
+                profilePic: user.profilePic
+            },
+            content: commentText,
+            likes: [],
+            dislikes: [],
+            isOwner: true,
+            canModerate: false
+        });
+        
+        res.status(200).json({
+            success: true,
+            html: renderedComment
+        });
+
+    } catch (error) {
+        // console.error("Critical Error in /add-comment route:", error);
+        res.status(500).json({ error: "Internal server error." });
+    }
+});
+
+server.put('/edit-comment/:postId/:commentId', isAuthenticated, validateCommentIds, validateRequest({
+    updatedContent: { type: 'text', rule: 'comment', required: true }
+}), async (req, res) => {
+    const { postId, commentId } = req.params;
+    const { updatedContent } = req.body;
+
+    if (!updatedContent.trim()) {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'COMMENT_EDIT', commentId, 
+                        'Comment edit failed: Empty content', getClientIp(req));
+        return res.status(400).json({ error: "Comment content cannot be empty." });
+    }
+
+    try {
+        const post = await Post.findOne({ _id: postId, "comments._id": commentId });
+        if (!post) {
+            return res.status(404).json({ error: "Post or Comment not found." });
+        }
+
+        const comment = post.comments.id(commentId);
+        if (!comment) {
+            return res.status(404).json({ error: "Comment not found." });
+        }
+
+        // 2.4.6 - Denials are logged by the policy
+        const user = await User.findById(req.session.userId);
+        const decision = await authorize(req, user, 'edit', 'comment', comment, { post });
+        
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You don't have permission to edit this comment" });
+        }
+
+        await Post.updateOne(
+            { _id: postId, "comments._id": commentId },
+            { $set: { "comments.$.content": updatedContent } }
+        );
+
+        await logActivity(req.session.userId, 'EDIT_COMMENT', 'COMMENT', commentId, 
+                         `Edited comment on post ${postId}`, getClientIp(req));
+
+        res.json({ success: true, message: "Comment updated successfully.", updatedComment: updatedContent });
+    } catch (error) {
+        // console.error("Error editing comment:", error);
+        res.status(500).json({ error: "Internal Server Error." });
+    }
+});
+
+server.delete('/delete-comment/:postId/:commentId', isAuthenticated, blockWhileImpersonating, validateCommentIds, async (req, res) => {
+    const { postId, commentId } = req.params;
+
+    try {
+        const post = await Post.findById(postId);
+        if (!post) {
+            return res.status(404).json({ success: false, error: "Post not found" });
+        }
+
+        const comment = post.comments.id(commentId);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        // 2.4.6 - Denials are logged by the policy
+        const user = await User.findById(req.session.userId);
+        const decision = await authorize(req, user, 'delete', 'comment', comment, { post });
+        
+        if (!decision.allowed) {
+            return res.status(403).json({ success: false, error: "You don't have permission to delete this comment" });
+        }
+
+        comment.deleteOne();
+        await post.save();
+
+        await logActivity(req.session.userId, 'DELETE_COMMENT', 'COMMENT', commentId, 
+                         `Deleted comment from post ${postId}`, getClientIp(req));
+
+        return res.json({ success: true, message: "Comment deleted successfully" });
+    } catch (err) {
+        // console.error("Error deleting comment:", err);
+        return res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+});
+
+server.post('/like-comment/:postId/:commentId', isAuthenticated, validateCommentIds, async (req, res) => {
+    try {
+        const { postId, commentId } = req.params;
+        const post = await Post.findById(postId);
+        if (!post) {
+            return res.status(404).json({ success: false, message: "Post not found" });
+        }
+        const comment = post.comments.id(commentId);
+        if (!comment) {
+            return res.status(404).json({ success: false, message: "Comment not found" });
+        }
+        
+        if (!comment.likes) comment.likes = [];
+        if (!comment.dislikes) comment.dislikes = [];
+        
+        let liked = false;
+        const userId = req.session.userId.toString();
+        
+        if (!comment.likes.includes(userId)) {
+            comment.likes.push(userId);
+            comment.dislikes = comment.dislikes.filter(uid => uid.toString() !== userId);
+            liked = true;
+        } else {
+            comment.likes = comment.likes.filter(uid => uid.toString() !== userId);
+            liked = false;
+        }
+        post.markModified('comments');
+
+        await post.save();
+        return res.json({
+            success: true,
+            liked,
+            likesCount: comment.likes.length,
+            dislikesCount: comment.dislikes.length
+        });
+    } catch (err) {
+        // console.error("Error in like-comment endpoint:", err);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+});
+
+server.post('/dislike-comment/:postId/:commentId', isAuthenticated, validateCommentIds, async (req, res) => {
+    try {
+        const { postId, commentId } = req.params;
+        const post = await Post.findById(postId);
+        if (!post) {
+            return res.status(404).json({ success: false, message: "Post not found" });
+        }
+        const comment = post.comments.id(commentId);
+        if (!comment) {
+            return res.status(404).json({ success: false, message: "Comment not found" });
+        }
+        
+        if (!comment.likes) comment.likes = [];
+        if (!comment.dislikes) comment.dislikes = [];
+        
+        let disliked = false;
+        const userId = req.session.userId.toString();
+        
+        if (!comment.dislikes.includes(userId)) {
+            comment.dislikes.push(userId);
+            comment.likes = comment.likes.filter(uid => uid.toString() !== userId);
+            disliked = true;
+        } else {
+            comment.dislikes = comment.dislikes.filter(uid => uid.toString() !== userId);
+            disliked = false;
+        }
+        
+        post.markModified('comments');
+
+        await post.save();
+        return res.json({
+            success: true,
+            disliked,
+            likesCount: comment.likes.length,
+            dislikesCount: comment.dislikes.length
+        });
+    } catch (err) {
+        // console.error("Error in dislike-comment endpoint:", err);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+});
+
+// ============================================
+// REPLY ROUTES
+// ============================================
+
+server.post('/reply-comment/:postId/:commentId', isAuthenticated, validateCommentIds, validateRequest({
+    replyText: { type: 'text', rule: 'comment', required: true }
+}), async (req, res) => {
+    const { postId, commentId } = req.params;
+    const { replyText } = req.body;
+
+    if (!replyText || !replyText.trim()) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'REPLY_CREATE', commentId, 
+                            'Reply creation failed: Empty content', getClientIp(req));
+            return res.status(400).json({ error: "Reply content is required." });
+        }
+
+    try {
+        const post = await Post.findById(postId);
+        const user = await User.findById(req.session.userId);
+
+        if (!post || !user) return res.status(404).json({ success: false });
+
+        const newReply = {
+            _id: new mongoose.Types.ObjectId(),
+            user: user._id,
+            content: replyText,
+            createdAt: new Date(),
+            likes: [],
+            dislikes: []
+        };
+
+        const comment = post.comments.id(commentId);
+        if (!comment) return res.status(404).json({ success: false });
+
+        comment.replies.push(newReply);
+        post.markModified('comments');
+        await post.save();
+
+        const renderedReply = await server.render('partials/reply', {
+            layout: false,
+            _id: newReply._id.toString(),
+            postId: postId,
+            commentId: commentId,
+            user: {
+                username: user.username,
+                profilePic: user.profilePic
+            },
+            content: replyText,
+            likes: [],
+            dislikes: [],
+            isOwner: true,
+            isReply: true
+        });        
+
+        res.status(200).json({ success: true, html: renderedReply });
+    } catch (err) {
+        // console.error("Reply Error:", err);
+        res.status(500).json({ success: false });
+    }
+});
+
+server.delete('/delete-reply/:postId/:commentId/:replyId', isAuthenticated, blockWhileImpersonating, validateReplyIds, async (req, res) => {
+    const { postId, commentId, replyId } = req.params;
+
+    try {
+        const post = await Post.findById(postId);
+        if (!post) {
+            return res.status(404).json({ success: false, error: "Post not found" });
+        }
+
+        const comment = post.comments.id(commentId);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: "Comment not found" });
+        }
+
+        const reply = comment.replies.id(replyId);
+        if (!reply) {
+            return res.status(404).json({ success: false, error: "Reply not found" });
+        }
+
+        // 2.4.6 - Denials are logged by the policy
+        const user = await User.findById(req.session.userId);
+        const decision = await authorize(req, user, 'delete', 'reply', reply, { post });
+
+        if (!decision.allowed) {
+            return res.status(403).json({ success: false, error: "You don't have permission to delete this reply" });
+        }
+
+        reply.deleteOne();
+        post.markModified('comments');
+        await post.save();
+
+        res.json({ success: true, message: "Reply deleted successfully" });
+    } catch (err) {
+        // console.error("Error deleting reply:", err);
+        res.status(500).json({ success: false, error: "Internal Server Error" });
+    }
+});
+
+server.put('/edit-reply/:postId/:commentId/:replyId', isAuthenticated, validateReplyIds, validateRequest({
+    updatedContent: { type: 'text', rule: 'comment', required: true }
+}), async (req, res) => {
+    const { postId, commentId, replyId } = req.params;
+    const { updatedContent } = req.body;
+
+    if (!updatedContent || updatedContent.trim() === "") {
+        // 2.4.4 - Log input validation failure
+        await logActivity(req.session.userId, 'VALIDATION_FAILED', 'REPLY_EDIT', replyId, 
+                        'Reply edit failed: Empty content', getClientIp(req));
+        return res.status(400).json({ success: false, error: "Reply content cannot be empty" });
+    }
+
+    try {
+        const post = await Post.findById(postId);
+        if (!post) return res.status(404).json({ success: false, error: "Post not found" });
+
+        const comment = post.comments.id(commentId);
+        if (!comment) return res.status(404).json({ success: false, error: "Comment not found" });
+
+        const reply = comment.replies.id(replyId);
+        if (!reply) return res.status(404).json({ success: false, error: "Reply not found" });
+
+        // 2.4.6 - Denials are logged by the policy
+        const user = await User.findById(req.session.userId);
+        const decision = await authorize(req, user, 'edit', 'reply', reply, { post });
+
+        if (!decision.allowed) {
+            return res.status(403).json({ success: false, error: "You don't have permission to edit this reply" });
+        }
+
+        reply.content = updatedContent;
+        post.markModified('comments');
+        await post.save();
+
+        res.json({ success: true, updatedReply: updatedContent });
+    } catch (err) {
+        // console.error("Error editing reply:", err);
+        res.status(500).json({ success: false });
+    }
+});
+
+server.post('/reply-like/:postId/:commentId/:replyId', isAuthenticated, validateReplyIds, async (req, res) => {
+    try {
+        const { postId, commentId, replyId } = req.params;
+        const userId = req.session.userId.toString();
+        const post = await Post.findById(postId);
+        if (!post) return res.status(404).json({ success: false, message: "Post not found" });
+
+        const comment = post.comments.id(commentId);
+        if (!comment) return res.status(404).json({ success: false, message: "Comment not found" });
+
+        const reply = comment.replies.id(replyId);
+        if (!reply) return res.status(404).json({ success: false, message: "Reply not found" });
+
+        reply.likes = reply.likes || [];
+        reply.dislikes = reply.dislikes || [];
+
+        let liked = false;
+        if (!reply.likes.includes(userId)) {
+            reply.likes.push(userId);
+            reply.dislikes = reply.dislikes.filter(id => id.toString() !== userId);
+            liked = true;
+        } else {
+            reply.likes = reply.likes.filter(id => id.toString() !== userId);
+        }
+
+        post.markModified('comments');
+        await post.save();
+
+        res.json({
+            success: true,
+            liked,
+            likesCount: reply.likes.length,
+            dislikesCount: reply.dislikes.length
+        });
+    } catch (err) {
+        // console.error("Error liking reply:", err);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+});
+
+server.post('/reply-dislike/:postId/:commentId/:replyId', isAuthenticated, validateReplyIds, async (req, res) => {
+    try {
+        const { postId, commentId, replyId } = req.params;
+        const userId = req.session.userId.toString();
+        const post = await Post.findById(postId);
+        if (!post) return res.status(404).json({ success: false, message: "Post not found" });
+
+        const comment = post.comments.id(commentId);
+        if (!comment) return res.status(404).json({ success: false, message: "Comment not found" });
+
+        const reply = comment.replies.id(replyId);
+        if (!reply) return res.status(404).json({ success: false, message: "Reply not found" });
+
+        reply.likes = reply.likes || [];
+        reply.dislikes = reply.dislikes || [];
+
+        let disliked = false;
+        if (!reply.dislikes.includes(userId)) {
+            reply.dislikes.push(userId);
+            reply.likes = reply.likes.filter(id => id.toString() !== userId);
+            disliked = true;
+        } else {
+            reply.dislikes = reply.dislikes.filter(id => id.toString() !== userId);
+        }
+
+        post.markModified('comments');
+        await post.save();
+
+        res.json({
+            success: true,
+            disliked,
+            likesCount: reply.likes.length,
+            dislikesCount: reply.dislikes.length
+        });
+    } catch (err) {
+        // console.error("Error disliking reply:", err);
+        res.status(500).json({ success: false, message: "Server error" });
+    }
+});
+
+// ============================================
+// USER RESTRICTION CHECK API
+// ============================================
+
+// API endpoint to check if current user has active restrictions
+server.get('/api/check-restriction', isAuthenticated, async (req, res) => {
+    try {
+        const restrictionStatus = await checkUserRestriction(req.session.userId);
+        res.json(restrictionStatus);
+    } catch (err) {
+        // console.error("Error checking restriction:", err);
+        res.status(500).json({ 
+            restricted: false, 
+            restriction: null, 
+            message: null 
+        });
+    }
+});
+
+// ============================================
+// MODERATION ROUTES (Manager & Administrator)
+// ============================================
+
+// Register all moderation routes (reports, user restrictions, etc.)
+const registerModerationRoutes = require('./moderation-routes');
+registerModerationRoutes(server, isAuthenticated);
+
+// ============================================
+// STEP-UP RE-AUTHENTICATION (2.1.13)
+// ============================================
+
+// Only return to paths on this site ("/admin/logs/export", not "//evil.example")
+function getStepUpReturnPath(returnTo) {
+    if (typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/\\')) {
+        return returnTo;
+    }
+    return '/admin';
+}
+
+// Confirm page for sensitive links (requireStepUp redirects GET requests here)
+server.get(STEP_UP_PATH, isAuthenticated, blockWhileImpersonating, async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+
+        const returnTo = getStepUpReturnPath(req.query.returnTo);
+        const ssoLinked = isOidcEnabled() && !!(user.sso && user.sso.subject);
+
+        res.render('step-up', {
+            returnTo,
+            twoFactorEnabled: user.twoFactorEnabled,
+            windowMinutes: STEP_UP_WINDOW_MINUTES,
+            sso: ssoLinked ? {
+                providerName: OIDC_CONFIG.providerName,
+                url: `${SSO_LOGIN_PATH}?intent=step-up&returnTo=${encodeURIComponent(returnTo)}`
+            } : null
+        });
+    } catch (err) {
+        // console.error('Step-up page error:', err);
+        res.status(500).render('error', {
+            message: 'Internal Server Error',
+            detail: 'Unable to load the confirmation page.'
+        });
+    }
+});
+
+// Re-enter the password (or a 2FA code); answered as JSON for the modal and the confirm page
+server.post(STEP_UP_PATH, isAuthenticated, blockWhileImpersonating, rateLimit('stepUp'), validateRequest({
+    password: { type: 'text', rule: 'currentPassword' },
+    code: { type: 'text', rule: 'twoFactorCode' }
+}), async (req, res) => {
+    const { password, code } = req.body;
+
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Please log in again.' });
+        }
+
+        const useCode = !!code && user.twoFactorEnabled;
+        const method = useCode ? 'two-factor code' : 'password';
+        const verified = useCode
+            ? (await verifyTwoFactorCode(user, code)).valid
+            : typeof password === 'string' && !!password && await bcrypt.compare(password, user.password);
+
+        if (!verified) {
+            // 2.4.6 - Log failed re-authentication
+            await logActivity(user._id, 'STEP_UP_FAILED', 'USER', user._id.toString(),
+                             `Re-authentication failed (${method})`, getClientIp(req));
+            return res.status(401).json({
+                success: false,
+                error: useCode ? 'Invalid authentication code.' : 'Incorrect password.'
+            });
+        }
+
+        req.session.stepUpAt = Date.now();
+
+        await logActivity(user._id, 'STEP_UP_CONFIRMED', 'USER', user._id.toString(),
+                         `Re-authenticated with ${method} for sensitive actions (valid ${STEP_UP_WINDOW_MINUTES} minutes)`,
+                         getClientIp(req));
+
+        res.json({ success: true, expiresInMinutes: STEP_UP_WINDOW_MINUTES });
+    } catch (err) {
+        // console.error('Step-up error:', err);
+        res.status(500).json({ success: false, error: 'An error occurred. Please try again.' });
+    }
+});
+
+// ============================================
+// SINGLE SIGN-ON (OpenID Connect)
+// ============================================
+
+const SSO_LOGIN_PATH = '/auth/sso/login';
+const SSO_CALLBACK_PATH = '/auth/sso/callback'; // Must match OIDC_REDIRECT_URI
+const SSO_INTENTS = ['login', 'link', 'step-up'];
+
+// Send a failed sign-in back to where it started
+async function renderSsoFailure(req, res, intent, message, status = 400) {
+    if (intent === 'link' && req.session.userId) {
+        const user = await User.findById(req.session.userId);
+        if (user) {
+            return renderSettings(res.status(status), user, { ssoError: message });
+        }
+    }
+    if (intent === 'step-up') {
+        return res.status(status).render('error', {
+            message: 'Confirmation Failed',
+            detail: message
+        });
+    }
+    res.status(status).render('login', {
+        hideHeader: true,
+        sso: getSsoLoginOption(),
+        error: message
+    });
+}
+
+// Sign in (provisioning an account the first time) and apply the IdP group roles
+async function loginWithSso(req, res, claims, user) {
+    if (!user) {
+        // New accounts follow the registration mode. The provider can't carry an invite
+        // code, so on invite-only sites the account is registered with the code first
+        // and the provider linked from settings afterwards.
+        const registrationMode = getRegistrationMode();
+        if (registrationMode === 'closed' || registrationMode === 'invite') {
+            await logActivity(null, 'REGISTRATION_BLOCKED', 'REGISTER', claims.preferred_username || claims.sub, 
+                            `${OIDC_CONFIG.providerName} sign-up refused for subject ${claims.sub}: registration is ${registrationMode === 'closed' ? 'closed' : 'invite-only'}`, 
+                            getClientIp(req));
+            return renderSsoFailure(req, res, 'login', registrationMode === 'closed'
+                ? 'Registration is currently closed. Ask an administrator to create your account.'
+                : `Registration needs an invite code. Register with your code first, then link ${OIDC_CONFIG.providerName} from your settings.`, 403);
+        }
+
+        user = await provisionSsoUser(claims, { pendingApproval: registrationMode === 'approval' });
+        await logActivity(user._id, 'SSO_USER_PROVISIONED', 'USER', user._id.toString(), 
+                         `Account ${user.username} (${user.role}) created for ${OIDC_CONFIG.providerName} subject ${claims.sub}${registrationMode === 'approval' ? ', waiting for approval' : ''}`, 
+                         getClientIp(req));
+
+        // Approval mode - no session until an administrator approves the account
+        if (registrationMode === 'approval') {
+            return res.render('login', {
+                hideHeader: true,
+                sso: getSsoLoginOption(),
+                success: 'Your account has been created and is waiting for an administrator to approve it. You can log in once it is approved.'
+            });
+        }
+    } else {
+        const lockStatus = await isAccountLocked(user);
+        if (lockStatus.locked) {
+            await logActivity(user._id, 'LOCKED_LOGIN_ATTEMPT', 'USER', user._id.toString(), 
+                            `Single sign-on attempt on locked account`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Account locked');
+            return renderSsoFailure(req, res, 'login', lockStatus.message, 403);
+        }
+
+        const restrictionStatus = await checkUserRestriction(user._id);
+        if (restrictionStatus.restricted) {
+            await logActivity(user._id, 'RESTRICTED_LOGIN_ATTEMPT', 'USER', user._id.toString(),
+                            `Single sign-on attempt by restricted user`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Account restricted');
+            return renderSsoFailure(req, res, 'login', restrictionStatus.message, 403);
+        }
+
+        const registrationBlock = getRegistrationBlock(user);
+        if (registrationBlock) {
+            await logActivity(user._id, 'UNAPPROVED_LOGIN_ATTEMPT', 'USER', user._id.toString(), 
+                            `Single sign-on attempt on ${user.registration.status} registration`, getClientIp(req));
+            await recordLoginAttempt(req, user, false, 'Registration not approved');
+            return renderSsoFailure(req, res, 'login', registrationBlock, 403);
+        }
+
+        // 2.4.6 - Log role / managed tag changes coming from the identity provider
+        const change = await syncSsoUser(user, claims);
+        if (change) {
+            await logActivity(user._id, 'SSO_ROLE_SYNCED', 'USER', user._id.toString(), 
+                             `${user.username} updated from ${OIDC_CONFIG.providerName} groups: ${change}`, getClientIp(req));
+        }
+    }
+
+    await completeLogin(req, user, 'sso');
+    res.redirect('/home');
+}
+
+// Attach the provider identity to the signed-in account (from settings)
+async function linkSsoAccount(req, res, claims, linkedUser) {
+    const user = await User.findById(req.session.userId);
+    if (!user) {
+        return res.redirect('/login');
+    }
+
+    if (linkedUser && !linkedUser._id.equals(user._id)) {
+        await logActivity(user._id, 'SSO_FAILED', 'USER', user._id.toString(), 
+                         `Link refused: ${OIDC_CONFIG.providerName} subject ${claims.sub} already belongs to ${linkedUser.username}`, 
+                         getClientIp(req));
+        return renderSsoFailure(req, res, 'link', `That ${OIDC_CONFIG.providerName} account is already linked to another user.`, 409);
+    }
+
+    await linkSsoIdentity(user, claims);
+    await logActivity(user._id, 'SSO_LINKED', 'USER', user._id.toString(), 
+                     `Linked ${OIDC_CONFIG.providerName} subject ${claims.sub}${claims.email ? ` (${claims.email})` : ''}`, 
+                     getClientIp(req));
+
+    renderSettings(res, user, { ssoSuccess: `Your ${OIDC_CONFIG.providerName} account is now linked.` });
+}
+
+// Step-up through the provider: must be the same identity, freshly authenticated
+async function confirmSsoStepUp(req, res, claims, linkedUser, returnTo) {
+    const userId = req.session.userId;
+    // max_age was requested, so the provider must say when the user signed in - no auth_time, no step-up
+    const hasAuthTime = typeof claims.auth_time === 'number';
+    const freshAuth = hasAuthTime && Date.now() / 1000 - claims.auth_time < STEP_UP_WINDOW_MINUTES * 60;
+
+    if (!linkedUser || !linkedUser._id.equals(userId) || !freshAuth) {
+        const failure = !hasAuthTime ? 'provider did not report the sign-in time'
+            : !freshAuth ? 'sign-in was not recent'
+            : 'different identity';
+        await logActivity(userId, 'STEP_UP_FAILED', 'USER', userId.toString(), 
+                         `Re-authentication failed (${OIDC_CONFIG.providerName}: ${failure})`, 
+                         getClientIp(req));
+        return renderSsoFailure(req, res, 'step-up', `Please confirm with the ${OIDC_CONFIG.providerName} account linked to your profile.`, 401);
+    }
+
+    req.session.stepUpAt = Date.now();
+
+    await logActivity(userId, 'STEP_UP_CONFIRMED', 'USER', userId.toString(),
+                     `Re-authenticated with ${OIDC_CONFIG.providerName} for sensitive actions (valid ${STEP_UP_WINDOW_MINUTES} minutes)`,
+                     getClientIp(req));
+
+    res.redirect(returnTo || '/admin');
+}
+
+// Start a sign-in at the identity provider
+server.get(SSO_LOGIN_PATH, async (req, res) => {
+    if (!isOidcEnabled()) {
+        return res.status(404).render('error', {
+            message: 'Not Found',
+            detail: 'Single sign-on is not configured.'
+        });
+    }
+
+    const intent = SSO_INTENTS.includes(req.query.intent) ? req.query.intent : 'login';
+    if (intent === 'login' && req.session.userId) {
+        return res.redirect('/home');
+    }
+    if (intent !== 'login' && !req.session.userId) {
+        return res.redirect('/login');
+    }
+    if (intent !== 'login' && req.session.isSwitched) {
+        return res.status(403).render('error', {
+            message: 'Not Available',
+            detail: 'Return to your own account before changing single sign-on settings.'
+        });
+    }
+
+    try {
+        const returnTo = intent === 'step-up' ? getStepUpReturnPath(req.query.returnTo) : null;
+        res.redirect(await buildAuthorizationUrl(req, intent, returnTo));
+    } catch (err) {
+        // console.error('SSO start error:', err);
+        await logActivity(req.session.userId || null, 'SSO_FAILED', 'USER', '', 
+                         `Could not start single sign-on with ${OIDC_CONFIG.issuer}: ${err.message}`, getClientIp(req));
+        renderSsoFailure(req, res, intent, `${OIDC_CONFIG.providerName} is unavailable right now. Please try again later.`, 502);
+    }
+});
+
+// The provider sends the browser back here with ?code=&state= (or ?error=)
+server.get(SSO_CALLBACK_PATH, rateLimit('ssoCallback'), async (req, res) => {
+    const pending = takePendingOidcFlow(req, req.query.state);
+    const intent = pending ? pending.intent : 'login';
+
+    try {
+        if (!pending) {
+            await logActivity(req.session.userId || null, 'SSO_FAILED', 'USER', '', 
+                             `Single sign-on callback with an unknown or expired state`, getClientIp(req));
+            return renderSsoFailure(req, res, intent, 'Your single sign-on attempt expired. Please try again.');
+        }
+        if (req.query.error) {
+            await logActivity(req.session.userId || null, 'SSO_FAILED', 'USER', '', 
+                             `${OIDC_CONFIG.providerName} returned "${req.query.error}" (${intent})`, getClientIp(req));
+            return renderSsoFailure(req, res, intent, `${OIDC_CONFIG.providerName} did not complete the sign-in.`);
+        }
+
+        let claims;
+        try {
+            claims = await completeAuthorization(req.query.code, pending);
+        } catch (err) {
+            // 2.4.6 - Log rejected tokens (bad signature, wrong audience, replayed nonce...)
+            await logActivity(req.session.userId || null, 'SSO_FAILED', 'USER', '', 
+                             `${OIDC_CONFIG.providerName} sign-in rejected (${intent}): ${err.message}`, getClientIp(req));
+            return renderSsoFailure(req, res, intent, `Unable to verify your ${OIDC_CONFIG.providerName} sign-in. Please try again.`);
+        }
+
+        const linkedUser = await findUserBySubject(claims);
+
+        if (intent === 'link') {
+            return linkSsoAccount(req, res, claims, linkedUser);
+        }
+        if (intent === 'step-up') {
+            return confirmSsoStepUp(req, res, claims, linkedUser, pending.returnTo);
+        }
+        await loginWithSso(req, res, claims, linkedUser);
+    } catch (err) {
+        // console.error('SSO callback error:', err);
+        res.status(500).render('error', {
+            message: 'Internal Server Error',
+            detail: 'Unable to complete single sign-on. Please try again later.'
+        });
+    }
+});
+
+// Remove the provider link (password accounts only - see renderSettings canUnlink)
+server.post('/settings/sso/unlink', isAuthenticated, blockWhileImpersonating, validateRequest({
+    currentPassword: { type: 'text', required: true }
+}, { response: rerenderUserPage(renderSettings, 'ssoError') }), async (req, res) => {
+    const { currentPassword } = req.body;
+
+    try {
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (!user.sso || !user.sso.subject) {
+            return res.redirect('/settings');
+        }
+        if (isSsoOnlyAccount(user) || isLocalLoginDisabledForRole(user.role)) {
+            return renderSettings(res.status(400), user, { ssoError: 'Your account signs in through single sign-on, so it cannot be unlinked.' });
+        }
+        if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+            await logActivity(user._id, 'VALIDATION_FAILED', 'USER', user._id.toString(), 
+                             'Single sign-on unlink failed: Incorrect current password', getClientIp(req));
+            return renderSettings(res.status(400), user, { ssoError: 'Current password is incorrect.' });
+        }
+
+        const subject = user.sso.subject;
+        user.sso = {};
+        await user.save();
+
+        await logActivity(user._id, 'SSO_UNLINKED', 'USER', user._id.toString(), 
+                         `Unlinked ${OIDC_CONFIG.providerName} subject ${subject}`, getClientIp(req));
+
+        renderSettings(res, user, { ssoSuccess: `Your ${OIDC_CONFIG.providerName} account has been unlinked.` });
+    } catch (err) {
+        // console.error('SSO unlink error:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// ============================================
+// ADMIN ROUTES (Administrator only)
+// ============================================
+
+server.get('/admin', isAdministrator, async (req, res) => {
+    try {
+        const totalUsers = await User.countDocuments();
+        const totalPosts = await Post.countDocuments();
+        const totalAdmins = await User.countDocuments({ role: 'administrator' });
+        const totalManagers = await User.countDocuments({ role: 'manager' });
+        const totalRegularUsers = await User.countDocuments({ role: 'user' });
+        
+        const recentLogs = await ActivityLog.find()
+            .populate('user', 'username role')
+            .sort({ timestamp: -1 })
+            .limit(20);
+
+        const pendingApprovals = await listPendingApprovals(req.currentUser);
+        const pendingRegistrations = hasPermission(req.currentUser, 'user.manage') ? await listPendingRegistrations() : [];
+
+        res.render('admin/dashboard', {
+            userProfile: req.user,
+            stats: {
+                totalUsers,
+                totalPosts,
+                totalAdmins,
+                totalManagers,
+                totalRegularUsers
+            },
+            recentLogs,
+            pendingApprovals,
+            pendingRegistrations,
+            registrationMode: getRegistrationMode()
+        });
+    } catch (err) {
+        // console.error("Error loading admin dashboard:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// ============================================
+// TWO-PERSON APPROVAL QUEUE
+// ============================================
+
+const validateApprovalRequest = [
+    validateParams({ requestId: 'objectId' }),
+    validateRequest({ note: { type: 'text', rule: 'reason' } })
+];
+
+// Approve a pending request; the held action runs now
+server.post('/admin/approvals/:requestId/approve', isAdministrator, validateApprovalRequest, requireStepUp, async (req, res) => {
+    try {
+        const { error, status } = await decideApproval(req, req.params.requestId, 'approve', req.body.note);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        res.json({ success: true, message: "Approved - the action has been carried out" });
+    } catch (err) {
+        // console.error("Error approving request:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+server.post('/admin/approvals/:requestId/reject', isAdministrator, blockWhileImpersonating, validateApprovalRequest, async (req, res) => {
+    try {
+        const { error, status } = await decideApproval(req, req.params.requestId, 'reject', req.body.note);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        res.json({ success: true, message: "Request rejected - nothing was changed" });
+    } catch (err) {
+        // console.error("Error rejecting request:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// The requester withdraws their own request
+server.post('/admin/approvals/:requestId/cancel', isAdministrator, blockWhileImpersonating, validateApprovalRequest, async (req, res) => {
+    try {
+        const { error } = await cancelApproval(req, req.params.requestId);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+        res.json({ success: true, message: "Request withdrawn" });
+    } catch (err) {
+        // console.error("Error withdrawing request:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// ============================================
+// REGISTRATION APPROVAL QUEUE (registrationMode "approval")
+// ============================================
+
+server.post('/admin/registrations/:userId/:decision', requireAccess('user.manage'), blockWhileImpersonating, validateParams({
+    userId: 'objectId',
+    decision: { type: 'text', rule: 'registrationDecision' }
+}), validateRequest({
+    note: { type: 'text', rule: 'reason' }
+}), async (req, res) => {
+    const { userId, decision } = req.params;
+
+    try {
+        const { error } = await decideRegistration(req, userId, decision, req.body.note);
+        if (error) {
+            return res.status(409).json({ error });
+        }
+        res.json({ 
+            success: true, 
+            message: decision === 'approve' ? "Registration approved - the user can now log in" : "Registration rejected"
+        });
+    } catch (err) {
+        // console.error("Error deciding registration:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// ============================================
+// SECURITY POLICY (Administrator only)
+// ============================================
+
+async function renderSecurityPolicy(res, extras = {}) {
+    const policy = extras.policy || getSecurityPolicy();
+    let updatedByUsername = null;
+    if (policy.updatedBy) {
+        const updatedBy = await User.findById(policy.updatedBy).select('username').lean();
+        updatedByUsername = updatedBy ? updatedBy.username : null;
+    }
+
+    res.render('admin/security-policy', {
+        policy,
+        limits: SECURITY_POLICY_LIMITS,
+        maxPasswordLength: PASSWORD_MAX_LENGTH,
+        ssoEnabled: isOidcEnabled(),
+        roles: listRoles(),
+        registrationModes: Object.entries(REGISTRATION_MODE_LABELS).map(([value, label]) => ({ value, label })),
+        updatedByUsername,
+        ...extras
+    });
+}
+
+server.get('/admin/security-policy', requireAccess('security.manage'), async (req, res) => {
+    try {
+        await renderSecurityPolicy(res);
+    } catch (err) {
+        // console.error("Error loading security policy:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// What the policy form sent, over the current policy, to re-show it after an error
+function getSubmittedPolicy(body) {
+    const submitted = { ...getSecurityPolicy() };
+    Object.keys(SECURITY_POLICY_LIMITS).forEach(field => { submitted[field] = body[field]; });
+    ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSpecial'].forEach(field => {
+        submitted[field] = !!body[field];
+    });
+    submitted.localLoginDisabledRoles = [].concat(body.localLoginDisabledRoles || []);
+    submitted.dualApprovalActions = [].concat(body.dualApprovalActions || []);
+    submitted.registrationMode = body.registrationMode;
+    return submitted;
+}
+
+// Every number on the form is required; the schema holds each field's own range
+const SECURITY_POLICY_FIELD_RULES = Object.fromEntries(Object.keys(SECURITY_POLICY_LIMITS).map(field =>
+    [field, { type: 'numeric', rule: 'securityPolicyNumber', required: true }]));
+
+server.post('/admin/security-policy', requireAccess('security.manage'), blockWhileImpersonating, validateRequest(SECURITY_POLICY_FIELD_RULES, {
+    response: (req, res, errors) => renderSecurityPolicy(res, { policy: getSubmittedPolicy(req.body), errors })
+}), async (req, res) => {
+    const previous = getSecurityPolicy();
+
+    try {
+        const { policy, changed } = await updateSecurityPolicy(req.body, req.session.userId);
+
+        if (changed.length === 0) {
+            return renderSecurityPolicy(res, { success: 'No changes to save.' });
+        }
+
+        // 2.4.6 - Log every changed rule with its old and new value
+        const summary = changed.map(field => `${field}: ${previous[field]} -> ${policy[field]}`).join(', ');
+        await logActivity(req.session.userId, 'SECURITY_POLICY_UPDATED', 'SECURITY_POLICY', 'default', 
+                         `Security policy updated (${summary})`, getClientIp(req));
+
+        await renderSecurityPolicy(res, { success: 'Security policy saved.' });
+    } catch (err) {
+        if (err instanceof mongoose.Error.ValidationError) {
+            // 2.4.4 - Log each rejected field
+            const errors = Object.entries(err.errors).map(([field, error]) => {
+                logValidationFailure(req, field, req.body[field], error.message);
+                return error.message;
+            });
+            // Re-show what the admin typed so they can correct it
+            return renderSecurityPolicy(res.status(400), { policy: getSubmittedPolicy(req.body), errors });
+        }
+        // console.error("Error updating security policy:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// ============================================
+// ROLES & PERMISSIONS (role.manage)
+// ============================================
+
+async function renderRoles(res, extras = {}) {
+    const holderCounts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const holderCountMap = {};
+    holderCounts.forEach(entry => {
+        holderCountMap[entry._id] = entry.count;
+    });
+
+    res.render('admin/roles', {
+        roles: listRoles().map(role => ({ ...role, holders: holderCountMap[role.name] || 0 })),
+        permissionGroups: PERMISSION_GROUPS,
+        draft: { name: '', label: '', description: '', permissions: [] },
+        ...extras
+    });
+}
+
+// What the create form sent, to re-show it after an error
+function getRoleDraft(body) {
+    return {
+        name: body.name || '',
+        label: body.label || '',
+        description: body.description || '',
+        permissions: parsePermissions(body.permissions)
+    };
+}
+
+// Label and description as the role forms send them; the name is fixed once created
+const ROLE_FIELD_RULES = {
+    label: { type: 'text', rule: 'roleLabel', required: true },
+    description: { type: 'text', rule: 'roleDescription' }
+};
+const validateRoleName = validateParams({
+    name: { type: 'text', rule: 'roleName' }
+}, { response: (req, res, errors) => renderRoles(res, { errors }) });
+const validateRoleFields = validateRequest(ROLE_FIELD_RULES, {
+    response: (req, res, errors) => renderRoles(res, { errors })
+});
+
+server.get('/admin/roles', requireAccess('role.manage'), async (req, res) => {
+    try {
+        await renderRoles(res);
+    } catch (err) {
+        // console.error("Error loading roles:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.post('/admin/roles', requireAccess('role.manage'), blockWhileImpersonating, validateRequest({
+    name: { type: 'text', rule: 'roleName', required: true },
+    ...ROLE_FIELD_RULES
+}, { response: (req, res, errors) => renderRoles(res, { draft: getRoleDraft(req.body), errors }) }), async (req, res) => {
+    const draft = getRoleDraft(req.body);
+
+    try {
+        // Only grant permissions you hold yourself (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'role', draft);
+        if (!decision.allowed) {
+            return renderRoles(res.status(403), { draft, errors: ['You can only grant permissions your own role has.'] });
+        }
+
+        const role = await createRole(req.body, req.session.userId);
+
+        await logActivity(req.session.userId, 'ROLE_CREATED', 'ROLE', role.name, 
+                         `Created role "${role.label}" (${role.name}) with permissions: ${role.permissions.join(', ') || 'none'}`, 
+                         getClientIp(req));
+
+        await renderRoles(res, { success: `Role "${role.label}" created.` });
+    } catch (err) {
+        if (err instanceof mongoose.Error.ValidationError) {
+            const errors = Object.values(err.errors).map(e => e.message);
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'ROLE', draft.name, 
+                             `Role creation rejected: ${errors.join('; ')}`, getClientIp(req));
+            return renderRoles(res.status(400), { draft, errors });
+        }
+        // console.error("Error creating role:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.post('/admin/roles/:name', requireAccess('role.manage'), blockWhileImpersonating, validateRoleName, validateRoleFields, async (req, res) => {
+    const existing = getRole(req.params.name);
+
+    try {
+        if (!existing) {
+            return renderRoles(res.status(404), { errors: ['Role not found.'] });
+        }
+
+        // Permissions being added or removed must all be your own (denials are logged by the policy)
+        const touched = [...new Set([...existing.permissions, ...parsePermissions(req.body.permissions)])];
+        const decision = await authorize(req, req.currentUser, 'manage', 'role', { name: existing.name, permissions: touched });
+        if (!decision.allowed) {
+            return renderRoles(res.status(403), { errors: [`You can only edit roles whose permissions your own role has.`] });
+        }
+
+        const { role, changed } = await updateRole(existing.name, req.body, req.session.userId);
+        if (changed.length === 0) {
+            return renderRoles(res, { success: 'No changes to save.' });
+        }
+
+        await logActivity(req.session.userId, 'ROLE_UPDATED', 'ROLE', role.name, 
+                         `Role "${role.label}" (${role.name}) updated (${changed.join(', ')})`, getClientIp(req));
+
+        await renderRoles(res, { success: `Role "${role.label}" saved.` });
+    } catch (err) {
+        if (err instanceof mongoose.Error.ValidationError) {
+            const errors = Object.values(err.errors).map(e => e.message);
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'ROLE', req.params.name, 
+                             `Role update rejected: ${errors.join('; ')}`, getClientIp(req));
+            return renderRoles(res.status(400), { errors });
+        }
+        // console.error("Error updating role:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.post('/admin/roles/:name/delete', requireAccess('role.manage'), blockWhileImpersonating, validateRoleName, async (req, res) => {
+    const existing = getRole(req.params.name);
+
+    try {
+        if (!existing) {
+            return renderRoles(res.status(404), { errors: ['Role not found.'] });
+        }
+
+        const decision = await authorize(req, req.currentUser, 'manage', 'role', existing);
+        if (!decision.allowed) {
+            return renderRoles(res.status(403), { errors: ['You can only delete roles whose permissions your own role has.'] });
+        }
+
+        const { role, error } = await deleteRole(existing.name);
+        if (error) {
+            return renderRoles(res.status(400), { errors: [error] });
+        }
+
+        await logActivity(req.session.userId, 'ROLE_DELETED', 'ROLE', role.name, 
+                         `Deleted role "${role.label}" (${role.name}) with permissions: ${role.permissions.join(', ') || 'none'}`, 
+                         getClientIp(req));
+
+        await renderRoles(res, { success: `Role "${role.label}" deleted.` });
+    } catch (err) {
+        // console.error("Error deleting role:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.get('/admin/users', isAdministrator, async (req, res) => {
+    try {
+        const users = await User.find()
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        // Active session count per user for the force-logout action
+        const sessionCounts = await Session.aggregate([
+            { $match: { user: { $ne: null }, expires: { $gt: new Date() } } },
+            { $group: { _id: '$user', count: { $sum: 1 } } }
+        ]);
+        const sessionCountMap = {};
+        sessionCounts.forEach(entry => {
+            sessionCountMap[entry._id.toString()] = entry.count;
+        });
+        // Users with an outstanding admin-issued reset link
+        const pendingResetUsers = await PasswordResetToken.distinct('user', {
+            usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() }
+        });
+        const pendingResetSet = new Set(pendingResetUsers.map(id => id.toString()));
+        // Temporary roles / tags and the time they have left
+        const activeGrants = await getActiveRoleGrants(users.map(user => user._id));
+        // Registration decisions (approval mode) and the invite codes accounts joined with
+        const registrations = users.map(user => user.registration || {});
+        const deciders = await User.find({ _id: { $in: registrations.map(entry => entry.decidedBy).filter(Boolean) } })
+            .select('username')
+            .lean();
+        const deciderMap = {};
+        deciders.forEach(decider => {
+            deciderMap[decider._id.toString()] = decider.username;
+        });
+        const invites = await InviteCode.find({ _id: { $in: registrations.map(entry => entry.inviteCode).filter(Boolean) } })
+            .select('prefix createdBy')
+            .populate('createdBy', 'username')
+            .lean();
+        const inviteMap = {};
+        invites.forEach(invite => {
+            inviteMap[invite._id.toString()] = invite;
+        });
+
+        users.forEach(user => {
+            const registration = user.registration || {};
+            const invite = registration.inviteCode ? inviteMap[registration.inviteCode.toString()] : null;
+            user.registrationInfo = {
+                status: registration.status || 'approved',
+                decided: !!registration.decidedAt,
+                decidedAt: registration.decidedAt,
+                decidedByName: registration.decidedBy ? (deciderMap[registration.decidedBy.toString()] || '[deleted]') : null,
+                decisionNote: registration.decisionNote,
+                invitePrefix: invite ? invite.prefix : null,
+                invitedBy: invite && invite.createdBy ? invite.createdBy.username : null
+            };
+
+            const role = getRole(user.role);
+            user.temporaryGrants = activeGrants[user._id.toString()] || [];
+            user.activeSessions = sessionCountMap[user._id.toString()] || 0;
+            user.hasResetLink = pendingResetSet.has(user._id.toString());
+            user.roleLabel = role ? role.label : user.role;
+            user.roleBuiltIn = role ? role.builtIn : false;
+            user.canImpersonate = can(req.currentUser, 'impersonate', 'user', user);
+        });
+
+        res.render('admin/users', {
+            layout: 'main',  
+            currentUser: req.user,
+            userProfile: req.user,
+            users,
+            roles: listRoles(),
+            grantMaxDays: ROLE_GRANT_MAX_DAYS
+        });
+    } catch (err) {
+        // console.error("Error loading users:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+server.post('/admin/users/create', requireAccess('user.manage'), validateRequest({
+    username: { type: 'text', required: true },
+    password: { type: 'text', required: true },
+    role: { type: 'text', rule: 'roleName', required: true },
+    managedTags: 'textList',
+    securityQuestion: { type: 'text', required: true },
+    securityAnswer: { type: 'text', required: true }
+}), async (req, res) => {
+    const { username, password, role, managedTags, securityQuestion, securityAnswer, mustChangePassword } = req.body;
+
+    try {
+        if (!username || !password || !role || !securityQuestion || !securityAnswer) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', 
+                            username || 'unknown', 'User creation failed: Missing required fields', getClientIp(req));
+            return res.status(400).json({ error: 'All fields including security question and answer are required' });
+        }
+
+        // Case-insensitive check for existing username
+        const existingUser = await User.findOne({ 
+            username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
+        });
+        if (existingUser) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
+                            'User creation failed: Username already exists', getClientIp(req));
+            return res.status(400).json({ error: 'Username already exists' });
+        }
+
+        const usernamePolicyError = await checkUsernamePolicy(username);
+        if (usernamePolicyError) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
+                            `User creation failed: ${usernamePolicyError}`, getClientIp(req));
+            return res.status(400).json({ error: usernamePolicyError });
+        }
+
+        if (!isKnownRole(role)) {
+            return res.status(400).json({ error: "Invalid role" });
+        }
+
+        // Only hand out permissions you hold yourself (denials are logged by the policy)
+        const assignDecision = await authorize(req, req.currentUser, 'assign', 'role', getRole(role));
+        if (!assignDecision.allowed) {
+            return res.status(403).json({ error: "You cannot create accounts with this role" });
+        }
+
+        // 2.1.4 & 2.1.5 - Same password rules as self-registration
+        const passwordValidation = validatePassword(password, username);
+        if (!passwordValidation.isValid) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
+                            `User creation failed: ${passwordValidation.errors.join(', ')}`, getClientIp(req));
+            return res.status(400).json({ error: passwordValidation.errors.join('. ') });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const hashedSecurityAnswer = await bcrypt.hash(securityAnswer.toLowerCase(), 10);
+        
+        const account = {
+            username,
+            password: hashedPassword,
+            userTag: `u/${username}`,
+            role,
+            managedTags: getRolePermissions(role).includes('post.moderate.managed') && managedTags
+                ? (Array.isArray(managedTags) ? managedTags : managedTags.split(',').map(t => t.trim()))
+                : [],
+            securityQuestion: securityQuestion,
+            securityAnswer: hashedSecurityAnswer,
+            securityQuestionsAreDefault: true, // Admin knows this answer - user must set their own
+            mustChangePassword: mustChangePassword === true // Admin knows this password too
+        };
+
+        // Two-person approval for accounts that open the admin dashboard (only hashes are stored with the request)
+        if (isApprovalRequired('create_admin') && isAdministratorRole(role)) {
+            return sendPendingApproval(res, await requestApproval(req, 'create_admin', {
+                targetName: username,
+                payload: { account },
+                summary: `create ${role} account ${username}${account.mustChangePassword ? ' (password change required at first login)' : ''}`
+            }));
+        }
+
+        const newUser = new User(account);
+        await newUser.save();
+
+        await logActivity(req.session.userId, 'CREATE_USER', 'USER', newUser._id.toString(), 
+                         `Created ${role} account: ${username}${newUser.mustChangePassword ? ' (password change required at first login)' : ''}`, 
+                         getClientIp(req));
+
+        res.json({ success: true, message: "User created successfully", user: newUser });
+    } catch (err) {
+        // console.error("Error creating user:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+server.patch('/admin/users/:userId/role', requireAccess('user.manage'), validateUserId, validateRequest({
+    role: { type: 'text', rule: 'roleName', required: true },
+    managedTags: 'textList'
+}), requireStepUp, async (req, res) => {
+    const { userId } = req.params;
+    const { role, managedTags } = req.body;
+
+    try {
+        if (!isKnownRole(role)) {
+            return res.status(400).json({ error: "Invalid role" });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        // Both the role taken away and the one given must be within your own permissions (denials are logged by the policy)
+        for (const roleName of [user.role, role]) {
+            const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(roleName) || { name: roleName, permissions: [] });
+            if (!decision.allowed) {
+                return res.status(403).json({ error: "You cannot change this account to or from that role" });
+            }
+        }
+
+        const oldRole = user.role;
+        const tagScoped = getRolePermissions(role).includes('post.moderate.managed');
+        
+        // Tag assignments only mean something for roles that moderate their managed tags
+        let newManagedTags = user.managedTags || [];
+        if (tagScoped && managedTags) {
+            newManagedTags = Array.isArray(managedTags) ? managedTags : managedTags.split(',').map(t => t.trim());
+        } else if (!tagScoped) {
+            newManagedTags = [];
+        }
+
+        // Two-person approval for anything that makes the account an administrator
+        if (isApprovalRequired('promote_admin') && isPromotionToAdministrator(oldRole, role)) {
+            return sendPendingApproval(res, await requestApproval(req, 'promote_admin', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { fromRole: oldRole, role, managedTags: newManagedTags },
+                summary: `change ${user.username}'s role from ${oldRole} to ${role}`
+            }));
+        }
+
+        user.role = role;
+        user.managedTags = newManagedTags;
+        await user.save();
+        // A permanent change replaces any temporary role
+        const superseded = await supersedeRoleGrants(user._id, req.session.userId);
+
+        await logActivity(req.session.userId, 'CHANGE_ROLE', 'USER', userId, 
+                         `Changed ${user.username}'s role from ${oldRole} to ${role}${superseded ? ' (replaces the temporary role)' : ''}`, getClientIp(req));
+
+        res.json({ success: true, message: "User role updated successfully" });
+    } catch (err) {
+        // console.error("Error updating user role:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+server.delete('/admin/users/:userId', requireAccess('user.manage'), validateUserId, validateRequest({
+    mode: { type: 'text', rule: 'deletionMode' }
+}), requireStepUp, async (req, res) => {
+    const { userId } = req.params;
+    const mode = (req.body && req.body.mode) || 'erase';
+
+    try {
+        if (!DELETION_MODES.includes(mode)) {
+            return res.status(400).json({ error: "Invalid deletion mode" });
+        }
+
+        if (userId === req.session.userId) {
+            return res.status(400).json({ error: "You cannot delete your own account" });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        // Accounts holding permissions you lack are out of reach (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(user.role) || { name: user.role, permissions: [] });
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You cannot delete an account with this role" });
+        }
+
+        // Content under review can't go yet (legal hold)
+        const held = await getLegalHoldCount(user._id);
+        if (held > 0) {
+            return res.status(409).json({ error: describeLegalHold(user.username, held) });
+        }
+
+        // Two-person approval: held until another administrator approves it
+        if (isApprovalRequired('delete_user')) {
+            return sendPendingApproval(res, await requestApproval(req, 'delete_user', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { mode },
+                summary: `delete ${user.username}'s account (${mode})`
+            }));
+        }
+
+        const result = await deleteAccount(userId, mode);
+        if (result.error) {
+            return res.status(result.held ? 409 : 400).json({ error: result.error });
+        }
+
+        await logActivity(req.session.userId, 'DELETE_USER', 'USER', userId, 
+                         `Deleted user account: ${user.username} (${mode}: ${result.summary})`, getClientIp(req));
+
+        res.json({ success: true, message: "User deleted successfully" });
+    } catch (err) {
+        // console.error("Error deleting user:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// Temporary role or extra managed tags, reverted automatically at expiresAt
+server.post('/admin/users/:userId/grants', requireAccess('user.manage'), validateUserId, validateRequest({
+    role: { type: 'text', rule: 'roleName' },
+    reason: { type: 'text', rule: 'reason' }
+}), requireStepUp, async (req, res) => {
+    const { userId } = req.params;
+    const { type, role } = req.body;
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const errors = await validateRoleGrant(user, req.body);
+        if (errors.length > 0) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER', userId, 
+                             `Temporary grant for ${user.username} rejected: ${errors.join('; ')}`, getClientIp(req));
+            return res.status(400).json({ error: errors.join('. ') });
+        }
+
+        // Same rule as a permanent change: both roles must be within your own permissions (denials are logged by the policy)
+        const roleNames = type === 'role' ? [user.role, role] : [user.role];
+        for (const roleName of roleNames) {
+            const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(roleName) || { name: roleName, permissions: [] });
+            if (!decision.allowed) {
+                return res.status(403).json({ error: "You cannot grant this account that role or its tags" });
+            }
+        }
+
+        // A temporary administrator role is still a promotion
+        if (type === 'role' && isApprovalRequired('promote_admin') && isPromotionToAdministrator(user.role, role)) {
+            const { managedTags, expiresAt, reason } = req.body;
+            return sendPendingApproval(res, await requestApproval(req, 'promote_admin', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { fromRole: user.role, grant: { type, role, managedTags, expiresAt: new Date(expiresAt), reason } },
+                summary: `temporarily give ${user.username} the ${role} role (was ${user.role}) until ${new Date(expiresAt).toISOString()}`,
+                reason: (reason || '').trim()
+            }));
+        }
+
+        const grant = await createRoleGrant(user, req.body, req.session.userId);
+
+        await logActivity(req.session.userId, 'TEMPORARY_GRANT_CREATED', 'USER', userId, 
+                         `Granted ${user.username} ${describeGrant(grant)} until ${grant.expiresAt.toISOString()}${grant.reason ? `. Reason: "${grant.reason}"` : ''}`, 
+                         getClientIp(req));
+
+        res.json({ success: true, message: `Temporary access granted until ${grant.expiresAt.toISOString()}` });
+    } catch (err) {
+        // console.error("Error creating temporary grant:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// End a temporary grant early
+server.post('/admin/users/:userId/grants/:grantId/revoke', requireAccess('user.manage'), blockWhileImpersonating, validateParams({
+    userId: 'objectId',
+    grantId: 'objectId'
+}), async (req, res) => {
+    const { userId, grantId } = req.params;
+
+    try {
+        const grant = await RoleGrant.findOne({ _id: grantId, user: userId, endedAt: null }).lean();
+        if (!grant) {
+            return res.status(404).json({ error: "Temporary grant not found or already ended" });
         }
 
-        post.markModified('comments');
-        await post.save();
+        // Taking a temporary role away is a role change too (denials are logged by the policy)
+        if (grant.type === 'role') {
+            const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(grant.role) || { name: grant.role, permissions: [] });
+            if (!decision.allowed) {
+                return res.status(403).json({ error: "You cannot revoke this grant" });
+            }
+        }
 
-        res.json({
-            success: true,
-            liked,
-            likesCount: reply.likes.length,
-            dislikesCount: reply.dislikes.length
-        });
+        const result = await endRoleGrant(grantId, 'revoked', req.session.userId);
+        if (!result) {
+            return res.status(404).json({ error: "Temporary grant not found or already ended" });
+        }
+
+        const username = result.user ? result.user.username : userId;
+        await logActivity(req.session.userId, 'TEMPORARY_GRANT_REVOKED', 'USER', userId, 
+                         `Revoked ${username}'s temporary ${describeGrant(result.grant)} before ${result.grant.expiresAt.toISOString()}${result.reverted ? '' : ' (role had already been changed, left unchanged)'}`, 
+                         getClientIp(req));
+
+        res.json({ success: true, message: "Temporary grant revoked" });
     } catch (err) {
-        // console.error("Error liking reply:", err);
-        res.status(500).json({ success: false, message: "Server error" });
+        // console.error("Error revoking temporary grant:", err);
+        res.status(500).json({ error: "Internal Server Error" });
     }
 });
 
-server.post('/reply-dislike/:postId/:commentId/:replyId', isAuthenticated, async (req, res) => {
+// Force-logout: revoke every active session of a user
+server.post('/admin/users/:userId/force-logout', requireAccess('user.manage'), blockWhileImpersonating, validateUserId, async (req, res) => {
+    const { userId } = req.params;
+
     try {
-        const { postId, commentId, replyId } = req.params;
-        const userId = req.session.userId.toString();
-        const post = await Post.findById(postId);
-        if (!post) return res.status(404).json({ success: false, message: "Post not found" });
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
 
-        const comment = post.comments.id(commentId);
-        if (!comment) return res.status(404).json({ success: false, message: "Comment not found" });
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You cannot manage this account" });
+        }
 
-        const reply = comment.replies.id(replyId);
-        if (!reply) return res.status(404).json({ success: false, message: "Reply not found" });
+        const count = await revokeUserSessions(userId);
 
-        reply.likes = reply.likes || [];
-        reply.dislikes = reply.dislikes || [];
+        await logActivity(req.session.userId, 'FORCE_LOGOUT', 'USER', userId, 
+                         `Force-logged out ${user.username} (${count} session(s) revoked)`, getClientIp(req));
 
-        let disliked = false;
-        if (!reply.dislikes.includes(userId)) {
-            reply.dislikes.push(userId);
-            reply.likes = reply.likes.filter(id => id.toString() !== userId);
-            disliked = true;
-        } else {
-            reply.dislikes = reply.dislikes.filter(id => id.toString() !== userId);
+        res.json({ success: true, message: `Revoked ${count} session(s)`, revoked: count });
+    } catch (err) {
+        // console.error("Error forcing logout:", err);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// Login history for one user (successes, failures, new-device alerts)
+server.get('/admin/users/:userId/login-history', requireAccess('user.manage'), validateParams({ userId: 'objectId' }, { response: renderValidationErrorPage }), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await User.findById(userId).select('username role lastLogin').lean();
+        if (!user) {
+            return res.status(404).render('error', { message: 'Not Found', detail: 'User not found' });
         }
 
-        post.markModified('comments');
-        await post.save();
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).render('error', { message: 'Access Denied', detail: 'You cannot manage this account.' });
+        }
 
-        res.json({
-            success: true,
-            disliked,
-            likesCount: reply.likes.length,
-            dislikesCount: reply.dislikes.length
+        const events = await getLoginHistory(userId);
+        res.render('admin/login-history', {
+            user,
+            events,
+            stats: {
+                successful: events.filter(e => e.success).length,
+                failed: events.filter(e => !e.success).length,
+                newDevice: events.filter(e => e.alertStatus !== 'none').length,
+                reported: events.filter(e => e.alertStatus === 'reported').length
+            }
         });
     } catch (err) {
-        // console.error("Error disliking reply:", err);
-        res.status(500).json({ success: false, message: "Server error" });
+        // console.error("Error loading login history:", err);
+        res.status(500).send("Internal Server Error");
     }
 });
 
-// ============================================
-// USER RESTRICTION CHECK API
-// ============================================
+// Flag (or unflag) an account so its owner must pick a new password at next login
+server.post('/admin/users/:userId/require-password-change', requireAccess('user.manage'), blockWhileImpersonating, validateUserId, async (req, res) => {
+    const { userId } = req.params;
+    const required = req.body.required !== false;
 
-// API endpoint to check if current user has active restrictions
-server.get('/api/check-restriction', isAuthenticated, async (req, res) => {
     try {
-        const restrictionStatus = await checkUserRestriction(req.session.userId);
-        res.json(restrictionStatus);
-    } catch (err) {
-        // console.error("Error checking restriction:", err);
-        res.status(500).json({ 
-            restricted: false, 
-            restriction: null, 
-            message: null 
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You cannot manage this account" });
+        }
+
+        user.mustChangePassword = required;
+        await user.save();
+
+        await logActivity(req.session.userId, required ? 'PASSWORD_CHANGE_FLAGGED' : 'PASSWORD_CHANGE_UNFLAGGED', 'USER', userId, 
+                         required 
+                            ? `Required ${user.username} to change password at next login` 
+                            : `Cleared required password change for ${user.username}`, 
+                         getClientIp(req));
+
+        res.json({ 
+            success: true, 
+            message: required ? "User must change password at next login" : "Password change requirement cleared" 
         });
+    } catch (err) {
+        // console.error("Error flagging password change:", err);
+        res.status(500).json({ error: "Internal Server Error" });
     }
 });
 
 // ============================================
-// MODERATION ROUTES (Manager & Administrator)
+// ADMIN IMPERSONATION ("view as user")
 // ============================================
 
-// Register all moderation routes (reports, user restrictions, etc.)
-const registerModerationRoutes = require('./moderation-routes');
-registerModerationRoutes(server, isAuthenticated);
-
-// ============================================
-// ADMIN ROUTES (Administrator only)
-// ============================================
+// Switch this session to the target user; the admin identity is kept in the session
+server.post('/admin/users/:userId/impersonate', requireAccess('user.impersonate'), validateUserId, requireStepUp, async (req, res) => {
+    const { userId } = req.params;
 
-server.get('/admin', isAdministrator, async (req, res) => {
     try {
-        const totalUsers = await User.countDocuments();
-        const totalPosts = await Post.countDocuments();
-        const totalAdmins = await User.countDocuments({ role: 'administrator' });
-        const totalManagers = await User.countDocuments({ role: 'manager' });
-        const totalRegularUsers = await User.countDocuments({ role: 'user' });
-        
-        const recentLogs = await ActivityLog.find()
-            .populate('user', 'username role')
-            .sort({ timestamp: -1 })
-            .limit(20);
+        const admin = req.currentUser;
+        const target = await User.findById(userId);
+        if (!target) {
+            return res.status(404).json({ error: "User not found" });
+        }
 
-        res.render('admin/dashboard', {
-            userProfile: req.user,
-            stats: {
-                totalUsers,
-                totalPosts,
-                totalAdmins,
-                totalManagers,
-                totalRegularUsers
-            },
-            recentLogs
+        // Not yourself, not an administrator, and only roles within your own permissions
+        const decision = await authorize(req, admin, 'impersonate', 'user', target);
+        if (!decision.allowed) {
+            await logActivity(admin._id, 'IMPERSONATION_DENIED', 'USER', userId, 
+                             `Attempted to impersonate ${target.username} (${target.role})`, getClientIp(req));
+            return res.status(403).json({ error: "You cannot impersonate this account" });
+        }
+
+        req.session.originalAdminId = admin._id;
+        req.session.originalAdminUsername = admin.username;
+        req.session.isSwitched = true;
+        req.session.userId = target._id;
+        delete req.session.stepUpAt; // Re-confirm after returning to the admin account
+
+        await logActivity(admin._id, 'IMPERSONATION_START', 'USER', userId, 
+                         `Administrator ${admin.username} started viewing as ${target.username} (${target.role})`, 
+                         getClientIp(req));
+
+        res.json({
+            success: true,
+            message: `Now viewing as ${target.username}`,
+            redirect: hasPermission(target, 'manager.access') ? '/manager' : '/home'
         });
     } catch (err) {
-        // console.error("Error loading admin dashboard:", err);
-        res.status(500).send("Internal Server Error");
+        // console.error("Error starting impersonation:", err);
+        res.status(500).json({ error: "Internal Server Error" });
     }
 });
 
-server.get('/admin/users', isAdministrator, async (req, res) => {
+// API tokens of one user (active, expired and revoked)
+server.get('/admin/users/:userId/api-tokens', requireAccess('user.manage'), validateParams({ userId: 'objectId' }, { response: renderValidationErrorPage }), async (req, res) => {
+    const { userId } = req.params;
+
     try {
-        const users = await User.find()
-            .select('-password')
-            .sort({ createdAt: -1 });
+        const user = await User.findById(userId).select('username role').lean();
+        if (!user) {
+            return res.status(404).render('error', { message: 'Not Found', detail: 'User not found' });
+        }
 
-        res.render('admin/users', {
-            layout: 'main',  
-            currentUser: req.user,
-            userProfile: req.user,
-            users
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).render('error', { message: 'Access Denied', detail: 'You cannot manage this account.' });
+        }
+
+        res.render('admin/api-tokens', {
+            user,
+            tokens: await listApiTokens(user._id)
         });
     } catch (err) {
-        // console.error("Error loading users:", err);
-        res.status(500).send("Internal Server Error");
+        // console.error("Error loading API tokens:", err);
+        res.status(500).render('error', { message: 'Internal Server Error', detail: 'Unable to load API tokens.' });
     }
 });
 
-server.post('/admin/users/create', isAdministrator, async (req, res) => {
-    const { username, password, role, managedTags, securityQuestion, securityAnswer } = req.body;
+server.post('/admin/api-tokens/:tokenId/revoke', requireAccess('user.manage'), blockWhileImpersonating, validateParams({ tokenId: 'objectId' }, { response: renderValidationErrorPage }), async (req, res) => {
+    const { tokenId } = req.params;
 
     try {
-        if (!username || !password || !role || !securityQuestion || !securityAnswer) {
-            // 2.4.4 - Log input validation failure
-            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', 
-                            username || 'unknown', 'User creation failed: Missing required fields', getClientIp(req));
-            return res.status(400).json({ error: 'All fields including security question and answer are required' });
+        const existing = await ApiToken.findOne({ _id: tokenId, revokedAt: null }).select('user').lean();
+        if (!existing) {
+            return res.status(404).render('error', { message: 'Not Found', detail: 'Token not found or already revoked' });
         }
 
-        // Case-insensitive check for existing username
-        const existingUser = await User.findOne({ 
-            username: { $regex: new RegExp(`^${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
-        });
-        if (existingUser) {
-            // 2.4.4 - Log input validation failure
-            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
-                            'User creation failed: Username already exists', getClientIp(req));
-            return res.status(400).json({ error: 'Username already exists' });
+        // Tokens of a deleted account can still be revoked
+        const owner = await User.findById(existing.user).select('username role').lean();
+        if (owner) {
+            // Only accounts whose role is within your own permissions (denials are logged by the policy)
+            const decision = await authorize(req, req.currentUser, 'manage', 'user', owner);
+            if (!decision.allowed) {
+                return res.status(403).render('error', { message: 'Access Denied', detail: 'You cannot manage this account.' });
+            }
         }
 
-        if (!['administrator', 'manager', 'user'].includes(role)) {
-            return res.status(400).json({ error: "Invalid role" });
+        const token = await revokeApiToken(tokenId, req.session.userId, existing.user);
+        if (!token) {
+            return res.status(404).render('error', { message: 'Not Found', detail: 'Token not found or already revoked' });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const hashedSecurityAnswer = await bcrypt.hash(securityAnswer.toLowerCase(), 10);
-        
-        const newUser = new User({
-            username,
-            password: hashedPassword,
-            userTag: `u/${username}`,
-            role,
-            managedTags: role === 'manager' && managedTags ? managedTags.split(',').map(t => t.trim()) : [],
-            securityQuestion: securityQuestion,
-            securityAnswer: hashedSecurityAnswer
-        });
-
-        await newUser.save();
-
-        await logActivity(req.session.userId, 'CREATE_USER', 'USER', newUser._id.toString(), 
-                         `Created ${role} account: ${username}`, getClientIp(req));
+        await logActivity(req.session.userId, 'API_TOKEN_REVOKED', 'API_TOKEN', tokenId, 
+                         `Revoked ${owner ? owner.username : 'deleted user'}'s API token "${token.name}"`, getClientIp(req));
 
-        res.json({ success: true, message: "User created successfully", user: newUser });
+        res.redirect(`/admin/users/${token.user}/api-tokens`);
     } catch (err) {
-        // console.error("Error creating user:", err);
-        res.status(500).json({ error: "Internal Server Error" });
+        // console.error("Error revoking API token:", err);
+        res.status(500).render('error', { message: 'Internal Server Error', detail: 'Unable to revoke the API token.' });
     }
 });
 
-server.patch('/admin/users/:userId/role', isAdministrator, async (req, res) => {
+// Issue a one-time password reset link (replaces any link still outstanding)
+server.post('/admin/users/:userId/reset-link', requireAccess('user.manage'), blockWhileImpersonating, validateUserId, async (req, res) => {
     const { userId } = req.params;
-    const { role, managedTags } = req.body;
 
     try {
-        if (!['administrator', 'manager', 'user'].includes(role)) {
-            return res.status(400).json({ error: "Invalid role" });
-        }
-
         const user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({ error: "User not found" });
         }
 
-        const oldRole = user.role;
-        user.role = role;
-        
-        if (role === 'manager' && managedTags) {
-            user.managedTags = Array.isArray(managedTags) ? managedTags : managedTags.split(',').map(t => t.trim());
-        } else if (role !== 'manager') {
-            user.managedTags = [];
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You cannot manage this account" });
         }
 
-        await user.save();
+        // Only one live link per user
+        await PasswordResetToken.updateMany(
+            { user: user._id, usedAt: null, revokedAt: null },
+            { revokedAt: new Date(), revokedBy: req.session.userId }
+        );
 
-        await logActivity(req.session.userId, 'CHANGE_ROLE', 'USER', userId, 
-                         `Changed ${user.username}'s role from ${oldRole} to ${role}`, getClientIp(req));
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + RESET_LINK_TTL);
 
-        res.json({ success: true, message: "User role updated successfully" });
+        await PasswordResetToken.create({
+            user: user._id,
+            tokenHash: hashToken(token),
+            issuedBy: req.session.userId,
+            expiresAt
+        });
+
+        await logActivity(req.session.userId, 'PASSWORD_RESET_LINK_ISSUED', 'USER', userId, 
+                         `Issued password reset link for ${user.username} (expires ${expiresAt.toISOString()})`, 
+                         getClientIp(req));
+
+        res.json({
+            success: true,
+            link: `${req.protocol}://${req.get('host')}/reset-password/${token}`,
+            expiresAt
+        });
     } catch (err) {
-        // console.error("Error updating user role:", err);
+        // console.error("Error issuing reset link:", err);
         res.status(500).json({ error: "Internal Server Error" });
     }
 });
 
-server.delete('/admin/users/:userId', isAdministrator, async (req, res) => {
+// Revoke any outstanding reset link for a user
+server.post('/admin/users/:userId/reset-link/revoke', requireAccess('user.manage'), blockWhileImpersonating, validateUserId, async (req, res) => {
     const { userId } = req.params;
 
     try {
-        if (userId === req.session.userId) {
-            return res.status(400).json({ error: "You cannot delete your own account" });
-        }
-
         const user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({ error: "User not found" });
         }
 
-        await Post.deleteMany({ user: userId });
-        await User.findByIdAndDelete(userId);
+        // Only accounts whose role is within your own permissions (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'manage', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: "You cannot manage this account" });
+        }
 
-        await logActivity(req.session.userId, 'DELETE_USER', 'USER', userId, 
-                         `Deleted user account: ${user.username}`, getClientIp(req));
+        const result = await PasswordResetToken.updateMany(
+            { user: user._id, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { revokedAt: new Date(), revokedBy: req.session.userId }
+        );
 
-        res.json({ success: true, message: "User deleted successfully" });
+        await logActivity(req.session.userId, 'PASSWORD_RESET_LINK_REVOKED', 'USER', userId, 
+                         `Revoked ${result.modifiedCount} password reset link(s) for ${user.username}`, 
+                         getClientIp(req));
+
+        res.json({ success: true, revoked: result.modifiedCount });
     } catch (err) {
-        // console.error("Error deleting user:", err);
+        // console.error("Error revoking reset link:", err);
         res.status(500).json({ error: "Internal Server Error" });
     }
 });
 
+// Return to the administrator's own identity
+server.post('/admin/impersonation/stop', isAuthenticated, async (req, res) => {
+    if (!req.session.isSwitched) {
+        return res.redirect('/home');
+    }
+
+    const adminId = req.session.originalAdminId;
+    const adminUsername = req.session.originalAdminUsername;
+    const targetId = req.session.userId;
+
+    try {
+        const target = await User.findById(targetId);
+
+        req.session.userId = adminId;
+        delete req.session.isSwitched;
+        delete req.session.originalAdminId;
+        delete req.session.originalAdminUsername;
+
+        await logActivity(adminId, 'IMPERSONATION_END', 'USER', String(targetId), 
+                         `Administrator ${adminUsername} stopped viewing as ${target ? target.username : targetId}`, 
+                         getClientIp(req));
+
+        res.redirect('/admin/users');
+    } catch (err) {
+        // console.error("Error ending impersonation:", err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
 // ============================================
 // AUDIT LOGS (Administrator only)
 // ============================================
 
-server.get('/admin/logs', isAdministrator, async (req, res) => {
+server.get('/admin/logs', requireAccess('logs.view'), validateQuery({
+    search: { type: 'text', rule: 'searchQuery' },
+    action: { type: 'text', rule: 'auditAction' },
+    startDate: { type: 'text', rule: 'date' },
+    endDate: { type: 'text', rule: 'date' },
+    page: 'numeric'
+}, { response: renderValidationErrorPage }), async (req, res) => {
     try {
         const { search, action, startDate, endDate, page = 1 } = req.query;
         const limit = 50;
@@ -2039,7 +4998,8 @@ server.get('/admin/logs', isAdministrator, async (req, res) => {
         let query = {};
         
         if (search) {
-            query.username = { $regex: search, $options: 'i' };
+            // Matched as literal text, not as a pattern
+            query.username = { $regex: escapeRegex(search), $options: 'i' };
         }
         
         if (action) {
@@ -2072,7 +5032,9 @@ server.get('/admin/logs', isAdministrator, async (req, res) => {
             search: search || '',
             selectedAction: action || '',
             startDate: startDate || '',
-            endDate: endDate || ''
+            endDate: endDate || '',
+            canExport: hasPermission(req.currentUser, 'logs.export'),
+            canOpenDashboard: hasPermission(req.currentUser, 'admin.access')
         });
     } catch (err) {
         // console.error("Error loading audit logs:", err);
@@ -2080,7 +5042,7 @@ server.get('/admin/logs', isAdministrator, async (req, res) => {
     }
 });
 
-server.get('/admin/logs/export', isAdministrator, async (req, res) => {
+server.get('/admin/logs/export', requireAccess('logs.export'), requireStepUp, async (req, res) => {
     try {
         const logs = await ActivityLog.find()
             .populate('user', 'username role')
@@ -2115,17 +5077,13 @@ server.get('/manager', isManager, async (req, res) => {
         // Get pending reports count
         const pendingReportsCount = await Report.countDocuments({ status: 'pending' });
         
-        // Get posts managed by this manager
-        let posts;
-        if (user.role === 'administrator') {
-            posts = await Post.find({ isDeleted: { $ne: true }, isHidden: { $ne: true } })
-                .populate('user', 'username profilePic')
-                .sort({ createdAt: -1 });
-        } else {
-            posts = await Post.find({ postTag: { $in: user.managedTags } })
-                .populate('user', 'username profilePic')
-                .sort({ createdAt: -1 });
-        }
+        // Get posts managed by this manager (administrators see the live feed)
+        const filter = hasPermission(user, 'post.moderate.all')
+            ? { isDeleted: { $ne: true }, isHidden: { $ne: true } }
+            : getModerationFilter(user) || { _id: null }; // Roles without a moderation scope see no posts
+        const posts = await Post.find(filter)
+            .populate('user', 'username profilePic')
+            .sort({ createdAt: -1 });
 
         const stats = {
             managedPosts: posts.length,
@@ -2147,15 +5105,16 @@ server.get('/manager', isManager, async (req, res) => {
     }
 });
 
-server.get('/manager/posts/:tag', isManager, async (req, res) => {
+server.get('/manager/posts/:tag', isManager, validateParams({
+    tag: { type: 'text', rule: 'postTag' }
+}, { response: renderValidationErrorPage }), async (req, res) => {
     try {
         const { tag } = req.params;
         const user = await User.findById(req.session.userId);
 
-        if (user.role !== 'administrator' && !user.managedTags.includes(tag)) {
-            // 2.4.6 - Log authorization failure
-            await logActivity(req.session.userId, 'AUTHORIZATION_FAILED', 'TAG_MODERATE', tag, 
-                            'Unauthorized attempt to moderate tag', getClientIp(req));
+        // 2.4.6 - Denials are logged by the policy
+        const decision = await authorize(req, user, 'moderate', 'tag', tag);
+        if (!decision.allowed) {
             return res.status(403).render('error', {
                 message: 'Access Denied',
                 detail: 'You do not have permission to moderate this tag'
@@ -2178,6 +5137,88 @@ server.get('/manager/posts/:tag', isManager, async (req, res) => {
     }
 });
 
+// ============================================
+// REGISTRATION INVITE CODES (Manager and Admin)
+// ============================================
+
+const canManageInvites = requireAccess(['manager.access', 'admin.access'], 
+    'You need manager or administrator privileges to manage invite codes.');
+
+async function renderInviteCodes(res, user, extras = {}) {
+    res.render('invite-codes', {
+        userProfile: user,
+        invites: await listInviteCodes(user),
+        registrationMode: getRegistrationMode(),
+        expiryOptions: INVITE_EXPIRY_DAYS,
+        maxUses: INVITE_MAX_USES,
+        ...extras
+    });
+}
+
+server.get('/manager/invites', canManageInvites, async (req, res) => {
+    try {
+        await renderInviteCodes(res, req.currentUser);
+    } catch (err) {
+        // console.error('Error loading invite codes:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Create a code - the raw value is shown on this response only
+server.post('/manager/invites', canManageInvites, blockWhileImpersonating, validateRequest({
+    note: { type: 'text', rule: 'inviteNote' },
+    maxUses: { type: 'numeric', required: true },
+    expiresInDays: { type: 'numeric', required: true }
+}, { response: rerenderUserPage(renderInviteCodes, 'errors') }), async (req, res) => {
+    const note = typeof req.body.note === 'string' ? req.body.note : '';
+    const maxUses = Number(req.body.maxUses);
+    const expiresInDays = Number(req.body.expiresInDays);
+    const user = req.currentUser;
+
+    try {
+        const errors = await validateInviteRequest(user, { maxUses, expiresInDays, note });
+        if (errors.length > 0) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(user._id, 'VALIDATION_FAILED', 'INVITE_CODE', 'new', 
+                             `Invite code rejected: ${errors.join('; ')}`, getClientIp(req));
+            return await renderInviteCodes(res.status(400), user, { errors });
+        }
+
+        const { code, invite } = await createInviteCode(user, { maxUses, expiresInDays, note });
+
+        await logActivity(user._id, 'INVITE_CODE_CREATED', 'INVITE_CODE', invite._id.toString(), 
+                         `Created invite code ${invite.prefix}... for ${maxUses} registration(s), expiring in ${expiresInDays} day(s)${invite.note ? ` (${invite.note})` : ''}`, 
+                         getClientIp(req));
+
+        await renderInviteCodes(res, user, {
+            newInvite: { code, link: `${req.protocol}://${req.get('host')}/register?invite=${code}` }
+        });
+    } catch (err) {
+        // console.error('Error creating invite code:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Managers revoke their own codes, administrators any code
+server.post('/manager/invites/:inviteId/revoke', canManageInvites, blockWhileImpersonating, validateParams({
+    inviteId: 'objectId'
+}, { response: renderValidationErrorPage }), async (req, res) => {
+    const { inviteId } = req.params;
+
+    try {
+        const invite = await revokeInviteCode(inviteId, req.currentUser);
+        if (invite) {
+            await logActivity(req.currentUser._id, 'INVITE_CODE_REVOKED', 'INVITE_CODE', inviteId, 
+                             `Revoked invite code ${invite.prefix}... (used ${invite.uses} of ${invite.maxUses})`, getClientIp(req));
+        }
+
+        res.redirect('/manager/invites');
+    } catch (err) {
+        // console.error('Error revoking invite code:', err);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
 // ============================================
 // ABOUT PAGE
 // ============================================
@@ -2219,6 +5260,13 @@ server.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 
+// Put accounts back when their temporary role / tags expire
+startRoleGrantExpiryJob();
+// Carry out self-service deletions whose grace period is over
+startAccountDeletionJob();
+// Build queued personal data exports and remove expired ones
+startDataExportJob();
+
 const PORT = process.env.PORT || 9090;
 server.listen(PORT, '0.0.0.0', () => {
     // console.log(`Server running on port ${PORT}`);
@@ -21,8 +21,7 @@ const userSchema = new mongoose.Schema({
     profilePic: { type: String, default: 'profile-placeholder.png' },
     userTag: { type: String, required: true },
     role: { 
-        type: String, 
-        enum: ['administrator', 'manager', 'user'], 
+        type: String, // Name of a Role document (built-in: administrator, manager, user)
         default: 'user',
         required: true 
     },
@@ -38,8 +37,9 @@ const userSchema = new mongoose.Schema({
     // 2.1.7 - Account lockout
     failedLoginAttempts: { type: Number, default: 0 },
     accountLockedUntil: { type: Date, default: null },
+    lockoutCount: { type: Number, default: 0 }, // Lockouts since last successful login (progressive duration)
     
-    // 2.1.9 - Password history (store last 5 passwords)
+    // 2.1.9 - Password history (depth set by the security policy)
     passwordHistory: [{ 
         password: String, 
         changedAt: { type: Date, default: Date.now }
@@ -47,6 +47,10 @@ const userSchema = new mongoose.Schema({
     
     // 2.1.10 - Password age tracking
     passwordChangedAt: { type: Date, default: Date.now },
+    // Set by an administrator (e.g. on accounts they create) - cleared when the user picks a new password
+    mustChangePassword: { type: Boolean, default: false },
+    // Set by a "this wasn't me" report - password login is refused until a security-question or reset-link reset
+    passwordLoginLocked: { type: Boolean, default: false },
     
     // 2.1.11 - Last login tracking (already exists, but add previousLogin)
     previousLogin: { type: Date },
@@ -54,7 +58,61 @@ const userSchema = new mongoose.Schema({
     // 2.1.8 - Security questions for password reset
     securityQuestion: { type: String },
     securityAnswer: { type: String }, // Store hashed!
-    
+    // Multiple questions managed from settings; the reset flow asks a random subset.
+    // When empty, the single securityQuestion/securityAnswer pair above is used.
+    securityQuestions: [{
+        question: String,
+        answerHash: String, // Store hashed!
+        createdAt: { type: Date, default: Date.now }
+    }],
+    // Still on a seeded default answer - forced to update at next login
+    securityQuestionsAreDefault: { type: Boolean },
+    securityQuestionsUpdatedAt: { type: Date, default: null },
+
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null }, // Base32 shared secret
+    twoFactorLastUsedStep: { type: Number, default: 0 }, // Prevents code replay
+    twoFactorEnabledAt: { type: Date, default: null },
+    twoFactorBackupCodes: [{
+        codeHash: String, // Store hashed!
+        usedAt: { type: Date, default: null }
+    }],
+
+    // OpenID Connect single sign-on (middleware/oidc.js); unique per issuer + subject
+    sso: {
+        issuer: { type: String, default: null },
+        subject: { type: String, default: null },
+        email: { type: String, default: '' },
+        groups: { type: [String], default: [] }, // Groups from the last SSO login
+        provisioned: { type: Boolean, default: false }, // Account was created by SSO (no local password)
+        linkedAt: { type: Date, default: null },
+        lastLoginAt: { type: Date, default: null }
+    },
+
+    // Self-service account deletion (middleware/account-lifecycle.js); runs at scheduledFor unless cancelled
+    deletion: {
+        requestedAt: { type: Date, default: null },
+        scheduledFor: { type: Date, default: null },
+        mode: { type: String, enum: ['erase', 'anonymize', null], default: null },
+        cancelTokenHash: { type: String, default: null, index: true }, // Store hashed!
+        heldSince: { type: Date, default: null } // Postponed by a legal hold (unresolved reports)
+    },
+    // The shared "[deleted]" author that anonymized content is moved to - cannot sign in
+    isDeletedPlaceholder: { type: Boolean, default: false },
+    // Finished data export the user hasn't downloaded or dismissed yet (shown as a banner)
+    dataExportNotice: { type: mongoose.Schema.Types.ObjectId, ref: 'DataExport', default: null },
+
+    // How the account joined (middleware/registration.js); pending and rejected accounts cannot sign in
+    registration: {
+        mode: { type: String, enum: ['open', 'invite', 'approval', null], default: null }, // null: created by an admin or SSO
+        inviteCode: { type: mongoose.Schema.Types.ObjectId, ref: 'InviteCode', default: null },
+        status: { type: String, enum: ['approved', 'pending', 'rejected'], default: 'approved' },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        decidedAt: { type: Date, default: null },
+        decisionNote: { type: String, default: '' }
+    },
+
     // ===== END NEW FIELDS =====
 
     posts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
@@ -64,6 +122,8 @@ const userSchema = new mongoose.Schema({
     hidden: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }]
 });
 
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { unique: true, partialFilterExpression: { 'sso.subject': { $type: 'string' } } });
+
 const User = mongoose.model('User', userSchema);
 
 // Activity Log Schema for audit trails
@@ -262,6 +322,7 @@ async function seedSecurityQuestions() {
     try {
         // Find users without security questions
         const usersWithoutSecurity = await User.find({
+            'sso.provisioned': { $ne: true }, // Single sign-on accounts have no local password to reset
             $or: [
                 { securityQuestion: { $exists: false } },
                 { securityQuestion: null },
@@ -304,10 +365,11 @@ async function seedSecurityQuestions() {
             // Hash the security answer (same as password)
             const hashedAnswer = await bcrypt.hash(answer.toLowerCase(), 10);
 
-            // Update the user
+            // Update the user (flagged so they must replace the well-known default)
             await User.findByIdAndUpdate(user._id, {
                 securityQuestion: question,
-                securityAnswer: hashedAnswer
+                securityAnswer: hashedAnswer,
+                securityQuestionsAreDefault: true
             });
 
             // console.log(`   ✓ ${user.username} (${user.role}): "${question}" / Answer: "${answer}"`);
@@ -326,14 +388,41 @@ async function seedSecurityQuestions() {
     }
 }
 
+// Flag accounts seeded before the default flag existed that still use a default answer
+async function flagDefaultSecurityAnswers() {
+    try {
+        const defaultAnswers = {
+            administrator: 'admin2024',
+            manager: 'manager2024',
+            user: 'user2024'
+        };
+
+        const unchecked = await User.find({
+            securityQuestionsAreDefault: { $exists: false },
+            securityAnswer: { $exists: true, $nin: [null, ''] }
+        });
+
+        for (let user of unchecked) {
+            const defaultAnswer = defaultAnswers[user.role] || defaultAnswers.user;
+            const isDefault = await bcrypt.compare(defaultAnswer, user.securityAnswer);
+            await User.findByIdAndUpdate(user._id, { securityQuestionsAreDefault: isDefault });
+        }
+    }
+    catch (error) {
+        // console.error(error);
+    }
+}
+
 mongoose.connection.once('open', async () => {
     // console.log('🚀 MongoDB connection established.');
     await seedUsers();
     await seedPosts();
     await seedSecurityQuestions(); // Automatically add security Q&A to all users
+    await flagDefaultSecurityAnswers();
 });
 
 const { Report, UserRestriction, PostModeration } = require('./moderation-schemas');
+const { Session, RateLimitWindow, PasswordResetToken, SecurityPolicy, LoginEvent, ApiToken, Role, RoleGrant, ApprovalRequest, InviteCode, UsernameHistory, DataExport } = require('./security-schemas');
 
 module.exports = { 
     mongoose, 
@@ -342,5 +431,17 @@ module.exports = {
     ActivityLog,
     Report,            
     UserRestriction,    
-    PostModeration    
+    PostModeration,
+    Session,
+    RateLimitWindow,
+    PasswordResetToken,
+    SecurityPolicy,
+    LoginEvent,
+    ApiToken,
+    Role,
+    RoleGrant,
+    ApprovalRequest,
+    InviteCode,
+    UsernameHistory,
+    DataExport
 };
\ No newline at end of file
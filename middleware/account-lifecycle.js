@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const {
+    User,
+    Post,
+    ActivityLog,
+    Report,
+    UserRestriction,
+    PostModeration,
+    Session,
+    PasswordResetToken,
+    LoginEvent,
+    ApiToken,
+    RoleGrant,
+    ApprovalRequest,
+    InviteCode,
+    UsernameHistory
+} = require('../database');
+const { logActivity, hashToken } = require('./auth');
+const { removeDataExports } = require('./data-export');
+
+// ============================================
+// ACCOUNT LIFECYCLE (deletion)
+// The one place an account is removed - the self-service flow in /settings,
+// the scheduled job and both admin delete routes all call deleteAccount.
+//   erase     - the user's posts go; comments go too (or become "[deleted]"
+//               shells when others replied to them)
+//   anonymize - posts and comments stay, authored by the shared "[deleted]" account
+// Either way their reactions are taken back, records other people rely on
+// (reports they filed or handled, restrictions they issued) are moved to the
+// "[deleted]" account, and the User document is removed. Audit entries keep
+// the original account id so the trail still shows who did what.
+// Unresolved reports on the user's posts are a legal hold: the content is
+// evidence, so deletion waits until moderators have dealt with them.
+// ============================================
+
+const DELETION_MODES = ['erase', 'anonymize'];
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+const ACCOUNT_DELETION_CHECK_INTERVAL = 60 * 1000;
+const DELETED_USERNAME = '[deleted]';
+const LEGAL_HOLD_REPORT_STATUSES = ['pending', 'reviewed', 'escalated'];
+
+/**
+ * Unresolved reports on the user's posts
+ * @returns {number} 0 when nothing holds the account
+ */
+async function getLegalHoldCount(userId) {
+    const postIds = await Post.find({ user: userId }).distinct('_id');
+    if (postIds.length === 0) {
+        return 0;
+    }
+    return Report.countDocuments({ post: { $in: postIds }, status: { $in: LEGAL_HOLD_REPORT_STATUSES } });
+}
+
+function describeLegalHold(username, held) {
+    return `${held} unresolved report(s) on ${username}'s posts place the account on legal hold. Resolve them first.`;
+}
+
+/**
+ * The shared author of anonymized content (created on first use, no usable password)
+ */
+async function getDeletedPlaceholder() {
+    const existing = await User.findOne({ isDeletedPlaceholder: true });
+    if (existing) {
+        return existing;
+    }
+
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    return User.findOneAndUpdate(
+        { isDeletedPlaceholder: true },
+        { $setOnInsert: { username: DELETED_USERNAME, userTag: `u/${DELETED_USERNAME}`, password: unusablePassword, role: 'user' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+function isSameId(a, b) {
+    return !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+}
+
+/**
+ * Take the user's reactions off every comment/reply and remove or reassign
+ * what they wrote
+ * @returns {number} Comments and replies removed or reassigned
+ */
+async function scrubComments(userId, placeholderId, mode) {
+    const posts = await Post.find({
+        $or: [
+            { 'comments.user': userId },
+            { 'comments.likes': userId },
+            { 'comments.dislikes': userId },
+            { 'comments.replies.user': userId },
+            { 'comments.replies.likes': userId },
+            { 'comments.replies.dislikes': userId }
+        ]
+    });
+    let affected = 0;
+
+    for (const post of posts) {
+        const comments = [];
+        post.comments.forEach(comment => {
+            comment.likes = comment.likes.filter(id => !isSameId(id, userId));
+            comment.dislikes = comment.dislikes.filter(id => !isSameId(id, userId));
+
+            const replies = [];
+            comment.replies.forEach(reply => {
+                reply.likes = reply.likes.filter(id => !isSameId(id, userId));
+                reply.dislikes = reply.dislikes.filter(id => !isSameId(id, userId));
+                if (isSameId(reply.user, userId)) {
+                    affected++;
+                    if (mode === 'erase') return;
+                    reply.user = placeholderId;
+                }
+                replies.push(reply);
+            });
+            comment.replies = replies;
+
+            if (isSameId(comment.user, userId)) {
+                affected++;
+                comment.user = placeholderId;
+                // Keep the thread readable when other people replied
+                if (mode === 'erase') {
+                    if (comment.replies.length === 0) return;
+                    comment.content = DELETED_USERNAME;
+                }
+            }
+            comments.push(comment);
+        });
+        post.comments = comments;
+        await post.save();
+    }
+    return affected;
+}
+
+/**
+ * Remove an account and everything that points at it
+ * @param {string} mode - "erase" or "anonymize"
+ * @returns {{ user: Object|null, error: string|null, held: number, summary: string }}
+ */
+async function deleteAccount(userId, mode = 'erase') {
+    if (!DELETION_MODES.includes(mode)) {
+        return { user: null, error: 'Invalid deletion mode', held: 0, summary: '' };
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+        return { user: null, error: 'User not found', held: 0, summary: '' };
+    }
+    if (user.isDeletedPlaceholder) {
+        return { user, error: 'The placeholder account for deleted users cannot be deleted', held: 0, summary: '' };
+    }
+
+    const held = await getLegalHoldCount(user._id);
+    if (held > 0) {
+        return {
+            user,
+            error: describeLegalHold(user.username, held),
+            held,
+            summary: ''
+        };
+    }
+
+    const placeholder = await getDeletedPlaceholder();
+    const placeholderId = placeholder._id;
+
+    // Reactions on posts (counts live on the post, the list on the user)
+    await Post.updateMany({ _id: { $in: user.likes || [] } }, { $inc: { likesCount: -1 } });
+    await Post.updateMany({ _id: { $in: user.dislikes || [] } }, { $inc: { dislikesCount: -1 } });
+
+    const comments = await scrubComments(user._id, placeholderId, mode);
+
+    // The user's own posts
+    const postIds = await Post.find({ user: user._id }).distinct('_id');
+    if (mode === 'erase') {
+        await Report.deleteMany({ post: { $in: postIds } });
+        await PostModeration.deleteMany({ post: { $in: postIds } });
+        await User.updateMany(
+            {},
+            { $pull: { likes: { $in: postIds }, dislikes: { $in: postIds }, saved: { $in: postIds }, hidden: { $in: postIds } } }
+        );
+        await Post.deleteMany({ user: user._id });
+    } else {
+        await Post.updateMany({ user: user._id }, { $set: { user: placeholderId } });
+    }
+
+    // Records that belong to other people keep a (placeholder) reference
+    await Report.updateMany({ reportedBy: user._id }, { $set: { reportedBy: placeholderId } });
+    await Report.updateMany({ handledBy: user._id }, { $set: { handledBy: placeholderId } });
+    await UserRestriction.updateMany({ restrictedBy: user._id }, { $set: { restrictedBy: placeholderId } });
+    await PostModeration.updateMany({ moderatedBy: user._id }, { $set: { moderatedBy: placeholderId } });
+    await Post.updateMany({ hiddenBy: user._id }, { $set: { hiddenBy: placeholderId } });
+    await Post.updateMany({ deletedBy: user._id }, { $set: { deletedBy: placeholderId } });
+    await RoleGrant.updateMany({ grantedBy: user._id }, { $set: { grantedBy: placeholderId } });
+    await InviteCode.updateMany({ createdBy: user._id }, { $set: { createdBy: placeholderId } });
+    await InviteCode.updateMany({ revokedBy: user._id }, { $set: { revokedBy: placeholderId } });
+    await User.updateMany({ 'registration.decidedBy': user._id }, { $set: { 'registration.decidedBy': placeholderId } });
+    await ApprovalRequest.updateMany(
+        { targetUser: user._id, status: 'pending' },
+        { $set: { status: 'failed', failureReason: 'The account was deleted', decidedAt: new Date() } }
+    );
+    // Audit entries stay for accountability - same actor id, only the name is redacted
+    await ActivityLog.updateMany({ user: user._id }, { $set: { username: DELETED_USERNAME } });
+
+    // Records that only concern the account itself
+    await UserRestriction.deleteMany({ user: user._id });
+    await RoleGrant.deleteMany({ user: user._id });
+    await ApiToken.deleteMany({ user: user._id });
+    await PasswordResetToken.deleteMany({ user: user._id });
+    await LoginEvent.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+    await removeDataExports(user._id);
+
+    // Old names stop redirecting, but this one and earlier ones still wait out the release cooldown
+    await UsernameHistory.updateMany({ user: user._id }, { $set: { user: null } });
+    await UsernameHistory.create({ user: null, username: user.username });
+
+    await User.findByIdAndDelete(user._id);
+
+    const summary = mode === 'erase'
+        ? `${postIds.length} post(s) and ${comments} comment(s)/reply(ies) erased`
+        : `${postIds.length} post(s) and ${comments} comment(s)/reply(ies) now shown as ${DELETED_USERNAME}`;
+    return { user, error: null, held: 0, summary };
+}
+
+/**
+ * Start the grace period; the account keeps working until scheduledFor
+ * @returns {string} Cancel token (only its hash is stored)
+ */
+async function scheduleAccountDeletion(user, mode) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    user.deletion = {
+        requestedAt: now,
+        scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+        mode,
+        cancelTokenHash: hashToken(token),
+        heldSince: null
+    };
+    await user.save();
+    return token;
+}
+
+async function cancelAccountDeletion(user) {
+    user.deletion = { requestedAt: null, scheduledFor: null, mode: null, cancelTokenHash: null, heldSince: null };
+    await user.save();
+}
+
+/**
+ * The account a cancel link belongs to, while its deletion is still scheduled
+ */
+async function findUserByDeletionToken(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+    return User.findOne({ 'deletion.cancelTokenHash': hashToken(token), 'deletion.scheduledFor': { $ne: null } });
+}
+
+/**
+ * Delete every account whose grace period is over (run by the background job)
+ * @returns {number} Number of accounts deleted
+ */
+async function runScheduledDeletions() {
+    const due = await User.find({ 'deletion.scheduledFor': { $ne: null, $lte: new Date() } })
+        .select('_id username deletion');
+    let deleted = 0;
+
+    for (const user of due) {
+        const result = await deleteAccount(user._id, user.deletion.mode);
+
+        if (result.held > 0) {
+            // Log the postponement once, then keep retrying quietly
+            if (!user.deletion.heldSince) {
+                await User.updateOne({ _id: user._id }, { $set: { 'deletion.heldSince': new Date() } });
+                await logActivity(user._id, 'ACCOUNT_DELETION_HELD', 'USER', user._id.toString(),
+                                 `Scheduled deletion of ${user.username} postponed: ${result.error}`, 'system');
+            }
+            continue;
+        }
+        if (result.error) continue;
+        deleted++;
+
+        // 2.4.6 - Log the deletion (by account id only - the name is gone with the account)
+        await logActivity(null, 'ACCOUNT_DELETED', 'USER', user._id.toString(),
+                         `Scheduled self-service deletion (${user.deletion.mode}) carried out: ${result.summary}`, 'system');
+    }
+    return deleted;
+}
+
+let deletionJob = null;
+
+/**
+ * Check for accounts due for deletion now and every minute after
+ */
+function startAccountDeletionJob() {
+    if (deletionJob) return;
+
+    const run = async () => {
+        try {
+            await runScheduledDeletions();
+        } catch (err) {
+            // Try again on the next tick (e.g. while the database is unreachable)
+            // console.error('Account deletion job error:', err);
+        }
+    };
+    deletionJob = setInterval(run, ACCOUNT_DELETION_CHECK_INTERVAL);
+    run();
+}
+
+module.exports = {
+    DELETION_MODES,
+    ACCOUNT_DELETION_GRACE_DAYS,
+    DELETED_USERNAME,
+    getLegalHoldCount,
+    describeLegalHold,
+    getDeletedPlaceholder,
+    deleteAccount,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    findUserByDeletionToken,
+    runScheduledDeletions,
+    startAccountDeletionJob
+};
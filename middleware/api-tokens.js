@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { User, ApiToken } = require('../database');
+const { API_TOKEN_SCOPES } = require('../security-schemas');
+const { logActivity, getClientIp, hashToken } = require('./auth');
+const { hasPermission } = require('./roles');
+
+// ============================================
+// PERSONAL API TOKENS
+// "Authorization: Bearer <token>" for scripts calling the JSON routes
+// ============================================
+
+const API_TOKEN_PREFIX = 'tt_';
+const API_TOKEN_EXPIRY_DAYS = [7, 30, 90, 365];
+const MAX_ACTIVE_API_TOKENS = 10;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Account and session management stays cookie-only, so a leaked token can't
+// change the password, mint more tokens or sign the owner out
+const API_TOKEN_BLOCKED_PATHS = [
+    '/login', '/logout', '/register', '/forgot-password', '/reset-password',
+    '/change-password', '/settings', '/auth', '/session', '/admin/impersonation'
+];
+
+// Scopes a user may grant to their tokens: /manager and /admin routes follow the role's dashboard permissions
+function getAllowedApiScopes(user) {
+    const scopes = ['read', 'post'];
+    if (hasPermission(user, 'manager.access')) scopes.push('moderate');
+    if (hasPermission(user, 'admin.access')) scopes.push('admin');
+    return API_TOKEN_SCOPES.filter(scope => scopes.includes(scope));
+}
+
+/**
+ * Scope a request needs: /admin routes need "admin", /manager routes
+ * "moderate", everything else "read" (GET) or "post" (writes)
+ */
+function getRequiredApiScope(req) {
+    if (req.path.startsWith('/admin')) return 'admin';
+    if (req.path.startsWith('/manager')) return 'moderate';
+    return SAFE_METHODS.includes(req.method) ? 'read' : 'post';
+}
+
+function isBlockedForApiTokens(path) {
+    return API_TOKEN_BLOCKED_PATHS.some(blocked => path === blocked || path.startsWith(`${blocked}/`));
+}
+
+function getApiTokenStatus(token) {
+    if (token.revokedAt) return 'revoked';
+    if (token.expiresAt <= new Date()) return 'expired';
+    return 'active';
+}
+
+/**
+ * Check a create-token form
+ * @returns {string[]} Error messages (empty when the request is valid)
+ */
+async function validateApiTokenRequest(user, { name, scopes, expiresInDays }) {
+    const errors = [];
+    const allowed = getAllowedApiScopes(user);
+
+    if (!name || !name.trim()) {
+        errors.push('Give the token a name so you can recognize it later');
+    } else if (name.trim().length > 50) {
+        errors.push('Token name must be 50 characters or fewer');
+    }
+    if (scopes.length === 0) {
+        errors.push('Select at least one scope');
+    }
+    scopes.filter(scope => !allowed.includes(scope)).forEach(scope => {
+        errors.push(`Your role cannot grant the "${scope}" scope`);
+    });
+    if (!API_TOKEN_EXPIRY_DAYS.includes(expiresInDays)) {
+        errors.push('Choose a valid expiry');
+    }
+
+    const active = await ApiToken.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (active >= MAX_ACTIVE_API_TOKENS) {
+        errors.push(`You can have at most ${MAX_ACTIVE_API_TOKENS} active tokens. Revoke one you no longer use first.`);
+    }
+    return errors;
+}
+
+/**
+ * Create a token; the raw value is only ever returned here
+ * @returns {{ token: string, apiToken: Object }}
+ */
+async function createApiToken(user, { name, scopes, expiresInDays }) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    const apiToken = await ApiToken.create({
+        user: user._id,
+        name: name.trim(),
+        tokenHash: hashToken(token),
+        prefix: token.substring(0, API_TOKEN_PREFIX.length + 8),
+        scopes: [...new Set(scopes)],
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, apiToken };
+}
+
+/**
+ * A user's tokens, newest first, with their status
+ */
+async function listApiTokens(userId) {
+    const tokens = await ApiToken.find({ user: userId })
+        .select('-tokenHash')
+        .sort({ createdAt: -1 })
+        .lean();
+    return tokens.map(token => ({ ...token, status: getApiTokenStatus(token) }));
+}
+
+/**
+ * Revoke one token (ownerId limits it to that user's tokens)
+ * @returns {Object|null} The token, or null if it was not found or already revoked
+ */
+async function revokeApiToken(tokenId, revokedBy, ownerId = null) {
+    const filter = { _id: tokenId, revokedAt: null };
+    if (ownerId) {
+        filter.user = ownerId;
+    }
+    return ApiToken.findOneAndUpdate(filter, { $set: { revokedAt: new Date(), revokedBy } }, { new: true }).lean();
+}
+
+/**
+ * Revoke every token a user still has
+ * @returns {number} Number of tokens revoked
+ */
+async function revokeUserApiTokens(userId, revokedBy) {
+    const result = await ApiToken.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Authenticate "Authorization: Bearer" requests (must be registered before
+ * the session middleware). A valid token stands in for the session, so
+ * isAuthenticated, requireAccess and every req.session.userId lookup accept it
+ * unchanged; express-session skips requests that already carry req.session,
+ * so no cookie or stored session is created.
+ */
+async function authenticateApiToken(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        return next();
+    }
+
+    const ipAddress = getClientIp(req);
+    const reject = async (status, error, token = null, reason = error) => {
+        // 2.4.6 - Log rejected token use
+        await logActivity(token ? token.user : null, 'API_TOKEN_REJECTED', 'API_TOKEN', token ? token._id.toString() : '',
+                         `${req.method} ${req.originalUrl} rejected: ${reason}`, ipAddress);
+        res.status(status).json({ success: false, error });
+    };
+
+    try {
+        const token = await ApiToken.findOne({ tokenHash: hashToken(match[1]) });
+        if (!token) {
+            return reject(401, 'Invalid, expired or revoked API token', null, 'unknown token');
+        }
+
+        const status = getApiTokenStatus(token);
+        if (status !== 'active') {
+            return reject(401, 'Invalid, expired or revoked API token', token, `${status} token "${token.name}"`);
+        }
+
+        if (isBlockedForApiTokens(req.path)) {
+            return reject(403, 'API tokens cannot be used for account or session management', token);
+        }
+
+        const user = await User.findById(token.user);
+        const scope = getRequiredApiScope(req);
+        if (!user) {
+            return reject(401, 'Invalid, expired or revoked API token', token, 'token owner no longer exists');
+        }
+        // The owner's role may have changed since the token was created
+        if (!token.scopes.includes(scope) || !getAllowedApiScopes(user).includes(scope)) {
+            return reject(403, `This token does not have the "${scope}" scope`, token, `token "${token.name}" lacks the "${scope}" scope`);
+        }
+
+        token.lastUsedAt = new Date();
+        token.lastUsedIp = ipAddress;
+        await token.save();
+
+        await logActivity(user._id, 'API_TOKEN_USED', 'API_TOKEN', token._id.toString(),
+                         `${req.method} ${req.originalUrl} with token "${token.name}" (${scope})`, ipAddress);
+
+        req.session = { userId: user._id };
+        req.apiToken = { id: token._id, name: token.name, scopes: token.scopes };
+        next();
+    } catch (err) {
+        // console.error('API token error:', err);
+        res.status(500).json({ success: false, error: 'Unable to verify API token' });
+    }
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    API_TOKEN_EXPIRY_DAYS,
+    MAX_ACTIVE_API_TOKENS,
+    getAllowedApiScopes,
+    getRequiredApiScope,
+    validateApiTokenRequest,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    revokeUserApiTokens,
+    authenticateApiToken
+};
@@ -0,0 +1,362 @@
+const { User, ApprovalRequest } = require('../database');
+const { UserRestriction } = require('../moderation-schemas');
+const { logActivity, getClientIp } = require('./auth');
+const { can } = require('./policy');
+const { getRole, getRolePermissions, hasPermission } = require('./roles');
+const { getSecurityPolicy } = require('./security-policy');
+const { formatTimeRemaining, validateRoleGrant, createRoleGrant, supersedeRoleGrants } = require('./role-grants');
+const { deleteAccount } = require('./account-lifecycle');
+const { escapeRegex } = require('./username-policy');
+
+// ============================================
+// TWO-PERSON APPROVAL
+// Actions listed in the security policy's dualApprovalActions are not run
+// straight away: the route stores an ApprovalRequest and a different
+// administrator approves (the action runs then) or rejects it from the
+// admin dashboard. Unanswered requests lapse after approvalExpiryHours.
+// Every step is written to the activity log with the request id.
+// ============================================
+
+function roleOrEmpty(name) {
+    return getRole(name) || { name, permissions: [] };
+}
+
+// action -> label, log action written when it runs, whether a given
+// approver could take the action themselves, and how to take it
+const APPROVAL_ACTION_HANDLERS = {
+    // payload: { reason }
+    ban_user: {
+        label: 'Permanent ban',
+        logAction: 'PERMANENT_BAN',
+        allowed: (approver, target) => can(approver, 'ban', 'user', target),
+        execute: async (request, target) => {
+            await UserRestriction.create({
+                user: target._id,
+                restrictedBy: request.requestedBy,
+                restrictionType: 'permanent_ban',
+                reason: request.payload.reason,
+                startDate: new Date(),
+                endDate: null, // null = permanent
+                isActive: true
+            });
+        }
+    },
+    // payload: { mode } - "erase" or "anonymize"
+    delete_user: {
+        label: 'Delete account',
+        logAction: 'DELETE_USER',
+        allowed: (approver, target) => can(approver, 'assign', 'role', roleOrEmpty(target.role)),
+        execute: async (request, target) => {
+            const result = await deleteAccount(target._id, request.payload.mode || 'erase');
+            return result.error;
+        }
+    },
+    // payload: { account } - the fields of the new User, password already hashed
+    create_admin: {
+        label: 'Create administrator',
+        logAction: 'CREATE_USER',
+        allowed: (approver, target, request) => can(approver, 'assign', 'role', roleOrEmpty(request.payload.account.role)),
+        execute: async (request) => {
+            const { account } = request.payload;
+            const taken = await User.exists({
+                username: { $regex: new RegExp(`^${escapeRegex(account.username)}$`, 'i') }
+            });
+            if (taken) {
+                return 'The username has been taken since the request was made';
+            }
+            await User.create(account);
+        }
+    },
+    // payload: { fromRole, role, managedTags } or { fromRole, grant } for a temporary role
+    promote_admin: {
+        label: 'Promote to administrator',
+        logAction: 'CHANGE_ROLE',
+        allowed: (approver, target, request) => [target.role, request.payload.role || request.payload.grant.role]
+            .every(name => can(approver, 'assign', 'role', roleOrEmpty(name))),
+        execute: async (request, target) => {
+            const { fromRole, role, managedTags, grant } = request.payload;
+            if (target.role !== fromRole) {
+                return `${target.username}'s role has changed to ${target.role} since the request was made`;
+            }
+
+            if (grant) {
+                const errors = await validateRoleGrant(target, grant);
+                if (errors.length > 0) {
+                    return errors.join('. ');
+                }
+                await createRoleGrant(target, grant, request.requestedBy);
+                return;
+            }
+
+            target.role = role;
+            target.managedTags = managedTags;
+            await target.save();
+            // A permanent change replaces any temporary role
+            await supersedeRoleGrants(target._id, request.decidedBy);
+        }
+    }
+};
+
+/**
+ * Whether the security policy sends this action through a second administrator
+ */
+function isApprovalRequired(action) {
+    return getSecurityPolicy().dualApprovalActions.includes(action);
+}
+
+// Roles that open the admin dashboard count as administrator roles
+function isAdministratorRole(name) {
+    return getRolePermissions(name).includes('admin.access');
+}
+
+/**
+ * Whether changing an account from one role to another makes it an administrator
+ */
+function isPromotionToAdministrator(fromRole, toRole) {
+    return isAdministratorRole(toRole) && !isAdministratorRole(fromRole);
+}
+
+/**
+ * Hold an action for approval
+ * @param {Object} fields - { targetUser, targetName, payload, summary, reason }
+ * @returns {{ request: Object|null, error: string|null }}
+ */
+async function requestApproval(req, action, { targetUser = null, targetName, payload = {}, summary, reason = '' }) {
+    await expireApprovalRequests();
+
+    const duplicate = await ApprovalRequest.exists({ action, targetName, status: 'pending' });
+    if (duplicate) {
+        return { request: null, error: `A ${APPROVAL_ACTION_HANDLERS[action].label.toLowerCase()} request for ${targetName} is already waiting for approval` };
+    }
+
+    const request = await ApprovalRequest.create({
+        action,
+        targetUser: targetUser ? targetUser._id : null,
+        targetName,
+        payload,
+        summary,
+        reason,
+        requestedBy: req.session.userId,
+        expiresAt: new Date(Date.now() + getSecurityPolicy().approvalExpiryHours * 60 * 60 * 1000)
+    });
+
+    // 2.4.6 - Log the start of the approval chain
+    await logActivity(req.session.userId, 'APPROVAL_REQUESTED', 'APPROVAL', request._id.toString(),
+                     `Requested approval to ${summary} (request ${request._id}, expires ${request.expiresAt.toISOString()})${reason ? `. Reason: "${reason}"` : ''}`,
+                     getClientIp(req));
+    return { request, error: null };
+}
+
+/**
+ * The pending request for an action on one account, if any
+ */
+async function findPendingApproval(action, targetUserId) {
+    await expireApprovalRequests();
+    return ApprovalRequest.findOne({ action, targetUser: targetUserId, status: 'pending' }).lean();
+}
+
+/**
+ * Answer a route whose action now waits for approval (202 so callers can
+ * tell it apart from "done")
+ */
+function sendPendingApproval(res, { request, error }) {
+    if (error) {
+        return res.status(409).json({ error });
+    }
+    return res.status(202).json({
+        success: true,
+        pendingApproval: true,
+        requestId: request._id,
+        message: `Another administrator must approve this before ${request.expiresAt.toISOString()}. It is waiting on the admin dashboard.`
+    });
+}
+
+/**
+ * Mark pending requests past their expiry as expired (checked whenever the
+ * queue is read or answered)
+ * @returns {number} Number of requests expired
+ */
+async function expireApprovalRequests() {
+    const due = await ApprovalRequest.find({ status: 'pending', expiresAt: { $lte: new Date() } }).select('_id');
+    let expired = 0;
+
+    for (const { _id } of due) {
+        const request = await ApprovalRequest.findOneAndUpdate(
+            { _id, status: 'pending' },
+            { $set: { status: 'expired', decidedAt: new Date() } },
+            { new: true }
+        );
+        if (!request) continue; // Answered in the meantime
+        expired++;
+
+        // 2.4.6 - Log the lapse (attributed to the requester)
+        await logActivity(request.requestedBy, 'APPROVAL_EXPIRED', 'APPROVAL', request._id.toString(),
+                         `Request ${request._id} to ${request.summary} expired without a decision; nothing was changed`,
+                         'system');
+    }
+    return expired;
+}
+
+/**
+ * Pending requests, oldest first, with what the viewing administrator may do
+ */
+async function listPendingApprovals(viewer) {
+    await expireApprovalRequests();
+
+    const requests = await ApprovalRequest.find({ status: 'pending' })
+        .populate('requestedBy', 'username')
+        .populate('targetUser', 'username role')
+        .sort({ requestedAt: 1 })
+        .lean();
+
+    return requests.map(request => {
+        const handler = APPROVAL_ACTION_HANDLERS[request.action];
+        const own = !!request.requestedBy && request.requestedBy._id.toString() === viewer._id.toString();
+        const targetMissing = request.action !== 'create_admin' && !request.targetUser;
+        const isTarget = !targetMissing && !!request.targetUser && request.targetUser._id.toString() === viewer._id.toString();
+        return {
+            ...request,
+            label: handler.label,
+            requesterName: request.requestedBy ? request.requestedBy.username : 'deleted account',
+            remaining: formatTimeRemaining(request.expiresAt),
+            own,
+            canDecide: !own && !isTarget && hasPermission(viewer, 'admin.access') &&
+                (targetMissing || handler.allowed(viewer, request.targetUser, request))
+        };
+    });
+}
+
+/**
+ * Approve (and run) or reject a pending request. The requester can't answer
+ * their own request, nor can the account it is about.
+ * @param {string} decision - "approve" or "reject"
+ * @returns {{ request: Object|null, error: string|null, status: number }}
+ */
+async function decideApproval(req, requestId, decision, note = '') {
+    await expireApprovalRequests();
+
+    const approver = req.currentUser;
+    const existing = await ApprovalRequest.findById(requestId).lean();
+    if (!existing || existing.status !== 'pending') {
+        return { request: null, error: 'Approval request not found, already answered or expired', status: 404 };
+    }
+
+    const handler = APPROVAL_ACTION_HANDLERS[existing.action];
+    const requester = await User.findById(existing.requestedBy).select('username').lean();
+    const requesterName = requester ? requester.username : existing.requestedBy.toString();
+    const target = existing.targetUser ? await User.findById(existing.targetUser) : null;
+    const targetMissing = existing.action !== 'create_admin' && !target;
+
+    if (existing.requestedBy.toString() === approver._id.toString()) {
+        await logActivity(approver._id, 'ACCESS_DENIED', 'APPROVAL', requestId,
+                         `${approver.username} tried to answer their own request ${requestId} to ${existing.summary}`, getClientIp(req));
+        return { request: null, error: 'You cannot answer your own request. Another administrator must decide.', status: 403 };
+    }
+    if (existing.targetUser && existing.targetUser.toString() === approver._id.toString()) {
+        await logActivity(approver._id, 'ACCESS_DENIED', 'APPROVAL', requestId,
+                         `${approver.username} tried to answer request ${requestId} about their own account`, getClientIp(req));
+        return { request: null, error: 'You cannot answer a request about your own account', status: 403 };
+    }
+    // The approver must be able to take the action themselves (a vanished target just fails below)
+    if (decision === 'approve' && !(hasPermission(approver, 'admin.access') && (targetMissing || handler.allowed(approver, target, existing)))) {
+        await logActivity(approver._id, 'ACCESS_DENIED', 'APPROVAL', requestId,
+                         `${approver.username} (${approver.role}) may not approve request ${requestId} to ${existing.summary}`, getClientIp(req));
+        return { request: null, error: 'You do not have permission to approve this request', status: 403 };
+    }
+
+    // Claimed atomically so two administrators answering at once can't both run it
+    const request = await ApprovalRequest.findOneAndUpdate(
+        { _id: requestId, status: 'pending', expiresAt: { $gt: new Date() } },
+        { $set: {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            decidedBy: approver._id,
+            decidedAt: new Date(),
+            decisionNote: (note || '').trim()
+        } },
+        { new: true }
+    );
+    if (!request) {
+        return { request: null, error: 'Approval request not found, already answered or expired', status: 404 };
+    }
+
+    const chain = `request ${request._id}, requested by ${requesterName}, ${decision === 'approve' ? 'approved' : 'rejected'} by ${approver.username}`;
+    const noteText = request.decisionNote ? `. Note: "${request.decisionNote}"` : '';
+
+    if (decision !== 'approve') {
+        // 2.4.6 - Log the rejection
+        await logActivity(approver._id, 'APPROVAL_REJECTED', 'APPROVAL', request._id.toString(),
+                         `Rejected ${requesterName}'s request to ${request.summary} (${chain})${noteText}`, getClientIp(req));
+        return { request, error: null, status: 200 };
+    }
+
+    // 2.4.6 - Log the approval, then the action it ran
+    await logActivity(approver._id, 'APPROVAL_APPROVED', 'APPROVAL', request._id.toString(),
+                     `Approved ${requesterName}'s request to ${request.summary} (${chain})${noteText}`, getClientIp(req));
+
+    let failure = null;
+    if (targetMissing) {
+        failure = `${request.targetName}'s account no longer exists`;
+    } else {
+        try {
+            failure = await handler.execute(request, target) || null;
+        } catch (err) {
+            // console.error('Approved action error:', err);
+            failure = 'The action could not be completed';
+        }
+    }
+
+    if (failure) {
+        request.status = 'failed';
+        request.failureReason = failure;
+        await request.save();
+        await logActivity(approver._id, 'APPROVAL_FAILED', 'APPROVAL', request._id.toString(),
+                         `Approved request to ${request.summary} could not run: ${failure} (${chain})`, getClientIp(req));
+        return { request, error: `Approved, but the action could not run: ${failure}`, status: 409 };
+    }
+
+    request.executedAt = new Date();
+    await request.save();
+
+    const created = request.action === 'create_admin'
+        ? await User.findOne({ username: request.payload.account.username }).select('_id').lean()
+        : null;
+    const targetId = created ? created._id.toString() : (request.targetUser ? request.targetUser.toString() : request.targetName);
+    await logActivity(request.requestedBy, handler.logAction, 'USER', targetId,
+                     `${request.summary.charAt(0).toUpperCase()}${request.summary.slice(1)} (${chain})`, getClientIp(req));
+
+    return { request, error: null, status: 200 };
+}
+
+/**
+ * The requester withdraws a pending request
+ * @returns {{ request: Object|null, error: string|null }}
+ */
+async function cancelApproval(req, requestId) {
+    const request = await ApprovalRequest.findOneAndUpdate(
+        { _id: requestId, status: 'pending', requestedBy: req.session.userId },
+        { $set: { status: 'cancelled', decidedBy: req.session.userId, decidedAt: new Date() } },
+        { new: true }
+    );
+    if (!request) {
+        return { request: null, error: 'Approval request not found, already answered or not yours' };
+    }
+
+    // 2.4.6 - Log the withdrawal
+    await logActivity(req.session.userId, 'APPROVAL_CANCELLED', 'APPROVAL', request._id.toString(),
+                     `Withdrew request ${request._id} to ${request.summary}`, getClientIp(req));
+    return { request, error: null };
+}
+
+module.exports = {
+    APPROVAL_ACTION_HANDLERS,
+    isApprovalRequired,
+    isAdministratorRole,
+    isPromotionToAdministrator,
+    requestApproval,
+    findPendingApproval,
+    sendPendingApproval,
+    expireApprovalRequests,
+    listPendingApprovals,
+    decideApproval,
+    cancelApproval
+};
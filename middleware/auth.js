@@ -1,12 +1,24 @@
 const { User, ActivityLog } = require('../database');
 const { UserRestriction } = require('../moderation-schemas');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const {
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_SPECIAL_CHARACTERS,
+    getSecurityPolicy,
+    getLockoutDurationMinutes
+} = require('./security-policy');
+const { checkPasswordBlocklist } = require('./password-blocklist');
+const { isSsoOnlyAccount } = require('./oidc');
+const { authorize } = require('./policy');
+const { getRole, hasPermission, isPrivilegedRole } = require('./roles');
 
 // ============================================
 // AUTHENTICATION MIDDLEWARE
 // ============================================
 
 // Middleware to check if user is authenticated
+// (session cookie, or a bearer API token - see authenticateApiToken in api-tokens.js)
 function isAuthenticated(req, res, next) {
     if (req.session.userId) {
         return next();
@@ -14,101 +26,125 @@ function isAuthenticated(req, res, next) {
     res.redirect('/login');
 }
 
-// Middleware to check if user is an administrator
-function isAdministrator(req, res, next) {
-    if (!req.session.userId) {
-        return res.redirect('/login');
-    }
-    
-    User.findById(req.session.userId)
-        .then(user => {
+// Permission-gated sections (admin pages, manager pages, moderation routes) - any one of
+// the permissions lets you in; the decision comes from the "area.access" policy (middleware/policy.js)
+function requireAccess(permissions, deniedDetail = 'You do not have permission to access this page.') {
+    const allowedPermissions = Array.isArray(permissions) ? permissions : [permissions];
+
+    return async (req, res, next) => {
+        if (!req.session.userId) {
+            return res.redirect('/login');
+        }
+
+        try {
+            const user = await User.findById(req.session.userId);
             if (!user) {
                 return res.redirect('/login');
             }
-            if (user.role === 'administrator') {
-                return next();
+
+            const decision = await authorize(req, user, 'access', 'area', allowedPermissions);
+            if (!decision.allowed) {
+                return res.status(403).render('error', { 
+                    message: 'Access Denied',
+                    detail: deniedDetail,
+                    returnUrl: '/home'
+                });
             }
-            // 2.4.6 - Log access control failure
-            logActivity(user._id, 'ACCESS_DENIED', 'ADMIN_PAGE', req.path, 
-                       `User ${user.username} (${user.role}) attempted to access admin page`, 
-                       getClientIp(req));
-            
-            res.status(403).render('error', { 
-                message: 'Access Denied',
-                detail: 'You do not have administrator privileges to access this page.' 
-            });
-        })
-        .catch(err => {
+
+            // Privileged roles must have 2FA enrolled before using their privileges
+            if (enforceTwoFactorEnrollment(req, res, user)) return;
+
+            // Attach user to request for use in route handlers
+            req.currentUser = user;
+            next();
+        } catch (err) {
             // console.error('Auth error:', err);
             res.status(500).send('Internal Server Error');
-        });
+        }
+    };
 }
 
-// Middleware to check if user is a Manager (Moderator)
-function isManager(req, res, next) {
-    if (!req.session.userId) {
-        return res.redirect('/login');
+// Middleware to check if user may use the admin pages
+const isAdministrator = requireAccess('admin.access', 'You do not have administrator privileges to access this page.');
+
+// Middleware to check if user may use the manager (moderator) pages
+const isManager = requireAccess('manager.access', 'You need manager or administrator privileges to access this page.');
+
+// ============================================
+// STEP-UP RE-AUTHENTICATION (2.1.13)
+// ============================================
+
+const STEP_UP_PATH = '/auth/step-up';
+const STEP_UP_WINDOW_MINUTES = 5;
+
+function hasRecentStepUp(req) {
+    const confirmedAt = req.session.stepUpAt;
+    return !!confirmedAt && Date.now() - confirmedAt < STEP_UP_WINDOW_MINUTES * 60 * 1000;
+}
+
+/**
+ * Sensitive admin actions need the password (or a 2FA code) re-entered within
+ * the last few minutes - use after isAdministrator / requireAccess.
+ * Page requests are sent to the confirm page and back; fetch requests get a 401
+ * that the admin pages answer with the step-up modal and a retry (js/step-up.js).
+ */
+function requireStepUp(req, res, next) {
+    if (hasRecentStepUp(req)) {
+        return next();
     }
-    
-    User.findById(req.session.userId)
-        .then(user => {
-            if (!user) {
-                return res.redirect('/login');
-            }
-            if (user.role === 'manager' || user.role === 'administrator') {
-                return next();
-            }
-            // 2.4.6 - Log access control failure
-            logActivity(user._id, 'ACCESS_DENIED', 'MANAGER_PAGE', req.path, 
-                       `User ${user.username} (${user.role}) attempted to access manager page`, 
-                       getClientIp(req));
-            
-            res.status(403).render('error', { 
-                message: 'Access Denied',
-                detail: 'You need manager or administrator privileges to access this page.' 
-            });
-        })
-        .catch(err => {
-            // console.error('Auth error:', err);
-            res.status(500).send('Internal Server Error');
-        });
+
+    if (req.method === 'GET') {
+        return res.redirect(`${STEP_UP_PATH}?returnTo=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({
+        success: false,
+        stepUpRequired: true,
+        sso: req.session.authMethod === 'sso', // Offer confirming through the identity provider
+        error: 'Please confirm your password to continue.'
+    });
 }
 
 // ============================================
 // PASSWORD VALIDATION (2.1.4 & 2.1.5)
 // ============================================
 
-function validatePassword(password) {
+// Rules come from the admin-editable security policy (middleware/security-policy.js);
+// pass the account's username so passwords containing it are rejected
+function validatePassword(password, username = '') {
     const errors = [];
+    const policy = getSecurityPolicy();
     
-    // 2.1.5 - Length requirement (minimum 8 characters)
-    if (password.length < 8) {
-        errors.push('Password must be at least 8 characters long');
+    // 2.1.5 - Length requirement (policy minimum, never below 8 characters)
+    if (password.length < policy.minPasswordLength) {
+        errors.push(`Password must be at least ${policy.minPasswordLength} characters long`);
     }
     
-    if (password.length > 128) {
-        errors.push('Password must not exceed 128 characters');
+    if (password.length > PASSWORD_MAX_LENGTH) {
+        errors.push(`Password must not exceed ${PASSWORD_MAX_LENGTH} characters`);
     }
     
     // 2.1.4 - Complexity requirements
     const hasUppercase = /[A-Z]/.test(password);
     const hasLowercase = /[a-z]/.test(password);
     const hasNumber = /[0-9]/.test(password);
-    const hasSpecial = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
+    const hasSpecial = PASSWORD_SPECIAL_CHARACTERS.test(password);
     
-    if (!hasUppercase) {
+    if (policy.requireUppercase && !hasUppercase) {
         errors.push('Password must contain at least one uppercase letter');
     }
-    if (!hasLowercase) {
+    if (policy.requireLowercase && !hasLowercase) {
         errors.push('Password must contain at least one lowercase letter');
     }
-    if (!hasNumber) {
+    if (policy.requireNumber && !hasNumber) {
         errors.push('Password must contain at least one number');
     }
-    if (!hasSpecial) {
+    if (policy.requireSpecial && !hasSpecial) {
         errors.push('Password must contain at least one special character');
     }
     
+    // 2.1.4 - Reject common/breached passwords and ones built from the username
+    errors.push(...checkPasswordBlocklist(password, username));
+    
     return {
         isValid: errors.length === 0,
         errors: errors
@@ -139,15 +175,19 @@ async function isAccountLocked(user) {
 }
 
 async function handleFailedLogin(user) {
+    const policy = getSecurityPolicy();
     user.failedLoginAttempts += 1;
     
-    // Lock account after 5 failed attempts for 15 minutes
-    if (user.failedLoginAttempts >= 5) {
-        user.accountLockedUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    // Lock account after lockoutThreshold failed attempts; repeat lockouts last progressively longer
+    if (user.failedLoginAttempts >= policy.lockoutThreshold) {
+        const minutes = getLockoutDurationMinutes(user.lockoutCount || 0);
+        user.accountLockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        user.lockoutCount = (user.lockoutCount || 0) + 1;
         await user.save();
         return {
             locked: true,
-            message: 'Account has been locked due to multiple failed login attempts. Please try again in 15 minutes.'
+            minutes,
+            message: `Account has been locked due to multiple failed login attempts. Please try again in ${minutes} minute(s).`
         };
     }
     
@@ -161,6 +201,7 @@ async function handleSuccessfulLogin(user) {
     user.lastLogin = new Date();
     user.failedLoginAttempts = 0;
     user.accountLockedUntil = null;
+    user.lockoutCount = 0;
     await user.save();
 }
 
@@ -175,9 +216,10 @@ async function isPasswordReused(user, newPassword) {
         return true;
     }
     
-    // Then check against password history (last 5 passwords)
-    if (user.passwordHistory && user.passwordHistory.length > 0) {
-        for (let oldPass of user.passwordHistory) {
+    // Then check against password history (last passwordHistoryDepth passwords)
+    const historyDepth = getSecurityPolicy().passwordHistoryDepth;
+    if (historyDepth > 0 && user.passwordHistory && user.passwordHistory.length > 0) {
+        for (let oldPass of user.passwordHistory.slice(-historyDepth)) {
             if (await bcrypt.compare(newPassword, oldPass.password)) {
                 return true;
             }
@@ -198,14 +240,16 @@ async function updatePasswordHistory(user, newHashedPassword) {
         changedAt: new Date()
     });
     
-    // Keep only last 5 passwords
-    if (user.passwordHistory.length > 5) {
-        user.passwordHistory = user.passwordHistory.slice(-5);
+    // Keep only as many passwords as the policy checks against
+    const historyDepth = getSecurityPolicy().passwordHistoryDepth;
+    if (user.passwordHistory.length > historyDepth) {
+        user.passwordHistory = historyDepth > 0 ? user.passwordHistory.slice(-historyDepth) : [];
     }
     
     // Update to new password
     user.password = newHashedPassword;
     user.passwordChangedAt = new Date();
+    user.mustChangePassword = false;
     await user.save();
 }
 
@@ -218,20 +262,92 @@ function canChangePassword(user) {
         return { allowed: true }; // First time changing password
     }
     
+    // A forced rotation always wins over the minimum age
+    if (getPasswordChangeRequirement(user)) {
+        return { allowed: true };
+    }
+    
+    const minAgeDays = getSecurityPolicy().minPasswordAgeDays;
     const daysSinceChange = (new Date() - user.passwordChangedAt) / (1000 * 60 * 60 * 24);
     
-    // NOTE: Changed to 1 minute (0.0007 days) for demo purposes
-    // Production should be 1 day (1)
-    if (daysSinceChange < 1) {
+    if (daysSinceChange < minAgeDays) {
         return {
             allowed: false,
-            message: 'Password can only be changed once per day. Please try again shortly.'
+            message: minAgeDays === 1
+                ? 'Password can only be changed once per day. Please try again shortly.'
+                : `Password can only be changed once every ${minAgeDays} days. Please try again later.`
         };
     }
     
     return { allowed: true };
 }
 
+// ============================================
+// PASSWORD EXPIRY / FORCED ROTATION (2.1.10)
+// ============================================
+
+const CHANGE_PASSWORD_PATH = '/change-password';
+
+function isPasswordExpired(user) {
+    const maxAgeDays = getSecurityPolicy().maxPasswordAgeDays;
+    if (!maxAgeDays || !user.passwordChangedAt) {
+        return false; // 0 = passwords never expire
+    }
+    
+    const daysSinceChange = (new Date() - user.passwordChangedAt) / (1000 * 60 * 60 * 24);
+    return daysSinceChange >= maxAgeDays;
+}
+
+/**
+ * Why the user has to pick a new password before doing anything else
+ * @returns {{ reason: 'flagged'|'expired', message: string }|null} null when no change is required
+ */
+function getPasswordChangeRequirement(user) {
+    // Accounts created by single sign-on have no password of their own to rotate
+    if (isSsoOnlyAccount(user)) {
+        return null;
+    }
+    if (user.mustChangePassword) {
+        return {
+            reason: 'flagged',
+            message: 'Your account requires a password change before you can continue.'
+        };
+    }
+    if (isPasswordExpired(user)) {
+        return {
+            reason: 'expired',
+            message: `Your password is more than ${getSecurityPolicy().maxPasswordAgeDays} days old. Please choose a new password to continue.`
+        };
+    }
+    return null;
+}
+
+/**
+ * Users with an expired or admin-flagged password can only reach the
+ * change password page until they rotate it (must be after attachUserInfo)
+ */
+function requirePasswordRotation(req, res, next) {
+    if (!req.user || req.session.isSwitched) {
+        return next();
+    }
+    if (req.path === CHANGE_PASSWORD_PATH || req.path === '/logout') {
+        return next();
+    }
+
+    const requirement = getPasswordChangeRequirement(req.user);
+    if (!requirement) {
+        return next();
+    }
+
+    if (req.method === 'GET') {
+        return res.redirect(CHANGE_PASSWORD_PATH);
+    }
+    res.status(403).json({
+        success: false,
+        error: requirement.message
+    });
+}
+
 // ============================================
 // SECURITY QUESTIONS (2.1.8)
 // ============================================
@@ -317,17 +433,323 @@ function validateSecurityQuestion(question, answer) {
     return { valid: true };
 }
 
+// Questions users can choose from (registration offers the first five)
+const SECURITY_QUESTION_POOL = [
+    "What is the name of your first pet?",
+    "What street did you grow up on?",
+    "What is your mother's maiden name?",
+    "What was the model of your first car?",
+    "In what city were you born?",
+    "What was the name of your elementary school?",
+    "What is the middle name of your oldest sibling?",
+    "What was your childhood nickname?"
+];
+const SECURITY_QUESTIONS_MIN = 2;
+const SECURITY_QUESTIONS_MAX = 3;
+const SECURITY_QUESTIONS_ASKED = 2; // Asked per password reset attempt
+
+/**
+ * All of a user's security questions as [{ question, answerHash }]
+ * (falls back to the single question set at registration)
+ */
+function getSecurityQuestions(user) {
+    if (user.securityQuestions && user.securityQuestions.length > 0) {
+        return user.securityQuestions.map(q => ({ question: q.question, answerHash: q.answerHash }));
+    }
+    if (user.securityQuestion && user.securityAnswer) {
+        return [{ question: user.securityQuestion, answerHash: user.securityAnswer }];
+    }
+    return [];
+}
+
+/**
+ * Pick a random subset of question indexes for a reset attempt
+ */
+function pickSecurityChallenge(user) {
+    const indexes = getSecurityQuestions(user).map((q, i) => i);
+    for (let i = indexes.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    return indexes.slice(0, SECURITY_QUESTIONS_ASKED).sort();
+}
+
+/**
+ * Check every answer in a challenge (case-insensitive, trimmed)
+ * @param {number[]} indexes - Question indexes that were asked
+ * @param {string[]} answers - Answers in the same order
+ */
+async function verifySecurityAnswers(user, indexes, answers) {
+    const questions = getSecurityQuestions(user);
+    if (!Array.isArray(answers) || indexes.length === 0 || answers.length !== indexes.length) {
+        return false;
+    }
+
+    let allMatch = true;
+    for (let i = 0; i < indexes.length; i++) {
+        const entry = questions[indexes[i]];
+        const answer = typeof answers[i] === 'string' ? answers[i].toLowerCase().trim() : '';
+        // Compare every answer so timing doesn't reveal which one was wrong
+        if (!entry || !answer || !(await bcrypt.compare(answer, entry.answerHash))) {
+            allMatch = false;
+        }
+    }
+    return allMatch;
+}
+
+async function hashSecurityAnswer(answer) {
+    return bcrypt.hash(answer.toLowerCase().trim(), 10);
+}
+
+const SECURITY_QUESTIONS_PATH = '/settings/security-questions';
+
+/**
+ * Accounts still on a seeded default answer can't do anything else
+ * until they set their own questions (must be after attachUserInfo).
+ * A required password change is finished first - requirePasswordRotation
+ * handles it - so the two flows never redirect into each other
+ */
+function requireSecurityQuestionUpdate(req, res, next) {
+    if (!req.user || !req.user.securityQuestionsAreDefault || req.session.isSwitched || isSsoOnlyAccount(req.user)) {
+        return next();
+    }
+    if (getPasswordChangeRequirement(req.user)) {
+        return next();
+    }
+    if (req.path === SECURITY_QUESTIONS_PATH || req.path === '/logout') {
+        return next();
+    }
+
+    if (req.method === 'GET') {
+        return res.redirect(SECURITY_QUESTIONS_PATH);
+    }
+    res.status(403).json({
+        success: false,
+        error: 'Please update your security questions before continuing.'
+    });
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP - RFC 6238)
+// ============================================
+
+const TOTP_ISSUER = 'TikTalk';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // Accept one step of clock drift either way
+const BACKUP_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+    return code.toString().padStart(TOTP_DIGITS, '0');
+}
+
+function generateTwoFactorSecret() {
+    return base32Encode(crypto.randomBytes(20)); // 160-bit secret
+}
+
+function buildOtpAuthUri(username, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+           `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+/**
+ * Check a 6-digit code against a secret
+ * Returns the matching time step, or null. Steps at or before lastUsedStep are
+ * rejected so an intercepted code cannot be replayed.
+ */
+function verifyTotpToken(secret, token, lastUsedStep = 0) {
+    if (!secret || !/^\d{6}$/.test(token || '')) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        if (step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(generateHotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(token))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate a fresh set of one-time backup codes
+ * Returns: { codes: string[] (show once), hashed: [{ codeHash }] (store) }
+ */
+async function generateBackupCodes() {
+    const codes = [];
+    const hashed = [];
+
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        codes.push(code);
+        hashed.push({ codeHash: await bcrypt.hash(code, 10), usedAt: null });
+    }
+
+    return { codes, hashed };
+}
+
+/**
+ * Verify a second-factor code for an enrolled user
+ * Accepts either a current TOTP code or an unused backup code (consumed on use).
+ * Returns: { valid: boolean, method: 'totp'|'backup'|null, remainingBackupCodes: number }
+ */
+async function verifyTwoFactorCode(user, code) {
+    const remaining = () => (user.twoFactorBackupCodes || []).filter(c => !c.usedAt).length;
+
+    if (!user.twoFactorEnabled || !code) {
+        return { valid: false, method: null, remainingBackupCodes: remaining() };
+    }
+
+    const normalized = String(code).trim().toLowerCase().replace(/\s/g, '');
+
+    const step = verifyTotpToken(user.twoFactorSecret, normalized, user.twoFactorLastUsedStep);
+    if (step !== null) {
+        user.twoFactorLastUsedStep = step;
+        await user.save();
+        return { valid: true, method: 'totp', remainingBackupCodes: remaining() };
+    }
+
+    if (/^[0-9a-f]{5}-?[0-9a-f]{5}$/.test(normalized)) {
+        const formatted = normalized.includes('-') ? normalized : `${normalized.slice(0, 5)}-${normalized.slice(5)}`;
+        for (const backupCode of user.twoFactorBackupCodes || []) {
+            if (!backupCode.usedAt && await bcrypt.compare(formatted, backupCode.codeHash)) {
+                backupCode.usedAt = new Date();
+                await user.save();
+                return { valid: true, method: 'backup', remainingBackupCodes: remaining() };
+            }
+        }
+    }
+
+    return { valid: false, method: null, remainingBackupCodes: remaining() };
+}
+
+// Required for every role that grants any permission (built-in administrator and manager included)
+function isTwoFactorRequired(user) {
+    return isPrivilegedRole(user.role);
+}
+
+/**
+ * Privileged roles must enroll in 2FA before using their privileges.
+ * Sends the user to enrollment and returns true when access should stop here.
+ */
+function enforceTwoFactorEnrollment(req, res, user) {
+    if (!isTwoFactorRequired(user) || user.twoFactorEnabled) {
+        return false;
+    }
+
+    // An impersonating administrator already passed their own 2FA
+    if (req.session && req.session.isSwitched) {
+        return false;
+    }
+
+    // Single sign-on sessions: the identity provider is responsible for the second factor
+    if (req.session && req.session.authMethod === 'sso') {
+        return false;
+    }
+
+    logActivity(user._id, 'TWO_FACTOR_ENROLLMENT_REQUIRED', 'USER', user._id.toString(),
+               `${user.role} ${user.username} blocked from ${req.path} until 2FA is enrolled`,
+               getClientIp(req));
+
+    if (req.method === 'GET') {
+        res.redirect('/settings/two-factor');
+    } else {
+        res.status(403).json({
+            success: false,
+            error: 'Two-factor authentication must be enabled before performing this action'
+        });
+    }
+    return true;
+}
+
 // ============================================
 // AUTHORIZATION - ENHANCED (2.2.1, 2.2.2, 2.2.3)
+// Decisions are made by the policy module (middleware/policy.js); these
+// helpers only load the resource and shape the response
 // ============================================
 
+// Load the document a resource check is about, with the context its rule needs
+async function loadPolicyResource(resourceType, resourceId) {
+    const Post = require('../database').Post;
+
+    switch (resourceType) {
+        case 'POST': {
+            const post = await Post.findById(resourceId);
+            return post ? { resource: post, context: {} } : null;
+        }
+        case 'COMMENT': {
+            const post = await Post.findOne({ 'comments._id': resourceId });
+            return post ? { resource: post.comments.id(resourceId), context: { post } } : null;
+        }
+        case 'USER': {
+            const user = await User.findById(resourceId);
+            return user ? { resource: user, context: {} } : null;
+        }
+        default:
+            return null;
+    }
+}
+
 // 2.2.1 - Single site-wide access control component
-async function checkAccess(req, requiredRole, resourceType = null, resourceId = null) {
+async function checkAccess(req, requiredPermission, resourceType = null, resourceId = null, action = 'edit') {
     try {
         // Must be authenticated first
         if (!req.session.userId) {
-            await logActivity(null, 'ACCESS_DENIED', resourceType || 'PAGE', resourceId || req.path, 
-                            'Unauthenticated access attempt', getClientIp(req));
+            await authorize(req, null, 'access', 'area', requiredPermission ? [requiredPermission] : []);
             return {
                 allowed: false,
                 reason: 'NOT_AUTHENTICATED',
@@ -344,32 +766,22 @@ async function checkAccess(req, requiredRole, resourceType = null, resourceId =
             };
         }
 
-        // Check role-based access
-        if (requiredRole) {
-            const hasRole = checkRole(user.role, requiredRole);
-            if (!hasRole) {
-                // 2.4.6 - Log access control failure
-                await logActivity(user._id, 'ACCESS_DENIED', resourceType || 'PAGE', 
-                                resourceId || req.path, 
-                                `User role '${user.role}' attempted to access '${requiredRole}' resource`, 
-                                getClientIp(req));
-                
+        // Check permission-based access
+        if (requiredPermission) {
+            const decision = await authorize(req, user, 'access', 'area', [requiredPermission]);
+            if (!decision.allowed) {
                 return {
                     allowed: false,
-                    reason: 'INSUFFICIENT_ROLE',
-                    message: `Access denied. Required role: ${requiredRole}`
+                    reason: 'INSUFFICIENT_PERMISSION',
+                    message: `Access denied. Required permission: ${requiredPermission}`
                 };
             }
         }
 
         // Additional resource-specific checks
         if (resourceType && resourceId) {
-            const canAccess = await checkResourceAccess(user, resourceType, resourceId);
-            if (!canAccess) {
-                await logActivity(user._id, 'ACCESS_DENIED', resourceType, resourceId, 
-                                `Unauthorized access attempt to ${resourceType}`, 
-                                getClientIp(req));
-                
+            const decision = await authorizeResource(req, user, action, resourceType, resourceId);
+            if (!decision.allowed) {
                 return {
                     allowed: false,
                     reason: 'RESOURCE_ACCESS_DENIED',
@@ -390,68 +802,13 @@ async function checkAccess(req, requiredRole, resourceType = null, resourceId =
     }
 }
 
-// Helper: Check if user role meets requirement
-function checkRole(userRole, requiredRole) {
-    const roleHierarchy = {
-        'administrator': 3,
-        'manager': 2,
-        'user': 1
-    };
-
-    return roleHierarchy[userRole] >= roleHierarchy[requiredRole];
-}
-
-// Helper: Check resource-specific access
-async function checkResourceAccess(user, resourceType, resourceId) {
-    try {
-        switch (resourceType) {
-            case 'POST':
-                return await canAccessPost(user, resourceId);
-            case 'COMMENT':
-                return await canAccessComment(user, resourceId);
-            case 'USER':
-                return await canAccessUser(user, resourceId);
-            default:
-                return true;
-        }
-    } catch (error) {
-        // console.error('Resource access check error:', error);
-        return false;
-    }
-}
-
-// Resource-specific access checks
-async function canAccessPost(user, postId) {
-    const Post = require('../database').Post;
-    const post = await Post.findById(postId);
-    if (!post) return false;
-
-    // Admin can access all
-    if (user.role === 'administrator') return true;
-
-    // Manager can access posts in their scope
-    if (user.role === 'manager') {
-        return user.managedTags.includes(post.postTag);
+// Load + decide; a resource that doesn't exist is a denial too
+async function authorizeResource(req, user, action, resourceType, resourceId) {
+    const loaded = await loadPolicyResource(resourceType, resourceId);
+    if (!loaded || !loaded.resource) {
+        return authorize(req, user, action, resourceType.toLowerCase(), null);
     }
-
-    // Users can only access their own posts (for editing/deleting)
-    return post.user.toString() === user._id.toString();
-}
-
-async function canAccessComment(user, commentId) {
-    // Admin can access all
-    if (user.role === 'administrator') return true;
-
-    // For now, all authenticated users can access comments
-    return true;
-}
-
-async function canAccessUser(user, userId) {
-    // Admin can access all users
-    if (user.role === 'administrator') return true;
-
-    // Users can only access their own profile
-    return user._id.toString() === userId.toString();
+    return authorize(req, user, action, resourceType.toLowerCase(), loaded.resource, loaded.context);
 }
 
 // 2.2.2 - Enhanced middleware with secure error handling
@@ -472,92 +829,16 @@ function isAuthenticatedEnhanced(req, res, next) {
     });
 }
 
-function isAdministratorEnhanced(req, res, next) {
-    if (!req.session.userId) {
-        logActivity(null, 'ACCESS_DENIED', 'ADMIN_PAGE', req.path, 
-                   'Unauthenticated admin access attempt', getClientIp(req));
-        return res.redirect('/login');
-    }
-    
-    User.findById(req.session.userId)
-        .then(user => {
-            if (!user) {
-                return res.redirect('/login');
-            }
-            
-            if (user.role === 'administrator') {
-                return next();
-            }
-            
-            // 2.4.6 - Log access control failure
-            logActivity(user._id, 'ACCESS_DENIED', 'ADMIN_PAGE', req.path, 
-                       `User with role '${user.role}' attempted to access admin page`, 
-                       getClientIp(req));
-            
-            // 2.2.2 - Fail securely with clear error
-            res.status(403).render('error', { 
-                message: 'Access Denied',
-                detail: 'You do not have administrator privileges to access this page.',
-                returnUrl: '/home'
-            });
-        })
-        .catch(err => {
-            // console.error('Auth error:', err);
-            res.status(500).render('error', {
-                message: 'System Error',
-                detail: 'An error occurred while verifying your permissions.',
-                returnUrl: '/home'
-            });
-        });
-}
-
-function isManagerEnhanced(req, res, next) {
-    if (!req.session.userId) {
-        logActivity(null, 'ACCESS_DENIED', 'MANAGER_PAGE', req.path, 
-                   'Unauthenticated manager access attempt', getClientIp(req));
-        return res.redirect('/login');
-    }
-    
-    User.findById(req.session.userId)
-        .then(user => {
-            if (!user) {
-                return res.redirect('/login');
-            }
-            
-            if (user.role === 'manager' || user.role === 'administrator') {
-                return next();
-            }
-            
-            // 2.4.6 - Log access control failure
-            logActivity(user._id, 'ACCESS_DENIED', 'MANAGER_PAGE', req.path, 
-                       `User with role '${user.role}' attempted to access manager page`, 
-                       getClientIp(req));
-            
-            // 2.2.2 - Fail securely
-            res.status(403).render('error', { 
-                message: 'Access Denied',
-                detail: 'You need manager or administrator privileges to access this page.',
-                returnUrl: '/home'
-            });
-        })
-        .catch(err => {
-            // console.error('Auth error:', err);
-            res.status(500).render('error', {
-                message: 'System Error',
-                detail: 'An error occurred while verifying your permissions.',
-                returnUrl: '/home'
-            });
-        });
-}
+// Same policy checks as isAdministrator / isManager
+const isAdministratorEnhanced = isAdministrator;
+const isManagerEnhanced = isManager;
 
 // 2.2.3 - Enforce business rules using RBAC
 function requirePermission(resourceType, action = 'read') {
     return async (req, res, next) => {
         try {
             if (!req.session.userId) {
-                await logActivity(null, 'ACCESS_DENIED', resourceType, req.params.id || req.path, 
-                                `Unauthenticated ${action} attempt on ${resourceType}`, 
-                                getClientIp(req));
+                await authorize(req, null, action, resourceType.toLowerCase(), null);
                 return res.status(401).json({ 
                     success: false, 
                     error: 'Authentication required' 
@@ -573,13 +854,9 @@ function requirePermission(resourceType, action = 'read') {
             }
 
             const resourceId = req.params.postId || req.params.commentId || req.params.userId;
-            const hasAccess = await checkResourcePermission(user, resourceType, resourceId, action);
+            const decision = await authorizeResource(req, user, action, resourceType, resourceId);
 
-            if (!hasAccess) {
-                await logActivity(user._id, 'ACCESS_DENIED', resourceType, resourceId, 
-                                `Unauthorized ${action} attempt by ${user.role}`, 
-                                getClientIp(req));
-                
+            if (!decision.allowed) {
                 return res.status(403).json({ 
                     success: false, 
                     error: 'You do not have permission to perform this action' 
@@ -599,179 +876,6 @@ function requirePermission(resourceType, action = 'read') {
     };
 }
 
-async function checkResourcePermission(user, resourceType, resourceId, action) {
-    // Admin can do everything
-    if (user.role === 'administrator') return true;
-
-    switch (resourceType) {
-        case 'POST':
-            return await checkPostPermission(user, resourceId, action);
-        case 'COMMENT':
-            return await checkCommentPermission(user, resourceId, action);
-        case 'USER':
-            return await checkUserPermission(user, resourceId, action);
-        default:
-            return false;
-    }
-}
-
-async function checkPostPermission(user, postId, action) {
-    const Post = require('../database').Post;
-    const post = await Post.findById(postId);
-    if (!post) return false;
-
-    switch (action) {
-        case 'read':
-            return true;
-        case 'edit':
-        case 'delete':
-            if (post.user.toString() === user._id.toString()) return true;
-            if (user.role === 'manager') {
-                return user.managedTags.includes(post.postTag);
-            }
-            return false;
-        default:
-            return false;
-    }
-}
-
-async function checkCommentPermission(user, commentId, action) {
-    switch (action) {
-        case 'read':
-            return true;
-        case 'edit':
-        case 'delete':
-            return true; // Simplified
-        default:
-            return false;
-    }
-}
-
-async function checkUserPermission(user, userId, action) {
-    switch (action) {
-        case 'read':
-            return true;
-        case 'edit':
-            return user._id.toString() === userId;
-        default:
-            return false;
-    }
-}
-
-// ============================================
-// EXISTING AUTHORIZATION FUNCTIONS
-// ============================================
-
-async function canModeratePost(userId, postId) {
-    try {
-        const user = await User.findById(userId);
-        if (!user) {
-            // console.log('[canModeratePost] User not found:', userId);
-            return false;
-        }
-        
-        // console.log('[canModeratePost] Checking user:', {
-        //     userId,
-        //     role: user.role,
-        //     managedTags: user.managedTags
-        // });
-        
-        if (user.role === 'administrator') {
-            // console.log('[canModeratePost] User is admin - ALLOWED');
-            return true;
-        }
-        
-        if (user.role === 'user') {
-            // console.log('[canModeratePost] User is regular user - DENIED');
-            return false;
-        }
-        
-        if (user.role === 'manager') {
-            const Post = require('../database').Post;
-            const post = await Post.findById(postId);
-            if (!post) {
-                // console.log('[canModeratePost] Post not found:', postId);
-                return false;
-            }
-            
-            const canModerate = user.managedTags.includes(post.postTag);
-            // console.log('[canModeratePost] Manager check:', {
-            //     postTag: post.postTag,
-            //     managedTags: user.managedTags,
-            //     canModerate
-            // });
-            
-            return canModerate;
-        }
-        
-        // console.log('[canModeratePost] Unknown role - DENIED');
-        return false;
-    } catch (err) {
-        // console.error('Error checking moderation permission:', err);
-        return false;
-    }
-}
-
-async function canModerateTag(userId, tag) {
-    try {
-        const user = await User.findById(userId);
-        if (!user) return false;
-        
-        if (user.role === 'administrator') return true;
-        
-        if (user.role === 'manager') {
-            return user.managedTags.includes(tag);
-        }
-        
-        return false;
-    } catch (err) {
-        // console.error('Error checking tag moderation permission:', err);
-        return false;
-    }
-}
-
-async function canEditOrDelete(userId, resourceOwnerId, postId = null) {
-    try {
-        const user = await User.findById(userId);
-        if (!user) {
-            // console.log('[canEditOrDelete] User not found:', userId);
-            return false;
-        }
-        
-        // console.log('[canEditOrDelete] Checking:', {
-        //     userId: userId.toString(),
-        //     resourceOwnerId: resourceOwnerId.toString(),
-        //     postId,
-        //     userRole: user.role
-        // });
-        
-        // Owner can always edit/delete their own content
-        if (userId.toString() === resourceOwnerId.toString()) {
-            // console.log('[canEditOrDelete] User is owner - ALLOWED');
-            return true;
-        }
-        
-        // Admin can edit/delete anything
-        if (user.role === 'administrator') {
-            // console.log('[canEditOrDelete] User is admin - ALLOWED');
-            return true;
-        }
-        
-        // Manager can edit/delete if they moderate the post's tag
-        if (user.role === 'manager' && postId) {
-            const canModerate = await canModeratePost(userId, postId);
-            // console.log('[canEditOrDelete] Manager moderation check:', canModerate);
-            return canModerate;
-        }
-        
-        // console.log('[canEditOrDelete] No permission - DENIED');
-        return false;
-    } catch (err) {
-        // console.error('Error checking edit/delete permission:', err);
-        return false;
-    }
-}
-
 // ============================================
 // ACTIVITY LOGGING
 // ============================================
@@ -810,16 +914,37 @@ async function logActivity(userId, action, targetType = '', targetId = '', detai
 // UTILITY FUNCTIONS
 // ============================================
 
+// Role label and the menu entries it unlocks, for the layout
+function describeCurrentRole(user) {
+    if (!user) return null;
+    const role = getRole(user.role);
+    const adminAccess = hasPermission(user, 'admin.access');
+    const managerAccess = hasPermission(user, 'manager.access');
+    return {
+        name: user.role,
+        label: role ? role.label : user.role,
+        builtIn: role ? role.builtIn : false,
+        adminAccess,
+        managerDashboard: managerAccess && !adminAccess, // Admins reach the manager pages from their own menu
+        usesFeed: !adminAccess && !managerAccess, // /home and /profile send dashboard roles to their dashboard
+        logsView: hasPermission(user, 'logs.view'),
+        rolesManage: hasPermission(user, 'role.manage'),
+        securityManage: hasPermission(user, 'security.manage')
+    };
+}
+
 const attachUserInfo = async (req, res, next) => {
     if (req.session && req.session.userId) {
         try {
             const user = await User.findById(req.session.userId).select('-password');
             req.user = user;
             res.locals.currentUser = user;
+            res.locals.currentRole = describeCurrentRole(user);
             
             if (req.session.isSwitched) {
                 res.locals.isSwitched = true;
                 res.locals.originalAdminId = req.session.originalAdminId;
+                res.locals.originalAdminUsername = req.session.originalAdminUsername;
             }
         } catch (err) {
             // console.error('Error fetching user:', err);
@@ -828,12 +953,66 @@ const attachUserInfo = async (req, res, next) => {
     next();
 };
 
+/**
+ * Client address for logs, session metadata and rate-limit keys.
+ * req.ip follows the 'trust proxy' setting (TRUST_PROXY in app.js), so a
+ * client-supplied X-Forwarded-For is only believed behind a known proxy.
+ */
 function getClientIp(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.connection.remoteAddress || 
-           req.socket.remoteAddress ||
-           req.connection.socket?.remoteAddress ||
-           'unknown';
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * SHA-256 of a high-entropy secret token - only the hash is stored,
+ * the raw value is shown once
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// ============================================
+// ADMIN IMPERSONATION ("view as user")
+// ============================================
+
+/**
+ * Log every request made while an administrator is impersonating a user.
+ * The entry is attributed to the administrator and names both identities.
+ * (must be after attachUserInfo, and after static files so assets aren't logged)
+ */
+function logImpersonatedRequest(req, res, next) {
+    if (req.session && req.session.isSwitched) {
+        const targetName = req.user ? req.user.username : req.session.userId;
+        logActivity(req.session.originalAdminId, 'IMPERSONATED_REQUEST', 'USER', 
+                   String(req.session.userId), 
+                   `Administrator ${req.session.originalAdminUsername} acting as ${targetName}: ${req.method} ${req.originalUrl}`, 
+                   getClientIp(req));
+    }
+    next();
+}
+
+/**
+ * Block destructive/security-sensitive actions (password change,
+ * 2FA changes, deletions) while an administrator is impersonating
+ */
+function blockWhileImpersonating(req, res, next) {
+    if (!req.session || !req.session.isSwitched) {
+        return next();
+    }
+
+    logActivity(req.session.originalAdminId, 'IMPERSONATION_BLOCKED', 'USER', 
+               String(req.session.userId), 
+               `Administrator ${req.session.originalAdminUsername} blocked from ${req.method} ${req.originalUrl} while impersonating`, 
+               getClientIp(req));
+
+    const message = 'This action is not available while viewing as another user. Return to your admin account first.';
+
+    if (req.method === 'GET') {
+        return res.status(403).render('error', {
+            message: 'Action Blocked',
+            detail: message
+        });
+    }
+    res.status(403).json({ success: false, error: message });
 }
 
 // ============================================
@@ -928,6 +1107,12 @@ module.exports = {
     isManager,
     attachUserInfo,
     
+    // Step-up re-authentication (2.1.13)
+    STEP_UP_PATH,
+    STEP_UP_WINDOW_MINUTES,
+    hasRecentStepUp,
+    requireStepUp,
+    
     // Enhanced middleware (2.2.2)
     isAuthenticatedEnhanced,
     isAdministratorEnhanced,
@@ -947,23 +1132,43 @@ module.exports = {
     
     // Password age (2.1.10)
     canChangePassword,
+    isPasswordExpired,
+    getPasswordChangeRequirement,
+    requirePasswordRotation,
     
     // Security questions (2.1.8)
     validateSecurityQuestion,
-    
-    // Authorization - Single component (2.2.1)
+    SECURITY_QUESTION_POOL,
+    SECURITY_QUESTIONS_MIN,
+    SECURITY_QUESTIONS_MAX,
+    getSecurityQuestions,
+    pickSecurityChallenge,
+    verifySecurityAnswers,
+    hashSecurityAnswer,
+    requireSecurityQuestionUpdate,
+
+    // Two-factor authentication
+    generateTwoFactorSecret,
+    buildOtpAuthUri,
+    verifyTotpToken,
+    generateBackupCodes,
+    verifyTwoFactorCode,
+    isTwoFactorRequired,
+    enforceTwoFactorEnrollment,
+
+    // Authorization - Single component (2.2.1), decided by middleware/policy.js
     checkAccess,
     requirePermission,
-    checkResourcePermission,
-    
-    // Existing authorization
-    canModeratePost,
-    canModerateTag,
-    canEditOrDelete,
+    requireAccess,
     
     // Logging (2.4.5, 2.4.6)
     logActivity,
     getClientIp,
+    hashToken,
+    
+    // Admin impersonation
+    logImpersonatedRequest,
+    blockWhileImpersonating,
     
     // User Restrictions
     checkUserRestriction,
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { logActivity, getClientIp } = require('./auth');
+
+// ============================================
+// CSRF PROTECTION (Synchronizer Token Pattern)
+// ============================================
+
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_FIELD = '_csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the CSRF token bound to this session, creating one if needed
+ */
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+/**
+ * Drop the current token so a fresh one is issued (e.g. after login)
+ */
+function rotateCsrfToken(req) {
+    delete req.session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function wantsJson(req) {
+    return req.xhr ||
+           req.is('application/json') ||
+           (req.headers.accept || '').includes('application/json') ||
+           !!req.headers[CSRF_HEADER];
+}
+
+/**
+ * Issues the token to views (res.locals.csrfToken) and rejects any
+ * state-changing request whose token does not match the session's.
+ * Token is read from the "_csrf" form field or the X-CSRF-Token header
+ * (multipart uploads must use the header - body isn't parsed yet).
+ */
+async function csrfProtection(req, res, next) {
+    // Lazily created so static/anonymous requests don't start a session
+    Object.defineProperty(res.locals, 'csrfToken', {
+        enumerable: true,
+        configurable: true,
+        get: () => getCsrfToken(req)
+    });
+
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    // Bearer-token requests carry no cookie a third-party site could ride on
+    if (req.apiToken) {
+        return next();
+    }
+
+    const submitted = req.headers[CSRF_HEADER] || (req.body && req.body[CSRF_FIELD]);
+
+    if (tokensMatch(req.session.csrfToken, submitted)) {
+        return next();
+    }
+
+    await logActivity(req.session.userId || null, 'CSRF_REJECTED', 'REQUEST', req.originalUrl,
+                     `${req.method} ${req.originalUrl} rejected: ${submitted ? 'invalid' : 'missing'} CSRF token`,
+                     getClientIp(req));
+
+    if (wantsJson(req)) {
+        return res.status(403).json({
+            success: false,
+            error: "Invalid or missing security token. Please refresh the page and try again."
+        });
+    }
+
+    res.status(403).render('error', {
+        message: "Request Rejected",
+        detail: "Your form has expired or was submitted from another site. Please go back, refresh the page and try again."
+    });
+}
+
+module.exports = {
+    CSRF_HEADER,
+    CSRF_FIELD,
+    getCsrfToken,
+    rotateCsrfToken,
+    csrfProtection
+};
@@ -0,0 +1,557 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { User, Post, ActivityLog, Report, UserRestriction, LoginEvent, DataExport, UsernameHistory } = require('../database');
+const { logActivity } = require('./auth');
+
+// ============================================
+// PERSONAL DATA EXPORT ("download my data")
+// /settings/export queues a request; the background job gathers everything
+// held about the account into a ZIP of JSON files plus the user's uploaded
+// images, stores it outside public/, and flags the account so the layout
+// shows a "your export is ready" banner. Files are removed after a week.
+// ============================================
+
+const EXPORT_DIR = path.join(__dirname, '..', 'data-exports');
+const UPLOADS_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const DATA_EXPORT_TTL_DAYS = 7;
+const DATA_EXPORT_CHECK_INTERVAL = 60 * 1000;
+const DATA_EXPORT_STALE_MINUTES = 30; // A "processing" export older than this was abandoned by a crashed process
+
+// ============================================
+// ZIP WRITER (deflate, no external dependency)
+// ============================================
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// MS-DOS date/time fields used by ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Write a ZIP archive to disk one entry at a time, compressing off the main
+ * thread, so only the current file is ever held in memory
+ * @param {string} filePath - Archive to create (replaced if it exists)
+ * @param {{ name: string, data?: Buffer, path?: string }[]} entries - Paths inside the
+ *        archive, with the contents or a file to read them from
+ * @returns {number} Size of the archive in bytes
+ */
+async function writeZip(filePath, entries) {
+    const { time, date } = dosDateTime(new Date());
+    const directory = [];
+    let offset = 0;
+
+    const file = await fs.promises.open(filePath, 'w');
+    try {
+        const write = async (buffer) => {
+            await file.write(buffer);
+            offset += buffer.length;
+        };
+
+        for (const entry of entries) {
+            const fileName = Buffer.from(entry.name, 'utf8');
+            const data = entry.path ? await fs.promises.readFile(entry.path) : entry.data;
+            const compressed = await deflateRaw(data);
+            const crc = crc32(data);
+            const entryOffset = offset;
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034B50, 0); // Local file header
+            local.writeUInt16LE(20, 4); // Version needed (2.0)
+            local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+            local.writeUInt16LE(8, 8); // Deflate
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(fileName.length, 26);
+            local.writeUInt16LE(0, 28); // No extra field
+            await write(local);
+            await write(fileName);
+            await write(compressed);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014B50, 0); // Central directory header
+            central.writeUInt16LE(20, 4); // Version made by
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(fileName.length, 28);
+            central.writeUInt32LE(entryOffset, 42); // Extra/comment lengths, disk and attributes stay 0
+            directory.push(central, fileName);
+        }
+
+        const directoryBuffer = Buffer.concat(directory);
+        const directoryOffset = offset;
+        await write(directoryBuffer);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054B50, 0); // End of central directory
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(directoryBuffer.length, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await write(end);
+    } finally {
+        await file.close();
+    }
+    return offset;
+}
+
+// ============================================
+// GATHERING THE DATA
+// ============================================
+
+function toJson(value) {
+    return Buffer.from(JSON.stringify(value, null, 2), 'utf8');
+}
+
+function idString(value) {
+    return value ? (value._id || value).toString() : null;
+}
+
+// Only files we stored ourselves ("/uploads/<name>"), never a path outside public/uploads
+function uploadedFileName(url) {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+    const name = path.basename(url);
+    return name && name !== '.' && name !== '..' ? name : null;
+}
+
+/**
+ * Everything held about an account, as archive entries
+ * Secrets (password and answer hashes, 2FA secret, token hashes) are left out.
+ */
+async function collectUserData(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user) {
+        return null;
+    }
+
+    const profile = {
+        id: idString(user._id),
+        username: user.username,
+        userTag: user.userTag,
+        role: user.role,
+        managedTags: user.managedTags || [],
+        profilePic: user.profilePic,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin || null,
+        previousLogin: user.previousLogin || null,
+        passwordChangedAt: user.passwordChangedAt || null,
+        securityQuestions: (user.securityQuestions || []).length
+            ? user.securityQuestions.map(q => q.question)
+            : (user.securityQuestion ? [user.securityQuestion] : []),
+        twoFactorEnabled: !!user.twoFactorEnabled,
+        twoFactorEnabledAt: user.twoFactorEnabledAt || null,
+        sso: user.sso && user.sso.subject ? {
+            issuer: user.sso.issuer,
+            email: user.sso.email,
+            groups: user.sso.groups,
+            linkedAt: user.sso.linkedAt,
+            lastLoginAt: user.sso.lastLoginAt
+        } : null,
+        deletionScheduledFor: user.deletion ? user.deletion.scheduledFor : null,
+        registration: user.registration ? {
+            mode: user.registration.mode,
+            status: user.registration.status,
+            decidedAt: user.registration.decidedAt
+        } : null,
+        previousUsernames: (await UsernameHistory.find({ user: userId }).sort({ changedAt: -1 }).lean())
+            .map(entry => ({ username: entry.username, changedAt: entry.changedAt }))
+    };
+
+    const ownPosts = await Post.find({ user: userId }).lean();
+    const posts = ownPosts.map(post => ({
+        id: idString(post._id),
+        caption: post.caption,
+        imageUrl: post.imageUrl,
+        postTag: post.postTag,
+        createdAt: post.createdAt,
+        likesCount: post.likesCount,
+        dislikesCount: post.dislikesCount,
+        commentCount: (post.comments || []).length,
+        isHidden: !!post.isHidden,
+        hiddenReason: post.hiddenReason || '',
+        isDeleted: !!post.isDeleted,
+        deletionReason: post.deletionReason || ''
+    }));
+
+    // Comments, replies and comment reactions across every post
+    const threads = await Post.find({
+        $or: [
+            { 'comments.user': userId },
+            { 'comments.likes': userId },
+            { 'comments.dislikes': userId },
+            { 'comments.replies.user': userId },
+            { 'comments.replies.likes': userId },
+            { 'comments.replies.dislikes': userId }
+        ]
+    }).select('comments').lean();
+
+    const comments = [];
+    const commentReactions = [];
+    const uid = idString(userId);
+    const reactionOf = (item) => ((item.likes || []).some(id => idString(id) === uid) ? 'like'
+        : (item.dislikes || []).some(id => idString(id) === uid) ? 'dislike' : null);
+
+    threads.forEach(post => {
+        (post.comments || []).forEach(comment => {
+            if (idString(comment.user) === uid) {
+                comments.push({
+                    postId: idString(post._id),
+                    commentId: idString(comment._id),
+                    content: comment.content,
+                    createdAt: comment.createdAt,
+                    likes: (comment.likes || []).length,
+                    dislikes: (comment.dislikes || []).length
+                });
+            }
+            const reaction = reactionOf(comment);
+            if (reaction) {
+                commentReactions.push({ postId: idString(post._id), commentId: idString(comment._id), reaction });
+            }
+
+            (comment.replies || []).forEach(reply => {
+                if (idString(reply.user) === uid) {
+                    comments.push({
+                        postId: idString(post._id),
+                        commentId: idString(comment._id),
+                        replyId: idString(reply._id),
+                        content: reply.content,
+                        createdAt: reply.createdAt,
+                        likes: (reply.likes || []).length,
+                        dislikes: (reply.dislikes || []).length
+                    });
+                }
+                const replyReaction = reactionOf(reply);
+                if (replyReaction) {
+                    commentReactions.push({
+                        postId: idString(post._id),
+                        commentId: idString(comment._id),
+                        replyId: idString(reply._id),
+                        reaction: replyReaction
+                    });
+                }
+            });
+        });
+    });
+
+    const reports = await Report.find({ reportedBy: userId }).sort({ createdAt: 1 }).lean();
+    const restrictions = await UserRestriction.find({ user: userId }).sort({ startDate: 1 }).lean();
+    const activity = await ActivityLog.find({ user: userId }).sort({ timestamp: 1 }).lean();
+    const logins = await LoginEvent.find({ user: userId }).sort({ timestamp: 1 }).lean();
+
+    const files = [
+        { name: 'profile.json', data: toJson(profile) },
+        { name: 'posts.json', data: toJson(posts) },
+        { name: 'comments.json', data: toJson(comments) },
+        {
+            name: 'reactions.json',
+            data: toJson({
+                likedPosts: (user.likes || []).map(idString),
+                dislikedPosts: (user.dislikes || []).map(idString),
+                comments: commentReactions
+            })
+        },
+        {
+            name: 'lists.json',
+            data: toJson({ saved: (user.saved || []).map(idString), hidden: (user.hidden || []).map(idString) })
+        },
+        {
+            name: 'reports.json',
+            data: toJson(reports.map(report => ({
+                postId: idString(report.post),
+                reason: report.reason,
+                description: report.description,
+                status: report.status,
+                createdAt: report.createdAt,
+                resolvedAt: report.resolvedAt
+            })))
+        },
+        {
+            name: 'restrictions.json',
+            data: toJson(restrictions.map(restriction => ({
+                type: restriction.restrictionType,
+                reason: restriction.reason,
+                startDate: restriction.startDate,
+                endDate: restriction.endDate,
+                isActive: restriction.isActive
+            })))
+        },
+        {
+            name: 'activity-log.json',
+            data: toJson(activity.map(entry => ({
+                action: entry.action,
+                targetType: entry.targetType,
+                targetId: entry.targetId,
+                details: entry.details,
+                ipAddress: entry.ipAddress,
+                timestamp: entry.timestamp
+            })))
+        },
+        {
+            name: 'login-history.json',
+            data: toJson(logins.map(event => ({
+                success: event.success,
+                ipAddress: event.ipAddress,
+                failureReason: event.failureReason,
+                device: event.device,
+                timestamp: event.timestamp
+            })))
+        }
+    ];
+
+    // Uploaded images (profile picture and post images), read while the archive is written
+    const imageNames = [...new Set([user.profilePic, ...ownPosts.map(post => post.imageUrl)].map(uploadedFileName).filter(Boolean))];
+    for (const name of imageNames) {
+        try {
+            await fs.promises.access(path.join(UPLOADS_DIR, name), fs.constants.R_OK);
+            files.push({ name: `images/${name}`, path: path.join(UPLOADS_DIR, name) });
+        } catch (err) {
+            // Missing on disk - the JSON still lists the URL
+        }
+    }
+
+    files.unshift({
+        name: 'README.txt',
+        data: Buffer.from([
+            `TikTalk data export for ${user.username}, created ${new Date().toISOString()}`,
+            '',
+            'profile.json        Account details (passwords, answers and 2FA secrets are never exported)',
+            'posts.json          Posts you wrote',
+            'comments.json       Comments and replies you wrote on any post',
+            'reactions.json      Posts, comments and replies you liked or disliked',
+            'lists.json          Posts you saved or hid',
+            'reports.json        Reports you filed',
+            'restrictions.json   Warnings, suspensions and bans on your account',
+            'activity-log.json   Audit log entries for actions you took',
+            'login-history.json  Sign-in attempts on your account',
+            'images/             Your profile picture and post images',
+            ''
+        ].join('\r\n'), 'utf8')
+    });
+
+    return { user, files };
+}
+
+// ============================================
+// REQUESTS, THE JOB AND DOWNLOADS
+// ============================================
+
+function getDataExportPath(exportId) {
+    return path.join(EXPORT_DIR, `${exportId}.zip`);
+}
+
+/**
+ * Queue an export (one at a time per account)
+ * @returns {{ dataExport: Object|null, error: string|null }}
+ */
+async function requestDataExport(userId) {
+    const running = await DataExport.exists({ user: userId, status: { $in: ['pending', 'processing'] } });
+    if (running) {
+        return { dataExport: null, error: 'An export is already being prepared. You will be notified when it is ready.' };
+    }
+
+    const dataExport = await DataExport.create({ user: userId });
+    setImmediate(runDataExportJob); // Don't wait for the next tick of the job
+    return { dataExport, error: null };
+}
+
+/**
+ * Build one export; claimed atomically so only one instance works on it
+ * @returns {boolean} Whether an export was claimed
+ */
+async function processNextDataExport() {
+    const dataExport = await DataExport.findOneAndUpdate(
+        { status: 'pending' },
+        { $set: { status: 'processing', startedAt: new Date() } },
+        { sort: { requestedAt: 1 }, new: true }
+    );
+    if (!dataExport) {
+        return false;
+    }
+
+    try {
+        const collected = await collectUserData(dataExport.user);
+        if (!collected) {
+            throw new Error('Account no longer exists');
+        }
+
+        await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+        const fileSize = await writeZip(getDataExportPath(dataExport._id), collected.files);
+
+        dataExport.status = 'ready';
+        dataExport.completedAt = new Date();
+        dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+        dataExport.fileSize = fileSize;
+        await dataExport.save();
+
+        // Banner on the next page the user opens
+        await User.updateOne({ _id: dataExport.user }, { $set: { dataExportNotice: dataExport._id } });
+
+        // 2.4.6 - Log the finished export
+        await logActivity(dataExport.user, 'DATA_EXPORT_READY', 'DATA_EXPORT', dataExport._id.toString(),
+                         `Personal data export ready (${collected.files.length} files, ${fileSize} bytes)`, 'system');
+    } catch (err) {
+        // console.error('Data export error:', err);
+        await fs.promises.rm(getDataExportPath(dataExport._id), { force: true }).catch(() => {});
+        dataExport.status = 'failed';
+        dataExport.completedAt = new Date();
+        dataExport.error = err.message;
+        await dataExport.save();
+        await logActivity(dataExport.user, 'DATA_EXPORT_FAILED', 'DATA_EXPORT', dataExport._id.toString(),
+                         `Personal data export failed: ${err.message}`, 'system');
+    }
+    return true;
+}
+
+/**
+ * Fail exports stuck in "processing" because the process building them died,
+ * so the user can ask for a new one (one export at a time per account)
+ * @returns {number} Number of exports recovered
+ */
+async function failStaleDataExports() {
+    const staleSince = new Date(Date.now() - DATA_EXPORT_STALE_MINUTES * 60 * 1000);
+    const due = await DataExport.find({ status: 'processing', startedAt: { $lte: staleSince } }).select('_id');
+    let recovered = 0;
+
+    for (const { _id } of due) {
+        const dataExport = await DataExport.findOneAndUpdate(
+            { _id, status: 'processing', startedAt: { $lte: staleSince } },
+            { $set: { status: 'failed', completedAt: new Date(), error: 'Interrupted while being prepared' } },
+            { new: true }
+        );
+        if (!dataExport) continue; // Finished in the meantime
+        recovered++;
+
+        // A partly written archive may be left behind
+        await fs.promises.rm(getDataExportPath(dataExport._id), { force: true });
+        await logActivity(dataExport.user, 'DATA_EXPORT_FAILED', 'DATA_EXPORT', dataExport._id.toString(),
+                         `Personal data export failed: interrupted while being prepared (started ${dataExport.startedAt.toISOString()})`, 'system');
+    }
+    return recovered;
+}
+
+/**
+ * Remove export files past their expiry
+ * @returns {number} Number of exports expired
+ */
+async function expireDataExports() {
+    const due = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('_id user');
+    for (const dataExport of due) {
+        await fs.promises.rm(getDataExportPath(dataExport._id), { force: true });
+        await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: 'expired' } });
+        await User.updateOne({ _id: dataExport.user, dataExportNotice: dataExport._id }, { $set: { dataExportNotice: null } });
+    }
+    return due.length;
+}
+
+let jobRunning = false;
+
+async function runDataExportJob() {
+    if (jobRunning) return; // A large export can outlast the interval
+    jobRunning = true;
+    try {
+        await failStaleDataExports();
+        while (await processNextDataExport()) { /* one at a time until the queue is empty */ }
+        await expireDataExports();
+    } catch (err) {
+        // Try again on the next tick (e.g. while the database is unreachable)
+        // console.error('Data export job error:', err);
+    } finally {
+        jobRunning = false;
+    }
+}
+
+let exportJob = null;
+
+/**
+ * Build queued exports now and every minute after
+ */
+function startDataExportJob() {
+    if (exportJob) return;
+    exportJob = setInterval(runDataExportJob, DATA_EXPORT_CHECK_INTERVAL);
+    runDataExportJob();
+}
+
+/**
+ * The user's exports, newest first
+ */
+async function listDataExports(userId) {
+    return DataExport.find({ user: userId }).sort({ requestedAt: -1 }).limit(10).lean();
+}
+
+/**
+ * A ready export belonging to the user, or null
+ */
+async function findDownloadableExport(userId, exportId) {
+    return DataExport.findOne({ _id: exportId, user: userId, status: 'ready', expiresAt: { $gt: new Date() } });
+}
+
+async function dismissDataExportNotice(userId) {
+    await User.updateOne({ _id: userId }, { $set: { dataExportNotice: null } });
+}
+
+/**
+ * Remove every export of an account (used when the account is deleted)
+ */
+async function removeDataExports(userId) {
+    const exports = await DataExport.find({ user: userId }).select('_id');
+    for (const dataExport of exports) {
+        await fs.promises.rm(getDataExportPath(dataExport._id), { force: true });
+    }
+    await DataExport.deleteMany({ user: userId });
+}
+
+/**
+ * Expose the "your export is ready" banner to the layout
+ * (must be after attachUserInfo; not shown while an administrator is viewing as the user)
+ */
+function exposeDataExportNotice(req, res, next) {
+    if (req.user && req.user.dataExportNotice && !req.session.isSwitched) {
+        res.locals.dataExportNotice = req.user.dataExportNotice;
+    }
+    next();
+}
+
+module.exports = {
+    DATA_EXPORT_TTL_DAYS,
+    writeZip,
+    collectUserData,
+    getDataExportPath,
+    requestDataExport,
+    runDataExportJob,
+    startDataExportJob,
+    listDataExports,
+    findDownloadableExport,
+    dismissDataExportNotice,
+    removeDataExports,
+    exposeDataExportNotice
+};
@@ -0,0 +1,114 @@
+const { LoginEvent } = require('../security-schemas');
+const { describeDevice } = require('./session-store');
+const { getClientIp } = require('./auth');
+
+// ============================================
+// LOGIN HISTORY & NEW-DEVICE DETECTION (2.1.11)
+// ============================================
+
+const LOGIN_HISTORY_LIMIT = 50;
+
+/**
+ * Record one login attempt on an existing account. Successful logins are
+ * compared with the user's earlier successful logins; an IP address or
+ * user agent never seen before marks the event with a pending alert.
+ * @param {string} failureReason - Why the attempt failed (empty on success)
+ * @returns {Object|null} The saved event (null if it could not be recorded)
+ */
+async function recordLoginAttempt(req, user, success, failureReason = '') {
+    const ipAddress = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || '';
+    const event = {
+        user: user._id,
+        success,
+        failureReason: success ? '' : failureReason,
+        ipAddress,
+        userAgent,
+        device: describeDevice(userAgent)
+    };
+
+    try {
+        // The very first login has nothing to compare against
+        if (success && await LoginEvent.exists({ user: user._id, success: true })) {
+            event.newIpAddress = !(await LoginEvent.exists({ user: user._id, success: true, ipAddress }));
+            event.newUserAgent = !(await LoginEvent.exists({ user: user._id, success: true, userAgent }));
+            if (event.newIpAddress || event.newUserAgent) {
+                event.alertStatus = 'pending';
+            }
+        }
+
+        return await LoginEvent.create(event);
+    } catch (err) {
+        // History is best-effort - never block a login over it
+        // console.error('Login history error:', err);
+        return null;
+    }
+}
+
+/**
+ * Most recent unanswered new-device alert, shaped for the session/banner
+ * @param {string} currentEventId - Event of the login happening now, flagged as isCurrent
+ */
+async function getPendingLoginAlert(userId, currentEventId = null) {
+    const event = await LoginEvent.findOne({ user: userId, alertStatus: 'pending' })
+        .sort({ timestamp: -1 })
+        .lean();
+
+    if (!event) {
+        return null;
+    }
+    return {
+        eventId: event._id.toString(),
+        device: event.device,
+        ipAddress: event.ipAddress,
+        timestamp: event.timestamp,
+        newIpAddress: event.newIpAddress,
+        newUserAgent: event.newUserAgent,
+        isCurrent: !!currentEventId && event._id.toString() === currentEventId.toString()
+    };
+}
+
+/**
+ * Mark a pending alert as confirmed ("it was me") or reported ("this wasn't me").
+ * Reporting also closes every other pending alert on the account.
+ * @returns {boolean} Whether the alert was still pending
+ */
+async function resolveLoginAlert(userId, eventId, status) {
+    const resolved = { alertStatus: status, alertResolvedAt: new Date() };
+    const result = await LoginEvent.updateOne({ _id: eventId, user: userId, alertStatus: 'pending' }, { $set: resolved });
+
+    if (status === 'reported') {
+        await LoginEvent.updateMany({ user: userId, alertStatus: 'pending' }, { $set: resolved });
+    }
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Newest login attempts first
+ */
+async function getLoginHistory(userId, limit = LOGIN_HISTORY_LIMIT) {
+    return LoginEvent.find({ user: userId })
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .lean();
+}
+
+/**
+ * Expose the alert stored at login to the layout banner
+ * (not shown while an administrator is viewing as the user)
+ */
+function exposeLoginAlert(req, res, next) {
+    if (req.session && req.session.loginAlert && !req.session.isSwitched) {
+        res.locals.loginAlert = req.session.loginAlert;
+    }
+    next();
+}
+
+module.exports = {
+    LOGIN_HISTORY_LIMIT,
+    recordLoginAttempt,
+    getPendingLoginAlert,
+    resolveLoginAlert,
+    getLoginHistory,
+    exposeLoginAlert
+};
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { User, RoleGrant } = require('../database');
+const { checkUsernamePolicy, escapeRegex } = require('./username-policy');
+
+// ============================================
+// OPENID CONNECT SINGLE SIGN-ON
+// Authorization code flow with PKCE; ID tokens are verified against the
+// provider's published keys. Configured from the environment:
+//   OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI
+//   OIDC_PROVIDER_NAME   - label on the login button
+//   OIDC_ADMIN_GROUPS    - comma-separated IdP groups that grant "administrator"
+//   OIDC_MANAGER_GROUPS  - ... that grant "manager"
+//                          (a role without groups here is never changed by SSO logins,
+//                          nor are custom roles or accounts with a temporary grant)
+//   OIDC_TAG_GROUP_PREFIX - groups named <prefix><Tag> become a manager's managedTags
+//   OIDC_GROUPS_CLAIM    - ID token claim holding the groups (default "groups")
+// scripts/dev-oidc-provider.js is a local stand-in provider for development.
+// ============================================
+
+const OIDC_FLOW_TTL = 10 * 60 * 1000; // 10 minutes to finish signing in at the provider
+const METADATA_CACHE_TTL = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+const OIDC_CONFIG = {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 9090}/auth/sso/callback`,
+    providerName: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleGroups: {
+        administrator: splitList(process.env.OIDC_ADMIN_GROUPS),
+        manager: splitList(process.env.OIDC_MANAGER_GROUPS)
+    },
+    tagGroupPrefix: process.env.OIDC_TAG_GROUP_PREFIX || ''
+};
+
+let cachedMetadata = null;
+let cachedKeys = null;
+
+function isOidcEnabled() {
+    return !!(OIDC_CONFIG.issuer && OIDC_CONFIG.clientId);
+}
+
+function decodeJson(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new Error('Malformed ID token');
+    }
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function randomToken() {
+    return base64url(crypto.randomBytes(32));
+}
+
+// ============================================
+// PROVIDER METADATA & KEYS
+// ============================================
+
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}${body.error ? ` (${body.error})` : ''}`);
+    }
+    return body;
+}
+
+/**
+ * The provider's discovery document (/.well-known/openid-configuration)
+ */
+async function getProviderMetadata() {
+    if (cachedMetadata && Date.now() - cachedMetadata.loadedAt < METADATA_CACHE_TTL) {
+        return cachedMetadata.metadata;
+    }
+
+    const metadata = await fetchJson(`${OIDC_CONFIG.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer.replace(/\/$/, '') !== OIDC_CONFIG.issuer) {
+        throw new Error(`Discovery document is for issuer ${metadata.issuer}, expected ${OIDC_CONFIG.issuer}`);
+    }
+
+    cachedMetadata = { metadata, loadedAt: Date.now() };
+    return metadata;
+}
+
+/**
+ * Signing key for a token's "kid" (keys are re-fetched once when an unknown kid appears)
+ */
+async function getSigningKey(kid) {
+    const metadata = await getProviderMetadata();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (!cachedKeys || attempt > 0) {
+            cachedKeys = (await fetchJson(metadata.jwks_uri)).keys || [];
+        }
+        const jwk = cachedKeys.find(key => key.kid === kid && key.kty === 'RSA');
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+    throw new Error(`No signing key found for kid ${kid}`);
+}
+
+// ============================================
+// AUTHORIZATION CODE FLOW
+// ============================================
+
+/**
+ * Start a sign-in: remembers state/nonce/PKCE verifier in the session
+ * @param {string} intent - 'login', 'link' (attach to the signed-in account) or 'step-up'
+ * @returns {string} Provider URL to redirect to
+ */
+async function buildAuthorizationUrl(req, intent = 'login', returnTo = null) {
+    const metadata = await getProviderMetadata();
+    const codeVerifier = randomToken();
+    const pending = {
+        state: randomToken(),
+        nonce: randomToken(),
+        codeVerifier,
+        intent,
+        returnTo,
+        expires: Date.now() + OIDC_FLOW_TTL
+    };
+    req.session.oidc = pending;
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: OIDC_CONFIG.clientId,
+        redirect_uri: OIDC_CONFIG.redirectUri,
+        scope: 'openid profile email',
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256'
+    });
+    // Re-authentication has to actually ask for credentials again
+    if (intent === 'step-up') {
+        params.set('prompt', 'login');
+        params.set('max_age', '0');
+    }
+
+    return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+/**
+ * Take the flow started by buildAuthorizationUrl off the session
+ * (single use - a replayed callback finds nothing)
+ */
+function takePendingOidcFlow(req, state) {
+    const pending = req.session.oidc;
+    delete req.session.oidc;
+
+    if (!pending || Date.now() > pending.expires || typeof state !== 'string' || state !== pending.state) {
+        return null;
+    }
+    return pending;
+}
+
+/**
+ * Verify an RS256 ID token's signature and standard claims
+ * @returns {Object} The token's claims
+ */
+async function verifyIdToken(idToken, nonce) {
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed ID token');
+    }
+
+    const header = decodeJson(parts[0]);
+    if (header.alg !== 'RS256') {
+        throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+    }
+
+    const key = await getSigningKey(header.kid);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    if (!crypto.verify('RSA-SHA256', signed, key, Buffer.from(parts[2], 'base64url'))) {
+        throw new Error('Invalid ID token signature');
+    }
+
+    const claims = decodeJson(parts[1]);
+    const now = Math.floor(Date.now() / 1000);
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (String(claims.iss).replace(/\/$/, '') !== OIDC_CONFIG.issuer) throw new Error('ID token issuer mismatch');
+    if (!audience.includes(OIDC_CONFIG.clientId)) throw new Error('ID token audience mismatch');
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) throw new Error('ID token expired');
+    if (claims.iat && claims.iat - CLOCK_SKEW_SECONDS > now) throw new Error('ID token issued in the future');
+    if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+    if (!claims.sub) throw new Error('ID token has no subject');
+
+    return claims;
+}
+
+/**
+ * Exchange the callback's code for tokens and return the verified ID token claims
+ */
+async function completeAuthorization(code, pending) {
+    const metadata = await getProviderMetadata();
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: String(code),
+            redirect_uri: OIDC_CONFIG.redirectUri,
+            client_id: OIDC_CONFIG.clientId,
+            client_secret: OIDC_CONFIG.clientSecret,
+            code_verifier: pending.codeVerifier
+        }).toString()
+    });
+
+    return verifyIdToken(tokens.id_token, pending.nonce);
+}
+
+// ============================================
+// ACCOUNT LINKING, PROVISIONING & ROLE MAPPING
+// ============================================
+
+// Roles the IdP decides; a role without configured groups is only ever changed locally
+function getMappedRoles() {
+    return Object.keys(OIDC_CONFIG.roleGroups).filter(role => OIDC_CONFIG.roleGroups[role].length > 0);
+}
+
+/**
+ * Role and managed tags from the IdP groups
+ * @returns {{ role: string, managedTags: string[] }|null} null when the token carries no groups
+ *          claim or no group mapping is configured
+ */
+function mapGroupsToRole(claims) {
+    const groups = claims[OIDC_CONFIG.groupsClaim];
+    if (!Array.isArray(groups) || getMappedRoles().length === 0) {
+        return null;
+    }
+
+    const inAny = list => groups.some(group => list.includes(group));
+    if (inAny(OIDC_CONFIG.roleGroups.administrator)) {
+        return { role: 'administrator', managedTags: [] };
+    }
+    if (inAny(OIDC_CONFIG.roleGroups.manager)) {
+        const prefix = OIDC_CONFIG.tagGroupPrefix;
+        const managedTags = prefix
+            ? groups.filter(group => group.startsWith(prefix) && group.length > prefix.length).map(group => group.slice(prefix.length))
+            : [];
+        return { role: 'manager', managedTags };
+    }
+    return { role: 'user', managedTags: [] };
+}
+
+function findUserBySubject(claims) {
+    return User.findOne({ 'sso.issuer': OIDC_CONFIG.issuer, 'sso.subject': claims.sub });
+}
+
+/**
+ * Pick a free username from preferred_username / email ("Jane.Doe" -> "JaneDoe", "JaneDoe2", ...)
+ * that also passes the username policy
+ */
+async function pickUsername(claims) {
+    const source = claims.preferred_username || (claims.email || '').split('@')[0] || 'user';
+    const base = source.replace(/[^a-zA-Z0-9_]/g, '').substring(0, 20) || 'user';
+
+    for (let suffix = 1; suffix < 1000; suffix++) {
+        const candidate = suffix === 1 ? base : `${base}${suffix}`;
+        const escaped = escapeRegex(candidate);
+        if (!(await User.exists({ username: { $regex: new RegExp(`^${escaped}$`, 'i') } })) &&
+            !(await checkUsernamePolicy(candidate))) {
+            return candidate;
+        }
+    }
+    return `${base}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * New account for a first-time SSO user. It gets an unusable random password:
+ * the account signs in through the provider (or an admin-issued reset link).
+ * With pendingApproval it waits in the registration queue like a /register sign-up.
+ */
+async function provisionSsoUser(claims, { pendingApproval = false } = {}) {
+    const username = await pickUsername(claims);
+    const mapping = mapGroupsToRole(claims) || { role: 'user', managedTags: [] };
+
+    return User.create({
+        username,
+        userTag: `u/${username}`,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        securityQuestionsAreDefault: false, // No local password to protect with them
+        role: mapping.role,
+        managedTags: mapping.managedTags,
+        registration: pendingApproval ? { mode: 'approval', status: 'pending' } : { mode: null, status: 'approved' },
+        sso: {
+            issuer: OIDC_CONFIG.issuer,
+            subject: claims.sub,
+            email: claims.email || '',
+            groups: claims[OIDC_CONFIG.groupsClaim] || [],
+            provisioned: true,
+            linkedAt: new Date(),
+            lastLoginAt: new Date()
+        }
+    });
+}
+
+/**
+ * Attach the provider identity to an existing account
+ */
+async function linkSsoIdentity(user, claims) {
+    user.sso = {
+        issuer: OIDC_CONFIG.issuer,
+        subject: claims.sub,
+        email: claims.email || '',
+        groups: claims[OIDC_CONFIG.groupsClaim] || [],
+        provisioned: false,
+        linkedAt: new Date(),
+        lastLoginAt: null
+    };
+    await user.save();
+}
+
+/**
+ * Whether SSO logins may change this account's role: only plain users and
+ * roles with configured groups, and never while a temporary grant is active
+ * (custom roles and grants are managed by administrators)
+ */
+async function isRoleManagedBySso(user) {
+    if (user.role !== 'user' && !getMappedRoles().includes(user.role)) {
+        return false;
+    }
+    return !(await RoleGrant.exists({ user: user._id, endedAt: null }));
+}
+
+/**
+ * Apply the IdP groups to a linked account on each SSO login
+ * @returns {string|null} Description of the role change, or null if nothing changed
+ */
+async function syncSsoUser(user, claims) {
+    const mapping = mapGroupsToRole(claims);
+    let change = null;
+
+    if (mapping && await isRoleManagedBySso(user)) {
+        const oldTags = (user.managedTags || []).join(', ');
+        const newTags = mapping.managedTags.join(', ');
+        if (user.role !== mapping.role || oldTags !== newTags) {
+            change = `role ${user.role} -> ${mapping.role}` + (oldTags !== newTags ? `, managed tags [${oldTags}] -> [${newTags}]` : '');
+            user.role = mapping.role;
+            user.managedTags = mapping.managedTags;
+        }
+    }
+    if (Array.isArray(claims[OIDC_CONFIG.groupsClaim])) {
+        user.sso.groups = claims[OIDC_CONFIG.groupsClaim];
+    }
+
+    user.sso.email = claims.email || user.sso.email;
+    user.sso.lastLoginAt = new Date();
+    await user.save();
+    return change;
+}
+
+/**
+ * SSO-provisioned accounts never had a password the user knows
+ */
+function isSsoOnlyAccount(user) {
+    return !!(user.sso && user.sso.subject && user.sso.provisioned);
+}
+
+module.exports = {
+    OIDC_CONFIG,
+    isOidcEnabled,
+    buildAuthorizationUrl,
+    takePendingOidcFlow,
+    completeAuthorization,
+    verifyIdToken,
+    mapGroupsToRole,
+    findUserBySubject,
+    provisionSsoUser,
+    linkSsoIdentity,
+    syncSsoUser,
+    isSsoOnlyAccount
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// COMMON / BREACHED PASSWORD BLOCKLIST (2.1.4)
+// Offline check against data/password-blocklist.txt (hashed prefixes)
+// ============================================
+
+const BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'password-blocklist.txt');
+const HASH_PREFIX_LENGTH = 10;
+const MIN_CORE_LENGTH = 4; // Shorter cores ("abc" in "abc1234567!") aren't worth matching
+
+// Common character substitutions, undone before matching ("P@ssw0rd" -> "password")
+const LEET_SUBSTITUTIONS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+let blocklist = null;
+
+function hashPrefix(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, HASH_PREFIX_LENGTH);
+}
+
+/**
+ * Read the bundled list once (about 11 bytes per entry)
+ */
+function loadPasswordBlocklist() {
+    if (blocklist) {
+        return blocklist;
+    }
+
+    blocklist = new Set();
+    try {
+        fs.readFileSync(BLOCKLIST_FILE, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'))
+            .forEach(line => blocklist.add(line));
+    } catch (err) {
+        // A missing list only disables this check; the policy rules still apply
+        // console.error('Password blocklist load error:', err);
+    }
+    return blocklist;
+}
+
+/**
+ * Variants of a password to look up: as typed, with the usual
+ * substitutions undone, and with decorating digits/symbols stripped
+ * ("Summer2024!" -> "summer")
+ */
+function getPasswordCandidates(password) {
+    const unleet = value => value.replace(/[0134574@$!]/g, ch => LEET_SUBSTITUTIONS[ch]);
+    const core = value => value.replace(/^[^a-z]+/, '').replace(/[^a-z]+$/, '');
+
+    const lowered = password.toLowerCase();
+    const candidates = new Set([lowered, unleet(lowered)]);
+    // Strip first, then undo substitutions ("P@ssw0rd123!" -> "p@ssw0rd" -> "password")
+    [core(lowered), unleet(core(lowered)), core(unleet(lowered))]
+        .filter(value => value.length >= MIN_CORE_LENGTH)
+        .forEach(value => candidates.add(value));
+
+    return [...candidates];
+}
+
+function isCommonPassword(password) {
+    const list = loadPasswordBlocklist();
+    return getPasswordCandidates(password).some(candidate => list.has(hashPrefix(candidate)));
+}
+
+function containsUsername(password, username) {
+    if (!username || username.length < 3) {
+        return false;
+    }
+    const lowered = password.toLowerCase();
+    const name = username.toLowerCase();
+    return lowered.includes(name) || lowered.includes([...name].reverse().join(''));
+}
+
+/**
+ * Blocklist and username checks for validatePassword
+ * @returns {string[]} Error messages (empty when the password is acceptable)
+ */
+function checkPasswordBlocklist(password, username = '') {
+    const errors = [];
+    if (isCommonPassword(password)) {
+        errors.push('Password is too common or has appeared in a data breach');
+    }
+    if (containsUsername(password, username)) {
+        errors.push('Password must not contain your username');
+    }
+    return errors;
+}
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+/**
+ * Rough strength estimate for the meter on the register/admin forms
+ * @returns {{ score: number, label: string, feedback: string[] }} score 0 (very weak) - 4 (very strong)
+ */
+function estimatePasswordStrength(password, username = '') {
+    if (!password) {
+        return { score: 0, label: STRENGTH_LABELS[0], feedback: [] };
+    }
+
+    const feedback = checkPasswordBlocklist(password, username);
+    if (feedback.length > 0) {
+        return { score: 0, label: STRENGTH_LABELS[0], feedback };
+    }
+
+    let poolSize = 0;
+    if (/[a-z]/.test(password)) poolSize += 26;
+    if (/[A-Z]/.test(password)) poolSize += 26;
+    if (/[0-9]/.test(password)) poolSize += 10;
+    if (/[^a-zA-Z0-9]/.test(password)) poolSize += 33;
+
+    // Repeated characters add little ("aaaaaaaa"), so only count distinct ones fully
+    const distinct = new Set(password).size;
+    const effectiveLength = distinct + (password.length - distinct) / 2;
+    const bits = effectiveLength * Math.log2(poolSize);
+
+    let score = 4;
+    if (bits < 28) score = 0;
+    else if (bits < 36) score = 1;
+    else if (bits < 60) score = 2;
+    else if (bits < 80) score = 3;
+
+    if (score < 3) {
+        feedback.push(password.length < 12
+            ? 'Use a longer password - several unrelated words work well'
+            : 'Mix in more kinds of characters or avoid repeating them');
+    }
+    return { score, label: STRENGTH_LABELS[score], feedback };
+}
+
+module.exports = {
+    loadPasswordBlocklist,
+    isCommonPassword,
+    containsUsername,
+    checkPasswordBlocklist,
+    estimatePasswordStrength
+};
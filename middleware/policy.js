@@ -0,0 +1,206 @@
+// ============================================
+// AUTHORIZATION POLICY (2.2.1 & 2.2.3)
+// Every "may this user do that?" question goes through evaluatePolicy:
+//   subject  - the signed-in User document (null when not logged in)
+//   action   - what they want to do ('read', 'edit', 'delete', 'moderate', ...)
+//   resource - resource type + the document itself (a post, comment, tag name, user)
+//   context  - anything else a rule needs (e.g. the post a comment belongs to)
+// Rules look at the permissions the subject's role grants (middleware/roles.js),
+// never at role names. Anything without a rule below is denied.
+// ============================================
+
+const { hasPermission, getRolePermissions, isPrivilegedRole } = require('./roles');
+
+// Report actions (moderation-routes.js) -> permissions, any one of which allows it
+const REPORT_ACTION_PERMISSIONS = {
+    hide_post: ['post.hide'],
+    delete_post: ['post.delete'],
+    warn_user: ['user.warn'],
+    restrict_user: ['user.restrict.max48h', 'user.restrict'],
+    dismiss: ['report.dismiss']
+};
+const LIMITED_RESTRICTION_HOURS = 48;
+
+function idOf(value) {
+    if (!value) return '';
+    return (value._id || value).toString();
+}
+
+function isOwner(subject, ownerId) {
+    return !!ownerId && idOf(ownerId) === idOf(subject);
+}
+
+// "post.moderate.all" covers every tag, "post.moderate.managed" only the account's managedTags
+function managesTag(subject, tag) {
+    if (hasPermission(subject, 'post.moderate.all')) return true;
+    return hasPermission(subject, 'post.moderate.managed') && (subject.managedTags || []).includes(tag);
+}
+
+// Nobody hands out (or takes away) permissions they don't hold themselves
+function holdsAll(subject, permissions) {
+    const held = getRolePermissions(subject.role);
+    return (permissions || []).every(permission => held.includes(permission));
+}
+
+// resourceType -> action -> rule({ subject, resource, context }) returning true to allow
+const POLICY_RULES = {
+    // Whole sections of the site; resource is the list of permissions, any one of which lets you in
+    area: {
+        access: ({ subject, resource }) => resource.some(permission => hasPermission(subject, permission))
+    },
+    post: {
+        read: () => true,
+        create: () => true,
+        edit: ({ subject, resource }) => isOwner(subject, resource.user) || managesTag(subject, resource.postTag),
+        delete: ({ subject, resource }) => isOwner(subject, resource.user) ||
+            (managesTag(subject, resource.postTag) && hasPermission(subject, 'post.delete')),
+        moderate: ({ subject, resource }) => managesTag(subject, resource.postTag)
+    },
+    // context.post is the post the comment belongs to
+    comment: {
+        read: () => true,
+        edit: ({ subject, resource, context }) => isOwner(subject, resource.user) || managesTag(subject, context.post.postTag),
+        delete: ({ subject, resource, context }) => isOwner(subject, resource.user) ||
+            (managesTag(subject, context.post.postTag) && hasPermission(subject, 'post.delete')),
+        moderate: ({ subject, context }) => managesTag(subject, context.post.postTag)
+    },
+    // A reply follows the rules of the comment it sits under; context.post as for comments
+    reply: {
+        edit: request => POLICY_RULES.comment.edit(request),
+        delete: request => POLICY_RULES.comment.delete(request)
+    },
+    // resource is the tag name
+    tag: {
+        moderate: ({ subject, resource }) => managesTag(subject, resource)
+    },
+    // resource is the reported post; context.action is the report action being taken
+    report: {
+        resolve: ({ subject, resource, context }) => managesTag(subject, resource.postTag) &&
+            (REPORT_ACTION_PERMISSIONS[context.action] || []).some(permission => hasPermission(subject, permission)),
+        escalate: ({ subject }) => hasPermission(subject, 'report.escalate')
+    },
+    // resource is the target User
+    user: {
+        read: () => true,
+        edit: ({ subject, resource }) => isOwner(subject, resource) || hasPermission(subject, 'user.manage'),
+        // "user.restrict.max48h" only covers accounts without permissions, for up to 48 hours
+        // (context.hours); nobody restricts themselves
+        restrict: ({ subject, resource, context }) => !isOwner(subject, resource) &&
+            (hasPermission(subject, 'user.restrict') ||
+             (hasPermission(subject, 'user.restrict.max48h') && !isPrivilegedRole(resource.role) &&
+              Number(context.hours) <= LIMITED_RESTRICTION_HOURS)),
+        ban: ({ subject, resource }) => !isOwner(subject, resource) && hasPermission(subject, 'user.ban'),
+        // Account tools (sessions, reset links, tokens, ...) only reach accounts whose
+        // role is within your own permissions - the same check as assigning that role
+        manage: ({ subject, resource }) => hasPermission(subject, 'user.manage') &&
+            (!resource || holdsAll(subject, getRolePermissions(resource.role))),
+        // Administrators are never impersonated, and nobody impersonates themselves
+        impersonate: ({ subject, resource }) => hasPermission(subject, 'user.impersonate') &&
+            !isOwner(subject, resource) && !hasPermission(resource, 'admin.access') &&
+            holdsAll(subject, getRolePermissions(resource.role))
+    },
+    // resource is a role ({ name, permissions })
+    role: {
+        // Creating or editing; resource.permissions holds every permission the change touches
+        manage: ({ subject, resource }) => hasPermission(subject, 'role.manage') && holdsAll(subject, resource.permissions),
+        // Giving the role to (or taking it from) an account
+        assign: ({ subject, resource }) => hasPermission(subject, 'user.manage') && holdsAll(subject, resource.permissions)
+    }
+};
+
+/**
+ * Decide without side effects (safe for view flags on every post in a feed)
+ * @returns {{ allowed: boolean, reason: string, policy: string }}
+ */
+function evaluatePolicy(subject, action, resourceType, resource = null, context = {}) {
+    const policy = `${resourceType}.${action}`;
+
+    if (!subject) {
+        return { allowed: false, reason: 'NOT_AUTHENTICATED', policy };
+    }
+
+    const rule = POLICY_RULES[resourceType] && POLICY_RULES[resourceType][action];
+    if (!rule) {
+        return { allowed: false, reason: 'NO_RULE', policy };
+    }
+
+    try {
+        return rule({ subject, resource, context })
+            ? { allowed: true, reason: 'ALLOWED', policy }
+            : { allowed: false, reason: 'DENIED', policy };
+    } catch (err) {
+        // A rule missing its resource/context fails closed
+        return { allowed: false, reason: 'INVALID_REQUEST', policy };
+    }
+}
+
+function can(subject, action, resourceType, resource = null, context = {}) {
+    return evaluatePolicy(subject, action, resourceType, resource, context).allowed;
+}
+
+function describeResource(resourceType, resource, context) {
+    if (!resource) return '';
+    switch (resourceType) {
+        case 'area':
+            return `(requires ${resource.join(' or ')})`;
+        case 'report':
+            return `${context.action || 'report'} on post ${idOf(resource)} [tag ${resource.postTag}]`;
+        case 'role':
+            return `role "${resource.name}"`;
+        case 'post':
+            return `${idOf(resource)} [tag ${resource.postTag}]`;
+        case 'comment':
+        case 'reply':
+            return `${idOf(resource)} on post ${idOf(context.post)} [tag ${context.post ? context.post.postTag : '?'}]`;
+        case 'tag':
+            return resource;
+        case 'user':
+            return `${resource.username || idOf(resource)}${resource.role ? ` (${resource.role})` : ''}`;
+        default:
+            return idOf(resource);
+    }
+}
+
+/**
+ * Decide for a request; denials are written to the activity log
+ * (action ACCESS_DENIED) so every refusal can be audited in one place
+ */
+async function authorize(req, subject, action, resourceType, resource = null, context = {}) {
+    const decision = evaluatePolicy(subject, action, resourceType, resource, context);
+
+    if (!decision.allowed) {
+        // Loaded here - auth.js depends on this module
+        const { logActivity, getClientIp } = require('./auth');
+        const who = subject ? `${subject.username} (${subject.role})` : 'Unauthenticated user';
+        const target = describeResource(resourceType, resource, context);
+        const targetId = resourceType === 'area' ? req.path
+            : resourceType === 'role' && resource ? resource.name
+            : (idOf(resource) || req.path);
+
+        // 2.4.6 - Log access control failure
+        await logActivity(subject ? subject._id : null, 'ACCESS_DENIED', resourceType.toUpperCase(), targetId,
+                         `Policy ${decision.policy} denied (${decision.reason}): ${who} on ${target || req.path} via ${req.method} ${req.path}`,
+                         getClientIp(req));
+    }
+    return decision;
+}
+
+/**
+ * MongoDB filter for the posts a subject may moderate ({} = everything,
+ * null = nothing) - the query-side twin of the "post.moderate" rule
+ */
+function getModerationFilter(subject) {
+    if (!subject) return null;
+    if (hasPermission(subject, 'post.moderate.all')) return {};
+    if (hasPermission(subject, 'post.moderate.managed')) return { postTag: { $in: subject.managedTags || [] } };
+    return null;
+}
+
+module.exports = {
+    POLICY_RULES,
+    REPORT_ACTION_PERMISSIONS,
+    evaluatePolicy,
+    can,
+    authorize,
+    getModerationFilter
+};
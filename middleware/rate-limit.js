@@ -0,0 +1,251 @@
+const { RateLimitWindow } = require('../security-schemas');
+const { logActivity, getClientIp } = require('./auth');
+
+// ============================================
+// RATE LIMITING / BRUTE-FORCE THROTTLING
+// Sliding window counters stored in MongoDB (survive restarts)
+// ============================================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Per-route policies. Each rule counts requests for one scope:
+ *   ip       - client IP address (req.ip - only proxies allowed by the
+ *              'trust proxy' setting can supply it via X-Forwarded-For)
+ *   username - submitted username (case-insensitive), catches spraying one account
+ *   user     - logged-in user id
+ * response controls how a 429 is rendered for the route:
+ *   'text' (fetch/form routes answering with plain text), 'json',
+ *   or { view, locals } to re-render a page with an error message
+ */
+const RATE_LIMIT_POLICIES = {
+    login: {
+        response: 'text',
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 20 },
+            { scope: 'username', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    register: {
+        response: 'text',
+        rules: [
+            { scope: 'ip', windowMs: HOUR, max: 5 }
+        ]
+    },
+    forgotPasswordUsername: {
+        response: { view: 'forgot-password', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    forgotPasswordAnswer: {
+        response: { view: 'forgot-password', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 10 },
+            { scope: 'username', windowMs: HOUR, max: 5 }
+        ]
+    },
+    forgotPasswordReset: {
+        response: { view: 'forgot-password', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    resetLink: {
+        response: { view: 'reset-password', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    deletionCancelLink: {
+        response: { view: 'cancel-deletion', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    usernameChange: {
+        response: 'text',
+        rules: [
+            { scope: 'user', windowMs: HOUR, max: 10 } // Each attempt probes which names are taken
+        ]
+    },
+    dataExport: {
+        response: { view: 'data-export', locals: {} },
+        rules: [
+            { scope: 'user', windowMs: 24 * HOUR, max: 3 } // Each export reads the whole account
+        ]
+    },
+    createPost: {
+        response: 'json',
+        rules: [
+            { scope: 'user', windowMs: 10 * MINUTE, max: 10 }
+        ]
+    },
+    addComment: {
+        response: 'json',
+        rules: [
+            { scope: 'user', windowMs: 5 * MINUTE, max: 20 }
+        ]
+    },
+    report: {
+        response: 'json',
+        rules: [
+            { scope: 'user', windowMs: HOUR, max: 10 }
+        ]
+    },
+    ssoCallback: {
+        response: { view: 'login', locals: { hideHeader: true } },
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 20 }
+        ]
+    },
+    stepUp: {
+        response: 'json',
+        rules: [
+            { scope: 'user', windowMs: 15 * MINUTE, max: 10 }
+        ]
+    },
+    passwordStrength: {
+        response: 'json',
+        rules: [
+            { scope: 'ip', windowMs: MINUTE, max: 60 } // Meter is debounced client-side
+        ]
+    },
+    cspReport: {
+        response: 'json',
+        rules: [
+            { scope: 'ip', windowMs: 15 * MINUTE, max: 50 }
+        ]
+    }
+};
+
+function getScopeValue(req, scope) {
+    switch (scope) {
+        case 'ip':
+            return req.ip || null;
+        case 'username':
+            return req.body && typeof req.body.username === 'string'
+                ? req.body.username.trim().toLowerCase()
+                : null;
+        case 'user':
+            return req.session && req.session.userId ? String(req.session.userId) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check one rule's sliding window and count the request in the same
+ * atomic update, so concurrent requests can't all pass a stale count
+ * @returns {number} Seconds until the key is allowed again (0 = allowed, hit recorded)
+ */
+async function consumeHit(key, policyName, rule, now) {
+    const windowStart = new Date(now - rule.windowMs);
+    const recentHits = {
+        $filter: { input: { $ifNull: ['$hits', []] }, cond: { $gt: ['$$this', windowStart] } }
+    };
+
+    try {
+        // Matches only while the window has room; otherwise the upsert
+        // collides with the existing key and nothing is written
+        await RateLimitWindow.updateOne(
+            { key, $expr: { $lt: [{ $size: recentHits }, rule.max] } },
+            [{
+                $set: {
+                    policy: policyName,
+                    hits: { $concatArrays: [recentHits, [new Date(now)]] },
+                    expiresAt: new Date(now + rule.windowMs)
+                }
+            }],
+            { upsert: true }
+        );
+        return 0;
+    } catch (err) {
+        if (err.code !== 11000) {
+            throw err;
+        }
+    }
+
+    // Window is full - wait until enough of the oldest hits slide out of it
+    const window = await RateLimitWindow.findOne({ key }).lean();
+    const hits = window ? window.hits.filter(hit => hit > windowStart).sort((a, b) => a - b) : [];
+    const releasing = hits[hits.length - rule.max];
+
+    const releaseAt = releasing ? releasing.getTime() + rule.windowMs : now + rule.windowMs;
+    return Math.max(1, Math.ceil((releaseAt - now) / 1000));
+}
+
+/**
+ * Take back a hit recorded by consumeHit when a later rule blocks the request
+ */
+async function releaseHit(key, now) {
+    await RateLimitWindow.updateOne({ key }, { $pull: { hits: new Date(now) } });
+}
+
+function sendRateLimited(req, res, policy, retryAfter) {
+    const minutes = Math.ceil(retryAfter / 60);
+    const message = `Too many requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429);
+
+    if (policy.response === 'json') {
+        return res.json({ success: false, error: message, retryAfter });
+    }
+    if (policy.response === 'text') {
+        return res.send(message);
+    }
+    res.render(policy.response.view, { ...policy.response.locals, error: message });
+}
+
+/**
+ * Middleware factory: rateLimit('login')
+ * Only requests that are let through are counted, so a blocked client
+ * is released as soon as its window slides.
+ */
+function rateLimit(policyName) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    return async (req, res, next) => {
+        const now = Date.now();
+
+        try {
+            const checks = policy.rules
+                .map(rule => ({ rule, value: getScopeValue(req, rule.scope) }))
+                .filter(check => check.value);
+
+            const counted = [];
+            for (const { rule, value } of checks) {
+                const key = `${policyName}:${rule.scope}:${value}`;
+                const retryAfter = await consumeHit(key, policyName, rule, now);
+
+                if (retryAfter > 0) {
+                    for (const countedKey of counted) {
+                        await releaseHit(countedKey, now);
+                    }
+
+                    // 2.4.6 - Log throttled request
+                    await logActivity(req.session.userId || null, 'RATE_LIMIT_EXCEEDED', 'RATE_LIMIT', value,
+                                     `${req.method} ${req.originalUrl} throttled by "${policyName}" policy (${rule.scope}: max ${rule.max} per ${Math.round(rule.windowMs / MINUTE)} min, retry after ${retryAfter}s)`,
+                                     getClientIp(req));
+                    return sendRateLimited(req, res, policy, retryAfter);
+                }
+                counted.push(key);
+            }
+        } catch (err) {
+            // Fail open - a rate limiter outage must not take the site down
+            // console.error('Rate limit error:', err);
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_POLICIES,
+    rateLimit
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { User, InviteCode } = require('../database');
+const { logActivity, getClientIp, hashToken } = require('./auth');
+const { getSecurityPolicy } = require('./security-policy');
+const { hasPermission } = require('./roles');
+
+// ============================================
+// REGISTRATION MODES & INVITE CODES
+// The security policy's registrationMode decides who may use /register:
+//   open     - anyone
+//   invite   - only with a valid invite code (created by admins and managers)
+//   approval - anyone, but the account waits in the admin dashboard queue
+//              and cannot sign in until an administrator approves it
+//   closed   - nobody (admins can still create accounts)
+// First-time single sign-on follows the same modes; it has no way to carry
+// an invite code, so in invite mode it is refused like in closed mode.
+// ============================================
+
+const INVITE_CODE_PREFIX = 'inv_';
+const INVITE_EXPIRY_DAYS = [1, 7, 30];
+const INVITE_MAX_USES = 100;
+const MAX_ACTIVE_INVITES = 20; // Per creator
+
+const REGISTRATION_MODE_LABELS = {
+    open: 'Open - anyone can register',
+    invite: 'Invite code - registration needs a code from an administrator or manager',
+    approval: 'Admin approval - new accounts wait for an administrator before they can sign in',
+    closed: 'Closed - only administrators can create accounts'
+};
+
+function getRegistrationMode() {
+    return getSecurityPolicy().registrationMode || 'open';
+}
+
+function getInviteStatus(invite) {
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt <= new Date()) return 'expired';
+    if (invite.uses >= invite.maxUses) return 'used up';
+    return 'active';
+}
+
+// Administrators see and revoke every code, managers only their own
+function managesAllInvites(user) {
+    return hasPermission(user, 'admin.access');
+}
+
+/**
+ * Check a create-invite form
+ * @returns {string[]} Error messages (empty when the request is valid)
+ */
+async function validateInviteRequest(user, { maxUses, expiresInDays, note }) {
+    const errors = [];
+
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES) {
+        errors.push(`Number of uses must be between 1 and ${INVITE_MAX_USES}`);
+    }
+    if (!INVITE_EXPIRY_DAYS.includes(expiresInDays)) {
+        errors.push('Choose a valid expiry');
+    }
+    if (note && note.trim().length > 100) {
+        errors.push('Note must be 100 characters or fewer');
+    }
+
+    const active = await InviteCode.countDocuments({ createdBy: user._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (active >= MAX_ACTIVE_INVITES) {
+        errors.push(`You can have at most ${MAX_ACTIVE_INVITES} unexpired invite codes. Revoke one you no longer need first.`);
+    }
+    return errors;
+}
+
+/**
+ * Create an invite code; the raw value is only ever returned here
+ * @returns {{ code: string, invite: Object }}
+ */
+async function createInviteCode(user, { maxUses, expiresInDays, note }) {
+    const code = INVITE_CODE_PREFIX + crypto.randomBytes(12).toString('hex');
+
+    const invite = await InviteCode.create({
+        codeHash: hashToken(code),
+        prefix: code.substring(0, INVITE_CODE_PREFIX.length + 6),
+        note: (note || '').trim(),
+        maxUses,
+        createdBy: user._id,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    return { code, invite };
+}
+
+/**
+ * Invite codes the viewer may see, newest first, with their status
+ */
+async function listInviteCodes(viewer) {
+    const filter = managesAllInvites(viewer) ? {} : { createdBy: viewer._id };
+    const invites = await InviteCode.find(filter)
+        .select('-codeHash')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .lean();
+    return invites.map(invite => ({ ...invite, status: getInviteStatus(invite) }));
+}
+
+/**
+ * Revoke an invite code the viewer may manage
+ * @returns {Object|null} The code, or null if it was not found or already revoked
+ */
+async function revokeInviteCode(inviteId, viewer) {
+    const filter = { _id: inviteId, revokedAt: null };
+    if (!managesAllInvites(viewer)) {
+        filter.createdBy = viewer._id;
+    }
+    return InviteCode.findOneAndUpdate(filter, { $set: { revokedAt: new Date(), revokedBy: viewer._id } }, { new: true });
+}
+
+/**
+ * Use up one registration on a code (atomic, so a code can't be overspent)
+ * @returns {Object|null} The invite, or null when the code is invalid, expired, revoked or used up
+ */
+async function redeemInviteCode(code) {
+    if (typeof code !== 'string' || !code.trim()) {
+        return null;
+    }
+    return InviteCode.findOneAndUpdate(
+        {
+            codeHash: hashToken(code.trim()),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+            $expr: { $lt: ['$uses', '$maxUses'] }
+        },
+        { $inc: { uses: 1 } },
+        { new: true }
+    );
+}
+
+// Give the use back when the account could not be created after all
+async function releaseInviteCode(inviteId) {
+    await InviteCode.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+}
+
+/**
+ * Why an account may not sign in yet because of its registration
+ * @returns {string|null} Message for the login page, or null when it may
+ */
+function getRegistrationBlock(user) {
+    const status = user.registration ? user.registration.status : 'approved';
+    if (status === 'pending') {
+        return 'Your account is waiting for an administrator to approve it. Please try again later.';
+    }
+    if (status === 'rejected') {
+        return 'Your registration was not approved.';
+    }
+    return null;
+}
+
+/**
+ * Accounts waiting in the approval queue, oldest first
+ */
+async function listPendingRegistrations() {
+    return User.find({ 'registration.status': 'pending' })
+        .select('username userTag createdAt registration')
+        .sort({ createdAt: 1 })
+        .lean();
+}
+
+/**
+ * Approve or reject a pending registration
+ * @param {string} decision - "approve" or "reject"
+ * @returns {{ user: Object|null, error: string|null }}
+ */
+async function decideRegistration(req, userId, decision, note) {
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const decisionNote = typeof note === 'string' ? note.trim().substring(0, 500) : '';
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId, 'registration.status': 'pending' },
+        {
+            $set: {
+                'registration.status': status,
+                'registration.decidedBy': req.currentUser._id,
+                'registration.decidedAt': new Date(),
+                'registration.decisionNote': decisionNote
+            }
+        },
+        { new: true }
+    );
+    if (!user) {
+        return { user: null, error: 'This registration is no longer waiting for a decision' };
+    }
+
+    // 2.4.6 - Log the decision
+    await logActivity(req.currentUser._id, decision === 'approve' ? 'REGISTRATION_APPROVED' : 'REGISTRATION_REJECTED',
+                     'USER', user._id.toString(),
+                     `${decision === 'approve' ? 'Approved' : 'Rejected'} the registration of ${user.username}${decisionNote ? `: ${decisionNote}` : ''}`,
+                     getClientIp(req));
+    return { user, error: null };
+}
+
+module.exports = {
+    INVITE_EXPIRY_DAYS,
+    INVITE_MAX_USES,
+    REGISTRATION_MODE_LABELS,
+    getRegistrationMode,
+    validateInviteRequest,
+    createInviteCode,
+    listInviteCodes,
+    revokeInviteCode,
+    redeemInviteCode,
+    releaseInviteCode,
+    getRegistrationBlock,
+    listPendingRegistrations,
+    decideRegistration
+};
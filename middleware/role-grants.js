@@ -0,0 +1,246 @@
+const { User, RoleGrant } = require('../database');
+const { logActivity } = require('./auth');
+const { getRole, getRolePermissions, isKnownRole } = require('./roles');
+
+// ============================================
+// TEMPORARY ROLE & TAG GRANTS
+// "Cover for a moderator on leave": an account gets a role or extra
+// managedTags until an expiry date, and a background job puts it back
+// ============================================
+
+const ROLE_GRANT_MAX_DAYS = 90;
+const ROLE_GRANT_CHECK_INTERVAL = 60 * 1000; // Grants end at most a minute late
+
+function isTagScopedRole(name) {
+    return getRolePermissions(name).includes('post.moderate.managed');
+}
+
+// "Food, Travel" or ['Food', 'Travel'] -> ['Food', 'Travel']
+function parseTags(raw) {
+    const values = Array.isArray(raw) ? raw : String(raw || '').split(',');
+    return [...new Set(values.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Time left until a date, e.g. "2d 5h", "3h 10m", "8m"
+ */
+function formatTimeRemaining(expiresAt) {
+    const minutes = Math.max(0, Math.ceil((new Date(expiresAt) - Date.now()) / (60 * 1000)));
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+function describeGrant(grant) {
+    return grant.type === 'role'
+        ? `role ${grant.role} (was ${grant.previousRole})${grant.tags.length ? ` with tags ${grant.tags.join(', ')}` : ''}`
+        : `tags ${grant.tags.join(', ')}`;
+}
+
+/**
+ * Check a grant request against the account it is for
+ * @returns {string[]} Error messages (empty when the request is valid)
+ */
+async function validateRoleGrant(user, { type, role, managedTags, expiresAt, reason }) {
+    const errors = [];
+    const expiry = new Date(expiresAt);
+    const tags = parseTags(managedTags);
+
+    if (isNaN(expiry.getTime())) {
+        errors.push('Choose when the grant expires');
+    } else if (expiry <= new Date()) {
+        errors.push('The expiry date must be in the future');
+    } else if (expiry - Date.now() > ROLE_GRANT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        errors.push(`Temporary grants can last at most ${ROLE_GRANT_MAX_DAYS} days`);
+    }
+    if (reason && reason.length > 200) {
+        errors.push('Reason must be 200 characters or fewer');
+    }
+
+    if (type === 'role') {
+        if (!isKnownRole(role)) {
+            errors.push('Invalid role');
+        } else if (role === user.role) {
+            errors.push(`${user.username} already has the ${role} role`);
+        }
+        if (await RoleGrant.exists({ user: user._id, type: 'role', endedAt: null })) {
+            errors.push(`${user.username} already has a temporary role. Revoke it first.`);
+        }
+    } else if (type === 'tags') {
+        if (!isTagScopedRole(user.role)) {
+            errors.push(`The ${user.role} role does not moderate assigned tags`);
+        } else if (tags.filter(tag => !(user.managedTags || []).includes(tag)).length === 0) {
+            errors.push(`Enter at least one tag ${user.username} does not manage yet`);
+        }
+    } else {
+        errors.push('Invalid grant type');
+    }
+    return errors;
+}
+
+/**
+ * Apply a grant to the account and record it (validate first)
+ * @returns {Object} The grant
+ */
+async function createRoleGrant(user, { type, role, managedTags, expiresAt, reason }, grantedBy) {
+    const tags = parseTags(managedTags);
+    const grant = new RoleGrant({
+        user: user._id,
+        type,
+        reason: (reason || '').trim(),
+        grantedBy,
+        expiresAt: new Date(expiresAt)
+    });
+
+    if (type === 'role') {
+        grant.role = role;
+        grant.previousRole = user.role;
+        grant.previousManagedTags = user.managedTags || [];
+        // A tag-scoped role keeps the account's current tags unless others are given
+        grant.tags = isTagScopedRole(role) ? (tags.length ? tags : grant.previousManagedTags) : [];
+        user.role = role;
+        user.managedTags = grant.tags;
+    } else {
+        grant.tags = tags.filter(tag => !(user.managedTags || []).includes(tag));
+        user.managedTags = [...(user.managedTags || []), ...grant.tags];
+    }
+
+    await user.save();
+    await grant.save();
+    return grant;
+}
+
+/**
+ * End a grant and put the account back. Claimed atomically, so a grant is
+ * reverted once even with several app instances running the job.
+ * @param {string} reason - "expired" or "revoked"
+ * @returns {{ grant: Object, user: Object|null, reverted: boolean } | null} null if it had already ended
+ */
+async function endRoleGrant(grantId, reason, endedBy = null) {
+    const grant = await RoleGrant.findOneAndUpdate(
+        { _id: grantId, endedAt: null },
+        { $set: { endedAt: new Date(), endedBy, endReason: reason } },
+        { new: true }
+    );
+    if (!grant) {
+        return null;
+    }
+
+    const user = await User.findById(grant.user);
+    if (!user) {
+        return { grant, user: null, reverted: false };
+    }
+
+    if (grant.type === 'role') {
+        // Someone changed the role by hand since - leave their change alone
+        if (user.role !== grant.role) {
+            return { grant, user, reverted: false };
+        }
+        user.role = grant.previousRole;
+        user.managedTags = isTagScopedRole(grant.previousRole) ? grant.previousManagedTags : [];
+    } else {
+        user.managedTags = (user.managedTags || []).filter(tag => !grant.tags.includes(tag));
+    }
+
+    await user.save();
+    return { grant, user, reverted: true };
+}
+
+/**
+ * A permanent role change replaces any temporary role; the grant is closed
+ * without reverting anything
+ * @returns {number} Number of grants closed
+ */
+async function supersedeRoleGrants(userId, endedBy) {
+    const result = await RoleGrant.updateMany(
+        { user: userId, type: 'role', endedAt: null },
+        { $set: { endedAt: new Date(), endedBy, endReason: 'superseded' } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Active grants per user id, soonest expiry first, for the admin user list
+ */
+async function getActiveRoleGrants(userIds) {
+    const grants = await RoleGrant.find({ user: { $in: userIds }, endedAt: null })
+        .populate('grantedBy', 'username')
+        .sort({ expiresAt: 1 })
+        .lean();
+
+    const byUser = {};
+    grants.forEach(grant => {
+        const role = grant.role ? getRole(grant.role) : null;
+        const key = grant.user.toString();
+        byUser[key] = byUser[key] || [];
+        byUser[key].push({
+            ...grant,
+            roleLabel: role ? role.label : grant.role,
+            remaining: formatTimeRemaining(grant.expiresAt)
+        });
+    });
+    return byUser;
+}
+
+/**
+ * Revert every grant past its expiry (run by the background job)
+ * @returns {number} Number of grants ended
+ */
+async function expireRoleGrants() {
+    const due = await RoleGrant.find({ endedAt: null, expiresAt: { $lte: new Date() } }).select('_id');
+    let ended = 0;
+
+    for (const { _id } of due) {
+        const result = await endRoleGrant(_id, 'expired');
+        if (!result) continue; // Another instance got there first
+        ended++;
+
+        const { grant, user, reverted } = result;
+        const outcome = !user ? 'account no longer exists'
+            : reverted ? (grant.type === 'role' ? `role set back to ${grant.previousRole}` : 'tags removed')
+            : `role was changed to ${user.role} in the meantime, left unchanged`;
+
+        // 2.4.6 - Log the automatic revocation (attributed to the account it applied to)
+        await logActivity(user ? user._id : null, 'TEMPORARY_GRANT_EXPIRED', 'USER', grant.user.toString(),
+                         `Temporary ${describeGrant(grant)} for ${user ? user.username : grant.user} expired: ${outcome}`,
+                         'system');
+    }
+    return ended;
+}
+
+let expiryJob = null;
+
+/**
+ * Check for expired grants now and every minute after
+ */
+function startRoleGrantExpiryJob() {
+    if (expiryJob) return;
+
+    const run = async () => {
+        try {
+            await expireRoleGrants();
+        } catch (err) {
+            // Try again on the next tick (e.g. while the database is unreachable)
+            // console.error('Role grant expiry error:', err);
+        }
+    };
+    expiryJob = setInterval(run, ROLE_GRANT_CHECK_INTERVAL);
+    run();
+}
+
+module.exports = {
+    ROLE_GRANT_MAX_DAYS,
+    isTagScopedRole,
+    parseTags,
+    formatTimeRemaining,
+    describeGrant,
+    validateRoleGrant,
+    createRoleGrant,
+    endRoleGrant,
+    supersedeRoleGrants,
+    getActiveRoleGrants,
+    expireRoleGrants,
+    startRoleGrantExpiryJob
+};
@@ -0,0 +1,322 @@
+const { Role, ROLE_PERMISSIONS } = require('../security-schemas');
+
+// ============================================
+// ROLES & PERMISSIONS
+// A role is a named set of permissions stored in the Role collection;
+// User.role holds its name. Policy rules (middleware/policy.js) ask
+// hasPermission() rather than comparing role names. Cached in memory like
+// the security policy so the checks stay sync.
+// ============================================
+
+const ROLES_REFRESH_INTERVAL = 60 * 1000; // Pick up changes made on other instances within a minute
+
+// The administrator role always holds every permission, so nobody can lock the site out of its own admin pages
+const LOCKED_ROLE = 'administrator';
+
+// Shown on the admin roles page
+const PERMISSION_GROUPS = [
+    {
+        label: 'Dashboards',
+        permissions: [
+            { name: 'admin.access', description: 'Open the admin dashboard, user list and account tools' },
+            { name: 'manager.access', description: 'Open the manager dashboard and the report queue' }
+        ]
+    },
+    {
+        label: 'Posts',
+        permissions: [
+            { name: 'post.moderate.all', description: 'Moderate posts in every tag' },
+            { name: 'post.moderate.managed', description: 'Moderate posts in the tags assigned to the account' },
+            { name: 'post.hide', description: 'Hide reported posts' },
+            { name: 'post.delete', description: "Delete other people's posts and comments in moderated tags" }
+        ]
+    },
+    {
+        label: 'Reports',
+        permissions: [
+            { name: 'report.dismiss', description: 'Dismiss reports' },
+            { name: 'report.escalate', description: 'Escalate reports to administrators' }
+        ]
+    },
+    {
+        label: 'Users',
+        permissions: [
+            { name: 'user.warn', description: 'Warn users' },
+            { name: 'user.restrict.max48h', description: 'Restrict regular users for up to 48 hours' },
+            { name: 'user.restrict', description: 'Restrict any user for any length of time' },
+            { name: 'user.ban', description: 'Permanently ban and unban users' },
+            { name: 'user.manage', description: 'Create accounts, change roles and delete users' },
+            { name: 'user.impersonate', description: 'View the site as another user' }
+        ]
+    },
+    {
+        label: 'Administration',
+        permissions: [
+            { name: 'role.manage', description: 'Create, edit and delete roles' },
+            { name: 'logs.view', description: 'Read the audit log' },
+            { name: 'logs.export', description: 'Download the audit log as CSV' },
+            { name: 'security.manage', description: 'Change the security policy' }
+        ]
+    }
+];
+
+// The three roles that used to be a fixed enum on User.role
+const BUILT_IN_ROLES = [
+    {
+        name: 'administrator',
+        label: 'Administrator',
+        description: 'Full access to every part of the site',
+        permissions: ROLE_PERMISSIONS
+    },
+    {
+        name: 'manager',
+        label: 'Manager/Moderator',
+        description: 'Moderates posts and reports in the tags assigned to them',
+        permissions: [
+            'manager.access',
+            'post.moderate.managed',
+            'post.hide',
+            'post.delete',
+            'report.dismiss',
+            'report.escalate',
+            'user.warn',
+            'user.restrict.max48h'
+        ]
+    },
+    {
+        name: 'user',
+        label: 'User',
+        description: 'Regular member',
+        permissions: []
+    }
+];
+
+function toRole(doc) {
+    return {
+        name: doc.name,
+        label: doc.label,
+        description: doc.description || '',
+        permissions: ROLE_PERMISSIONS.filter(permission => (doc.permissions || []).includes(permission)),
+        builtIn: !!doc.builtIn,
+        locked: doc.name === LOCKED_ROLE,
+        updatedBy: doc.updatedBy || null,
+        updatedAt: doc.updatedAt || null
+    };
+}
+
+// Built-in definitions, used until the database copy has been loaded
+let cachedRoles = BUILT_IN_ROLES.map(role => toRole({ ...role, builtIn: true }));
+let lastLoadedAt = 0;
+let builtInRolesSeeded = false;
+
+/**
+ * Every role (built-in first), from the last loaded copy
+ */
+function listRoles() {
+    return cachedRoles;
+}
+
+function getRole(name) {
+    return cachedRoles.find(role => role.name === name) || null;
+}
+
+function isKnownRole(name) {
+    return !!getRole(name);
+}
+
+function getRolePermissions(name) {
+    const role = getRole(name);
+    return role ? role.permissions : [];
+}
+
+/**
+ * Whether a user (or null) holds a permission through their role
+ */
+function hasPermission(subject, permission) {
+    return !!subject && getRolePermissions(subject.role).includes(permission);
+}
+
+// Any permission at all makes a role privileged (2FA becomes mandatory, etc.)
+function isPrivilegedRole(name) {
+    return getRolePermissions(name).length > 0;
+}
+
+/**
+ * Create the built-in role documents when missing (the migration from the
+ * old enum - existing User.role values already match their names). Admins
+ * may edit the manager and user roles; the administrator role is reset to
+ * every permission so new permissions reach it automatically.
+ */
+async function seedBuiltInRoles() {
+    await Promise.all(BUILT_IN_ROLES.map(role => {
+        const update = role.name === LOCKED_ROLE
+            ? {
+                $setOnInsert: { label: role.label, description: role.description },
+                $set: { permissions: role.permissions, builtIn: true }
+            }
+            : {
+                $setOnInsert: { label: role.label, description: role.description, permissions: role.permissions },
+                $set: { builtIn: true }
+            };
+        return Role.updateOne({ name: role.name }, update, { upsert: true });
+    }));
+    builtInRolesSeeded = true;
+}
+
+/**
+ * Load every role, seeding the built-in ones on first use
+ */
+async function loadRoles() {
+    if (!builtInRolesSeeded) {
+        await seedBuiltInRoles();
+    }
+
+    const docs = await Role.find().sort({ builtIn: -1, name: 1 }).lean();
+    cachedRoles = docs.map(toRole);
+    lastLoadedAt = Date.now();
+    return cachedRoles;
+}
+
+// Checkbox groups arrive missing, as a single value or as an array
+function parsePermissions(raw) {
+    const values = raw === undefined ? [] : [].concat(raw);
+    return ROLE_PERMISSIONS.filter(permission => values.includes(permission));
+}
+
+/**
+ * Validate and create a custom role
+ * @param {Object} fields - Raw form values (name, label, description, permissions)
+ * @param {string} adminId - Administrator creating the role
+ * @returns {Object} The new role
+ * @throws mongoose ValidationError when a value is invalid or the name is taken
+ */
+async function createRole(fields, adminId) {
+    const doc = new Role({
+        name: fields.name,
+        label: fields.label,
+        description: fields.description || '',
+        permissions: parsePermissions(fields.permissions),
+        builtIn: false,
+        createdBy: adminId,
+        updatedBy: adminId
+    });
+
+    if (doc.name && await Role.exists({ name: doc.name })) {
+        doc.invalidate('name', `A role named "${doc.name}" already exists`);
+    }
+    await doc.save();
+
+    await loadRoles();
+    return toRole(doc.toObject());
+}
+
+/**
+ * Validate and save changes to a role's label, description and permissions
+ * (names are fixed - users reference roles by name)
+ * @returns {{ role: Object, changed: string[] } | null} null when the role does not exist
+ * @throws mongoose ValidationError when a value is invalid
+ */
+async function updateRole(name, fields, adminId) {
+    const doc = await Role.findOne({ name });
+    if (!doc) {
+        return null;
+    }
+
+    const changed = [];
+    const previous = toRole(doc.toObject());
+
+    ['label', 'description'].forEach(field => {
+        const value = (fields[field] || '').trim();
+        if (previous[field] !== value) {
+            doc[field] = value;
+            changed.push(`${field}: "${previous[field]}" -> "${value}"`);
+        }
+    });
+
+    if (name !== LOCKED_ROLE) {
+        const permissions = parsePermissions(fields.permissions);
+        const added = permissions.filter(permission => !previous.permissions.includes(permission));
+        const removed = previous.permissions.filter(permission => !permissions.includes(permission));
+        if (added.length > 0 || removed.length > 0) {
+            doc.permissions = permissions;
+            changed.push(`permissions${added.length ? ` +${added.join(' +')}` : ''}${removed.length ? ` -${removed.join(' -')}` : ''}`);
+        }
+    }
+
+    if (changed.length === 0) {
+        return { role: previous, changed };
+    }
+
+    doc.updatedBy = adminId;
+    doc.updatedAt = new Date();
+    await doc.save();
+
+    await loadRoles();
+    return { role: toRole(doc.toObject()), changed };
+}
+
+/**
+ * Delete a custom role nobody holds any more
+ * @returns {{ role: Object|null, error: string|null }}
+ */
+async function deleteRole(name) {
+    const { User, RoleGrant } = require('../database');
+    const role = getRole(name);
+
+    if (!role) {
+        return { role: null, error: 'Role not found' };
+    }
+    if (role.builtIn) {
+        return { role, error: 'Built-in roles cannot be deleted' };
+    }
+
+    const holders = await User.countDocuments({ role: name });
+    if (holders > 0) {
+        return { role, error: `${holders} account(s) still have the "${role.label}" role. Move them to another role first.` };
+    }
+
+    // Temporary grants would hand the role back out (or restore it) when they end
+    const grants = await RoleGrant.countDocuments({ endedAt: null, $or: [{ role: name }, { previousRole: name }] });
+    if (grants > 0) {
+        return { role, error: `${grants} temporary grant(s) still involve the "${role.label}" role. Revoke them first.` };
+    }
+
+    await Role.deleteOne({ name, builtIn: false });
+    await loadRoles();
+    return { role, error: null };
+}
+
+/**
+ * Reload the cached roles when they are stale
+ */
+async function refreshRoles(req, res, next) {
+    if (Date.now() - lastLoadedAt > ROLES_REFRESH_INTERVAL) {
+        lastLoadedAt = Date.now(); // Don't retry on every request while the database is down
+        try {
+            await loadRoles();
+        } catch (err) {
+            // Keep using the last loaded roles
+            // console.error('Role load error:', err);
+        }
+    }
+    next();
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    PERMISSION_GROUPS,
+    BUILT_IN_ROLES,
+    LOCKED_ROLE,
+    listRoles,
+    getRole,
+    isKnownRole,
+    getRolePermissions,
+    hasPermission,
+    isPrivilegedRole,
+    parsePermissions,
+    loadRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    refreshRoles
+};
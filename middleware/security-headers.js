@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { logActivity, getClientIp } = require('./auth');
+
+// ============================================
+// SECURITY HEADERS & CONTENT-SECURITY-POLICY
+// ============================================
+
+const CSP_REPORT_PATH = '/csp-report';
+const HSTS_MAX_AGE = 365 * 24 * 60 * 60; // 1 year, in seconds
+
+// Third-party origins the views actually load from (Font Awesome kit/CDN)
+const FONT_AWESOME_KIT = ['https://kit.fontawesome.com', 'https://ka-f.fontawesome.com'];
+const FONT_AWESOME_CDN = 'https://cdnjs.cloudflare.com';
+
+/**
+ * Build the CSP for one response. Inline <script> blocks must carry
+ * nonce="{{cspNonce}}" to run. Inline onclick/onsubmit handlers are
+ * blocked - markup uses data-on-* attributes (public/js/actions.js).
+ */
+function buildContentSecurityPolicy(nonce) {
+    const directives = {
+        'default-src': ["'self'"],
+        'script-src': ["'self'", `'nonce-${nonce}'`, ...FONT_AWESOME_KIT],
+        'style-src': ["'self'", "'unsafe-inline'", FONT_AWESOME_CDN, ...FONT_AWESOME_KIT],
+        'font-src': ["'self'", 'data:', FONT_AWESOME_CDN, ...FONT_AWESOME_KIT],
+        'img-src': ["'self'", 'data:', 'https:'], // data: for the 2FA QR code, https: for seeded remote images
+        'connect-src': ["'self'", ...FONT_AWESOME_KIT],
+        'object-src': ["'none'"],
+        'base-uri': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"],
+        'report-uri': [CSP_REPORT_PATH]
+    };
+
+    return Object.entries(directives)
+        .map(([name, values]) => `${name} ${values.join(' ')}`)
+        .join('; ');
+}
+
+function isHttps(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+/**
+ * Sets all security headers and exposes res.locals.cspNonce to the views
+ * (must be before any route that renders)
+ */
+function securityHeaders(req, res, next) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+
+    res.setHeader('Content-Security-Policy', buildContentSecurityPolicy(nonce));
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=(), payment=(), usb=()');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+
+    // HSTS is only meaningful (and only honoured) over HTTPS
+    if (isHttps(req)) {
+        res.setHeader('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+    }
+
+    next();
+}
+
+/**
+ * Session cookie flags: never readable from JS, not sent on cross-site
+ * subrequests, and HTTPS-only when the request came in over HTTPS
+ */
+const SESSION_COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: 'auto', // express-session sets Secure when req.secure (needs trust proxy behind a proxy)
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+/**
+ * CSP violation report endpoint - browsers POST either the legacy
+ * { "csp-report": {...} } body or a Reporting API array
+ */
+async function cspReportHandler(req, res) {
+    try {
+        const reports = Array.isArray(req.body)
+            ? req.body.map(entry => entry.body || {})
+            : [req.body && req.body['csp-report'] ? req.body['csp-report'] : (req.body || {})];
+
+        for (const report of reports.slice(0, 10)) {
+            const directive = report['violated-directive'] || report.effectiveDirective || report['effective-directive'] || 'unknown';
+            const blocked = report['blocked-uri'] || report.blockedURL || 'inline';
+            const documentUri = report['document-uri'] || report.documentURL || 'unknown';
+
+            // 2.4.6 - Log CSP violation
+            await logActivity(req.session.userId || null, 'CSP_VIOLATION', 'CSP', String(blocked).substring(0, 200),
+                             `${directive} blocked ${blocked} on ${documentUri}`.substring(0, 500),
+                             getClientIp(req));
+        }
+    } catch (err) {
+        // console.error('CSP report error:', err);
+    }
+
+    res.status(204).end();
+}
+
+module.exports = {
+    CSP_REPORT_PATH,
+    SESSION_COOKIE_OPTIONS,
+    buildContentSecurityPolicy,
+    securityHeaders,
+    cspReportHandler
+};
@@ -0,0 +1,217 @@
+const { SecurityPolicy, APPROVAL_ACTIONS, REGISTRATION_MODES } = require('../security-schemas');
+const { listRoles } = require('./roles');
+
+// ============================================
+// SECURITY POLICY (password, lockout, session timeout & sign-in rules)
+// Stored in MongoDB, cached in memory so the sync checks stay sync
+// ============================================
+
+const POLICY_KEY = 'default';
+const POLICY_REFRESH_INTERVAL = 60 * 1000; // Pick up changes made on other instances within a minute
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_SPECIAL_CHARACTERS = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/;
+
+const NUMBER_FIELDS = [
+    'minPasswordLength',
+    'passwordHistoryDepth',
+    'minPasswordAgeDays',
+    'maxPasswordAgeDays',
+    'lockoutThreshold',
+    'lockoutDurationMinutes',
+    'lockoutMultiplier',
+    'lockoutMaxDurationMinutes',
+    'sessionIdleTimeoutMinutes',
+    'sessionAbsoluteTimeoutHours',
+    'approvalExpiryHours'
+];
+const BOOLEAN_FIELDS = ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSpecial'];
+// Checkbox-group fields -> the values each may hold (roles include custom ones, so they are read when saving)
+const LIST_FIELDS = {
+    localLoginDisabledRoles: () => listRoles().map(role => role.name),
+    dualApprovalActions: () => APPROVAL_ACTIONS
+};
+// Radio-group fields -> the values each may hold
+const CHOICE_FIELDS = {
+    registrationMode: REGISTRATION_MODES
+};
+const POLICY_FIELDS = [...NUMBER_FIELDS, ...BOOLEAN_FIELDS, ...Object.keys(LIST_FIELDS), ...Object.keys(CHOICE_FIELDS)];
+
+// Accepted range for each number, taken from the schema (shown on the admin form)
+const SECURITY_POLICY_LIMITS = {};
+NUMBER_FIELDS.forEach(field => {
+    const options = SecurityPolicy.schema.path(field).options;
+    SECURITY_POLICY_LIMITS[field] = { min: options.min, max: options.max };
+});
+
+function toPolicy(doc) {
+    const policy = {};
+    POLICY_FIELDS.forEach(field => {
+        policy[field] = doc[field];
+    });
+    Object.keys(LIST_FIELDS).forEach(field => {
+        policy[field] = [...(doc[field] || [])];
+    });
+    policy.updatedBy = doc.updatedBy || null;
+    policy.updatedAt = doc.updatedAt || null;
+    return policy;
+}
+
+// Schema defaults, used until the database copy has been loaded
+const DEFAULT_SECURITY_POLICY = { ...toPolicy(new SecurityPolicy().toObject()), updatedAt: null };
+
+let cachedPolicy = DEFAULT_SECURITY_POLICY;
+let lastLoadedAt = 0;
+
+/**
+ * Current policy (last loaded copy, or the defaults)
+ */
+function getSecurityPolicy() {
+    return cachedPolicy;
+}
+
+/**
+ * Load the policy document, creating it with the defaults on first use
+ */
+async function loadSecurityPolicy() {
+    const doc = await SecurityPolicy.findOneAndUpdate(
+        { key: POLICY_KEY },
+        { $setOnInsert: { key: POLICY_KEY } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    cachedPolicy = toPolicy(doc);
+    lastLoadedAt = Date.now();
+    return cachedPolicy;
+}
+
+/**
+ * Validate and save an admin's changes
+ * @param {Object} changes - Raw form values (strings / checkbox values)
+ * @param {string} adminId - Administrator making the change
+ * @returns {{ policy: Object, changed: string[] }} New policy and the names of fields that changed
+ * @throws mongoose ValidationError when a value is out of range
+ */
+async function updateSecurityPolicy(changes, adminId) {
+    const doc = await SecurityPolicy.findOne({ key: POLICY_KEY }) || new SecurityPolicy({ key: POLICY_KEY });
+    const changed = [];
+
+    NUMBER_FIELDS.forEach(field => {
+        const value = Number(changes[field]);
+        if (doc[field] !== value) {
+            doc[field] = value;
+            changed.push(field);
+        }
+    });
+    // Unchecked checkboxes are simply missing from the form body
+    BOOLEAN_FIELDS.forEach(field => {
+        const value = changes[field] === 'on' || changes[field] === 'true' || changes[field] === true;
+        if (doc[field] !== value) {
+            doc[field] = value;
+            changed.push(field);
+        }
+    });
+    // Checkbox groups: missing, a single value or an array
+    Object.entries(LIST_FIELDS).forEach(([field, getOptions]) => {
+        const raw = changes[field] === undefined ? [] : [].concat(changes[field]);
+        const value = getOptions().filter(option => raw.includes(option));
+        if ((doc[field] || []).join(',') !== value.join(',')) {
+            doc[field] = value;
+            changed.push(field);
+        }
+    });
+    Object.entries(CHOICE_FIELDS).forEach(([field, options]) => {
+        const value = changes[field];
+        if (!options.includes(value)) {
+            doc.invalidate(field, `Choose one of: ${options.join(', ')}`);
+        } else if (doc[field] !== value) {
+            doc[field] = value;
+            changed.push(field);
+        }
+    });
+
+    if (doc.lockoutMaxDurationMinutes < doc.lockoutDurationMinutes) {
+        doc.invalidate('lockoutMaxDurationMinutes', 'Maximum lockout duration cannot be shorter than the base lockout duration');
+    }
+    if (doc.maxPasswordAgeDays > 0 && doc.maxPasswordAgeDays <= doc.minPasswordAgeDays) {
+        doc.invalidate('maxPasswordAgeDays', 'Maximum password age must be longer than the minimum password age');
+    }
+    if (doc.sessionIdleTimeoutMinutes > doc.sessionAbsoluteTimeoutHours * 60) {
+        doc.invalidate('sessionIdleTimeoutMinutes', 'Idle timeout cannot be longer than the absolute session lifetime');
+    }
+
+    doc.updatedBy = adminId;
+    doc.updatedAt = new Date();
+    await doc.save();
+
+    cachedPolicy = toPolicy(doc.toObject());
+    lastLoadedAt = Date.now();
+    return { policy: cachedPolicy, changed };
+}
+
+/**
+ * How long the next lockout lasts, given how many lockouts came before it
+ * since the last successful login
+ * @returns {number} Minutes
+ */
+function getLockoutDurationMinutes(previousLockouts = 0) {
+    const policy = getSecurityPolicy();
+    const minutes = policy.lockoutDurationMinutes * Math.pow(policy.lockoutMultiplier, previousLockouts);
+    return Math.min(Math.round(minutes), policy.lockoutMaxDurationMinutes);
+}
+
+/**
+ * Whether password login is turned off for a role (callers check that SSO is configured)
+ */
+function isLocalLoginDisabledForRole(role) {
+    return getSecurityPolicy().localLoginDisabledRoles.includes(role);
+}
+
+/**
+ * The subset of the policy the browser needs for its live password checks
+ */
+function getClientPasswordPolicy() {
+    const policy = getSecurityPolicy();
+    return {
+        minLength: policy.minPasswordLength,
+        maxLength: PASSWORD_MAX_LENGTH,
+        requireUppercase: policy.requireUppercase,
+        requireLowercase: policy.requireLowercase,
+        requireNumber: policy.requireNumber,
+        requireSpecial: policy.requireSpecial
+    };
+}
+
+/**
+ * Reload the cached policy when it is stale and expose the password rules
+ * to the views as passwordPolicy / passwordPolicyJson
+ */
+async function refreshSecurityPolicy(req, res, next) {
+    if (Date.now() - lastLoadedAt > POLICY_REFRESH_INTERVAL) {
+        lastLoadedAt = Date.now(); // Don't retry on every request while the database is down
+        try {
+            await loadSecurityPolicy();
+        } catch (err) {
+            // Keep using the last loaded policy
+            // console.error('Security policy load error:', err);
+        }
+    }
+
+    const passwordPolicy = getClientPasswordPolicy();
+    res.locals.passwordPolicy = passwordPolicy;
+    res.locals.passwordPolicyJson = JSON.stringify(passwordPolicy);
+    next();
+}
+
+module.exports = {
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_SPECIAL_CHARACTERS,
+    DEFAULT_SECURITY_POLICY,
+    SECURITY_POLICY_LIMITS,
+    getSecurityPolicy,
+    loadSecurityPolicy,
+    updateSecurityPolicy,
+    getLockoutDurationMinutes,
+    isLocalLoginDisabledForRole,
+    getClientPasswordPolicy,
+    refreshSecurityPolicy
+};
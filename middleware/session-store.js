@@ -0,0 +1,177 @@
+const session = require('express-session');
+const { Session } = require('../security-schemas');
+const { getClientIp } = require('./auth');
+
+// ============================================
+// MONGODB SESSION STORE
+// ============================================
+
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000; // Matches the session cookie maxAge
+const ACTIVITY_UPDATE_INTERVAL = 60 * 1000; // Only rewrite lastActivity once a minute
+
+function getExpiry(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + DEFAULT_SESSION_TTL);
+}
+
+/**
+ * express-session store that keeps sessions in the "sessions" collection
+ * through the shared mongoose connection from database.js
+ */
+class MongooseSessionStore extends session.Store {
+    get(sid, callback) {
+        Session.findOne({ _id: sid, expires: { $gt: new Date() } })
+            .lean()
+            .then(doc => callback(null, doc ? doc.session : null))
+            .catch(err => callback(err));
+    }
+
+    set(sid, sess, callback) {
+        const client = sess.client || {};
+        const update = {
+            session: JSON.parse(JSON.stringify(sess)),
+            // An impersonation session still belongs to the administrator
+            user: (sess.isSwitched ? sess.originalAdminId : sess.userId) || null,
+            ipAddress: client.ipAddress || '',
+            userAgent: client.userAgent || '',
+            device: client.device || 'Unknown device',
+            lastActivity: client.lastActivity ? new Date(client.lastActivity) : new Date(),
+            expires: getExpiry(sess)
+        };
+
+        Session.updateOne(
+            { _id: sid },
+            { $set: update, $setOnInsert: { createdAt: new Date() } },
+            { upsert: true }
+        )
+            .then(() => callback && callback(null))
+            .catch(err => callback && callback(err));
+    }
+
+    touch(sid, sess, callback) {
+        Session.updateOne({ _id: sid }, { $set: { expires: getExpiry(sess) } })
+            .then(() => callback && callback(null))
+            .catch(err => callback && callback(err));
+    }
+
+    destroy(sid, callback) {
+        Session.deleteOne({ _id: sid })
+            .then(() => callback && callback(null))
+            .catch(err => callback && callback(err));
+    }
+
+    length(callback) {
+        Session.countDocuments({ expires: { $gt: new Date() } })
+            .then(count => callback(null, count))
+            .catch(err => callback(err));
+    }
+
+    clear(callback) {
+        Session.deleteMany({})
+            .then(() => callback && callback(null))
+            .catch(err => callback && callback(err));
+    }
+}
+
+// ============================================
+// DEVICE / CLIENT TRACKING
+// ============================================
+
+// Short human-readable label such as "Chrome on Windows"
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    let browser = 'Unknown browser';
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+    else if (/curl|PostmanRuntime|python-requests/i.test(userAgent)) browser = 'Script';
+
+    let os = 'Unknown OS';
+    if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+    else if (/Android/.test(userAgent)) os = 'Android';
+    else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    return `${browser} on ${os}`;
+}
+
+/**
+ * Record IP, user agent and last activity on logged-in sessions
+ * (must be after session middleware)
+ */
+function trackSessionMetadata(req, res, next) {
+    if (!req.session || !req.session.userId) {
+        return next();
+    }
+
+    const ipAddress = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || '';
+    const client = req.session.client;
+
+    if (!client ||
+        client.ipAddress !== ipAddress ||
+        client.userAgent !== userAgent ||
+        Date.now() - client.lastActivity > ACTIVITY_UPDATE_INTERVAL) {
+        req.session.client = {
+            ipAddress,
+            userAgent,
+            device: describeDevice(userAgent),
+            lastActivity: Date.now()
+        };
+    }
+
+    next();
+}
+
+// ============================================
+// SESSION MANAGEMENT HELPERS
+// ============================================
+
+/**
+ * List a user's active sessions, newest activity first
+ */
+async function listUserSessions(userId) {
+    return Session.find({ user: userId, expires: { $gt: new Date() } })
+        .select('-session')
+        .sort({ lastActivity: -1 })
+        .lean();
+}
+
+/**
+ * Revoke every session belonging to a user
+ * @param {string} userId - Owner of the sessions
+ * @param {string} exceptSessionId - Optional sid to keep (e.g. the current one)
+ * @returns {number} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    const query = { user: userId };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.deleteMany(query);
+    return result.deletedCount;
+}
+
+/**
+ * Revoke a single session, only if it belongs to the given user
+ * @returns {boolean} Whether a session was revoked
+ */
+async function revokeSession(userId, sessionId) {
+    const result = await Session.deleteOne({ _id: sessionId, user: userId });
+    return result.deletedCount > 0;
+}
+
+module.exports = {
+    MongooseSessionStore,
+    trackSessionMetadata,
+    describeDevice,
+    listUserSessions,
+    revokeUserSessions,
+    revokeSession
+};
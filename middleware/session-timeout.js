@@ -0,0 +1,143 @@
+const { getSecurityPolicy } = require('./security-policy');
+const { logActivity, getClientIp } = require('./auth');
+
+// ============================================
+// IDLE & ABSOLUTE SESSION TIMEOUTS
+// Limits come from the security policy; activity is the lastActivity
+// that trackSessionMetadata (session-store.js) keeps on the session
+// ============================================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const SESSION_STATUS_PATH = '/session/status';
+const SESSION_KEEP_ALIVE_PATH = '/session/keep-alive';
+const SESSION_WARNING_SECONDS = 60; // The client warns this long before the session ends
+
+/**
+ * When the logged-in session ends and which limit ends it first
+ * @returns {{ idleExpiresAt: number, absoluteExpiresAt: number, expiresAt: number, reason: 'idle'|'absolute' }}
+ */
+function getSessionExpiry(sess) {
+    const policy = getSecurityPolicy();
+    const lastActivity = sess.client && sess.client.lastActivity ? sess.client.lastActivity : sess.authenticatedAt;
+
+    const idleExpiresAt = lastActivity + policy.sessionIdleTimeoutMinutes * MINUTE;
+    const absoluteExpiresAt = sess.authenticatedAt + policy.sessionAbsoluteTimeoutHours * HOUR;
+
+    return {
+        idleExpiresAt,
+        absoluteExpiresAt,
+        expiresAt: Math.min(idleExpiresAt, absoluteExpiresAt),
+        reason: idleExpiresAt <= absoluteExpiresAt ? 'idle' : 'absolute'
+    };
+}
+
+/**
+ * Message shown on the login page after /login?expired=<reason>
+ */
+function getSessionExpiredMessage(reason) {
+    const policy = getSecurityPolicy();
+    if (reason === 'idle') {
+        return `You were signed out after ${policy.sessionIdleTimeoutMinutes} minutes of inactivity. Please log in again.`;
+    }
+    if (reason === 'absolute') {
+        return `Your session reached its maximum length of ${policy.sessionAbsoluteTimeoutHours} hours. Please log in again.`;
+    }
+    return undefined;
+}
+
+/**
+ * End sessions that have been idle or open too long
+ * (must be after session middleware and before trackSessionMetadata,
+ * which would otherwise count this request as activity)
+ */
+function enforceSessionTimeouts(req, res, next) {
+    if (!req.session || !req.session.userId) {
+        return next();
+    }
+
+    // Sessions started before timeouts were tracked count from now
+    if (!req.session.authenticatedAt) {
+        req.session.authenticatedAt = Date.now();
+        return next();
+    }
+
+    const { expiresAt, reason } = getSessionExpiry(req.session);
+    if (Date.now() < expiresAt) {
+        return next();
+    }
+
+    // While impersonating, the session belongs to the administrator
+    const userId = req.session.isSwitched ? req.session.originalAdminId : req.session.userId;
+    const policy = getSecurityPolicy();
+    const limit = reason === 'idle'
+        ? `${policy.sessionIdleTimeoutMinutes} minutes idle`
+        : `${policy.sessionAbsoluteTimeoutHours} hour maximum session length`;
+
+    // 2.4.6 - Log session expiry
+    logActivity(userId, 'SESSION_EXPIRED', 'SESSION', req.sessionID,
+               `Session ended by the ${limit} limit (${req.method} ${req.originalUrl})`,
+               getClientIp(req));
+
+    const redirect = `/login?expired=${reason}`;
+    req.session.destroy((err) => {
+        if (err) {
+            // console.error('Error destroying expired session:', err);
+            return next(err);
+        }
+        if (req.method === 'GET' && req.path !== SESSION_STATUS_PATH) {
+            return res.redirect(redirect);
+        }
+        res.status(401).json({
+            success: false,
+            sessionExpired: true,
+            error: getSessionExpiredMessage(reason),
+            redirect
+        });
+    });
+}
+
+function sendSessionStatus(req, res) {
+    const expiry = getSessionExpiry(req.session);
+    res.json({
+        success: true,
+        now: Date.now(),
+        warningSeconds: SESSION_WARNING_SECONDS,
+        ...expiry
+    });
+}
+
+/**
+ * GET /session/status - expiry times for the warning script. Registered
+ * before trackSessionMetadata so polling it does not keep the session alive.
+ */
+function sessionStatus(req, res) {
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ success: false, error: 'Not logged in' });
+    }
+    sendSessionStatus(req, res);
+}
+
+/**
+ * POST /session/keep-alive - "Stay signed in" resets the idle timer
+ * (the absolute lifetime still applies)
+ */
+function keepSessionAlive(req, res) {
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ success: false, error: 'Not logged in' });
+    }
+
+    req.session.client = { ...req.session.client, lastActivity: Date.now() };
+    sendSessionStatus(req, res);
+}
+
+module.exports = {
+    SESSION_STATUS_PATH,
+    SESSION_KEEP_ALIVE_PATH,
+    SESSION_WARNING_SECONDS,
+    getSessionExpiry,
+    getSessionExpiredMessage,
+    enforceSessionTimeouts,
+    sessionStatus,
+    keepSessionAlive
+};
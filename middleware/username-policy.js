@@ -0,0 +1,222 @@
+const { User, UsernameHistory } = require('../database');
+const { listRoles, isPrivilegedRole } = require('./roles');
+
+// ============================================
+// USERNAME POLICY
+// Beyond "nobody else has this exact name", a new or changed username must not:
+//   - be a reserved name (admin, moderator, system, ...)
+//   - look like an existing account once confusable characters are folded
+//     ("b0b", "bоb" with a Cyrillic o, "rnike" for "mike"), with a looser
+//     match against staff accounts ("boss" also blocks "b0ss_2")
+//   - be a name another account gave up less than the cooldown ago
+// Old names are kept in UsernameHistory so u/old_name links redirect.
+// ============================================
+
+const USERNAME_RELEASE_COOLDOWN_DAYS = 30;
+const USERNAME_CHANGE_WINDOW_DAYS = 30;
+const MAX_USERNAME_CHANGES = 2; // Per account in the window above
+
+const RESERVED_USERNAMES = [
+    'admin', 'administrator', 'moderator', 'mod', 'manager', 'staff', 'support', 'help',
+    'system', 'root', 'superuser', 'sysadmin', 'security', 'official', 'owner', 'team',
+    'tiktalk', 'api', 'www', 'mail', 'webmaster', 'postmaster', 'abuse', 'noreply',
+    'null', 'undefined', 'anonymous', 'deleted', 'everyone', 'here', 'me', 'settings', 'login', 'register'
+];
+
+// Characters folded to the letter they imitate (after lowercasing and removing accents)
+const CONFUSABLE_CHARACTERS = {
+    '0': 'o', '1': 'l', 'i': 'l', '|': 'l', '!': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+    '$': 's', '@': 'a',
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'з': 'e', 'і': 'l', 'ї': 'l', 'ј': 'j', 'к': 'k', 'м': 'm',
+    'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+    // Greek
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'l', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x', 'ω': 'w',
+    // Latin lookalikes
+    'ı': 'l', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ß': 'b'
+};
+// Letter pairs that read as one letter
+const CONFUSABLE_SEQUENCES = [['rn', 'm'], ['vv', 'w'], ['cl', 'd']];
+
+// Folded letter -> every character that folds to it, for the database lookups
+const CHARACTER_VARIANTS = {};
+Object.entries(CONFUSABLE_CHARACTERS).forEach(([from, to]) => {
+    CHARACTER_VARIANTS[to] = CHARACTER_VARIANTS[to] || [to];
+    CHARACTER_VARIANTS[to].push(from);
+});
+
+// Text for use inside a RegExp as a literal (usernames, search boxes)
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Fold a username to the letters it appears to spell ("B0_b" -> "bob")
+ */
+function getUsernameSkeleton(username) {
+    let skeleton = String(username)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '') // Accents
+        .toLowerCase();
+    skeleton = [...skeleton].map(character => CONFUSABLE_CHARACTERS[character] || character).join('');
+    skeleton = skeleton.replace(/[^\p{L}\p{N}]/gu, ''); // Separators and punctuation
+    CONFUSABLE_SEQUENCES.forEach(([from, to]) => {
+        skeleton = skeleton.split(from).join(to);
+    });
+    return skeleton;
+}
+
+// Staff and reserved names also catch a trailing number ("admin2", "boss_01")
+function withoutTrailingNumber(username) {
+    return String(username).replace(/[^\p{L}\p{N}]*\p{N}+[^\p{L}\p{N}]*$/u, '');
+}
+
+/**
+ * Pattern matching every username whose skeleton is the given one
+ * (case-insensitive; separators allowed anywhere)
+ * @param {boolean} allowSuffix - Also match names with a trailing number
+ */
+function skeletonPattern(skeleton, allowSuffix = false) {
+    const separators = '[^\\p{L}\\p{N}]*';
+    const characterPattern = letter => (CHARACTER_VARIANTS[letter] || [letter]).map(escapeRegex).join('|');
+    const letters = [...skeleton].map(letter => {
+        const alternatives = [characterPattern(letter)];
+        // "m" is also written "rn" (with any lookalike r and n)
+        CONFUSABLE_SEQUENCES.filter(([, to]) => to === letter).forEach(([from]) => {
+            alternatives.push([...from].map(part => `(?:${characterPattern(part)})`).join(separators));
+        });
+        return `(?:${alternatives.join('|')})`;
+    });
+    const suffix = allowSuffix ? `(?:${separators}[0-9])*` : '';
+    return `^${separators}${letters.join(separators)}${suffix}${separators}$`;
+}
+
+const RESERVED_SKELETONS = RESERVED_USERNAMES.map(getUsernameSkeleton);
+
+function isReservedUsername(username) {
+    return RESERVED_SKELETONS.includes(getUsernameSkeleton(username)) ||
+        RESERVED_SKELETONS.includes(getUsernameSkeleton(withoutTrailingNumber(username)));
+}
+
+/**
+ * Check a username against the policy (the exact-match check stays with the caller)
+ * @param {string} username
+ * @param {Object} options
+ * @param {string} options.userId - Account being renamed (its own names never conflict)
+ * @returns {Promise<string|null>} Error message, or null when the name may be used
+ */
+async function checkUsernamePolicy(username, { userId = null } = {}) {
+    const skeleton = getUsernameSkeleton(username);
+    if (!skeleton) {
+        return 'Username must contain letters or numbers';
+    }
+
+    if (isReservedUsername(username)) {
+        return 'This username is reserved';
+    }
+
+    const notSelf = userId ? { _id: { $ne: userId } } : {};
+
+    // Staff: a lookalike with a number added is still an impersonation
+    const staffRoles = listRoles().filter(role => isPrivilegedRole(role.name)).map(role => role.name);
+    const staffPattern = skeletonPattern(getUsernameSkeleton(withoutTrailingNumber(username)) || skeleton, true);
+    const staffLookalike = await User.exists({
+        ...notSelf,
+        role: { $in: staffRoles },
+        username: { $regex: staffPattern, $options: 'i' }
+    });
+    if (staffLookalike) {
+        return 'This username is too similar to a staff account';
+    }
+
+    const pattern = skeletonPattern(skeleton);
+    const lookalike = await User.exists({ ...notSelf, username: { $regex: pattern, $options: 'i' } });
+    if (lookalike) {
+        return 'This username is too similar to an existing account';
+    }
+
+    // Names given up recently (by a rename or a deleted account) stay with their old owner for a while
+    const cooldownStart = new Date(Date.now() - USERNAME_RELEASE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    const released = await UsernameHistory.exists({
+        ...(userId ? { user: { $ne: userId } } : {}),
+        changedAt: { $gt: cooldownStart },
+        username: { $regex: pattern, $options: 'i' }
+    });
+    if (released) {
+        return 'This username was recently used by another account and is not available yet';
+    }
+
+    return null;
+}
+
+/**
+ * Whether an account may rename itself now
+ * @returns {Promise<string|null>} Error message, or null when it may
+ */
+async function checkUsernameChangeAllowed(userId) {
+    const windowStart = new Date(Date.now() - USERNAME_CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const recent = await UsernameHistory.find({ user: userId, changedAt: { $gt: windowStart } })
+        .sort({ changedAt: 1 })
+        .select('changedAt')
+        .lean();
+
+    if (recent.length < MAX_USERNAME_CHANGES) {
+        return null;
+    }
+    const nextAllowed = new Date(recent[recent.length - MAX_USERNAME_CHANGES].changedAt.getTime() +
+        USERNAME_CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return `You can change your username ${MAX_USERNAME_CHANGES} times every ${USERNAME_CHANGE_WINDOW_DAYS} days. ` +
+        `Your next change is possible on ${nextAllowed.toISOString().substring(0, 10)}.`;
+}
+
+/**
+ * Remember a name an account has given up
+ * @param {string|null} userId - null when the account itself is being deleted
+ */
+async function recordUsernameChange(userId, oldUsername) {
+    await UsernameHistory.create({ user: userId, username: oldUsername });
+}
+
+/**
+ * The account a u/ name belongs to now
+ * @returns {{ user: Object|null, currentUsername: string|null }} currentUsername is set when
+ *          the name is an old one and the link should redirect to it
+ */
+async function resolveUsername(username) {
+    const exact = { $regex: `^${escapeRegex(String(username))}$`, $options: 'i' };
+
+    const user = await User.findOne({ username: exact, isDeletedPlaceholder: { $ne: true } });
+    if (user) {
+        return { user, currentUsername: null };
+    }
+
+    const previous = await UsernameHistory.findOne({ username: exact, user: { $ne: null } })
+        .sort({ changedAt: -1 })
+        .populate('user', 'username');
+    if (previous && previous.user) {
+        return { user: previous.user, currentUsername: previous.user.username };
+    }
+    return { user: null, currentUsername: null };
+}
+
+/**
+ * An account's earlier names, newest first
+ */
+async function getUsernameHistory(userId) {
+    return UsernameHistory.find({ user: userId }).sort({ changedAt: -1 }).select('username changedAt').lean();
+}
+
+module.exports = {
+    USERNAME_RELEASE_COOLDOWN_DAYS,
+    MAX_USERNAME_CHANGES,
+    USERNAME_CHANGE_WINDOW_DAYS,
+    escapeRegex,
+    getUsernameSkeleton,
+    isReservedUsername,
+    checkUsernamePolicy,
+    checkUsernameChangeAllowed,
+    recordUsernameChange,
+    resolveUsername,
+    getUsernameHistory
+};
@@ -1,4 +1,4 @@
-const { logActivity } = require('./auth');
+const { logActivity, getClientIp } = require('./auth');
 
 // ============================================
 // DATA VALIDATION MODULE
@@ -24,9 +24,30 @@ const VALIDATION_RULES = {
     password: {
         minLength: 8,
         maxLength: 128,
-        // Complexity checked in auth.js validatePassword()
+        sensitive: true, // Never copied into the activity log
+        // Policy minimum and complexity checked in auth.js validatePassword()
         description: 'Password must be 8-128 characters'
     },
+    // Credentials typed to sign in or confirm an action: only bounded, since
+    // older accounts may predate the username and password rules
+    accountName: {
+        minLength: 1,
+        maxLength: 64,
+        description: 'Username must be at most 64 characters'
+    },
+    currentPassword: {
+        minLength: 1,
+        maxLength: 128,
+        sensitive: true,
+        description: 'Password must be at most 128 characters'
+    },
+    twoFactorCode: {
+        minLength: 6,
+        maxLength: 20,
+        allowedChars: /^[a-zA-Z0-9\s-]+$/,
+        sensitive: true,
+        description: 'Code must be the 6-digit authenticator code or a backup code'
+    },
     caption: {
         minLength: 1,
         maxLength: 500,
@@ -53,8 +74,113 @@ const VALIDATION_RULES = {
         minLength: 3,
         maxLength: 100,
         allowedChars: /^[a-zA-Z0-9\s\-']+$/,
+        sensitive: true,
         description: 'Security answer must be 3-100 characters, alphanumeric with spaces, hyphens, and apostrophes'
     },
+    // Answers given while recovering an account are only compared, never stored
+    securityAnswerAttempt: {
+        minLength: 1,
+        maxLength: 100,
+        sensitive: true,
+        description: 'Security answer must be at most 100 characters'
+    },
+    securityQuestion: {
+        minLength: 1,
+        maxLength: 200,
+        description: 'Security question must be at most 200 characters'
+    },
+    searchQuery: {
+        minLength: 1,
+        maxLength: 100,
+        description: 'Search must be 1-100 characters'
+    },
+    // Free-text notes on moderation and admin actions (reasons, decision notes, report descriptions)
+    reason: {
+        minLength: 1,
+        maxLength: 500,
+        description: 'Reason must be 1-500 characters'
+    },
+    reportReason: {
+        allowedValues: ['spam', 'harassment', 'inappropriate', 'misinformation', 'other'],
+        description: 'Report reason must be one of the listed reasons'
+    },
+    moderationAction: {
+        allowedValues: ['hide_post', 'delete_post', 'warn_user', 'restrict_user', 'dismiss'],
+        description: 'Action must be one of the listed moderation actions'
+    },
+    deletionMode: {
+        allowedValues: ['erase', 'anonymize'],
+        description: 'Deletion mode must be erase or anonymize'
+    },
+    registrationDecision: {
+        allowedValues: ['approve', 'reject'],
+        description: 'Decision must be approve or reject'
+    },
+    roleName: {
+        minLength: 3,
+        maxLength: 30,
+        allowedChars: /^[a-z][a-z0-9-]+$/,
+        description: 'Role name must be 3-30 lowercase letters, digits or dashes, starting with a letter'
+    },
+    roleLabel: {
+        minLength: 1,
+        maxLength: 40,
+        description: 'Display name must be 1-40 characters'
+    },
+    // Tag names a moderator manages: an array, or one comma-separated string
+    managedTags: {
+        maxLength: 300,
+        allowedChars: /^[a-zA-Z0-9\s,_-]+$/,
+        description: 'Managed tags must be tag names separated by commas'
+    },
+    roleDescription: {
+        maxLength: 200,
+        description: 'Description must be 200 characters or fewer'
+    },
+    inviteCode: {
+        maxLength: 64,
+        allowedChars: /^[a-zA-Z0-9_]+$/,
+        sensitive: true,
+        description: 'Invite code must be letters, digits and underscores'
+    },
+    inviteNote: {
+        maxLength: 100,
+        description: 'Note must be 100 characters or fewer'
+    },
+    tokenName: {
+        minLength: 1,
+        maxLength: 50,
+        description: 'Token name must be 1-50 characters'
+    },
+    // Random tokens from emailed or copied links (hex) and session ids (base64url)
+    token: {
+        minLength: 16,
+        maxLength: 128,
+        allowedChars: /^[a-fA-F0-9]+$/,
+        sensitive: true,
+        description: 'Link token is malformed'
+    },
+    sessionId: {
+        minLength: 1,
+        maxLength: 128,
+        allowedChars: /^[a-zA-Z0-9_-]+$/,
+        description: 'Session id is malformed'
+    },
+    auditAction: {
+        maxLength: 50,
+        allowedChars: /^[A-Z0-9_]+$/,
+        description: 'Action filter must be an activity log action name'
+    },
+    // Security policy numbers; each field's own range is enforced by the policy schema
+    securityPolicyNumber: {
+        min: 0,
+        max: 10080,
+        description: 'Security policy values must be numbers'
+    },
+    date: {
+        allowedChars: /^\d{4}-\d{2}-\d{2}$/,
+        description: 'Dates must be in YYYY-MM-DD format'
+    },
     profilePic: {
         allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
         maxSize: 5 * 1024 * 1024, // 5MB
@@ -77,6 +203,24 @@ const VALIDATION_RULES = {
         max: 100,
         type: 'integer',
         description: 'Limit must be an integer between 1 and 100'
+    },
+    hours: {
+        min: 1,
+        max: 8760,
+        type: 'integer',
+        description: 'Hours must be an integer between 1 and 8760 (one year)'
+    },
+    maxUses: {
+        min: 1,
+        max: 100,
+        type: 'integer',
+        description: 'Number of uses must be between 1 and 100'
+    },
+    expiresInDays: {
+        min: 1,
+        max: 365,
+        type: 'integer',
+        description: 'Expiry must be between 1 and 365 days'
     }
 };
 
@@ -89,20 +233,29 @@ const VALIDATION_RULES = {
  * @param {string} input - The input to validate
  * @param {string} fieldName - Name of field (maps to VALIDATION_RULES)
  * @param {Object} req - Express request object (for logging)
+ * @param {string} ruleName - VALIDATION_RULES entry, when it differs from the field name
  * @returns {Object} { isValid: boolean, errors: string[] }
  */
-function validateText(input, fieldName, req = null) {
+function validateText(input, fieldName, req = null, ruleName = fieldName) {
     const errors = [];
-    const rule = VALIDATION_RULES[fieldName];
+    const rule = VALIDATION_RULES[ruleName];
     
     if (!rule) {
-        return { isValid: false, errors: [`No validation rule defined for ${fieldName}`] };
+        return { isValid: false, errors: [`No validation rule defined for ${ruleName}`] };
     }
+    const loggedInput = rule.sensitive ? '[redacted]' : input;
 
     // Check if input exists
     if (input === null || input === undefined || input === '') {
         errors.push(`${fieldName} is required`);
-        logValidationFailure(req, fieldName, input, 'Empty or null value');
+        logValidationFailure(req, fieldName, loggedInput, 'Empty or null value');
+        return { isValid: false, errors };
+    }
+
+    // Arrays and objects (name[]=a, name[$ne]=b) are never accepted as text
+    if (typeof input !== 'string') {
+        errors.push(`${fieldName} must be a single text value`);
+        logValidationFailure(req, fieldName, rule.sensitive ? loggedInput : JSON.stringify(input), 'Not a string');
         return { isValid: false, errors };
     }
 
@@ -127,7 +280,7 @@ function validateText(input, fieldName, req = null) {
 
     // 2.4.4 - Log validation failures
     if (errors.length > 0) {
-        logValidationFailure(req, fieldName, input, errors.join('; '));
+        logValidationFailure(req, fieldName, loggedInput, errors.join('; '));
     }
 
     return {
@@ -141,18 +294,21 @@ function validateText(input, fieldName, req = null) {
  * @param {any} input - The input to validate
  * @param {string} fieldName - Name of field (maps to VALIDATION_RULES)
  * @param {Object} req - Express request object (for logging)
+ * @param {string} ruleName - VALIDATION_RULES entry, when it differs from the field name
  * @returns {Object} { isValid: boolean, errors: string[], value: number }
  */
-function validateNumeric(input, fieldName, req = null) {
+function validateNumeric(input, fieldName, req = null, ruleName = fieldName) {
     const errors = [];
-    const rule = VALIDATION_RULES[fieldName];
+    const rule = VALIDATION_RULES[ruleName];
     
     if (!rule) {
-        return { isValid: false, errors: [`No validation rule defined for ${fieldName}`], value: null };
+        return { isValid: false, errors: [`No validation rule defined for ${ruleName}`], value: null };
     }
 
-    // Convert to number
-    const numValue = rule.type === 'integer' ? parseInt(input, 10) : parseFloat(input);
+    // Convert to number ("12abc" and arrays are not numbers)
+    const numValue = (typeof input === 'number' || (typeof input === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(input)))
+        ? Number(input)
+        : NaN;
 
     // Check if valid number
     if (isNaN(numValue)) {
@@ -248,7 +404,7 @@ function validateObjectId(id, fieldName = 'ID', req = null) {
     // MongoDB ObjectId is 24 hex characters
     const objectIdPattern = /^[0-9a-fA-F]{24}$/;
     
-    if (!id || !objectIdPattern.test(id)) {
+    if (typeof id !== 'string' || !objectIdPattern.test(id)) {
         errors.push(`${fieldName} is not a valid identifier`);
         logValidationFailure(req, fieldName, id, 'Invalid ObjectId format');
     }
@@ -261,143 +417,170 @@ function validateObjectId(id, fieldName = 'ID', req = null) {
 
 // ============================================
 // VALIDATION MIDDLEWARE
+// Routes declare what they accept:
+//   validateParams({ postId: 'objectId' })
+//   validateRequest({ caption: { type: 'text', required: true } }, { response: 'json' })
+// A field spec is a type name or { type, rule, required }:
+//   type     - 'text', 'textList' (every entry of an array field), 'numeric' or 'objectId'
+//   rule     - VALIDATION_RULES entry when it differs from the field name
+//              ({ newUsername: { type: 'text', rule: 'username' } })
+//   required - reject a missing value (body and query fields are optional by default,
+//              URL parameters are always required)
+// response decides how a rejection is sent, as for rate limits:
+//   'json' (default) - { success: false, error, details } for fetch/XHR routes
+//   'text'           - the messages as plain text (fetch routes reading res.text())
+//   { view, locals } - re-render a page with `error` (locals may be a function of req)
+//   function         - (req, res, errors) re-renders a page that needs its own data
 // ============================================
 
+function normalizeSpec(fieldName, spec, defaults) {
+    const options = typeof spec === 'string' ? { type: spec } : spec;
+    return { rule: fieldName, ...defaults, ...options };
+}
+
 /**
- * Middleware factory for validating request body fields
- * @param {Object} validationMap - Map of field names to validation types
- * Example: { username: 'text', age: 'numeric', postTag: 'text' }
+ * Check the fields of one request source (body, query or params)
+ * @returns {string[]} Error messages (empty when everything is valid)
  */
-function validateRequest(validationMap) {
-    return async (req, res, next) => {
-        const errors = [];
-
-        for (const [fieldName, validationType] of Object.entries(validationMap)) {
-            const value = req.body[fieldName];
+function checkFields(source, validationMap, req, defaults = { required: false }, writeBack = false) {
+    const errors = [];
+    const values = source || {};
 
-            // Skip optional fields if not provided
-            if (value === undefined || value === null || value === '') {
-                continue;
-            }
+    for (const [fieldName, spec] of Object.entries(validationMap)) {
+        const { type, rule, required } = normalizeSpec(fieldName, spec, defaults);
+        const value = values[fieldName];
 
-            let result;
-            switch (validationType) {
-                case 'text':
-                    result = validateText(value, fieldName, req);
-                    break;
-                case 'numeric':
-                    result = validateNumeric(value, fieldName, req);
-                    if (result.isValid) {
-                        req.body[fieldName] = result.value; // Replace with typed value
-                    }
-                    break;
-                case 'objectId':
-                    result = validateObjectId(value, fieldName, req);
-                    break;
-                default:
-                    result = { isValid: false, errors: [`Unknown validation type: ${validationType}`] };
+        // Skip optional fields if not provided
+        if (value === undefined || value === null || value === '') {
+            if (required) {
+                errors.push(`${fieldName} is required`);
+                logValidationFailure(req, fieldName, value, 'Missing required value');
             }
+            continue;
+        }
 
-            if (!result.isValid) {
-                errors.push(...result.errors);
+        let result;
+        switch (type) {
+            case 'text':
+                result = validateText(value, fieldName, req, rule);
+                break;
+            case 'textList': {
+                // Blank entries are unused optional rows
+                const entries = [].concat(value).filter(entry => entry !== '');
+                const listErrors = entries.flatMap(entry => validateText(entry, fieldName, req, rule).errors);
+                result = { isValid: listErrors.length === 0, errors: [...new Set(listErrors)] };
+                break;
             }
+            case 'numeric':
+                result = validateNumeric(value, fieldName, req, rule);
+                if (result.isValid && writeBack) {
+                    values[fieldName] = result.value; // Replace with typed value
+                }
+                break;
+            case 'objectId':
+                result = validateObjectId(value, fieldName, req);
+                break;
+            default:
+                result = { isValid: false, errors: [`Unknown validation type: ${type}`] };
         }
 
-        if (errors.length > 0) {
-            // 2.3.1 - REJECT invalid input
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: errors
-            });
+        if (!result.isValid) {
+            errors.push(...result.errors);
         }
+    }
 
-        next();
-    };
+    return errors;
 }
 
 /**
- * Middleware for validating query parameters
+ * Send a 400 in the route's response style
  */
-function validateQuery(validationMap) {
-    return async (req, res, next) => {
-        const errors = [];
-
-        for (const [fieldName, validationType] of Object.entries(validationMap)) {
-            const value = req.query[fieldName];
+function sendValidationError(req, res, response, errors) {
+    const message = errors.join('. ');
+    res.status(400);
 
-            // Skip optional fields
-            if (value === undefined || value === null || value === '') {
-                continue;
-            }
+    // A rejected request never keeps its upload
+    if (req.file && req.file.path) {
+        require('fs').unlink(req.file.path, () => {});
+    }
 
-            let result;
-            switch (validationType) {
-                case 'text':
-                    result = validateText(value, fieldName, req);
-                    break;
-                case 'numeric':
-                    result = validateNumeric(value, fieldName, req);
-                    if (result.isValid) {
-                        req.query[fieldName] = result.value;
-                    }
-                    break;
-                default:
-                    result = { isValid: false, errors: [`Unknown validation type: ${validationType}`] };
-            }
+    if (typeof response === 'function') {
+        return response(req, res, errors);
+    }
+    if (response === 'text') {
+        return res.send(message);
+    }
+    if (response && response.view) {
+        const locals = typeof response.locals === 'function' ? response.locals(req) : response.locals;
+        return res.render(response.view, { ...locals, error: message, errors });
+    }
+    // 2.3.1 - REJECT invalid input
+    return res.json({ success: false, error: message, details: errors });
+}
 
-            if (!result.isValid) {
-                errors.push(...result.errors);
-            }
+/**
+ * Middleware factory for validating request body fields
+ * @param {Object} validationMap - Map of field names to field specs
+ * Example: { username: 'text', age: 'numeric', postTag: { type: 'text', required: true } }
+ * @param {Object} options
+ * @param {string|Object|Function} options.response - How a rejection is sent (see above)
+ */
+function validateRequest(validationMap, { response = 'json' } = {}) {
+    return (req, res, next) => {
+        const errors = checkFields(req.body, validationMap, req, { required: false }, true);
+        if (errors.length > 0) {
+            return sendValidationError(req, res, response, errors);
         }
+        next();
+    };
+}
 
+/**
+ * Middleware for validating query parameters
+ * (Express 5 re-parses req.query on every access, so numbers are checked but not converted)
+ */
+function validateQuery(validationMap, { response = 'json' } = {}) {
+    return (req, res, next) => {
+        const errors = checkFields(req.query, validationMap, req);
         if (errors.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: errors
-            });
+            return sendValidationError(req, res, response, errors);
         }
-
         next();
     };
 }
 
 /**
- * Middleware for validating URL parameters
+ * Middleware for validating a file stored by multer (runs after upload.single()).
+ * @param {string} ruleName - VALIDATION_RULES entry ('postImage', 'profilePic')
  */
-function validateParams(validationMap) {
-    return async (req, res, next) => {
-        const errors = [];
-
-        for (const [fieldName, validationType] of Object.entries(validationMap)) {
-            const value = req.params[fieldName];
-
-            if (value === undefined || value === null) {
-                errors.push(`${fieldName} parameter is required`);
-                continue;
-            }
-
-            let result;
-            if (validationType === 'objectId') {
-                result = validateObjectId(value, fieldName, req);
-            } else {
-                result = { isValid: false, errors: [`Unsupported validation type for params: ${validationType}`] };
-            }
-
-            if (!result.isValid) {
-                errors.push(...result.errors);
+function validateUpload(ruleName, { required = false, response = 'json' } = {}) {
+    return (req, res, next) => {
+        let errors = [];
+        if (!req.file) {
+            if (required) {
+                errors.push(`${ruleName} is required`);
+                logValidationFailure(req, ruleName, null, 'No file uploaded');
             }
+        } else {
+            errors = validateFile(req.file, ruleName, req).errors;
         }
 
         if (errors.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid parameter',
-                details: errors
-            });
+            return sendValidationError(req, res, response, errors);
         }
+        next();
+    };
+}
 
+/**
+ * Middleware for validating URL parameters
+ */
+function validateParams(validationMap, { response = 'json' } = {}) {
+    return (req, res, next) => {
+        const errors = checkFields(req.params, validationMap, req, { required: true });
+        if (errors.length > 0) {
+            return sendValidationError(req, res, response, errors);
+        }
         next();
     };
 }
@@ -430,13 +613,6 @@ function logValidationFailure(req, fieldName, inputValue, errorMessage) {
     }
 }
 
-function getClientIp(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.connection?.remoteAddress || 
-           req.socket?.remoteAddress ||
-           'unknown';
-}
-
 // ============================================
 // EXPORTS
 // ============================================
@@ -452,6 +628,10 @@ module.exports = {
     validateRequest,
     validateQuery,
     validateParams,
+    validateUpload,
+    
+    // Logging (for checks a route still makes by hand)
+    logValidationFailure,
     
     // Rules (for reference)
     VALIDATION_RULES
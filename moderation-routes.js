@@ -4,15 +4,15 @@
 
 const { Report, UserRestriction, PostModeration } = require('./moderation-schemas');
 const { User, Post, ActivityLog } = require('./database');
-
-// Helper function to get client IP
-function getClientIp(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.connection.remoteAddress || 
-           req.socket.remoteAddress ||
-           req.connection.socket?.remoteAddress ||
-           'unknown';
-}
+const { requireAccess, blockWhileImpersonating, requireStepUp, getClientIp, logActivity, validatePassword } = require('./middleware/auth');
+const { authorize, getModerationFilter } = require('./middleware/policy');
+const { getRole, isKnownRole } = require('./middleware/roles');
+const { supersedeRoleGrants } = require('./middleware/role-grants');
+const { isApprovalRequired, isPromotionToAdministrator, requestApproval, sendPendingApproval } = require('./middleware/approvals');
+const { DELETION_MODES, getLegalHoldCount, describeLegalHold, deleteAccount } = require('./middleware/account-lifecycle');
+const { rateLimit } = require('./middleware/rate-limit');
+const { validateRequest, validateParams } = require('./middleware/validation');
+const { checkUsernamePolicy, escapeRegex } = require('./middleware/username-policy');
 
 // Helper function for logging
 async function logModerationAction(userId, action, details, ipAddress = 'unknown') {
@@ -32,51 +32,32 @@ async function logModerationAction(userId, action, details, ipAddress = 'unknown
     }
 }
 
-// requireRole middleware to handle arrays
-function requireRole(roles) {
-    return async (req, res, next) => {
-        try {
-            if (!req.session.userId) {
-                return res.status(401).redirect('/login');
-            }
-            
-            // Fetch user from database
-            const user = await User.findById(req.session.userId);
-            if (!user) {
-                return res.status(401).redirect('/login');
-            }
-            
-            // Convert single role to array
-            const allowedRoles = Array.isArray(roles) ? roles : [roles];
-            
-            if (!allowedRoles.includes(user.role)) {
-                return res.status(403).render('error', {
-                    message: 'Access denied. Insufficient permissions.',
-                    user: user
-                });
-            }
-            
-            // Attach user to request for use in route handlers
-            req.currentUser = user;
-            next();
-        } catch (error) {
-
-            return res.status(500).render('error', {
-                message: 'Internal server error'
-            });
-        }
-    };
-}
-
 // Export function that registers all moderation routes
 module.exports = function(app, requireAuth) {
 
+// URL parameters and the reason/hours fields most moderation actions take
+const validateUserId = validateParams({ userId: 'objectId' });
+const validateReportId = validateParams({ reportId: 'objectId' });
+const validateRestriction = validateRequest({
+    hours: { type: 'numeric', required: true },
+    reason: { type: 'text', required: true }
+});
+// Staff accounts created directly (create-manager / create-admin)
+const validateAccountFields = validateRequest({
+    username: { type: 'text', required: true },
+    password: { type: 'text', required: true },
+    userTag: { type: 'text', required: true }
+});
+
 // ============================================
 // USER ROUTES - Report Posts
 // ============================================
 
 // Report a post
-app.post('/report/post/:postId', requireAuth, async (req, res) => {
+app.post('/report/post/:postId', requireAuth, rateLimit('report'), validateParams({ postId: 'objectId' }), validateRequest({
+    reason: { type: 'text', rule: 'reportReason', required: true },
+    description: { type: 'text', rule: 'reason' }
+}), async (req, res) => {
     try {
         const postId = req.params.postId;
         const { reason, description } = req.body;
@@ -121,23 +102,17 @@ app.post('/report/post/:postId', requireAuth, async (req, res) => {
 // ============================================
 
 // View all reports (pending first) - FILTERED BY MANAGED TAGS FOR MANAGERS
-app.get('/manager/reports', requireAuth, requireRole(['manager', 'administrator']), async (req, res) => {
+app.get('/manager/reports', requireAuth, requireAccess('manager.access'), async (req, res) => {
     try {
         const currentUser = req.currentUser;
         
         let query = {};
         
-        // If user is a manager, filter reports by tags they manage
-        if (currentUser.role === 'manager') {
-            // Get all posts with tags the manager moderates
-            const managedPosts = await Post.find({ 
-                postTag: { $in: currentUser.managedTags || [] } 
-            }).select('_id');
-            
-            const managedPostIds = managedPosts.map(post => post._id);
-            
-            // Filter reports to only include posts with managed tags
-            query = { post: { $in: managedPostIds } };
+        // Managers only see reports on posts in the tags they moderate
+        const moderationFilter = getModerationFilter(currentUser) || { _id: null };
+        if (Object.keys(moderationFilter).length > 0) {
+            const managedPosts = await Post.find(moderationFilter).select('_id');
+            query = { post: { $in: managedPosts.map(post => post._id) } };
         }
         // Administrators see all reports (no filter)
         
@@ -202,7 +177,11 @@ app.get('/manager/reports', requireAuth, requireRole(['manager', 'administrator'
 });
 
 // Handle a report (manager action)
-app.post('/manager/reports/:reportId/handle', requireAuth, requireRole(['manager', 'administrator']), async (req, res) => {
+app.post('/manager/reports/:reportId/handle', requireAuth, requireAccess('manager.access'), blockWhileImpersonating, validateReportId, validateRequest({
+    action: { type: 'text', rule: 'moderationAction', required: true },
+    notes: { type: 'text', rule: 'reason', required: true },
+    hours: 'numeric'
+}), async (req, res) => {
     try {
 
         
@@ -229,13 +208,10 @@ app.post('/manager/reports/:reportId/handle', requireAuth, requireRole(['manager
         const manager = await User.findById(managerId);
         const postAuthorId = report.post.user;
         
-        // Check if manager has permission for this post's tag
-        if (manager.role === 'manager') {
-            const postTag = report.post.postTag;
-            if (!manager.managedTags || !manager.managedTags.includes(postTag)) {
-
-                return res.status(403).json({ error: 'You do not have permission to moderate this post' });
-            }
+        // Check the post's tag is moderated by this account and its role grants the action (denials are logged by the policy)
+        const decision = await authorize(req, manager, 'resolve', 'report', report.post, { action });
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You do not have permission to take this action on this post' });
         }
         
 
@@ -378,7 +354,9 @@ app.post('/manager/reports/:reportId/handle', requireAuth, requireRole(['manager
 });
 
 // Escalate report to admin
-app.post('/manager/reports/:reportId/escalate', requireAuth, requireRole(['manager', 'administrator']), async (req, res) => {
+app.post('/manager/reports/:reportId/escalate', requireAuth, requireAccess('report.escalate'), validateReportId, validateRequest({
+    reason: { type: 'text', required: true }
+}), async (req, res) => {
     try {
         const reportId = req.params.reportId;
         const { reason } = req.body;
@@ -416,7 +394,9 @@ app.post('/manager/reports/:reportId/escalate', requireAuth, requireRole(['manag
 // ============================================
 
 // Permanently ban user (admin only)
-app.post('/admin/users/:userId/ban', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/users/:userId/ban', requireAuth, requireAccess('user.ban'), validateUserId, validateRequest({
+    reason: 'text'
+}), requireStepUp, async (req, res) => {
     try {
 
         
@@ -430,7 +410,22 @@ app.post('/admin/users/:userId/ban', requireAuth, requireRole('administrator'),
             return res.status(404).json({ error: 'User not found' });
         }
         
-
+        // Nobody bans themselves (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'ban', 'user', user);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You do not have permission to ban this user' });
+        }
+        
+        // Two-person approval: held until another administrator approves it
+        if (isApprovalRequired('ban_user')) {
+            return sendPendingApproval(res, await requestApproval(req, 'ban_user', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { reason: reason || 'Violated community guidelines' },
+                summary: `permanently ban ${user.username}`,
+                reason: reason || ''
+            }));
+        }
         
         // Create permanent restriction
         await UserRestriction.create({
@@ -457,7 +452,7 @@ app.post('/admin/users/:userId/ban', requireAuth, requireRole('administrator'),
 });
 
 // Unban user (admin only)
-app.post('/admin/users/:userId/unban', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/users/:userId/unban', requireAuth, requireAccess('user.ban'), validateUserId, async (req, res) => {
     try {
         const userId = req.params.userId;
         
@@ -479,7 +474,7 @@ app.post('/admin/users/:userId/unban', requireAuth, requireRole('administrator')
 });
 
 // Temporary restrict user (manager - max 48 hours)
-app.post('/manager/users/:userId/restrict', requireAuth, requireRole(['manager', 'administrator']), async (req, res) => {
+app.post('/manager/users/:userId/restrict', requireAuth, requireAccess(['user.restrict.max48h', 'user.restrict']), validateUserId, validateRestriction, async (req, res) => {
     try {
 
         
@@ -510,6 +505,12 @@ app.post('/manager/users/:userId/restrict', requireAuth, requireRole(['manager',
             return res.status(404).json({ error: 'User not found' });
         }
         
+        // Limited restrictions cover regular users for up to 48 hours, nobody restricts themselves (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'restrict', 'user', user, { hours: hoursNum });
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You do not have permission to restrict this user' });
+        }
+        
         // Calculate end date based on hours
         const endDate = new Date();
         endDate.setHours(endDate.getHours() + hoursNum);
@@ -541,7 +542,7 @@ app.post('/manager/users/:userId/restrict', requireAuth, requireRole(['manager',
 });
 
 // Temporary restrict user (admin only)
-app.post('/admin/users/:userId/restrict', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/users/:userId/restrict', requireAuth, requireAccess('user.restrict'), validateUserId, validateRestriction, async (req, res) => {
     try {
 
         
@@ -566,6 +567,12 @@ app.post('/admin/users/:userId/restrict', requireAuth, requireRole('administrato
             return res.status(404).json({ error: 'User not found' });
         }
         
+        // Limited restrictions cover regular users for up to 48 hours, nobody restricts themselves (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'restrict', 'user', user, { hours: hoursNum });
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You do not have permission to restrict this user' });
+        }
+        
         // Calculate end date based on hours
         const endDate = new Date();
         endDate.setHours(endDate.getHours() + hoursNum);
@@ -597,15 +604,34 @@ app.post('/admin/users/:userId/restrict', requireAuth, requireRole('administrato
 });
 
 // Create manager account (admin only)
-app.post('/admin/create-manager', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/create-manager', requireAuth, requireAccess('user.manage'), validateAccountFields, requireStepUp, async (req, res) => {
     try {
         const { username, password, userTag, managedTags } = req.body;
         
+        // Only hand out permissions you hold yourself (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole('manager'));
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You cannot create accounts with this role' });
+        }
+        
         // Check if user already exists
-        const existingUser = await User.findOne({ username: new RegExp(`^${username}$`, 'i') });
+        const existingUser = await User.findOne({ username: new RegExp(`^${escapeRegex(username)}$`, 'i') });
         if (existingUser) {
             return res.status(400).json({ error: 'Username already exists' });
         }
+        const usernamePolicyError = await checkUsernamePolicy(username);
+        if (usernamePolicyError) {
+            return res.status(400).json({ error: usernamePolicyError });
+        }
+        
+        // 2.1.4 & 2.1.5 - Same password rules (and blocklist) as every other account
+        const passwordValidation = validatePassword(password, username);
+        if (!passwordValidation.isValid) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
+                            `Manager creation failed: ${passwordValidation.errors.join(', ')}`, getClientIp(req));
+            return res.status(400).json({ error: passwordValidation.errors.join('. ') });
+        }
         
         // Create new manager account
         const bcrypt = require('bcrypt');
@@ -629,25 +655,55 @@ app.post('/admin/create-manager', requireAuth, requireRole('administrator'), asy
 });
 
 // Create administrator account (admin only)
-app.post('/admin/create-admin', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/create-admin', requireAuth, requireAccess('user.manage'), validateAccountFields, requireStepUp, async (req, res) => {
     try {
         const { username, password, userTag } = req.body;
         
+        // Only hand out permissions you hold yourself (denials are logged by the policy)
+        const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole('administrator'));
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You cannot create accounts with this role' });
+        }
+        
         // Check if user already exists
-        const existingUser = await User.findOne({ username: new RegExp(`^${username}$`, 'i') });
+        const existingUser = await User.findOne({ username: new RegExp(`^${escapeRegex(username)}$`, 'i') });
         if (existingUser) {
             return res.status(400).json({ error: 'Username already exists' });
         }
+        const usernamePolicyError = await checkUsernamePolicy(username);
+        if (usernamePolicyError) {
+            return res.status(400).json({ error: usernamePolicyError });
+        }
+        
+        // 2.1.4 & 2.1.5 - Same password rules (and blocklist) as every other account
+        const passwordValidation = validatePassword(password, username);
+        if (!passwordValidation.isValid) {
+            // 2.4.4 - Log input validation failure
+            await logActivity(req.session.userId, 'VALIDATION_FAILED', 'USER_CREATE', username, 
+                            `Administrator creation failed: ${passwordValidation.errors.join(', ')}`, getClientIp(req));
+            return res.status(400).json({ error: passwordValidation.errors.join('. ') });
+        }
         
         // Create new administrator account
         const bcrypt = require('bcrypt');
         const hashedPassword = await bcrypt.hash(password, 10);
-        await User.create({
+        const account = {
             username: username,
             userTag: userTag,
             password: hashedPassword,
             role: 'administrator'
-        });
+        };
+        
+        // Two-person approval: only the hash is stored with the request
+        if (isApprovalRequired('create_admin')) {
+            return sendPendingApproval(res, await requestApproval(req, 'create_admin', {
+                targetName: username,
+                payload: { account },
+                summary: `create administrator account ${username}`
+            }));
+        }
+        
+        await User.create(account);
         
         await logModerationAction(req.session.userId, 'CREATE_ADMIN', `Created administrator account: ${username}`, getClientIp(req));
         
@@ -660,12 +716,43 @@ app.post('/admin/create-admin', requireAuth, requireRole('administrator'), async
 });
 
 // Change user role (admin only)
-app.post('/admin/users/:userId/role', requireAuth, requireRole('administrator'), async (req, res) => {
+app.post('/admin/users/:userId/role', requireAuth, requireAccess('user.manage'), validateUserId, validateRequest({
+    role: { type: 'text', rule: 'roleName', required: true }
+}), requireStepUp, async (req, res) => {
     try {
         const userId = req.params.userId;
         const { role } = req.body;
         
+        if (!isKnownRole(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // Both the role taken away and the one given must be within your own permissions (denials are logged by the policy)
+        for (const roleName of [user.role, role]) {
+            const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(roleName) || { name: roleName, permissions: [] });
+            if (!decision.allowed) {
+                return res.status(403).json({ error: 'You cannot change this account to or from that role' });
+            }
+        }
+        
+        // Two-person approval for anything that makes the account an administrator
+        if (isApprovalRequired('promote_admin') && isPromotionToAdministrator(user.role, role)) {
+            return sendPendingApproval(res, await requestApproval(req, 'promote_admin', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { fromRole: user.role, role, managedTags: user.managedTags || [] },
+                summary: `change ${user.username}'s role from ${user.role} to ${role}`
+            }));
+        }
+        
         await User.findByIdAndUpdate(userId, { role });
+        // A permanent change replaces any temporary role
+        await supersedeRoleGrants(userId, req.session.userId);
         
         await logModerationAction(req.session.userId, 'CHANGE_ROLE', `Changed user ${userId} role to ${role}`, getClientIp(req));
         
@@ -678,18 +765,55 @@ app.post('/admin/users/:userId/role', requireAuth, requireRole('administrator'),
 });
 
 // Delete user (admin only)
-app.delete('/admin/users/:userId', requireAuth, requireRole('administrator'), async (req, res) => {
+app.delete('/admin/users/:userId', requireAuth, requireAccess('user.manage'), validateUserId, validateRequest({
+    mode: { type: 'text', rule: 'deletionMode' }
+}), requireStepUp, async (req, res) => {
     try {
         const userId = req.params.userId;
+        const mode = (req.body && req.body.mode) || 'erase';
         
         // Prevent deleting yourself
         if (userId === req.session.userId.toString()) {
             return res.status(400).json({ error: 'Cannot delete your own account' });
         }
         
-        await User.findByIdAndDelete(userId);
+        if (!DELETION_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Invalid deletion mode' });
+        }
+        
+        // Accounts holding permissions you lack are out of reach (denials are logged by the policy)
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const decision = await authorize(req, req.currentUser, 'assign', 'role', getRole(user.role) || { name: user.role, permissions: [] });
+        if (!decision.allowed) {
+            return res.status(403).json({ error: 'You cannot delete an account with this role' });
+        }
+        
+        // Content under review can't go yet (legal hold)
+        const held = await getLegalHoldCount(user._id);
+        if (held > 0) {
+            return res.status(409).json({ error: describeLegalHold(user.username, held) });
+        }
+        
+        // Two-person approval: held until another administrator approves it
+        if (isApprovalRequired('delete_user')) {
+            return sendPendingApproval(res, await requestApproval(req, 'delete_user', {
+                targetUser: user,
+                targetName: user.username,
+                payload: { mode },
+                summary: `delete ${user.username}'s account (${mode})`
+            }));
+        }
+        
+        // Same cascade as the self-service deletion (refused while the account is on legal hold)
+        const result = await deleteAccount(userId, mode);
+        if (result.error) {
+            return res.status(result.held ? 409 : 400).json({ error: result.error });
+        }
         
-        await logModerationAction(req.session.userId, 'DELETE_USER', `Deleted user account ${userId}`, getClientIp(req));
+        await logModerationAction(req.session.userId, 'DELETE_USER', `Deleted user account ${userId} (${user.username}, ${mode}: ${result.summary})`, getClientIp(req));
         
         res.json({ success: true, message: 'User deleted successfully' });
         
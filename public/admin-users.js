@@ -1,5 +1,7 @@
 // ============================================
 // ADMIN USER MANAGEMENT JAVASCRIPT
+// Ban, role change and delete go through fetchWithStepUp (js/step-up.js),
+// which asks for the admin's password again and retries when required
 // ============================================
 
 let currentUserId = null;
@@ -58,7 +60,14 @@ async function createUser(event) {
     
     // Validate password
     if (!validatePassword(password)) {
-        showNotification('Error', 'Password must contain at least 8 characters with uppercase, lowercase, number, and special character', 'error');
+        showNotification('Error', `Password must be ${describePasswordPolicy()}`, 'error');
+        return;
+    }
+    
+    // Common/breached password or one containing the username (server check)
+    const strength = await fetchPasswordStrength(password, username);
+    if (strength && !strength.isValid) {
+        showNotification('Error', strength.errors.join('. '), 'error');
         return;
     }
     
@@ -76,7 +85,7 @@ async function createUser(event) {
     try {
         const response = await fetch('/admin/users/create', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
             body: JSON.stringify({ 
                 role, 
                 username, 
@@ -106,15 +115,9 @@ async function createUser(event) {
     }
 }
 
-// Validate password strength
+// Validate password strength against the server's security policy (js/password-policy.js)
 function validatePassword(password) {
-    const hasUpperCase = /[A-Z]/.test(password);
-    const hasLowerCase = /[a-z]/.test(password);
-    const hasNumber = /[0-9]/.test(password);
-    const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
-    const isLongEnough = password.length >= 8;
-    
-    return hasUpperCase && hasLowerCase && hasNumber && hasSpecialChar && isLongEnough;
+    return checkPasswordPolicy(password).isValid;
 }
 
 // Real-time password strength validation display
@@ -122,23 +125,35 @@ function validatePasswordStrength() {
     const password = document.getElementById('newPassword').value;
     
     // Check each requirement
-    const hasLength = password.length >= 8;
-    const hasUpperCase = /[A-Z]/.test(password);
-    const hasLowerCase = /[a-z]/.test(password);
-    const hasNumber = /[0-9]/.test(password);
-    const hasSpecialChar = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
+    const { checks } = checkPasswordPolicy(password);
     
     // Update UI for each requirement
-    updateRequirement('req-length', hasLength);
-    updateRequirement('req-uppercase', hasUpperCase);
-    updateRequirement('req-lowercase', hasLowerCase);
-    updateRequirement('req-number', hasNumber);
-    updateRequirement('req-special', hasSpecialChar);
+    updateRequirement('req-length', checks.length);
+    updateRequirement('req-uppercase', checks.uppercase);
+    updateRequirement('req-lowercase', checks.lowercase);
+    updateRequirement('req-number', checks.number);
+    updateRequirement('req-special', checks.special);
+    
+    // Strength meter / blocklist check from the server
+    checkPasswordStrength(password, document.getElementById('newUsername').value);
     
     // Also check password match if confirm field has value
     validatePasswordMatch();
 }
 
+// Debounced call to /password-strength (js/password-policy.js)
+const checkPasswordStrength = createPasswordStrengthMeter(function(result) {
+    const element = document.getElementById('passwordStrength');
+    if (!result) {
+        element.textContent = '';
+        return;
+    }
+    element.textContent = result.isValid
+        ? [`Strength: ${result.label}`, ...result.feedback].join(' - ')
+        : result.errors.join('. ');
+    element.style.color = result.isValid && result.score >= 3 ? '#4CAF50' : '#dc3545';
+});
+
 // Validate password match
 function validatePasswordMatch() {
     const password = document.getElementById('newPassword').value;
@@ -228,7 +243,7 @@ async function submitRestrict(event) {
     try {
         const response = await fetch(`/admin/users/${currentUserId}/restrict`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
             body: JSON.stringify({ hours, reason })
         });
         
@@ -281,15 +296,17 @@ async function submitBan(event) {
     closeBanModal();
     
     try {
-        const response = await fetch(`/admin/users/${currentUserId}/ban`, {
+        const response = await fetchWithStepUp(`/admin/users/${currentUserId}/ban`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
             body: JSON.stringify({ reason })
         });
         
         const data = await response.json();
         
-        if (data.success) {
+        if (data.success && data.pendingApproval) {
+            showNotification('Sent for Approval', data.message, 'success');
+        } else if (data.success) {
             showNotification('Success!', `User ${currentUsername} has been permanently banned`, 'success');
             setTimeout(() => location.reload(), 1500);
         } else {
@@ -310,7 +327,7 @@ async function unbanUser(userId, username) {
     try {
         const response = await fetch(`/admin/users/${userId}/unban`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() }
         });
         
         const data = await response.json();
@@ -341,7 +358,7 @@ function changeRole(userId, username, currentRole) {
         <div class="modal-content" style="max-width: 400px;">
             <div class="modal-header">
                 <h2><i class="fas fa-user-tag"></i> Change Role for ${username}</h2>
-                <span class="close" onclick="this.closest('.modal').remove()">&times;</span>
+                <span class="close">&times;</span>
             </div>
             <div style="padding: 25px;">
                 <div class="form-group">
@@ -356,12 +373,13 @@ function changeRole(userId, username, currentRole) {
                         `).join('')}
                     </select>
                 </div>
-                <button class="btn btn-primary btn-full" style="margin-top: 15px;" onclick="submitRoleChange()">
+                <button class="btn btn-primary btn-full" style="margin-top: 15px;" data-on-click="submitRoleChange">
                     <i class="fas fa-check"></i> Change Role
                 </button>
             </div>
         </div>
     `;
+    modal.querySelector('.close').addEventListener('click', () => modal.remove());
     
     document.body.appendChild(modal);
 }
@@ -375,15 +393,17 @@ async function submitRoleChange() {
     document.querySelector('.modal.show:last-child').remove();
     
     try {
-        const response = await fetch(`/admin/users/${currentUserId}/role`, {
+        const response = await fetchWithStepUp(`/admin/users/${currentUserId}/role`, {
             method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
             body: JSON.stringify({ role: newRole })
         });
         
         const data = await response.json();
         
-        if (data.success) {
+        if (data.success && data.pendingApproval) {
+            showNotification('Sent for Approval', data.message, 'success');
+        } else if (data.success) {
             showNotification('Success!', `Role changed for ${currentUsername}`, 'success');
             setTimeout(() => location.reload(), 1500);
         } else {
@@ -431,14 +451,16 @@ async function submitDelete(event) {
     closeDeleteModal();
     
     try {
-        const response = await fetch(`/admin/users/${currentUserId}`, {
+        const response = await fetchWithStepUp(`/admin/users/${currentUserId}`, {
             method: 'DELETE',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() }
         });
         
         const data = await response.json();
         
-        if (data.success) {
+        if (data.success && data.pendingApproval) {
+            showNotification('Sent for Approval', data.message, 'success');
+        } else if (data.success) {
             showNotification('Success!', `User ${currentUsername} has been deleted`, 'success');
             setTimeout(() => location.reload(), 1500);
         } else {
@@ -457,10 +479,11 @@ function showNotification(title, message, type) {
     notification.innerHTML = `
         <div class="notification-header">
             <strong>${title}</strong>
-            <button onclick="this.parentElement.parentElement.remove()">&times;</button>
+            <button>&times;</button>
         </div>
         <div class="notification-body">${message}</div>
     `;
+    notification.querySelector('button').addEventListener('click', () => notification.remove());
     
     document.body.appendChild(notification);
     
@@ -0,0 +1,49 @@
+// Delegated event handlers - markup names a global function in a data
+// attribute instead of an inline onclick="..." (the CSP blocks inline
+// handlers, see middleware/security-headers.js):
+//
+//   data-on-click / data-on-change / data-on-input / data-on-submit
+//                          name of the function to call
+//   data-args              JSON array of arguments (use the jsonArgs helper)
+//   data-pass-event        also pass the event as the last argument
+//   data-hide              id of an element to hide after the call
+//   data-stop-propagation  the event goes no further than this element
+//
+// Listens in the capture phase and walks up from the target itself, so
+// option menus that stop propagation don't swallow their own buttons.
+
+(function () {
+    function runAction(element, event, attribute) {
+        const handler = window[element.getAttribute(attribute)];
+        if (typeof handler !== 'function') return;
+
+        let args = [];
+        try {
+            args = element.dataset.args ? JSON.parse(element.dataset.args) : [];
+        } catch (err) {
+            // console.error('Bad data-args on', element, err);
+            return;
+        }
+        if (element.hasAttribute('data-pass-event')) args.push(event);
+
+        handler.apply(element, args);
+
+        if (element.dataset.hide) {
+            const hidden = document.getElementById(element.dataset.hide);
+            if (hidden) hidden.style.display = 'none';
+        }
+    }
+
+    ['click', 'change', 'input', 'submit'].forEach(function (type) {
+        const attribute = 'data-on-' + type;
+
+        document.addEventListener(type, function (event) {
+            for (let node = event.target; node && node.nodeType === 1; node = node.parentElement) {
+                if (node.hasAttribute(attribute)) runAction(node, event, attribute);
+                if (node.hasAttribute('data-stop-propagation')) event.stopPropagation();
+                // A handler may also have called event.stopPropagation() itself
+                if (event.cancelBubble) return;
+            }
+        }, true);
+    });
+})();
@@ -0,0 +1,7 @@
+// CSRF token helper - every POST/PUT/PATCH/DELETE fetch must send the
+// session's token in the X-CSRF-Token header (see middleware/csrf.js)
+
+function getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : '';
+}
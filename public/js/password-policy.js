@@ -0,0 +1,95 @@
+// Password policy helper - the live password checks use the same rules as
+// validatePassword on the server (admin-editable, see middleware/security-policy.js).
+// The layout publishes the current rules in <meta name="password-policy">.
+
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    maxLength: 128,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSpecial: true
+};
+
+function getPasswordPolicy() {
+    const meta = document.querySelector('meta[name="password-policy"]');
+    try {
+        return meta ? { ...DEFAULT_PASSWORD_POLICY, ...JSON.parse(meta.getAttribute('content')) } : DEFAULT_PASSWORD_POLICY;
+    } catch (e) {
+        return DEFAULT_PASSWORD_POLICY;
+    }
+}
+
+/**
+ * Check a password against each rule. Character classes the policy
+ * doesn't require always pass.
+ * @returns {{ checks: { length, uppercase, lowercase, number, special }, isValid: boolean }}
+ */
+function checkPasswordPolicy(password) {
+    const policy = getPasswordPolicy();
+    const checks = {
+        length: password.length >= policy.minLength && password.length <= policy.maxLength,
+        uppercase: !policy.requireUppercase || /[A-Z]/.test(password),
+        lowercase: !policy.requireLowercase || /[a-z]/.test(password),
+        number: !policy.requireNumber || /[0-9]/.test(password),
+        special: !policy.requireSpecial || /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)
+    };
+
+    return {
+        checks,
+        isValid: Object.values(checks).every(Boolean)
+    };
+}
+
+// One-line summary for error messages, e.g. "at least 8 characters with uppercase, lowercase and a number"
+function describePasswordPolicy() {
+    const policy = getPasswordPolicy();
+    const classes = [];
+    if (policy.requireUppercase) classes.push('uppercase');
+    if (policy.requireLowercase) classes.push('lowercase');
+    if (policy.requireNumber) classes.push('a number');
+    if (policy.requireSpecial) classes.push('a special character');
+
+    let summary = `at least ${policy.minLength} characters`;
+    if (classes.length > 0) {
+        const last = classes.pop();
+        summary += ` with ${classes.length > 0 ? classes.join(', ') + ' and ' : ''}${last}`;
+    }
+    return summary;
+}
+
+/**
+ * Ask the server's strength meter (POST /password-strength) about a password.
+ * Besides the rules above it checks the common/breached password list and
+ * whether the password contains the username.
+ * @returns {Promise<{ score, label, feedback, isValid, errors }|null>} null if the request failed
+ */
+async function fetchPasswordStrength(password, username = '') {
+    try {
+        const response = await fetch('/password-strength', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
+            body: JSON.stringify({ password, username })
+        });
+        return response.ok ? await response.json() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Debounced meter: onResult only receives the answer for the latest input
+function createPasswordStrengthMeter(onResult, delay = 400) {
+    let timer = null;
+    let latest = 0;
+
+    return function (password, username = '') {
+        clearTimeout(timer);
+        const request = ++latest;
+        timer = setTimeout(async () => {
+            const result = password ? await fetchPasswordStrength(password, username) : null;
+            if (request === latest) {
+                onResult(result);
+            }
+        }, delay);
+    };
+}
@@ -0,0 +1,159 @@
+/**
+ * session-timeout.js
+ * Client-side warning before the session hits its idle or absolute timeout
+ * (enforced server-side by middleware/session-timeout.js). Offers "Stay signed in"
+ * for idle timeouts and sends the user to the login page once the session has ended.
+ */
+
+(function() {
+    'use strict';
+
+    let warningTimer = null;
+    let countdownTimer = null;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        refreshSessionStatus();
+    });
+
+    /**
+     * Fetch the current expiry times; /session/status does not count as activity
+     */
+    async function fetchSessionStatus() {
+        const response = await fetch('/session/status', {
+            headers: { 'Accept': 'application/json' }
+        });
+        return response.json();
+    }
+
+    /**
+     * Re-read the expiry and schedule the warning (or show it if it is due)
+     */
+    async function refreshSessionStatus() {
+        try {
+            const status = await fetchSessionStatus();
+
+            if (status.sessionExpired) {
+                window.location.href = status.redirect;
+                return;
+            }
+            if (!status.success) {
+                return;
+            }
+
+            scheduleWarning(status);
+        } catch (error) {
+            // console.error('Error checking session status:', error);
+        }
+    }
+
+    /**
+     * Server times are compared with the server's clock, so a skewed local clock doesn't matter
+     */
+    function scheduleWarning(status) {
+        clearTimeout(warningTimer);
+
+        const remainingMs = status.expiresAt - status.now;
+        const warningMs = status.warningSeconds * 1000;
+
+        if (remainingMs <= warningMs) {
+            showWarning(status, remainingMs);
+            return;
+        }
+
+        hideWarning();
+        // Check again first - activity in another tab may have pushed the expiry back
+        warningTimer = setTimeout(refreshSessionStatus, remainingMs - warningMs);
+    }
+
+    /**
+     * Banner with a countdown; idle timeouts can be extended, the absolute one cannot
+     */
+    function showWarning(status, remainingMs) {
+        let banner = document.getElementById('session-timeout-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'session-timeout-banner';
+            banner.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                padding: 15px 20px;
+                text-align: center;
+                z-index: 9999;
+                border-radius: 8px;
+                background-color: #ffc107;
+                color: #000;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            `;
+            document.body.appendChild(banner);
+        }
+
+        const canExtend = status.reason === 'idle';
+        banner.innerHTML = `
+            <strong>Your session is about to expire.</strong>
+            <span id="session-timeout-message"></span>
+            ${canExtend ? '<button id="session-stay-signed-in" style="margin-left: 15px; padding: 5px 15px; border: none; background: #28a745; color: #fff; cursor: pointer; border-radius: 3px;">Stay signed in</button>' : ''}
+            <a href="/logout" style="margin-left: 10px; color: #000;">Log out</a>
+        `;
+
+        if (canExtend) {
+            document.getElementById('session-stay-signed-in').addEventListener('click', staySignedIn);
+        }
+
+        const endsAt = Date.now() + remainingMs;
+        clearInterval(countdownTimer);
+        updateCountdown(endsAt, canExtend);
+        countdownTimer = setInterval(function() {
+            updateCountdown(endsAt, canExtend);
+        }, 1000);
+    }
+
+    function updateCountdown(endsAt, canExtend) {
+        const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        const message = document.getElementById('session-timeout-message');
+        if (message) {
+            message.textContent = canExtend
+                ? ` You will be signed out in ${seconds}s due to inactivity.`
+                : ` It reaches its maximum length in ${seconds}s - please save your work and log in again.`;
+        }
+
+        if (seconds === 0) {
+            clearInterval(countdownTimer);
+            // The server ends the session and answers with the login redirect
+            refreshSessionStatus();
+        }
+    }
+
+    function hideWarning() {
+        clearInterval(countdownTimer);
+        const banner = document.getElementById('session-timeout-banner');
+        if (banner) {
+            banner.remove();
+        }
+    }
+
+    /**
+     * "Stay signed in" - resets the idle timer on the server
+     */
+    async function staySignedIn() {
+        try {
+            const response = await fetch('/session/keep-alive', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() }
+            });
+            const status = await response.json();
+
+            if (status.sessionExpired) {
+                window.location.href = status.redirect;
+                return;
+            }
+            if (status.success) {
+                scheduleWarning(status);
+            }
+        } catch (error) {
+            // console.error('Error extending session:', error);
+        }
+    }
+})();
@@ -0,0 +1,120 @@
+// Step-up re-authentication for sensitive admin actions.
+// Routes guarded by requireStepUp (middleware/auth.js) answer 401
+// { stepUpRequired: true } until the password or a 2FA code has been
+// re-entered; fetchWithStepUp asks for it and retries the request once.
+// Single sign-on sessions can also confirm through the identity provider,
+// which leaves the page and comes back to it.
+
+// Send the password or authentication code to the server
+async function submitStepUp(credentials) {
+    const response = await fetch('/auth/step-up', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': getCsrfToken() },
+        body: JSON.stringify(credentials)
+    });
+
+    try {
+        return await response.json();
+    } catch (error) {
+        return { success: false, error: 'Unable to confirm your identity. Please try again.' };
+    }
+}
+
+// Show the confirm modal; resolves true once confirmed, false if cancelled
+function promptStepUp(sso = false) {
+    const ssoUrl = '/auth/sso/login?intent=step-up&returnTo=' + encodeURIComponent(window.location.pathname + window.location.search);
+
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.id = 'step-up-modal';
+        overlay.style.cssText = 'position: fixed; inset: 0; z-index: 3000; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.7);';
+        overlay.innerHTML = `
+            <form style="width: 90%; max-width: 400px; padding: 25px; border-radius: 10px; background: #1f1f1f; border: 1px solid #333; color: white;">
+                <h2 style="margin-top: 0; font-size: 20px;"><i class="fa-solid fa-user-shield"></i> Confirm It's You</h2>
+                <p style="color: #aaa; font-size: 14px;">This action needs your password again. You won't be asked for a few minutes after confirming.</p>
+                <label id="step-up-label" for="step-up-input" style="display: block; margin-bottom: 8px; font-weight: bold;">Password</label>
+                <input type="password" id="step-up-input" autocomplete="current-password" required
+                       style="width: 100%; box-sizing: border-box; padding: 10px; background: #2a2a2a; border: 1px solid #444; border-radius: 5px; color: white;">
+                <p style="margin: 8px 0 0 0; font-size: 13px;">
+                    <a href="#" id="step-up-toggle" style="color: #667eea;">Use an authentication code instead</a>
+                </p>
+                ${sso ? `<p style="margin: 8px 0 0 0; font-size: 13px;"><a href="${ssoUrl}" style="color: #667eea;">Confirm with single sign-on</a></p>` : ''}
+                <p id="step-up-error" style="color: #dc3545; font-size: 14px; min-height: 18px;"></p>
+                <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                    <button type="button" id="step-up-cancel" style="padding: 10px 20px; border: none; border-radius: 5px; background: #6c757d; color: white; cursor: pointer;">Cancel</button>
+                    <button type="submit" id="step-up-submit" style="padding: 10px 20px; border: none; border-radius: 5px; background: #667eea; color: white; cursor: pointer;">Confirm</button>
+                </div>
+            </form>
+        `;
+        document.body.appendChild(overlay);
+
+        const form = overlay.querySelector('form');
+        const input = overlay.querySelector('#step-up-input');
+        const label = overlay.querySelector('#step-up-label');
+        const toggle = overlay.querySelector('#step-up-toggle');
+        const errorEl = overlay.querySelector('#step-up-error');
+        const submitBtn = overlay.querySelector('#step-up-submit');
+        let useCode = false;
+
+        function close(confirmed) {
+            overlay.remove();
+            resolve(confirmed);
+        }
+
+        toggle.addEventListener('click', function(event) {
+            event.preventDefault();
+            useCode = !useCode;
+            label.textContent = useCode ? 'Authentication code' : 'Password';
+            toggle.textContent = useCode ? 'Use your password instead' : 'Use an authentication code instead';
+            input.type = useCode ? 'text' : 'password';
+            input.autocomplete = useCode ? 'one-time-code' : 'current-password';
+            input.value = '';
+            errorEl.textContent = '';
+            input.focus();
+        });
+
+        overlay.querySelector('#step-up-cancel').addEventListener('click', () => close(false));
+
+        form.addEventListener('submit', async function(event) {
+            event.preventDefault();
+            submitBtn.disabled = true;
+            errorEl.textContent = '';
+
+            try {
+                const data = await submitStepUp(useCode ? { code: input.value } : { password: input.value });
+                if (data.success) {
+                    return close(true);
+                }
+                errorEl.textContent = data.error || 'Unable to confirm your identity.';
+                input.value = '';
+                input.focus();
+            } catch (error) {
+                // console.error('Step-up error:', error);
+                errorEl.textContent = 'Network error. Please try again.';
+            }
+            submitBtn.disabled = false;
+        });
+
+        input.focus();
+    });
+}
+
+// Drop-in replacement for fetch() on sensitive admin routes
+async function fetchWithStepUp(url, options = {}) {
+    const response = await fetch(url, options);
+    if (response.status !== 401) {
+        return response;
+    }
+
+    let data;
+    try {
+        data = await response.clone().json();
+    } catch (error) {
+        return response;
+    }
+
+    if (!data.stepUpRequired || !(await promptStepUp(data.sso))) {
+        return response;
+    }
+    return fetch(url, options);
+}
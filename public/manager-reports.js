@@ -132,7 +132,7 @@ function showActionModal(reportId, action) {
     // Special handling for restrict_user action
     if (action === 'restrict_user') {
         modal.innerHTML = `
-            <div class="custom-modal-overlay" onclick="closeActionModal()"></div>
+            <div class="custom-modal-overlay" data-on-click="closeActionModal"></div>
             <div class="custom-modal-content">
                 <h3>Restrict User</h3>
                 <p>Action: <strong>${actionMessages[action]}</strong></p>
@@ -147,10 +147,10 @@ function showActionModal(reportId, action) {
                 <label for="actionNotes">Enter reason for this restriction:</label>
                 <textarea id="actionNotes" rows="4" placeholder="Provide detailed reason for restriction..." required></textarea>
                 <div class="custom-modal-buttons">
-                    <button class="btn-cancel" onclick="closeActionModal()">
+                    <button class="btn-cancel" data-on-click="closeActionModal">
                         <i class="fas fa-times"></i> Cancel
                     </button>
-                    <button class="btn-confirm" onclick="confirmAction()">
+                    <button class="btn-confirm" data-on-click="confirmAction">
                         <i class="fas fa-check"></i> Confirm
                     </button>
                 </div>
@@ -158,17 +158,17 @@ function showActionModal(reportId, action) {
         `;
     } else {
         modal.innerHTML = `
-            <div class="custom-modal-overlay" onclick="closeActionModal()"></div>
+            <div class="custom-modal-overlay" data-on-click="closeActionModal"></div>
             <div class="custom-modal-content">
                 <h3>Confirm Action</h3>
                 <p>Action: <strong>${actionMessages[action]}</strong></p>
                 <label for="actionNotes">Enter notes for this action:</label>
                 <textarea id="actionNotes" rows="4" placeholder="Provide detailed notes about this action..." required></textarea>
                 <div class="custom-modal-buttons">
-                    <button class="btn-cancel" onclick="closeActionModal()">
+                    <button class="btn-cancel" data-on-click="closeActionModal">
                         <i class="fas fa-times"></i> Cancel
                     </button>
-                    <button class="btn-confirm" onclick="confirmAction()">
+                    <button class="btn-confirm" data-on-click="confirmAction">
                         <i class="fas fa-check"></i> Confirm
                     </button>
                 </div>
@@ -247,8 +247,9 @@ async function executeAction(reportId, action, notes, hours = null) {
         
         const response = await fetch(url, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json'
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': getCsrfToken()
             },
             credentials: 'same-origin',
             body: JSON.stringify(body)
@@ -303,17 +304,17 @@ function escalateReport(reportId) {
     const modal = document.createElement('div');
     modal.className = 'custom-modal';
     modal.innerHTML = `
-        <div class="custom-modal-overlay" onclick="closeEscalateModal()"></div>
+        <div class="custom-modal-overlay" data-on-click="closeEscalateModal"></div>
         <div class="custom-modal-content">
             <h3>Escalate to Administrator</h3>
             <p>This report will be forwarded to an administrator for review.</p>
             <label for="escalateReason">Reason for escalation:</label>
             <textarea id="escalateReason" rows="4" placeholder="Explain why this requires admin attention..." required></textarea>
             <div class="custom-modal-buttons">
-                <button class="btn-cancel" onclick="closeEscalateModal()">
+                <button class="btn-cancel" data-on-click="closeEscalateModal">
                     <i class="fas fa-times"></i> Cancel
                 </button>
-                <button class="btn-confirm" onclick="confirmEscalate('${reportId}')">
+                <button class="btn-confirm" data-on-click="confirmEscalate" data-args='["${reportId}"]'>
                     <i class="fas fa-arrow-up"></i> Escalate
                 </button>
             </div>
@@ -360,8 +361,9 @@ async function confirmEscalate(reportId) {
         
         const response = await fetch(url, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json'
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': getCsrfToken()
             },
             credentials: 'same-origin',
             body: JSON.stringify({ reason })
@@ -426,10 +428,11 @@ function showNotification(title, message, type = 'info') {
     notification.innerHTML = `
         <div class="notification-header">
             <strong>${title}</strong>
-            <button onclick="this.parentElement.parentElement.remove()">&times;</button>
+            <button>&times;</button>
         </div>
         <div class="notification-body">${message}</div>
     `;
+    notification.querySelector('button').addEventListener('click', () => notification.remove());
     
     // Add to page
     document.body.appendChild(notification);
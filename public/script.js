@@ -61,7 +61,7 @@ async function saveEditPost(postId) {
     try {
         const response = await fetch(`/edit-post/${postId}`, {
             method: "PATCH",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
             body: JSON.stringify({ caption: newCaption }),
         });
 
@@ -106,7 +106,7 @@ async function deletePost(postId) {
         
         const response = await fetch(`/delete-post/${postId}`, {
             method: "DELETE",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
         });
 
         if (response.ok) {
@@ -220,6 +220,7 @@ const setupSubmitButton = () => {
         try {
             const response = await fetch("/create-post", {
                 method: "POST",
+                headers: { "X-CSRF-Token": getCsrfToken() },
                 body: formData
             });
 
@@ -278,6 +279,7 @@ async function saveProfilePic() {
 
     let response = await fetch("/update-profile-pic", {
         method: "POST",
+        headers: { "X-CSRF-Token": getCsrfToken() },
         body: formData
     });
 
@@ -287,7 +289,7 @@ async function saveProfilePic() {
         toggleProfilePicMenu();
         showSuccess("Profile picture updated successfully!");
     } else {
-        showError("Failed to update profile picture.");
+        showError(data.error || "Failed to update profile picture.");
     }
 }
 
@@ -304,7 +306,7 @@ async function toggleLike(type, id) {
         const endpoint = type === 'post' ? `/like/${id}` : `/like-comment/${id}`;
         const response = await fetch(endpoint, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
@@ -337,7 +339,7 @@ async function toggleDislike(type, id) {
         const endpoint = type === 'post' ? `/dislike/${id}` : `/dislike-comment/${id}`;
         const response = await fetch(endpoint, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
@@ -412,7 +414,7 @@ async function addComment(postId) {
     try {
         const response = await fetch(`/add-comment/${postId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
             body: JSON.stringify({ commentText })
         });
 
@@ -455,7 +457,7 @@ async function deleteComment(postId, commentId) {
     try {
         const response = await fetch(`/delete-comment/${postId}/${commentId}`, {
             method: "DELETE",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const data = await response.json();
@@ -508,7 +510,7 @@ async function saveEditedComment(commentId) {
     try {
         const response = await fetch(`/edit-comment/${postId}/${commentId}`, {
             method: "PUT",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
             body: JSON.stringify({ updatedContent: newContent })
         });
 
@@ -533,7 +535,7 @@ async function toggleLikeComment(postId, commentId) {
     try {
         const response = await fetch(`/like-comment/${postId}/${commentId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
@@ -562,7 +564,7 @@ async function toggleDislikeComment(postId, commentId) {
     try {
         const response = await fetch(`/dislike-comment/${postId}/${commentId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
@@ -627,7 +629,7 @@ async function submitReply(commentId) {
     try {
         const res = await fetch(`/reply-comment/${postId}/${commentId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
             body: JSON.stringify({ replyText })
         });
 
@@ -692,7 +694,7 @@ async function deleteReply(postId, commentId, replyId) {
     try {
         const response = await fetch(`/delete-reply/${postId}/${commentId}/${replyId}`, {
             method: "DELETE",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const data = await response.json();
@@ -739,7 +741,7 @@ async function saveEditedReply(postId, commentId, replyId) {
     try {
         const res = await fetch(`/edit-reply/${postId}/${commentId}/${replyId}`, {
             method: "PUT",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() },
             body: JSON.stringify({ updatedContent: newContent })
         });
 
@@ -772,7 +774,7 @@ async function likeReply(postId, commentId, replyId) {
     try {
         const response = await fetch(`/reply-like/${postId}/${commentId}/${replyId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
@@ -801,7 +803,7 @@ async function dislikeReply(postId, commentId, replyId) {
     try {
         const response = await fetch(`/reply-dislike/${postId}/${commentId}/${replyId}`, {
             method: "POST",
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", "X-CSRF-Token": getCsrfToken() }
         });
 
         const result = await response.json();
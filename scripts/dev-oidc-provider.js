@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// ============================================
+// LOCAL STAND-IN OPENID CONNECT PROVIDER (development only)
+// Lets the single sign-on flow (middleware/oidc.js) be exercised without a
+// real identity provider. Start it next to the app:
+//
+//   node scripts/dev-oidc-provider.js
+//
+// and run the app with:
+//
+//   OIDC_ISSUER=http://localhost:9091
+//   OIDC_CLIENT_ID=tiktalk-dev
+//   OIDC_CLIENT_SECRET=dev-secret
+//   OIDC_PROVIDER_NAME="Dev SSO"
+//   OIDC_ADMIN_GROUPS=tiktalk-admins
+//   OIDC_MANAGER_GROUPS=tiktalk-managers
+//   OIDC_TAG_GROUP_PREFIX=tiktalk-tag-
+//
+// The sign-in page lists the demo identities below instead of asking for a
+// password. Keys and issued codes live in memory and reset on restart.
+// ============================================
+
+const PORT = Number(process.env.DEV_OIDC_PORT) || 9091;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'tiktalk-dev';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'dev-secret';
+const CODE_TTL = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const DEMO_IDENTITIES = [
+    { sub: 'dev-admin-1', preferred_username: 'sso.admin', email: 'admin@sso.example', groups: ['tiktalk-admins'] },
+    { sub: 'dev-manager-1', preferred_username: 'sso.manager', email: 'manager@sso.example', groups: ['tiktalk-managers', 'tiktalk-tag-Food', 'tiktalk-tag-Travel'] },
+    { sub: 'dev-user-1', preferred_username: 'sso.user', email: 'user@sso.example', groups: ['tiktalk-users'] },
+    { sub: 'dev-nogroups-1', preferred_username: 'sso.nogroups', email: 'nogroups@sso.example' }
+];
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const issuedCodes = new Map();
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function signIdToken(claims) {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${base64url(signature)}`;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// "Sign-in" page: pick one of the demo identities
+app.get('/authorize', (req, res) => {
+    if (req.query.client_id !== CLIENT_ID || req.query.response_type !== 'code' || !req.query.redirect_uri) {
+        return res.status(400).send('Invalid authorization request');
+    }
+
+    const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+        .join('');
+    const options = DEMO_IDENTITIES
+        .map(identity => `<p><button name="sub" value="${identity.sub}">${identity.preferred_username}</button> ${escapeHtml((identity.groups || ['no groups claim']).join(', '))}</p>`)
+        .join('');
+
+    res.send(`<!DOCTYPE html><html><body style="font-family: sans-serif;">
+        <h2>Dev SSO - choose an identity</h2>
+        <form method="POST" action="/authorize">${hidden}${options}
+            <p><button name="sub" value="">Deny</button></p>
+        </form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const redirect = new URL(req.body.redirect_uri);
+    redirect.searchParams.set('state', req.body.state || '');
+
+    const identity = DEMO_IDENTITIES.find(candidate => candidate.sub === req.body.sub);
+    if (!identity) {
+        redirect.searchParams.set('error', 'access_denied');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    issuedCodes.set(code, {
+        identity,
+        redirectUri: req.body.redirect_uri,
+        nonce: req.body.nonce,
+        codeChallenge: req.body.code_challenge,
+        authTime: Math.floor(Date.now() / 1000),
+        expires: Date.now() + CODE_TTL
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const grant = issuedCodes.get(req.body.code);
+    issuedCodes.delete(req.body.code); // Codes are single use
+
+    if (req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || Date.now() > grant.expires || grant.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { sub, preferred_username, email, groups } = grant.identity;
+    const claims = { iss: ISSUER, aud: CLIENT_ID, sub, preferred_username, email, iat: now, exp: now + ID_TOKEN_TTL_SECONDS, auth_time: grant.authTime, nonce: grant.nonce };
+    if (groups) {
+        claims.groups = groups;
+    }
+
+    res.json({
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: ID_TOKEN_TTL_SECONDS,
+        id_token: signIdToken(claims)
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`Dev OpenID Connect provider running at ${ISSUER} (client "${CLIENT_ID}")`);
+});
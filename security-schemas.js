@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// SESSION SCHEMA
+// ============================================
+// Backs express-session so logins survive restarts and can be listed/revoked
+const sessionSchema = new mongoose.Schema({
+    _id: { type: String }, // express-session sid
+    session: { type: mongoose.Schema.Types.Mixed, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    ipAddress: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    device: { type: String, default: 'Unknown device' },
+    createdAt: { type: Date, default: Date.now },
+    lastActivity: { type: Date, default: Date.now },
+    expires: { type: Date, required: true }
+});
+
+// MongoDB removes expired sessions automatically
+sessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// ============================================
+// RATE LIMIT SCHEMA
+// ============================================
+// One document per key holding the timestamps of its counted requests;
+// the sliding window is the hits newer than (now - window). Keeping them
+// in one document lets the check and the new hit be a single atomic update
+const rateLimitWindowSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // e.g. "login:ip:1.2.3.4", "login:username:bob"
+    policy: { type: String, required: true },
+    hits: { type: [Date], default: [] },
+    expiresAt: { type: Date, required: true } // last hit + window, for cleanup
+});
+
+rateLimitWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitWindow = mongoose.model('RateLimitWindow', rateLimitWindowSchema);
+
+// ============================================
+// ADMIN-ISSUED PASSWORD RESET TOKEN SCHEMA
+// ============================================
+// Only the SHA-256 of the token is stored; the raw token exists once, in the link shown to the admin
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+// ============================================
+// SECURITY POLICY SCHEMA
+// ============================================
+// High-impact admin actions that can be set to need two administrators
+const APPROVAL_ACTIONS = ['ban_user', 'delete_user', 'create_admin', 'promote_admin'];
+// Who may use /register: anyone, holders of an invite code, anyone but held for approval, or nobody
+const REGISTRATION_MODES = ['open', 'invite', 'approval', 'closed'];
+
+// Single admin-editable document (key "default") holding the password, lockout, session and sign-in rules.
+// min/max below are the bounds the admin settings page accepts.
+const securityPolicySchema = new mongoose.Schema({
+    key: { type: String, default: 'default', unique: true },
+
+    // 2.1.4 / 2.1.5 - Password length & complexity
+    minPasswordLength: { type: Number, default: 8, min: 8, max: 64 },
+    requireUppercase: { type: Boolean, default: true },
+    requireLowercase: { type: Boolean, default: true },
+    requireNumber: { type: Boolean, default: true },
+    requireSpecial: { type: Boolean, default: true },
+
+    // 2.1.9 / 2.1.10 - Reuse and age
+    passwordHistoryDepth: { type: Number, default: 5, min: 0, max: 24 },
+    minPasswordAgeDays: { type: Number, default: 1, min: 0, max: 30 },
+    maxPasswordAgeDays: { type: Number, default: 0, min: 0, max: 365 }, // 0 = passwords never expire
+
+    // 2.1.7 - Lockout; each repeat lockout lasts lockoutMultiplier times longer, up to the cap
+    lockoutThreshold: { type: Number, default: 5, min: 3, max: 20 },
+    lockoutDurationMinutes: { type: Number, default: 15, min: 1, max: 1440 },
+    lockoutMultiplier: { type: Number, default: 2, min: 1, max: 10 },
+    lockoutMaxDurationMinutes: { type: Number, default: 1440, min: 1, max: 10080 },
+
+    // Sessions end after this long without a request, and this long after login regardless of activity
+    sessionIdleTimeoutMinutes: { type: Number, default: 30, min: 5, max: 1440 },
+    sessionAbsoluteTimeoutHours: { type: Number, default: 24, min: 1, max: 168 },
+
+    // Roles that must sign in through single sign-on (only enforced while SSO is configured).
+    // Custom roles count too, so the names are checked against the role list when saved
+    localLoginDisabledRoles: [{ type: String }],
+
+    // Actions that wait for a second administrator's approval, and how long a request stays open
+    dualApprovalActions: [{ type: String, enum: APPROVAL_ACTIONS }],
+    approvalExpiryHours: { type: Number, default: 24, min: 1, max: 168 },
+
+    // Self-registration on /register (middleware/registration.js)
+    registrationMode: { type: String, enum: REGISTRATION_MODES, default: 'open' },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+// ============================================
+// LOGIN HISTORY SCHEMA
+// ============================================
+// One document per login attempt on an existing account, kept for 180 days
+const LOGIN_HISTORY_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+const loginEventSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    success: { type: Boolean, required: true },
+    failureReason: { type: String, default: '' }, // e.g. "Invalid password", "Account locked"
+    ipAddress: { type: String, default: '' },
+    userAgent: { type: String, default: '' },
+    device: { type: String, default: 'Unknown device' },
+    // Successful logins from an IP / user agent never seen on an earlier successful login
+    newIpAddress: { type: Boolean, default: false },
+    newUserAgent: { type: Boolean, default: false },
+    // "Was this you?" alert: pending until the user confirms or reports it
+    alertStatus: { type: String, enum: ['none', 'pending', 'confirmed', 'reported'], default: 'none' },
+    alertResolvedAt: { type: Date, default: null },
+    timestamp: { type: Date, default: Date.now }
+});
+
+loginEventSchema.index({ user: 1, timestamp: -1 });
+loginEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: LOGIN_HISTORY_TTL_SECONDS });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+// ============================================
+// PERSONAL API TOKEN SCHEMA
+// ============================================
+// Bearer tokens for scripted access; like reset tokens only the SHA-256 is stored
+const API_TOKEN_SCOPES = ['read', 'post', 'moderate', 'admin'];
+
+const apiTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    tokenHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true }, // First characters of the raw token, shown so users can tell tokens apart
+    scopes: [{ type: String, enum: API_TOKEN_SCOPES }],
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: '' },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+// ============================================
+// ROLE SCHEMA
+// ============================================
+// Named permission sets; User.role holds the role's name. The built-in
+// administrator / manager / user roles are created on first load (middleware/roles.js).
+const ROLE_PERMISSIONS = [
+    'admin.access',
+    'manager.access',
+    'post.moderate.all',
+    'post.moderate.managed',
+    'post.hide',
+    'post.delete',
+    'report.dismiss',
+    'report.escalate',
+    'user.warn',
+    'user.restrict.max48h',
+    'user.restrict',
+    'user.ban',
+    'user.manage',
+    'user.impersonate',
+    'role.manage',
+    'logs.view',
+    'logs.export',
+    'security.manage'
+];
+
+const roleSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true,
+            match: [/^[a-z][a-z0-9-]{2,29}$/, 'Role name must be 3-30 lowercase letters, digits or dashes, starting with a letter'] },
+    label: { type: String, required: true, trim: true, maxlength: 40 },
+    description: { type: String, default: '', trim: true, maxlength: 200 },
+    permissions: [{ type: String, enum: ROLE_PERMISSIONS }],
+    builtIn: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+// ============================================
+// TEMPORARY ROLE / TAG GRANT SCHEMA
+// ============================================
+// A role or extra managedTags given until expiresAt; the expiry job
+// (middleware/role-grants.js) puts the account back and sets endedAt
+const roleGrantSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: ['role', 'tags'], required: true },
+    role: { type: String, default: null }, // Role granted ("role" grants)
+    previousRole: { type: String, default: null }, // Restored on expiry ("role" grants)
+    previousManagedTags: [{ type: String }],
+    tags: [{ type: String }], // managedTags that came with the grant
+    reason: { type: String, default: '', trim: true, maxlength: 200 },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when it expired
+    endReason: { type: String, enum: ['expired', 'revoked', 'superseded', null], default: null }
+});
+
+roleGrantSchema.index({ endedAt: 1, expiresAt: 1 });
+
+const RoleGrant = mongoose.model('RoleGrant', roleGrantSchema);
+
+// ============================================
+// TWO-PERSON APPROVAL REQUEST SCHEMA
+// ============================================
+// A high-impact action held until a second administrator approves it.
+// payload holds what the action needs to run later (never a plaintext
+// password - create_admin stores the hash).
+const approvalRequestSchema = new mongoose.Schema({
+    action: { type: String, enum: APPROVAL_ACTIONS, required: true },
+    targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for create_admin
+    targetName: { type: String, required: true }, // Username, kept for the log once the account is gone
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    summary: { type: String, required: true },
+    reason: { type: String, default: '', trim: true, maxlength: 500 },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired', 'failed'],
+        default: 'pending'
+    },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    decidedAt: { type: Date, default: null },
+    decisionNote: { type: String, default: '', trim: true, maxlength: 500 },
+    executedAt: { type: Date, default: null },
+    failureReason: { type: String, default: null }
+});
+
+approvalRequestSchema.index({ status: 1, expiresAt: 1 });
+
+const ApprovalRequest = mongoose.model('ApprovalRequest', approvalRequestSchema);
+
+// ============================================
+// REGISTRATION INVITE CODE SCHEMA
+// ============================================
+// Lets people register while registrationMode is "invite"; like API tokens
+// only the SHA-256 is stored and the code is shown once to its creator
+const inviteCodeSchema = new mongoose.Schema({
+    codeHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true }, // First characters of the code, shown so codes can be told apart
+    note: { type: String, default: '', trim: true, maxlength: 100 }, // Who it was meant for
+    maxUses: { type: Number, required: true, min: 1, max: 100 },
+    uses: { type: Number, default: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+const InviteCode = mongoose.model('InviteCode', inviteCodeSchema);
+
+// ============================================
+// USERNAME HISTORY SCHEMA
+// ============================================
+// Names accounts have given up (middleware/username-policy.js): old u/ links
+// redirect through it and another account can't take a name during the cooldown.
+// user is null once the account was deleted - the name still cools down.
+const usernameHistorySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    username: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now }
+});
+
+usernameHistorySchema.index({ username: 1, changedAt: -1 });
+
+const UsernameHistory = mongoose.model('UsernameHistory', usernameHistorySchema);
+
+// ============================================
+// PERSONAL DATA EXPORT SCHEMA
+// ============================================
+// A "download my data" request; the export job (middleware/data-export.js)
+// builds the ZIP outside public/ and it is deleted again at expiresAt
+const dataExportSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ['pending', 'processing', 'ready', 'failed', 'expired'], default: 'pending' },
+    requestedAt: { type: Date, default: Date.now },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }, // Set once ready
+    fileSize: { type: Number, default: 0 }, // Bytes
+    downloadedAt: { type: Date, default: null },
+    error: { type: String, default: null }
+});
+
+dataExportSchema.index({ status: 1, requestedAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = { Session, RateLimitWindow, PasswordResetToken, SecurityPolicy, APPROVAL_ACTIONS, REGISTRATION_MODES, LoginEvent, ApiToken, API_TOKEN_SCOPES, Role, ROLE_PERMISSIONS, RoleGrant, ApprovalRequest, InviteCode, UsernameHistory, DataExport };
@@ -0,0 +1,44 @@
+const Module = require('module');
+
+// database.js connects to MongoDB as soon as it is required, so tests swap
+// it for plain stand-in models before loading any middleware
+const originalLoad = Module._load;
+const models = {};
+
+Module._load = function (request, parent, isMain) {
+    if (request === '../database' || request === './database') {
+        return models;
+    }
+    return originalLoad.call(this, request, parent, isMain);
+};
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        redirectedTo: null,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        redirect(url) { this.redirectedTo = url; return this; }
+    };
+}
+
+/**
+ * Runs a request through middleware in order, stopping at the first one that
+ * answers instead of calling next()
+ */
+function runMiddleware(stack, req) {
+    const res = mockResponse();
+    let reachedRoute = true;
+    for (const middleware of stack) {
+        let called = false;
+        middleware(req, res, () => { called = true; });
+        if (!called) {
+            reachedRoute = false;
+            break;
+        }
+    }
+    return { res, reachedRoute };
+}
+
+module.exports = { models, mockResponse, runMiddleware };
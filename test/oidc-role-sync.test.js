@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { models } = require('./helpers');
+
+let activeGrant;
+models.RoleGrant = { exists: async () => activeGrant };
+
+const { OIDC_CONFIG, mapGroupsToRole, syncSsoUser } = require('../middleware/oidc');
+
+function ssoUser(role, managedTags = []) {
+    return { _id: 'u1', role, managedTags, sso: { email: '', groups: [] }, save: async () => {} };
+}
+
+describe('SSO role sync', () => {
+    beforeEach(() => {
+        activeGrant = null;
+        OIDC_CONFIG.roleGroups.administrator = ['admins'];
+        OIDC_CONFIG.roleGroups.manager = ['managers'];
+        OIDC_CONFIG.tagGroupPrefix = 'tag-';
+    });
+
+    it('maps configured groups to roles', async () => {
+        const user = ssoUser('user');
+        await syncSsoUser(user, { groups: ['managers', 'tag-Art'] });
+        assert.strictEqual(user.role, 'manager');
+        assert.deepStrictEqual(user.managedTags, ['Art']);
+
+        await syncSsoUser(user, { groups: [] });
+        assert.strictEqual(user.role, 'user');
+    });
+
+    it('leaves roles alone when no groups claim is sent', async () => {
+        const user = ssoUser('manager', ['Art']);
+        assert.strictEqual(await syncSsoUser(user, {}), null);
+        assert.strictEqual(user.role, 'manager');
+    });
+
+    it('does not demote a local administrator when admin groups are not configured', async () => {
+        OIDC_CONFIG.roleGroups.administrator = [];
+        const user = ssoUser('administrator');
+        await syncSsoUser(user, { groups: ['everyone'] });
+        assert.strictEqual(user.role, 'administrator');
+    });
+
+    it('ignores the groups claim entirely when no mapping is configured', async () => {
+        OIDC_CONFIG.roleGroups.administrator = [];
+        OIDC_CONFIG.roleGroups.manager = [];
+        assert.strictEqual(mapGroupsToRole({ groups: ['admins'] }), null);
+
+        const user = ssoUser('manager', ['Art']);
+        await syncSsoUser(user, { groups: ['everyone'] });
+        assert.strictEqual(user.role, 'manager');
+        assert.deepStrictEqual(user.sso.groups, ['everyone']);
+    });
+
+    it('keeps custom roles', async () => {
+        const user = ssoUser('support');
+        await syncSsoUser(user, { groups: ['managers'] });
+        assert.strictEqual(user.role, 'support');
+    });
+
+    it('keeps temporarily granted roles until the grant ends', async () => {
+        activeGrant = { _id: 'g1' };
+        const user = ssoUser('manager', ['Art']);
+        await syncSsoUser(user, { groups: [] });
+        assert.strictEqual(user.role, 'manager');
+        assert.deepStrictEqual(user.managedTags, ['Art']);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { runMiddleware } = require('./helpers');
+const { requireSecurityQuestionUpdate, requirePasswordRotation } = require('../middleware/auth');
+
+// Same order app.js registers them in
+const stack = [requireSecurityQuestionUpdate, requirePasswordRotation];
+
+function request(method, path, user) {
+    return { method, path, user, session: {} };
+}
+
+describe('password rotation with default security questions', () => {
+    // e.g. an account created from /admin/users/create
+    const user = { password: 'hash', mustChangePassword: true, securityQuestionsAreDefault: true };
+
+    it('lets the change password page through', () => {
+        const { reachedRoute } = runMiddleware(stack, request('GET', '/change-password', user));
+        assert.strictEqual(reachedRoute, true);
+        assert.strictEqual(runMiddleware(stack, request('POST', '/change-password', user)).reachedRoute, true);
+    });
+
+    it('sends every other page to the password change first', () => {
+        for (const path of ['/', '/settings/security-questions']) {
+            const { res, reachedRoute } = runMiddleware(stack, request('GET', path, user));
+            assert.strictEqual(reachedRoute, false);
+            assert.strictEqual(res.redirectedTo, '/change-password');
+        }
+    });
+
+    it('moves on to the security questions once the password is changed', () => {
+        const changed = { ...user, mustChangePassword: false, passwordChangedAt: new Date() };
+
+        let result = runMiddleware(stack, request('GET', '/', changed));
+        assert.strictEqual(result.res.redirectedTo, '/settings/security-questions');
+
+        result = runMiddleware(stack, request('POST', '/settings/security-questions', changed));
+        assert.strictEqual(result.reachedRoute, true);
+
+        result = runMiddleware(stack, request('GET', '/change-password', changed));
+        assert.strictEqual(result.res.redirectedTo, '/settings/security-questions');
+    });
+
+    it('still lets the user log out', () => {
+        assert.strictEqual(runMiddleware(stack, request('GET', '/logout', user)).reachedRoute, true);
+    });
+});
@@ -0,0 +1,205 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { models } = require('./helpers');
+
+// authorize() writes denials through logActivity
+const logged = [];
+models.User = { findById: async () => null };
+models.ActivityLog = class {
+    constructor(fields) { Object.assign(this, fields); }
+    async save() { logged.push(this); }
+};
+
+const { Role } = require('../security-schemas');
+const { BUILT_IN_ROLES, ROLE_PERMISSIONS, loadRoles, hasPermission, getRolePermissions } = require('../middleware/roles');
+const { evaluatePolicy, authorize } = require('../middleware/policy');
+
+// A custom role next to the built-in ones: moderates every tag but can't hide,
+// delete, restrict or touch accounts
+const CUSTOM_ROLE = {
+    name: 'support',
+    label: 'Support',
+    permissions: ['manager.access', 'post.moderate.all', 'report.dismiss', 'user.warn', 'logs.view']
+};
+const ROLE_NAMES = ['administrator', 'manager', 'user', 'support'];
+
+const subjects = {};
+ROLE_NAMES.forEach(role => {
+    subjects[role] = { _id: `${role}-id`, username: role, role, managedTags: ['Art'] };
+});
+
+const stranger = { _id: 'stranger-id', username: 'stranger', role: 'user' };
+const otherManager = { _id: 'other-manager-id', username: 'mod', role: 'manager' };
+const otherAdmin = { _id: 'other-admin-id', username: 'boss', role: 'administrator' };
+const artPost = { _id: 'art-post', user: stranger._id, postTag: 'Art' };
+const musicPost = { _id: 'music-post', user: stranger._id, postTag: 'Music' };
+const strangersComment = { _id: 'comment', user: stranger._id };
+const strangersReply = { _id: 'reply', user: stranger._id };
+
+const self = role => subjects[role];
+const ownPost = role => ({ _id: 'own-post', user: self(role)._id, postTag: 'Music' });
+const ownComment = role => ({ _id: 'own-comment', user: self(role)._id });
+const ownReply = role => ({ _id: 'own-reply', user: self(role)._id });
+
+// [resource, action, resource (or role => resource), context, expected per role:
+//  administrator, manager, user, support]
+const MATRIX = [
+    ['area', 'access', ['admin.access'], {}, [true, false, false, false]],
+    ['area', 'access', ['manager.access'], {}, [true, true, false, true]],
+    ['area', 'access', ['logs.view', 'logs.export'], {}, [true, false, false, true]],
+
+    ['post', 'read', artPost, {}, [true, true, true, true]],
+    ['post', 'create', null, {}, [true, true, true, true]],
+    ['post', 'edit', ownPost, {}, [true, true, true, true]],
+    ['post', 'edit', artPost, {}, [true, true, false, true]],
+    ['post', 'edit', musicPost, {}, [true, false, false, true]],
+    ['post', 'delete', ownPost, {}, [true, true, true, true]],
+    ['post', 'delete', artPost, {}, [true, true, false, false]],
+    ['post', 'delete', musicPost, {}, [true, false, false, false]],
+    ['post', 'moderate', artPost, {}, [true, true, false, true]],
+    ['post', 'moderate', musicPost, {}, [true, false, false, true]],
+    ['post', 'publish', artPost, {}, [false, false, false, false]],
+
+    ['comment', 'read', strangersComment, { post: artPost }, [true, true, true, true]],
+    ['comment', 'edit', ownComment, { post: musicPost }, [true, true, true, true]],
+    ['comment', 'edit', strangersComment, { post: artPost }, [true, true, false, true]],
+    ['comment', 'edit', strangersComment, { post: musicPost }, [true, false, false, true]],
+    ['comment', 'delete', ownComment, { post: musicPost }, [true, true, true, true]],
+    ['comment', 'delete', strangersComment, { post: artPost }, [true, true, false, false]],
+    ['comment', 'moderate', strangersComment, { post: musicPost }, [true, false, false, true]],
+    ['comment', 'edit', strangersComment, {}, [false, false, false, false]], // missing context fails closed
+
+    ['reply', 'edit', ownReply, { post: musicPost }, [true, true, true, true]],
+    ['reply', 'edit', strangersReply, { post: artPost }, [true, true, false, true]],
+    ['reply', 'edit', strangersReply, { post: musicPost }, [true, false, false, true]],
+    ['reply', 'delete', ownReply, { post: musicPost }, [true, true, true, true]],
+    ['reply', 'delete', strangersReply, { post: artPost }, [true, true, false, false]],
+    ['reply', 'delete', strangersReply, { post: musicPost }, [true, false, false, false]],
+    ['reply', 'delete', strangersReply, {}, [false, false, false, false]], // missing context fails closed
+
+    ['tag', 'moderate', 'Art', {}, [true, true, false, true]],
+    ['tag', 'moderate', 'Music', {}, [true, false, false, true]],
+
+    ['report', 'resolve', artPost, { action: 'hide_post' }, [true, true, false, false]],
+    ['report', 'resolve', artPost, { action: 'delete_post' }, [true, true, false, false]],
+    ['report', 'resolve', artPost, { action: 'warn_user' }, [true, true, false, true]],
+    ['report', 'resolve', artPost, { action: 'restrict_user' }, [true, true, false, false]],
+    ['report', 'resolve', artPost, { action: 'dismiss' }, [true, true, false, true]],
+    ['report', 'resolve', musicPost, { action: 'dismiss' }, [true, false, false, true]],
+    ['report', 'resolve', artPost, { action: 'unknown' }, [false, false, false, false]],
+    ['report', 'escalate', artPost, {}, [true, true, false, false]],
+
+    ['user', 'read', stranger, {}, [true, true, true, true]],
+    ['user', 'edit', self, {}, [true, true, true, true]],
+    ['user', 'edit', stranger, {}, [true, false, false, false]],
+    ['user', 'restrict', stranger, { hours: 24 }, [true, true, false, false]],
+    ['user', 'restrict', stranger, { hours: 72 }, [true, false, false, false]],
+    ['user', 'restrict', otherManager, { hours: 24 }, [true, false, false, false]],
+    ['user', 'restrict', self, { hours: 24 }, [false, false, false, false]],
+    ['user', 'ban', stranger, {}, [true, false, false, false]],
+    ['user', 'ban', self, {}, [false, false, false, false]],
+    ['user', 'manage', stranger, {}, [true, false, false, false]],
+    ['user', 'manage', otherAdmin, {}, [true, false, false, false]],
+    ['user', 'impersonate', stranger, {}, [true, false, false, false]],
+    ['user', 'impersonate', otherManager, {}, [true, false, false, false]],
+    ['user', 'impersonate', otherAdmin, {}, [false, false, false, false]],
+
+    ['role', 'manage', CUSTOM_ROLE, {}, [true, false, false, false]],
+    ['role', 'assign', { name: 'user', permissions: [] }, {}, [true, false, false, false]],
+    ['role', 'assign', { name: 'administrator', permissions: ROLE_PERMISSIONS }, {}, [true, false, false, false]],
+
+    ['invoice', 'read', null, {}, [false, false, false, false]]
+];
+
+function label(resourceType, action, resource, context) {
+    const target = resource && (resource.username || resource.name || resource._id || resource);
+    const extra = Object.keys(context).filter(key => key !== 'post').map(key => `${key}=${context[key]}`);
+    const post = context.post ? ` on ${context.post.postTag} post` : '';
+    return `${resourceType}.${action}${target ? ` ${target}` : ''}${post}${extra.length ? ` (${extra.join(', ')})` : ''}`;
+}
+
+describe('role permissions and policy matrix', () => {
+    before(async () => {
+        // Stand-in for the Role collection: the built-in roles plus the custom one
+        Role.updateOne = async () => {};
+        Role.find = () => ({
+            sort: () => ({
+                lean: async () => [...BUILT_IN_ROLES.map(role => ({ ...role, builtIn: true })), CUSTOM_ROLE]
+            })
+        });
+        await loadRoles();
+    });
+
+    describe('hasPermission', () => {
+        const expected = {
+            administrator: ROLE_PERMISSIONS,
+            manager: BUILT_IN_ROLES.find(role => role.name === 'manager').permissions,
+            user: [],
+            support: CUSTOM_ROLE.permissions
+        };
+
+        for (const role of ROLE_NAMES) {
+            it(`${role} holds exactly its role's permissions`, () => {
+                for (const permission of ROLE_PERMISSIONS) {
+                    assert.strictEqual(hasPermission(subjects[role], permission), expected[role].includes(permission),
+                        `${role} / ${permission}`);
+                }
+                assert.deepStrictEqual([...getRolePermissions(role)].sort(), [...expected[role]].sort());
+            });
+        }
+
+        it('grants nothing to unknown roles or anonymous visitors', () => {
+            for (const permission of ROLE_PERMISSIONS) {
+                assert.strictEqual(hasPermission({ role: 'ghost' }, permission), false);
+                assert.strictEqual(hasPermission(null, permission), false);
+            }
+        });
+    });
+
+    describe('evaluatePolicy', () => {
+        for (const [resourceType, action, resource, context, expected] of MATRIX) {
+            ROLE_NAMES.forEach((role, index) => {
+                const target = typeof resource === 'function' ? resource(role) : resource;
+                it(`${role}: ${label(resourceType, action, target, context)} -> ${expected[index] ? 'allow' : 'deny'}`, () => {
+                    const decision = evaluatePolicy(subjects[role], action, resourceType, target, context);
+                    assert.strictEqual(decision.allowed, expected[index]);
+                });
+            });
+        }
+
+        it('denies every rule to anonymous visitors', () => {
+            for (const [resourceType, action, resource, context] of MATRIX) {
+                const target = typeof resource === 'function' ? resource('user') : resource;
+                const decision = evaluatePolicy(null, action, resourceType, target, context);
+                assert.strictEqual(decision.allowed, false);
+                assert.strictEqual(decision.reason, 'NOT_AUTHENTICATED');
+            }
+        });
+    });
+
+    describe('authorize', () => {
+        const req = { method: 'POST', path: '/test', headers: {}, connection: { remoteAddress: '127.0.0.1' }, socket: {} };
+
+        it('agrees with evaluatePolicy and logs every denial', async () => {
+            for (const [resourceType, action, resource, context, expected] of MATRIX) {
+                for (let index = 0; index < ROLE_NAMES.length; index++) {
+                    const role = ROLE_NAMES[index];
+                    const target = typeof resource === 'function' ? resource(role) : resource;
+                    const before = logged.length;
+
+                    const decision = await authorize(req, subjects[role], action, resourceType, target, context);
+                    const name = `${role}: ${label(resourceType, action, target, context)}`;
+                    assert.strictEqual(decision.allowed, expected[index], name);
+
+                    if (expected[index]) {
+                        assert.strictEqual(logged.length, before, `${name} should not be logged`);
+                    } else {
+                        assert.strictEqual(logged.length, before + 1, `${name} should be logged`);
+                        assert.strictEqual(logged[before].action, 'ACCESS_DENIED');
+                        assert.strictEqual(logged[before].user, subjects[role]._id);
+                    }
+                }
+            }
+        });
+    });
+});